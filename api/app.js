@@ -5,13 +5,83 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const Joi = require('joi');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('./models/User');
 const Post = require('./models/Post');
+const PostRevision = require('./models/PostRevision');
+const Comment = require('./models/Comment');
+const Credential = require('./models/Credential');
 const auth = require('./middleware/auth');
+const requireVerifiedEmail = require('./middleware/requireVerifiedEmail');
+const requirePermission = require('./middleware/requirePermission');
+const { can } = requirePermission;
 const client = require('prom-client');
-const { getVaultClient } = require('./services/vault');
+const { getVaultClient, VaultUnavailableError } = require('./services/vault');
+const {
+  connectWithRotation,
+  credentialStatus,
+  refreshNow,
+  stopCredentialRotation,
+} = require('./services/mongoCredentials');
 const { verifyGoogleToken } = require('./services/oauth');
+const { paginate, paginatePublished, SORTS, DEFAULT_LIMIT, MAX_LIMIT } = require('./services/pagination');
+const { startPublishScheduler, stopPublishScheduler } = require('./services/publishScheduler');
+const { renderMarkdown } = require('./services/markdown');
+const { searchPosts } = require('./services/search');
+const { buildRss, buildAtom, buildJsonFeed, feedValidators, FEED_SIZE } = require('./services/feeds');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSessionById,
+  revokeAllSessions,
+  listActiveSessions,
+} = require('./services/sessions');
+const {
+  SCOPES,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+} = require('./services/accessTokens');
+const { requestPasswordReset, resetPassword } = require('./services/passwordReset');
+const { sendVerificationEmail, verifyEmail } = require('./services/emailVerification');
+const {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  issueChallenge,
+  verifyChallenge,
+} = require('./services/twoFactor');
+const {
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+} = require('./services/webauthn');
+const {
+  signInMethods,
+  signInWithIdentity,
+  linkIdentity,
+  unlinkIdentity,
+  removePasskey,
+  setPassword,
+} = require('./services/identities');
+const { luhnValid, updateProfile } = require('./services/profile');
+const { maskPIIFields } = require('./services/piiEncryption');
+const { buildExport } = require('./services/dataExport');
+const { recordAudit } = require('./services/audit');
+const { confirmDeletion, deleteAccount } = require('./services/accountDeletion');
+const {
+  getProvider,
+  listProviders,
+  startAuthorization,
+  completeAuthorization,
+  issueLoginCode,
+  redeemLoginCode,
+} = require('./services/oidc');
+const { ROLES } = require('./services/roles');
+const { setRoles } = require('./services/userAdmin');
 
 const app = express();
 
@@ -45,6 +115,29 @@ const authLimiter = rateLimit({
   message: { message: 'Too many auth attempts, please try again later.' },
 });
 
+// Comment posting (10 per 10 min) — keyed by account rather than IP, so one
+// noisy user behind a shared NAT doesn't lock everyone else out. Runs after
+// auth, which is what sets req.userData.
+const commentLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.userData?.userId || req.ip,
+  message: { message: 'Too many comments, please slow down.' },
+});
+
+// Data exports (3 per hour, per account) — each one decrypts the user's PII
+// through Vault and gathers every record they own
+const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.userData?.userId || req.ip,
+  message: { message: 'You have requested several exports recently. Please try again later.' },
+});
+
 // ─── Internal-only middleware ────────────────────────────────────────────────
 const PRIVATE_IP_RE = /^(::ffff:)?(127\.|10\.|172\.(1[6-9]|2\d|3[01])\.|192\.168\.)/;
 const internalOnly = (req, res, next) => {
@@ -62,14 +155,45 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
+// Public URL of the site for absolute links in feeds and redirects. Set
+// SITE_URL in production; otherwise it's derived from the (trust proxy-aware)
+// request.
+const siteUrlFor = (req) =>
+  (process.env.SITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+// Links in emails only ever come from SITE_URL. The Host header is the
+// client's to choose: taken from the request, anyone could have a user mailed
+// a reset link that hands the token to a site of their own. Null when
+// SITE_URL isn't set — the services then send nothing.
+const emailSiteUrl = () => (process.env.SITE_URL ? process.env.SITE_URL.replace(/\/+$/, '') : null);
+if (!process.env.SITE_URL) {
+  console.warn('SITE_URL is not set — password reset and email verification links will not be sent');
+}
+
+// Status for an error a route didn't expect. Vault being down or slow is
+// temporary and not our bug: 503 with Retry-After tells clients and the load
+// balancer to come back later. Anything else is a 500.
+function serverError(res, err) {
+  if (err instanceof VaultUnavailableError) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil(err.retryAfterMs / 1000))));
+    return res.status(503);
+  }
+  return res.status(500);
+}
+
+// Value of a cookie we set ourselves (plain base64url, so no decoding needed)
+const readCookie = (req, name) => {
+  const match = (req.get('cookie') || '').match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return match ? match[1] : null;
+};
+
 // ─── Database Connection ─────────────────────────────────────────────────────
-// Fetches MongoDB credentials from Vault database engine.
+// Fetches MongoDB credentials from Vault database engine, and reconnects with
+// new ones each time Vault rotates the password (services/mongoCredentials.js).
 // Falls back to MONGO_URI env var if Vault database engine is not configured.
 async function connectDatabase() {
-  const vault = getVaultClient();
   try {
-    const mongoUri = await vault.getMongoUri();
-    await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 30000 });
+    await connectWithRotation();
     console.log('[DB] Connected to MongoDB');
   } catch (err) {
     console.error('[DB] Connection error:', err.message);
@@ -104,14 +228,181 @@ const registerSchema = Joi.object({
   fullName: Joi.string().max(100).allow('', null).optional(),
 });
 
+// Omitted fields are left alone; null (or '') removes one
+const updateProfileSchema = Joi.object({
+  email: Joi.string().trim().email().allow('', null),
+  fullName: Joi.string().trim().max(100).allow('', null),
+  phone: Joi.string().replace(/[\s()-]/g, '').pattern(/^\+[1-9]\d{1,14}$/).allow('', null)
+    .messages({ 'string.pattern.base': 'Phone must be in international format, e.g. +233244123456' }),
+  creditCard: Joi.string().replace(/[\s-]/g, '').pattern(/^\d{12,19}$/).allow('', null)
+    .custom((value, helpers) => (luhnValid(value) ? value : helpers.error('any.invalid')))
+    .messages({ 'string.pattern.base': 'Card number is not valid', 'any.invalid': 'Card number is not valid' }),
+}).min(1);
+
+const deleteAccountSchema = Joi.object({
+  posts: Joi.string().valid('delete', 'anonymise').required(),
+  // Required for accounts that have a password
+  password: Joi.string().max(128).allow(''),
+});
+
 const loginSchema = Joi.object({
   username: Joi.string().required(),
   password: Joi.string().required(),
 });
 
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().max(254).required(),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().max(200).required(),
+  password: Joi.string().min(8).max(128).required(),
+});
+
+// Either a code from the authenticator app or one of the recovery codes
+const secondFactorSchema = {
+  code: Joi.string().pattern(/^[\d ]{6,8}$/),
+  recoveryCode: Joi.string().max(20),
+};
+
+const loginSecondFactorSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  ...secondFactorSchema,
+}).xor('code', 'recoveryCode');
+
+const twoFactorCodeSchema = Joi.object(secondFactorSchema).xor('code', 'recoveryCode');
+
+const twoFactorConfirmSchema = Joi.object({
+  code: secondFactorSchema.code.required(),
+});
+
+// Browser WebAuthn responses are checked field by field in services/webauthn.js
+const webauthnResponseSchema = Joi.object({
+  id: Joi.string().max(1024).required(),
+  response: Joi.object({ clientDataJSON: Joi.string().required() }).unknown(true).required(),
+}).unknown(true);
+
+const passkeyRegisterSchema = Joi.object({
+  response: webauthnResponseSchema.required(),
+  name: Joi.string().trim().max(60),
+});
+
+const passkeyLoginSchema = Joi.object({
+  response: webauthnResponseSchema.required(),
+});
+
+const passkeyRenameSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(60).required(),
+});
+
+const accessTokenSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(60).required(),
+  scopes: Joi.array().items(Joi.string().valid(...SCOPES)).min(1).required(),
+  // Omit or null for a token that never expires
+  expiresInDays: Joi.number().integer().min(1).max(365).allow(null),
+});
+
+const googleIdTokenSchema = Joi.object({
+  idToken: Joi.string().max(4096).required(),
+});
+
+const loginCodeSchema = Joi.object({
+  code: Joi.string().max(100).required(),
+});
+
+const setPasswordSchema = Joi.object({
+  password: Joi.string().min(8).max(128).required(),
+  currentPassword: Joi.string().max(128),
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().max(200).required(),
+});
+
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+const MAX_TAGS = 10;
+
+// "Node JS " → "node-js". Only lowercase letters, digits and single dashes survive.
+const tagSchema = Joi.string()
+  .trim()
+  .lowercase()
+  .max(30)
+  .pattern(/^[a-z0-9][a-z0-9 _-]*$/)
+  .custom((tag) => tag.replace(/[\s_-]+/g, '-').replace(/-$/, ''));
+
 const postSchema = Joi.object({
   title: Joi.string().trim().min(1).max(200).required(),
   content: Joi.string().trim().min(1).max(10000).required(),
+  // Omitted on edit → tags left as they are. Duplicates after normalising are dropped.
+  tags: Joi.array().items(tagSchema).max(MAX_TAGS).custom((tags) => [...new Set(tags)]),
+  // Omitted on create → published; omitted on edit → status left as it is
+  status: Joi.string().valid(...POST_STATUSES),
+  publishAt: Joi.date().iso().when('status', {
+    is: 'scheduled',
+    then: Joi.date().greater('now').required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+const previewSchema = Joi.object({
+  content: Joi.string().max(10000).allow('').required(),
+});
+
+// Shared by every paginated listing
+const pageParams = {
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT).default(DEFAULT_LIMIT),
+  cursor: Joi.string().max(512).pattern(/^[A-Za-z0-9_-]+$/),
+  sort: Joi.string().valid(...Object.keys(SORTS)).default('newest'),
+};
+
+const listPostsSchema = Joi.object({
+  ...pageParams,
+  author: Joi.string().trim().max(30),
+  userId: Joi.string().hex().length(24),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+  tag: tagSchema,
+});
+
+// Passed to MongoDB $text as-is — never compiled into a RegExp
+const searchSchema = Joi.object({
+  q: Joi.string().trim().min(2).max(100).pattern(/^[^\x00-\x1f]+$/).required(),
+  limit: pageParams.limit,
+  cursor: pageParams.cursor,
+});
+
+const MAX_COMMENT_DEPTH = 5;
+const MAX_COMMENTS_PER_POST = 1000;
+
+const commentSchema = Joi.object({
+  content: Joi.string().trim().min(1).max(2000).required(),
+  parentId: Joi.string().hex().length(24).allow(null),
+});
+
+const listUsersSchema = Joi.object({
+  limit: pageParams.limit,
+  cursor: pageParams.cursor,
+  sort: Joi.string().valid('newest', 'oldest').default('newest'),
+  role: Joi.string().valid(...ROLES),
+});
+
+const setRolesSchema = Joi.object({
+  roles: Joi.array().items(Joi.string().valid(...ROLES)).unique().min(1).required(),
+});
+
+const moderateCommentSchema = Joi.object({
+  hidden: Joi.boolean().required(),
+});
+
+const feedAuthorSchema = Joi.string().alphanum().min(3).max(30).required();
+
+const tagCountsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(100),
+});
+
+const myPostsSchema = Joi.object({
+  ...pageParams,
+  status: Joi.array().items(Joi.string().valid(...POST_STATUSES)).single(),
 });
 
 // ─── Health / Metrics ────────────────────────────────────────────────────────
@@ -130,14 +421,20 @@ app.get('/health/vault', internalOnly, async (_req, res) => {
   try {
     const vault = getVaultClient();
     const status = await vault.healthCheck();
-    const code = status.ok ? 200 : 503;
-    res.status(code).json(status);
+    // Stale: Vault rotated the MongoDB password and we haven't caught up
+    const mongoCredentials = credentialStatus();
+    const ok = status.ok && !mongoCredentials.stale;
+    res.status(ok ? 200 : 503).json({ ...status, ok, mongoCredentials });
   } catch (err) {
     res.status(503).json({ ok: false, error: err.message });
   }
 });
 
 // ─── AUTH ────────────────────────────────────────────────────────────────────
+// Recorded on each new session so users can recognise their devices.
+// req.ip honours X-Forwarded-For from the one trusted proxy hop.
+const clientInfo = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
 app.post('/api/register', authLimiter, async (req, res) => {
   try {
     const { error, value } = registerSchema.validate(req.body);
@@ -148,19 +445,30 @@ app.post('/api/register', authLimiter, async (req, res) => {
     if (existing) {
       return res.status(409).json({ message: 'Username already taken' });
     }
+    // email is encrypted at rest — duplicates can only be found via the blind index
+    if (email && (await User.findByEmail(email))) {
+      return res.status(409).json({ message: 'An account with this email already exists' });
+    }
     const hashedPassword = await bcrypt.hash(password, 12);
     const user = new User({
       username,
       password: hashedPassword,
       email,
       fullName,
-      authProvider: 'local',
+      identities: [{ provider: 'local' }],
+      emailVerified: false,
     });
     await user.save();
+
+    if (email) {
+      // pre('save') replaced email with ciphertext — mail the plaintext we were given
+      sendVerificationEmail({ _id: user._id, username, email }, emailSiteUrl())
+        .catch((e) => console.error('Verification email error:', e.message));
+    }
     res.status(201).json({ message: 'User registered' });
   } catch (e) {
     console.error('Register error:', e.message);
-    res.status(500).json({ message: 'Registration failed' });
+    serverError(res, e).json({ message: 'Registration failed' });
   }
 });
 
@@ -172,25 +480,55 @@ app.post('/api/login', authLimiter, async (req, res) => {
     const { username, password } = value;
     const user = await User.findOne({ username });
 
-    if (user && user.authProvider === 'google') {
+    if (user && !user.password) {
       return res.status(400).json({
-        message: 'This account uses Google Sign-In. Please use the Google button to log in.',
+        message: 'This account has no password. Sign in with Google or a passkey, then set a password from your profile.',
       });
     }
 
     if (user && (await bcrypt.compare(password, user.password))) {
-      const token = jwt.sign({ userId: user._id }, JWT_SECRET, { expiresIn: '7d' });
-      res.json({ token, username: user.username });
+      // Password was right, but the session waits for the second factor
+      if (user.totpEnabled) {
+        return res.json({ mfaRequired: true, challengeToken: issueChallenge(user._id) });
+      }
+      const tokens = await createSession(user._id, clientInfo(req));
+      res.json({ ...tokens, username: user.username });
     } else {
       res.status(401).json({ message: 'Invalid credentials' });
     }
   } catch (e) {
     console.error('Login error:', e.message);
-    res.status(500).json({ message: 'Login failed' });
+    serverError(res, e).json({ message: 'Login failed' });
+  }
+});
+
+app.post('/api/login/2fa', authLimiter, async (req, res) => {
+  try {
+    const { error, value } = loginSecondFactorSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { challengeToken, code, recoveryCode } = value;
+    const userId = verifyChallenge(challengeToken);
+    if (!(await verifySecondFactor(userId, { code, recoveryCode }))) {
+      return res.status(401).json({ message: 'Invalid code' });
+    }
+
+    const user = await User.findById(userId).select('username');
+    const tokens = await createSession(user._id, clientInfo(req));
+    res.json({ ...tokens, username: user.username });
+  } catch (e) {
+    if (e.message === 'Invalid challenge' || e.message === 'User not found') {
+      return res.status(401).json({ message: 'Your sign-in expired. Please log in again.' });
+    }
+    console.error('Two-factor login error:', e.message);
+    serverError(res, e).json({ message: 'Login failed' });
   }
 });
 
 // ─── GOOGLE SSO ──────────────────────────────────────────────────────────────
+// Errors from services/oauth.js that mean the token was bad rather than us
+const isGoogleTokenError = (e) => e.message.startsWith('Invalid Google token');
+
 app.post('/api/auth/google', authLimiter, async (req, res) => {
   try {
     const { idToken } = req.body;
@@ -198,118 +536,1138 @@ app.post('/api/auth/google', authLimiter, async (req, res) => {
       return res.status(400).json({ message: 'Google ID token is required' });
     }
 
-    const googleUser = await verifyGoogleToken(idToken);
-    const { googleId, email, name, picture } = googleUser;
+    const { googleId, email, name, picture } = await verifyGoogleToken(idToken);
+    // services/oauth.js rejects tokens for unverified addresses
+    const user = await signInWithIdentity('google', { subject: googleId, email, emailVerified: true, name, picture });
 
-    let user = await User.findOne({ googleId });
+    const tokens = await createSession(user._id, clientInfo(req));
+    res.json({ ...tokens, username: user.username });
+  } catch (e) {
+    if (e.message === 'An account with this email already exists') {
+      return res.status(409).json({
+        message: 'An account with this email already exists. Log in to it, then link Google from your profile.',
+      });
+    }
+    console.error('Google SSO error:', e.message);
+    if (isGoogleTokenError(e)) {
+      return res.status(401).json({ message: 'Google authentication failed. Please try again.' });
+    }
+    serverError(res, e).json({ message: 'Google sign-in failed' });
+  }
+});
 
-    if (!user) {
-      const emailConflict = await User.findOne({ email });
-      if (emailConflict) {
-        return res.status(409).json({
-          message: 'An account with this email already exists. Please log in with your username and password.',
-        });
-      }
+// ─── EXTERNAL SIGN-IN (OPENID CONNECT) ───────────────────────────────────────
+// Providers configured in OIDC_PROVIDERS — see services/oidc.js. The browser
+// leaves for the provider from GET /api/auth/:provider and comes back to its
+// /callback, which sends it on to the SPA's /auth/callback page with a login
+// code to trade for a session. The attempt's state is also kept in a cookie,
+// so only the browser that started a sign-in can finish it.
+const OIDC_STATE_COOKIE = 'oidc_state';
+const oidcCookieOptions = { path: '/api/auth', httpOnly: true, sameSite: 'lax' };
 
-      let baseUsername = name.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 20) || 'user';
-      let username = baseUsername;
-      let suffix = 1;
-      while (await User.findOne({ username })) {
-        username = `${baseUsername}${suffix++}`;
-      }
+const oidcRedirectUri = (req, provider) => `${siteUrlFor(req)}/api/auth/${provider.name}/callback`;
+
+const setOidcStateCookie = (req, res, state) =>
+  res.cookie(OIDC_STATE_COOKIE, state, { ...oidcCookieOptions, secure: req.secure, maxAge: 10 * 60 * 1000 });
+
+const readOidcStateCookie = (req) => readCookie(req, OIDC_STATE_COOKIE);
+
+app.get('/api/auth/providers', (req, res) => {
+  res.json(listProviders());
+});
+
+app.get('/api/auth/:provider', authLimiter, async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) return res.status(404).json({ message: 'Unknown sign-in provider' });
+
+  try {
+    const { state, url } = await startAuthorization(provider, oidcRedirectUri(req, provider));
+    setOidcStateCookie(req, res, state);
+    res.redirect(302, url);
+  } catch (e) {
+    console.error(`OIDC start error (${provider.name}):`, e.message);
+    res.redirect(303, `${siteUrlFor(req)}/auth/callback?error=unavailable`);
+  }
+});
+
+app.get('/api/auth/:provider/callback', authLimiter, async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) return res.status(404).json({ message: 'Unknown sign-in provider' });
+
+  const finish = (query) => res.redirect(303, `${siteUrlFor(req)}/auth/callback?${new URLSearchParams(query)}`);
+  const { code, state, error } = req.query;
+  // error is set when the user cancelled at the provider
+  if (error || typeof code !== 'string' || typeof state !== 'string') return finish({ error: 'cancelled' });
+  if (state !== readOidcStateCookie(req)) return finish({ error: 'expired' });
+
+  try {
+    const { attempt, profile } = await completeAuthorization(provider, { code, state }, oidcRedirectUri(req, provider));
 
-      user = new User({
-        username,
-        password: null,
-        email,
-        fullName: name,
-        googleId,
-        picture,
-        authProvider: 'google',
+    if (attempt.linkUserId) {
+      await linkIdentity(attempt.linkUserId, provider.name, profile.subject, {
+        email: profile.emailVerified ? profile.email : null,
+        picture: profile.picture,
       });
-      await user.save();
-      console.log(`[SSO] Auto-created Google account for ${email} as @${username}`);
+      res.clearCookie(OIDC_STATE_COOKIE, oidcCookieOptions);
+      return finish({ linked: provider.label });
     }
 
-    const token = jwt.sign({ userId: user._id }, JWT_SECRET, { expiresIn: '7d' });
-    res.json({ token, username: user.username });
+    const user = await signInWithIdentity(provider.name, profile);
+    finish({ code: await issueLoginCode(attempt, user._id) });
   } catch (e) {
-    console.error('Google SSO error:', e.message);
-    if (
-      e.message.includes('Invalid Google token') ||
-      e.message.includes('expired') ||
-      e.message.includes('audience')
-    ) {
-      return res.status(401).json({ message: 'Google authentication failed. Please try again.' });
+    if (e.message === 'Sign-in expired') return finish({ error: 'expired' });
+    if (e.message === 'An account with this email already exists') {
+      return finish({ error: 'account_exists', provider: provider.label });
     }
-    res.status(500).json({ message: 'Google sign-in failed' });
+    if (e.message === 'Identity already linked to another account') return finish({ error: 'already_linked' });
+    console.error(`OIDC callback error (${provider.name}):`, e.message);
+    finish({ error: 'failed' });
   }
 });
 
-app.get('/api/me', auth, async (req, res) => {
+app.post('/api/auth/exchange', authLimiter, async (req, res) => {
   try {
-    const user = await User.findById(req.userData.userId).select('-password');
-    if (!user) return res.status(404).json({ message: 'User not found' });
+    const { error, value } = loginCodeSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const state = readOidcStateCookie(req);
+    const userId = state && (await redeemLoginCode(state, value.code));
+    const user = userId && (await User.findById(userId).select('username'));
+    if (!user) return res.status(401).json({ message: 'Your sign-in expired. Please try again.' });
+
+    res.clearCookie(OIDC_STATE_COOKIE, oidcCookieOptions);
+    const tokens = await createSession(user._id, clientInfo(req));
+    res.json({ ...tokens, username: user.username });
+  } catch (e) {
+    console.error('OIDC exchange error:', e.message);
+    serverError(res, e).json({ message: 'Sign-in failed' });
+  }
+});
+
+// ─── SESSIONS ────────────────────────────────────────────────────────────────
+// Access tokens are short-lived; clients trade their refresh token for a new
+// pair here before the access token runs out. Every call rotates the refresh
+// token — the one sent is no longer valid afterwards.
+app.post('/api/auth/refresh', authLimiter, async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { userId, ...tokens } = await rotateRefreshToken(value.refreshToken);
+    const user = await User.findById(userId).select('username');
+    if (!user) return res.status(401).json({ message: 'Invalid refresh token' });
+
+    res.json({ ...tokens, username: user.username });
+  } catch (e) {
+    if (e.message === 'Invalid refresh token' || e.message === 'Refresh token reuse detected') {
+      return res.status(401).json({ message: e.message });
+    }
+    console.error('Refresh error:', e.message);
+    serverError(res, e).json({ message: 'Could not refresh session' });
+  }
+});
+
+// Revokes the session behind the refresh token. Always 204, so callers can't
+// probe which tokens exist.
+app.post('/api/logout', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    await revokeRefreshToken(value.refreshToken);
+    res.status(204).end();
+  } catch (e) {
+    console.error('Logout error:', e.message);
+    serverError(res, e).json({ message: 'Logout failed' });
+  }
+});
 
+app.get('/api/me/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.userData.userId);
     res.json({
-      username: user.username,
-      email: user.email || null,
-      fullName: user.fullName || null,
-      picture: user.picture || null,
-      authProvider: user.authProvider,
+      sessions: sessions.map((s) => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        current: String(s._id) === req.userData.sid,
+      })),
+    });
+  } catch (e) {
+    console.error('List sessions error:', e.message);
+    serverError(res, e).json({ message: 'Could not fetch sessions' });
+  }
+});
+
+// "Log out everywhere". ?except=current keeps the caller signed in.
+app.delete('/api/me/sessions', auth, async (req, res) => {
+  try {
+    const keepCurrent = req.query.except === 'current';
+    const revoked = await revokeAllSessions(req.userData.userId, 'logout everywhere', {
+      exceptSessionId: keepCurrent ? req.userData.sid : undefined,
     });
+    res.json({ revoked });
+  } catch (e) {
+    console.error('Revoke all sessions error:', e.message);
+    serverError(res, e).json({ message: 'Could not revoke sessions' });
+  }
+});
+
+app.delete('/api/me/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    const revoked = await revokeSessionById(req.params.id, 'revoked by user', req.userData.userId);
+    if (!revoked) return res.status(404).json({ message: 'Session not found' });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Revoke session error:', e.message);
+    serverError(res, e).json({ message: 'Could not revoke session' });
+  }
+});
+
+// The PII fields go out masked — the page only needs to show which details
+// are on file, and a stolen token shouldn't reveal them in full
+async function profileResponse(user) {
+  const masked = maskPIIFields({
+    email: user.email || null,
+    phone: user.phone || null,
+    creditCard: user.creditCard || null,
+  }, { email: 'email', phone: 'phone', creditCard: 'creditCard' });
+
+  return {
+    username: user.username,
+    ...masked,
+    fullName: user.fullName || null,
+    picture: user.picture || null,
+    signInMethods: await signInMethods(user),
+    emailVerified: user.emailVerified !== false,
+    twoFactorEnabled: user.totpEnabled,
+    roles: user.roles,
+  };
+}
+
+app.get('/api/me', auth.scoped('profile:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.userData.userId).select('-password');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json(await profileResponse(user));
   } catch (e) {
     console.error('Get user error:', e.message);
-    res.status(500).json({ message: 'Could not fetch user' });
+    serverError(res, e).json({ message: 'Could not fetch user' });
+  }
+});
+
+app.patch('/api/me', auth, async (req, res) => {
+  try {
+    const { error, value } = updateProfileSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { user, emailChanged } = await updateProfile(req.userData.userId, value);
+    if (emailChanged) {
+      sendVerificationEmail(user, emailSiteUrl())
+        .catch((e) => console.error('Verification email error:', e.message));
+    }
+    res.json(await profileResponse(user));
+  } catch (e) {
+    if (e.message === 'User not found') return res.status(404).json({ message: e.message });
+    if (e.message === 'An account with this email already exists') {
+      return res.status(409).json({ message: e.message });
+    }
+    console.error('Update profile error:', e.message);
+    serverError(res, e).json({ message: 'Could not update profile' });
+  }
+});
+
+// Deletes the account for good. Needs the password, or for accounts without
+// one, a fresh sign-in. Session only, like the export.
+app.delete('/api/me', auth, authLimiter, async (req, res) => {
+  try {
+    const { error, value } = deleteAccountSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    await confirmDeletion(req.userData.userId, req.userData.sid, value.password);
+    await deleteAccount(req.userData.userId, { posts: value.posts, req });
+    res.status(204).end();
+  } catch (e) {
+    if (e.message === 'User not found') return res.status(404).json({ message: e.message });
+    if (e.message === 'Password is incorrect') return res.status(400).json({ message: e.message });
+    if (e.message === 'Sign in again to confirm') {
+      return res.status(403).json({ message: 'Please sign in again to confirm.', reauthenticate: true });
+    }
+    console.error('Delete account error:', e.message);
+    serverError(res, e).json({ message: 'Could not delete your account. Please try again.' });
+  }
+});
+
+// Data subject access request: a ZIP of everything held about the caller.
+// Session only — an access token leaking shouldn't leak the whole account.
+app.get('/api/me/export', auth, exportLimiter, async (req, res) => {
+  try {
+    const { filename, archive, counts } = await buildExport(req.userData.userId);
+    // Recorded before anything is sent — an export that can't be audited doesn't happen
+    await recordAudit('data-export', { userId: req.userData.userId, req, details: counts });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+    });
+    res.send(archive);
+  } catch (e) {
+    if (e.message === 'User not found') return res.status(404).json({ message: e.message });
+    console.error('Data export error:', e.message);
+    serverError(res, e).json({ message: 'Could not export your data' });
+  }
+});
+
+// ─── LINKED SIGN-IN METHODS ──────────────────────────────────────────────────
+app.post('/api/me/identities/google', auth, authLimiter, async (req, res) => {
+  try {
+    const { error, value } = googleIdTokenSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { googleId, email, picture } = await verifyGoogleToken(value.idToken);
+    const user = await linkIdentity(req.userData.userId, 'google', googleId, { email, picture });
+    res.json({ signInMethods: await signInMethods(user) });
+  } catch (e) {
+    if (e.message === 'Identity already linked to another account') {
+      return res.status(409).json({ message: 'That Google account is already linked to another user' });
+    }
+    if (isGoogleTokenError(e)) {
+      return res.status(401).json({ message: 'Google authentication failed. Please try again.' });
+    }
+    console.error('Link Google error:', e.message);
+    serverError(res, e).json({ message: 'Could not link Google account' });
+  }
+});
+
+// Other providers link through a browser round trip: this starts it, and
+// /api/auth/:provider/callback links instead of signing in
+app.post('/api/me/identities/:provider', auth, authLimiter, async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) return res.status(404).json({ message: 'Unknown sign-in provider' });
+
+  try {
+    const { state, url } = await startAuthorization(provider, oidcRedirectUri(req, provider), {
+      linkUserId: req.userData.userId,
+    });
+    setOidcStateCookie(req, res, state);
+    res.json({ url });
+  } catch (e) {
+    console.error(`Link ${provider.name} error:`, e.message);
+    serverError(res, e).json({ message: `Could not reach ${provider.label}` });
+  }
+});
+
+app.delete('/api/me/identities/:provider', auth, async (req, res) => {
+  try {
+    await unlinkIdentity(req.userData.userId, req.params.provider);
+    res.status(204).end();
+  } catch (e) {
+    if (e.message === 'Identity not linked') {
+      return res.status(404).json({ message: 'That sign-in method is not linked' });
+    }
+    if (e.message === 'Cannot remove the last sign-in method') {
+      return res.status(400).json({ message: 'Add another way to sign in before removing this one' });
+    }
+    console.error('Unlink identity error:', e.message);
+    serverError(res, e).json({ message: 'Could not remove sign-in method' });
+  }
+});
+
+// Sets a password for Google-only accounts, or changes an existing one
+app.put('/api/me/password', auth, authLimiter, async (req, res) => {
+  try {
+    const { error, value } = setPasswordSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    await setPassword(req.userData.userId, value, req.userData.sid);
+    res.json({ message: 'Password saved' });
+  } catch (e) {
+    if (e.message === 'Current password is incorrect') {
+      return res.status(400).json({ message: e.message });
+    }
+    console.error('Set password error:', e.message);
+    serverError(res, e).json({ message: 'Could not save password' });
+  }
+});
+
+// ─── TWO-FACTOR AUTHENTICATION ───────────────────────────────────────────────
+const TWO_FACTOR_ERRORS = [
+  'Two-factor authentication is already enabled',
+  'Two-factor authentication needs a password account',
+  'Two-factor setup has not been started',
+  'Invalid code',
+];
+
+// Returns the secret in plaintext once, for the authenticator app.
+// It isn't active until confirmed.
+app.post('/api/me/2fa/setup', auth, async (req, res) => {
+  try {
+    res.json(await startEnrollment(req.userData.userId));
+  } catch (e) {
+    if (TWO_FACTOR_ERRORS.includes(e.message)) return res.status(400).json({ message: e.message });
+    console.error('2FA setup error:', e.message);
+    serverError(res, e).json({ message: 'Could not start two-factor setup' });
+  }
+});
+
+app.post('/api/me/2fa/confirm', auth, authLimiter, async (req, res) => {
+  try {
+    const { error, value } = twoFactorConfirmSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const recoveryCodes = await confirmEnrollment(req.userData.userId, value.code);
+    res.json({ recoveryCodes });
+  } catch (e) {
+    if (TWO_FACTOR_ERRORS.includes(e.message)) return res.status(400).json({ message: e.message });
+    console.error('2FA confirm error:', e.message);
+    serverError(res, e).json({ message: 'Could not enable two-factor authentication' });
+  }
+});
+
+app.post('/api/me/2fa/recovery-codes', auth, authLimiter, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.userData.userId, value);
+    res.json({ recoveryCodes });
+  } catch (e) {
+    if (TWO_FACTOR_ERRORS.includes(e.message)) return res.status(400).json({ message: e.message });
+    console.error('2FA recovery codes error:', e.message);
+    serverError(res, e).json({ message: 'Could not create recovery codes' });
+  }
+});
+
+app.delete('/api/me/2fa', auth, authLimiter, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    await disableTwoFactor(req.userData.userId, value);
+    res.status(204).end();
+  } catch (e) {
+    if (TWO_FACTOR_ERRORS.includes(e.message)) return res.status(400).json({ message: e.message });
+    console.error('2FA disable error:', e.message);
+    serverError(res, e).json({ message: 'Could not disable two-factor authentication' });
+  }
+});
+
+// ─── PASSKEYS (WEBAUTHN) ─────────────────────────────────────────────────────
+app.post('/api/webauthn/register/options', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userData.userId).select('username');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json(await registrationOptions(user, req.userData.sid, siteUrlFor(req)));
+  } catch (e) {
+    if (e.message === 'Too many passkeys') {
+      return res.status(400).json({ message: 'You have reached the maximum number of passkeys' });
+    }
+    console.error('Passkey options error:', e.message);
+    serverError(res, e).json({ message: 'Could not start passkey registration' });
+  }
+});
+
+app.post('/api/webauthn/register/verify', auth, async (req, res) => {
+  try {
+    const { error, value } = passkeyRegisterSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const credential = await verifyRegistration(
+      { _id: req.userData.userId },
+      req.userData.sid,
+      value.response,
+      siteUrlFor(req),
+      value.name
+    );
+    res.status(201).json(credential.toPublic());
+  } catch (e) {
+    if (e.message === 'Invalid passkey response') {
+      return res.status(400).json({ message: 'Passkey registration failed. Please try again.' });
+    }
+    console.error('Passkey register error:', e.message);
+    serverError(res, e).json({ message: 'Could not register passkey' });
+  }
+});
+
+// The sign-in challenge only works for the browser that asked for it: a
+// nonce in this cookie has to come back with the response
+const WEBAUTHN_LOGIN_COOKIE = 'webauthn_login';
+const webauthnCookieOptions = { path: '/api/webauthn/login', httpOnly: true, sameSite: 'strict' };
+
+app.post('/api/webauthn/login/options', authLimiter, async (req, res) => {
+  try {
+    const { options, nonce } = await authenticationOptions(siteUrlFor(req));
+    res.cookie(WEBAUTHN_LOGIN_COOKIE, nonce, { ...webauthnCookieOptions, secure: req.secure, maxAge: 5 * 60 * 1000 });
+    res.json(options);
+  } catch (e) {
+    console.error('Passkey login options error:', e.message);
+    serverError(res, e).json({ message: 'Could not start passkey sign-in' });
+  }
+});
+
+// A passkey already proves possession and (with user verification) the user,
+// so this signs in directly without the TOTP step
+app.post('/api/webauthn/login/verify', authLimiter, async (req, res) => {
+  try {
+    const { error, value } = passkeyLoginSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const nonce = readCookie(req, WEBAUTHN_LOGIN_COOKIE);
+    res.clearCookie(WEBAUTHN_LOGIN_COOKIE, webauthnCookieOptions);
+    const userId = await verifyAuthentication(value.response, nonce, siteUrlFor(req));
+    const user = await User.findById(userId).select('username');
+    if (!user) return res.status(401).json({ message: 'Passkey sign-in failed' });
+
+    const tokens = await createSession(user._id, clientInfo(req));
+    res.json({ ...tokens, username: user.username });
+  } catch (e) {
+    if (e.message === 'Invalid passkey response') {
+      return res.status(401).json({ message: 'Passkey sign-in failed' });
+    }
+    console.error('Passkey login error:', e.message);
+    serverError(res, e).json({ message: 'Passkey sign-in failed' });
+  }
+});
+
+app.get('/api/me/passkeys', auth, async (req, res) => {
+  try {
+    const credentials = await Credential.find({ userId: req.userData.userId }).sort({ createdAt: 1 });
+    res.json({ passkeys: credentials.map((c) => c.toPublic()) });
+  } catch (e) {
+    console.error('List passkeys error:', e.message);
+    serverError(res, e).json({ message: 'Could not fetch passkeys' });
+  }
+});
+
+app.patch('/api/me/passkeys/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Passkey not found' });
+    }
+    const { error, value } = passkeyRenameSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const credential = await Credential.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userData.userId },
+      { $set: { name: value.name } },
+      { new: true }
+    );
+    if (!credential) return res.status(404).json({ message: 'Passkey not found' });
+    res.json(credential.toPublic());
+  } catch (e) {
+    console.error('Rename passkey error:', e.message);
+    serverError(res, e).json({ message: 'Could not rename passkey' });
+  }
+});
+
+app.delete('/api/me/passkeys/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Passkey not found' });
+    }
+    await removePasskey(req.userData.userId, req.params.id);
+    res.status(204).end();
+  } catch (e) {
+    if (e.message === 'Passkey not found') {
+      return res.status(404).json({ message: 'Passkey not found' });
+    }
+    if (e.message === 'Cannot remove the last sign-in method') {
+      return res.status(409).json({ message: 'Add another way to sign in before removing this passkey' });
+    }
+    console.error('Delete passkey error:', e.message);
+    serverError(res, e).json({ message: 'Could not delete passkey' });
+  }
+});
+
+// ─── PERSONAL ACCESS TOKENS ──────────────────────────────────────────────────
+// For scripts and CI. Managing them needs a signed-in session — a token can't
+// mint or list tokens. The token itself is only ever in the create response.
+app.get('/api/me/tokens', auth, async (req, res) => {
+  try {
+    const tokens = await listAccessTokens(req.userData.userId);
+    res.json({ tokens: tokens.map((t) => t.toPublic()), scopes: SCOPES });
+  } catch (e) {
+    console.error('List access tokens error:', e.message);
+    serverError(res, e).json({ message: 'Could not fetch access tokens' });
+  }
+});
+
+app.post('/api/me/tokens', auth, async (req, res) => {
+  try {
+    const { error, value } = accessTokenSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { token, accessToken } = await createAccessToken(req.userData.userId, value);
+    res.status(201).json({ ...accessToken.toPublic(), token });
+  } catch (e) {
+    if (e.message === 'Too many access tokens') {
+      return res.status(400).json({ message: 'You have too many access tokens. Revoke some first.' });
+    }
+    console.error('Create access token error:', e.message);
+    serverError(res, e).json({ message: 'Could not create access token' });
+  }
+});
+
+app.delete('/api/me/tokens/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Access token not found' });
+    }
+    const revoked = await revokeAccessToken(req.userData.userId, req.params.id);
+    if (!revoked) return res.status(404).json({ message: 'Access token not found' });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Revoke access token error:', e.message);
+    serverError(res, e).json({ message: 'Could not revoke access token' });
+  }
+});
+
+// ─── PASSWORD RESET ──────────────────────────────────────────────────────────
+// Same answer whether or not the account exists. The lookup and the email run
+// after the response is sent, so response times don't give it away either.
+app.post('/api/password/forgot', authLimiter, (req, res) => {
+  const { error, value } = forgotPasswordSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+
+  requestPasswordReset(value.email, emailSiteUrl())
+    .catch((e) => console.error('Password reset request error:', e.message));
+
+  res.status(202).json({ message: 'If an account uses that email, a reset link is on its way.' });
+});
+
+app.post('/api/password/reset', authLimiter, async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    await resetPassword(value.token, value.password);
+    res.json({ message: 'Password updated. Please log in.' });
+  } catch (e) {
+    if (e.message === 'Invalid or expired token') {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+    console.error('Password reset error:', e.message);
+    serverError(res, e).json({ message: 'Password reset failed' });
+  }
+});
+
+// ─── EMAIL VERIFICATION ──────────────────────────────────────────────────────
+// Opened from the emailed link, so it answers with a redirect back to the site
+// rather than JSON.
+app.get('/api/verify-email', authLimiter, async (req, res) => {
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+  try {
+    await verifyEmail(token);
+    res.redirect(303, `${siteUrlFor(req)}/?emailVerified=ok`);
+  } catch (e) {
+    if (e.message !== 'Invalid or expired token') console.error('Verify email error:', e.message);
+    res.redirect(303, `${siteUrlFor(req)}/?emailVerified=invalid`);
+  }
+});
+
+app.post('/api/verify-email/resend', auth, authLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.userData.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.emailVerified !== false) {
+      return res.status(400).json({ message: 'Your email address is already verified' });
+    }
+    if (!user.email) {
+      return res.status(400).json({ message: 'Your account has no email address' });
+    }
+    if (!emailSiteUrl()) {
+      return res.status(503).json({ message: 'Email is not set up on this server' });
+    }
+
+    await sendVerificationEmail(user, emailSiteUrl());
+    res.status(202).json({ message: 'Verification email sent' });
+  } catch (e) {
+    console.error('Resend verification error:', e.message);
+    serverError(res, e).json({ message: 'Could not send verification email' });
+  }
+});
+
+// ─── USER ADMINISTRATION ─────────────────────────────────────────────────────
+// Admins only. The first admin is made with `npm run admin:bootstrap`.
+app.get('/api/admin/users', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = listUsersSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { limit, cursor, sort, role } = value;
+    // Leaves the encrypted PII out, so nothing needs decrypting
+    const page = await paginate(User, role ? { roles: role } : {}, {
+      sort,
+      limit,
+      cursor,
+      select: 'username roles emailVerified createdAt',
+    });
+    res.json({ users: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore });
+  } catch (e) {
+    if (e.message === 'Invalid cursor') {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    console.error('List users error:', e.message);
+    serverError(res, e).json({ message: 'Could not fetch users' });
+  }
+});
+
+app.put('/api/admin/users/:id/roles', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = setRolesSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(await setRoles(req.params.id, value.roles, req.userData));
+  } catch (e) {
+    if (e.message === 'User not found') return res.status(404).json({ message: e.message });
+    if (e.message === 'Cannot remove the last admin') return res.status(400).json({ message: e.message });
+    console.error('Set roles error:', e.message);
+    serverError(res, e).json({ message: 'Could not update roles' });
   }
 });
 
 // ─── BLOG POSTS ──────────────────────────────────────────────────────────────
-app.get('/api/posts', async (_req, res) => {
+app.get('/api/posts', async (req, res) => {
   try {
-    const posts = await Post.find().sort({ createdAt: -1 });
-    res.json(posts);
+    const { error, value } = listPostsSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { limit, cursor, sort, author, userId, from, to, tag } = value;
+    const filter = Post.publicFilter();
+    if (tag) filter.tags = tag;
+    if (author) filter.author = author;
+    if (userId) filter.userId = userId;
+    // Dates are publish dates, like the newest/oldest order
+    if (from || to) {
+      filter.publishAt = {};
+      if (from) filter.publishAt.$gte = from;
+      if (to) filter.publishAt.$lte = to;
+    }
+
+    const page = await paginatePublished(Post, filter, { sort, limit, cursor });
+    res.json({ posts: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore });
   } catch (e) {
+    if (e.message === 'Invalid cursor') {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
     console.error('Get posts error:', e.message);
-    res.status(500).json({ message: 'Could not fetch posts' });
+    serverError(res, e).json({ message: 'Could not fetch posts' });
+  }
+});
+
+app.get('/api/posts/search', async (req, res) => {
+  try {
+    const { error, value } = searchSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { q, limit, cursor } = value;
+    const page = await searchPosts(q, Post.publicFilter(), { limit, cursor });
+    res.json({ posts: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore });
+  } catch (e) {
+    if (e.message === 'Invalid cursor') {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    console.error('Search posts error:', e.message);
+    serverError(res, e).json({ message: 'Search failed' });
+  }
+});
+
+app.get('/api/posts/by-slug/:slug', async (req, res) => {
+  try {
+    const post = await Post.findOne({
+      slug: String(req.params.slug).toLowerCase(),
+      ...Post.publicFilter(),
+    });
+    if (!post) return res.status(404).json({ message: 'Post not found' });
+    res.json(post);
+  } catch (e) {
+    console.error('Get post error:', e.message);
+    serverError(res, e).json({ message: 'Could not fetch post' });
   }
 });
 
-app.post('/api/posts', auth, async (req, res) => {
+// Live preview for the editor — same renderer and sanitiser as on save,
+// so what the author sees is exactly what gets published
+app.post('/api/posts/preview', auth.scoped('posts:write'), requirePermission('posts:write'), (req, res) => {
+  const { error, value } = previewSchema.validate(req.body);
+  if (error) return res.status(400).json({ message: error.details[0].message });
+  res.json({ html: renderMarkdown(value.content) });
+});
+
+app.post('/api/posts', auth.scoped('posts:write'), requirePermission('posts:write'), requireVerifiedEmail('posts'), async (req, res) => {
   try {
     const { error, value } = postSchema.validate(req.body);
     if (error) return res.status(400).json({ message: error.details[0].message });
 
-    const { title, content } = value;
+    const { title, content, tags = [], status = 'published', publishAt } = value;
     const user = await User.findById(req.userData.userId);
     const post = new Post({
       title,
       content,
+      tags,
       author: user?.username || 'Anonymous',
       userId: req.userData.userId,
+      status,
+      publishAt: status === 'scheduled' ? publishAt : status === 'published' ? new Date() : null,
     });
     await post.save();
     res.status(201).json(post);
   } catch (e) {
     console.error('Create post error:', e.message);
-    res.status(500).json({ message: 'Could not create post' });
+    serverError(res, e).json({ message: 'Could not create post' });
   }
 });
 
-app.delete('/api/posts/:id', auth, async (req, res) => {
+// Loads the post in :id and checks the caller may change it: its author (if
+// they can still write posts) or an editor.
+// Sends the error response itself and returns null when the caller may not
+// proceed, so routes can simply `if (!post) return;`.
+async function loadEditablePost(req, res, action) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Post not found' });
+    return null;
+  }
+  const post = await Post.findById(req.params.id);
+  if (!post) {
+    res.status(404).json({ message: 'Post not found' });
+    return null;
+  }
+  const isAuthor = !post.userId || post.userId.toString() === req.userData.userId;
+  if (!(isAuthor && can(req, 'posts:write')) && !can(req, 'posts:edit-any')) {
+    res.status(403).json({ message: `Not authorized to ${action} this post` });
+    return null;
+  }
+  return post;
+}
+
+// Moves a post to a new status, stamping publishAt to match
+function applyStatus(post, status, publishAt) {
+  if (status === 'scheduled') {
+    post.publishAt = publishAt;
+  } else if (status === 'published' && post.status !== 'published') {
+    post.publishAt = new Date();
+  } else if (status === 'draft') {
+    post.publishAt = null;
+  }
+  post.status = status;
+}
+
+// Keeps the current version in PostRevision, then overwrites it
+async function revisePost(post, { title, content }, editedBy) {
+  await PostRevision.record(post, editedBy);
+  post.title = title;
+  post.content = content;
+  post.updatedAt = new Date();
+  await post.save();
+  return post;
+}
+
+app.patch('/api/posts/:id', auth.scoped('posts:write'), async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    if (!post) return res.status(404).json({ message: 'Post not found' });
+    const { error, value } = postSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const post = await loadEditablePost(req, res, 'edit');
+    if (!post) return;
 
-    if (post.userId && post.userId.toString() !== req.userData.userId) {
-      return res.status(403).json({ message: 'Not authorized to delete this post' });
+    const { title, content, tags, status, publishAt } = value;
+    const contentChanged = post.title !== title || post.content !== content;
+    if (tags) post.tags = tags;
+    if (status) applyStatus(post, status, publishAt);
+
+    // Only title/content changes go into the history — retagging or a status
+    // change alone (publishing a draft, archiving) isn't a new revision
+    if (contentChanged) {
+      await revisePost(post, value, req.userData.userId);
+    } else if (post.isModified()) {
+      await post.save();
+    }
+    res.json(post);
+  } catch (e) {
+    console.error('Update post error:', e.message);
+    serverError(res, e).json({ message: 'Could not update post' });
+  }
+});
+
+app.get('/api/posts/:id/revisions', auth.scoped('posts:read'), async (req, res) => {
+  try {
+    const post = await loadEditablePost(req, res, 'view revisions of');
+    if (!post) return;
+
+    const revisions = await PostRevision.find({ postId: post._id }).sort({ createdAt: -1 });
+    res.json(revisions);
+  } catch (e) {
+    console.error('Get revisions error:', e.message);
+    serverError(res, e).json({ message: 'Could not fetch revisions' });
+  }
+});
+
+app.post('/api/posts/:id/revisions/:revisionId/restore', auth.scoped('posts:write'), async (req, res) => {
+  try {
+    const post = await loadEditablePost(req, res, 'edit');
+    if (!post) return;
+
+    if (!mongoose.isValidObjectId(req.params.revisionId)) {
+      return res.status(404).json({ message: 'Revision not found' });
     }
+    const revision = await PostRevision.findOne({ _id: req.params.revisionId, postId: post._id });
+    if (!revision) return res.status(404).json({ message: 'Revision not found' });
+
+    await revisePost(post, revision, req.userData.userId);
+    res.json(post);
+  } catch (e) {
+    console.error('Restore revision error:', e.message);
+    serverError(res, e).json({ message: 'Could not restore revision' });
+  }
+});
+
+app.delete('/api/posts/:id', auth.scoped('posts:write'), async (req, res) => {
+  try {
+    const post = await loadEditablePost(req, res, 'delete');
+    if (!post) return;
 
     await post.deleteOne();
+    await PostRevision.deleteMany({ postId: post._id });
+    await Comment.deleteMany({ postId: post._id });
     res.json({ message: 'Post deleted' });
   } catch (e) {
     console.error('Delete post error:', e.message);
-    res.status(500).json({ message: 'Could not delete post' });
+    serverError(res, e).json({ message: 'Could not delete post' });
+  }
+});
+
+app.get('/api/me/posts', auth.scoped('posts:read'), async (req, res) => {
+  try {
+    const { error, value } = myPostsSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const { limit, cursor, sort, status } = value;
+    const filter = { userId: req.userData.userId };
+    if (status) filter.status = { $in: status };
+
+    const page = await paginate(Post, filter, { sort, limit, cursor });
+    res.json({ posts: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore });
+  } catch (e) {
+    if (e.message === 'Invalid cursor') {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    console.error('Get my posts error:', e.message);
+    serverError(res, e).json({ message: 'Could not fetch your posts' });
+  }
+});
+
+// ─── COMMENTS ────────────────────────────────────────────────────────────────
+// Loads :id as a publicly visible post — comments on drafts make no sense
+async function findPublicPost(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Post.findOne({ _id: id, ...Post.publicFilter() });
+}
+
+const isPostAuthor = (post, userData) =>
+  Boolean(userData && post.userId && post.userId.toString() === userData.userId);
+
+// Authors moderate the comments on their own posts, editors all of them
+const canModerate = (post, req) => isPostAuthor(post, req.userData) || can(req, 'comments:moderate');
+
+// Flat list in posting order — clients nest replies by parentId
+app.get('/api/posts/:id/comments', auth.optional, async (req, res) => {
+  try {
+    const post = await findPublicPost(req.params.id);
+    if (!post) return res.status(404).json({ message: 'Post not found' });
+
+    const isModerator = canModerate(post, req);
+    const comments = await Comment.find({ postId: post._id })
+      .sort({ createdAt: 1 })
+      .limit(MAX_COMMENTS_PER_POST);
+    res.json(comments.map((c) => c.toPublic(isModerator)));
+  } catch (e) {
+    console.error('Get comments error:', e.message);
+    serverError(res, e).json({ message: 'Could not fetch comments' });
+  }
+});
+
+app.post('/api/posts/:id/comments', auth.scoped('comments:write'), requirePermission('comments:write'), requireVerifiedEmail('comments'), commentLimiter, async (req, res) => {
+  try {
+    const { error, value } = commentSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const post = await findPublicPost(req.params.id);
+    if (!post) return res.status(404).json({ message: 'Post not found' });
+
+    let depth = 0;
+    if (value.parentId) {
+      const parent = await Comment.findOne({ _id: value.parentId, postId: post._id });
+      if (!parent || parent.deleted) {
+        return res.status(400).json({ message: 'Parent comment not found' });
+      }
+      if (parent.depth >= MAX_COMMENT_DEPTH) {
+        return res.status(400).json({ message: 'Replies are nested too deeply' });
+      }
+      depth = parent.depth + 1;
+    }
+
+    const user = await User.findById(req.userData.userId);
+    const comment = new Comment({
+      postId: post._id,
+      userId: req.userData.userId,
+      author: user?.username || 'Anonymous',
+      parentId: value.parentId || null,
+      depth,
+      content: value.content,
+    });
+    await comment.save();
+    res.status(201).json(comment.toPublic(canModerate(post, req)));
+  } catch (e) {
+    console.error('Create comment error:', e.message);
+    serverError(res, e).json({ message: 'Could not create comment' });
+  }
+});
+
+// Hide or unhide — the author of the post the comment is on, or an editor
+app.patch('/api/comments/:id', auth, async (req, res) => {
+  try {
+    const { error, value } = moderateCommentSchema.validate(req.body);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    const comment = await Comment.findById(req.params.id);
+    if (!comment) return res.status(404).json({ message: 'Comment not found' });
+
+    const post = await Post.findById(comment.postId);
+    if (!post || !canModerate(post, req)) {
+      return res.status(403).json({ message: 'Not authorized to moderate this comment' });
+    }
+
+    comment.hidden = value.hidden;
+    await comment.save();
+    res.json(comment.toPublic(true));
+  } catch (e) {
+    console.error('Moderate comment error:', e.message);
+    serverError(res, e).json({ message: 'Could not update comment' });
+  }
+});
+
+app.delete('/api/comments/:id', auth.scoped('comments:write'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    const comment = await Comment.findById(req.params.id);
+    if (!comment || comment.deleted) return res.status(404).json({ message: 'Comment not found' });
+
+    if (comment.userId.toString() !== req.userData.userId && !can(req, 'comments:moderate')) {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+
+    // Keep a placeholder if others replied to it, so the thread stays intact
+    if (await Comment.exists({ parentId: comment._id })) {
+      comment.deleted = true;
+      comment.content = '';
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+    }
+    res.json({ message: 'Comment deleted' });
+  } catch (e) {
+    console.error('Delete comment error:', e.message);
+    serverError(res, e).json({ message: 'Could not delete comment' });
+  }
+});
+
+// ─── TAGS ────────────────────────────────────────────────────────────────────
+// Tag cloud for published posts, most used first
+app.get('/api/tags', async (req, res) => {
+  try {
+    const { error, value } = tagCountsSchema.validate(req.query);
+    if (error) return res.status(400).json({ message: error.details[0].message });
+
+    const tags = await Post.aggregate([
+      { $match: Post.publicFilter() },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: value.limit },
+      { $project: { _id: 0, tag: '$_id', count: 1 } },
+    ]);
+    res.json(tags);
+  } catch (e) {
+    console.error('Get tags error:', e.message);
+    serverError(res, e).json({ message: 'Could not fetch tags' });
+  }
+});
+
+// ─── FEEDS ───────────────────────────────────────────────────────────────────
+
+const FEED_FORMATS = {
+  rss:  { contentType: 'application/rss+xml; charset=utf-8',   build: buildRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8',  build: buildAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed },
+};
+
+// Loads the latest published posts matching `filter` and sends them as a feed,
+// or a bare 304 if the reader's cached copy (ETag / Last-Modified) is current
+async function sendFeed(req, res, format, filter, meta) {
+  // Latest by publish time, so a post goes to the top of the feed when it
+  // goes live, however long it was a draft
+  const posts = await Post.find({ ...Post.publicFilter(), ...filter })
+    .sort({ publishAt: -1, _id: -1 })
+    .limit(FEED_SIZE)
+    .lean();
+
+  const { etag, lastModified } = feedValidators(format, posts);
+  res.set({
+    ETag: etag,
+    'Last-Modified': lastModified.toUTCString(),
+    'Cache-Control': 'public, max-age=300',
+  });
+  if (req.fresh) return res.status(304).end();
+
+  const { contentType, build } = FEED_FORMATS[format];
+  const feed = build(posts, { siteUrl: siteUrlFor(req), feedUrl: `${siteUrlFor(req)}${req.path}`, ...meta });
+  res.type(contentType).send(format === 'json' ? JSON.stringify(feed) : feed);
+}
+
+const feedRoute = (format) => async (req, res) => {
+  try {
+    await sendFeed(req, res, format, {}, {});
+  } catch (e) {
+    console.error('Feed error:', e.message);
+    serverError(res, e).json({ message: 'Could not build feed' });
+  }
+};
+
+app.get('/feed.xml', feedRoute('rss'));
+app.get('/atom.xml', feedRoute('atom'));
+app.get('/feed.json', feedRoute('json'));
+
+app.get('/authors/:username/feed.xml', async (req, res) => {
+  try {
+    const { error, value: username } = feedAuthorSchema.validate(req.params.username);
+    if (error) return res.status(404).json({ message: 'Author not found' });
+
+    const user = await User.findOne({ username }).select('_id username');
+    if (!user) return res.status(404).json({ message: 'Author not found' });
+
+    await sendFeed(req, res, 'rss', { userId: user._id }, {
+      title: `${user.username} — ${process.env.SITE_TITLE || "Mali's Blog"}`,
+      description: `Posts by ${user.username}`,
+    });
+  } catch (e) {
+    console.error('Author feed error:', e.message);
+    serverError(res, e).json({ message: 'Could not build feed' });
   }
 });
 
@@ -321,15 +1679,19 @@ app.use((_req, res) => {
 // ─── Global Error Handler ────────────────────────────────────────────────────
 app.use((err, _req, res, _next) => {
   console.error('Unhandled error:', err);
-  res.status(500).json({ message: 'Internal server error' });
+  serverError(res, err).json({ message: 'Internal server error' });
 });
 
 // ─── Start Server ────────────────────────────────────────────────────────────
 const PORT = process.env.PORT || 4000;
 
-(async () => {
+// Exported for the route tests, which bring their own database
+module.exports = app;
+
+if (require.main === module) (async () => {
   // Connect to MongoDB first — fetches credentials from Vault, falls back to MONGO_URI
   await connectDatabase();
+  startPublishScheduler();
 
   const server = app.listen(PORT, async () => {
     console.log(`Server running on ${PORT}`);
@@ -351,6 +1713,8 @@ const PORT = process.env.PORT || 4000;
   // ─── Graceful Shutdown ───────────────────────────────────────────────────────
   function gracefulShutdown(signal) {
     console.log(`\n${signal} received — shutting down gracefully...`);
+    stopPublishScheduler();
+    stopCredentialRotation();
     server.close(async () => {
       try {
         await mongoose.connection.close();
@@ -367,6 +1731,12 @@ const PORT = process.env.PORT || 4000;
     }, 10000);
   }
 
+  // Sent after rotating the MongoDB password by hand (rotate-db-credentials workflow)
+  process.on('SIGHUP', () => {
+    console.log('SIGHUP received — refreshing MongoDB credentials');
+    refreshNow();
+  });
+
   process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
   process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 })();
\ No newline at end of file
@@ -1,16 +1,60 @@
 const jwt = require('jsonwebtoken');
+const { touchSession } = require('../services/sessions');
+const { isAccessToken, authenticateAccessToken } = require('../services/accessTokens');
 
-module.exports = (req, res, next) => {
+// Verifies the Bearer credential. Resolves to the claims — { userId, sid, roles }
+// for a session's access token, { userId, roles, scopes, tokenId } for a
+// personal access token — or null if the request isn't authenticated.
+// Access tokens without a `sid` predate server-side sessions and can't be
+// revoked, so they are no longer accepted.
+async function authenticate(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+
+  const bearer = authHeader.split(' ')[1];
+  if (isAccessToken(bearer)) return authenticateAccessToken(bearer);
+
+  const decoded = jwt.verify(bearer, process.env.JWT_SECRET);
+  if (!decoded.sid || !(await touchSession(decoded.sid))) return null;
+  return decoded;
+}
+
+// Personal access tokens are refused unless the route names a scope they carry
+const requireAuth = (scope) => async (req, res, next) => {
+  let decoded;
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ message: 'Auth failed' });
-    }
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userData = decoded;
-    next();
+    decoded = await authenticate(req);
   } catch (error) {
     return res.status(401).json({ message: 'Auth failed' });
   }
-};
\ No newline at end of file
+  if (!decoded) return res.status(401).json({ message: 'Auth failed' });
+
+  if (decoded.scopes && !(scope && decoded.scopes.includes(scope))) {
+    return res.status(403).json({
+      message: scope
+        ? `This access token does not have the ${scope} scope`
+        : 'Access tokens cannot be used here. Sign in instead.',
+    });
+  }
+  req.userData = decoded;
+  next();
+};
+
+module.exports = requireAuth(null);
+
+// For routes scripts may call too, e.g. auth.scoped('posts:write').
+// Signed-in users pass as usual; access tokens need the scope.
+module.exports.scoped = (scope) => requireAuth(scope);
+
+// For public routes that show more to a signed-in user.
+// Sets req.userData when a valid session token is sent; never rejects the
+// request. Personal access tokens are treated as anonymous here.
+module.exports.optional = async (req, _res, next) => {
+  try {
+    const decoded = await authenticate(req);
+    if (decoded && !decoded.scopes) req.userData = decoded;
+  } catch (_) {
+    // Invalid or expired token — treat as anonymous
+  }
+  next();
+};
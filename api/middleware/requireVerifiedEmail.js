@@ -0,0 +1,28 @@
+const User = require('../models/User');
+
+// Which actions need a verified email, from REQUIRE_VERIFIED_EMAIL — a
+// comma-separated list of 'posts' and 'comments', or 'none'. Defaults to posts.
+const REQUIRED_FOR = new Set(
+  (process.env.REQUIRE_VERIFIED_EMAIL || 'posts')
+    .split(',')
+    .map((s) => s.trim())
+    .filter((s) => s && s !== 'none')
+);
+
+// Use after auth. Rejects users whose emailVerified is explicitly false;
+// accounts from before verification existed carry no flag and pass.
+// Errors go to the app's error handler, which knows a Vault outage from a bug.
+module.exports = (action) => async (req, res, next) => {
+  if (!REQUIRED_FOR.has(action)) return next();
+  try {
+    const unverified = await User.exists({ _id: req.userData.userId, emailVerified: false });
+    if (unverified) {
+      return res.status(403).json({
+        message: 'Please verify your email address first. Check your inbox for the link.',
+      });
+    }
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
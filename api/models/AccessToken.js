@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A personal access token — a long-lived credential for scripts and CI that
+// can only be used on routes that accept its scopes (services/accessTokens.js).
+// Only the SHA-256 of the token is stored; the user sees it once, when it is
+// created. Revoking a token deletes it.
+const AccessTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true, select: false },
+
+  // Chosen by the user, e.g. "CI publish"
+  name: { type: String, required: true, maxlength: 60 },
+  scopes: { type: [String], required: true },
+
+  // Null for tokens that never expire
+  expiresAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: null }
+});
+
+// Let MongoDB drop tokens a while after they expire; until then they are
+// still listed, so the user can see why a script stopped working
+AccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+AccessTokenSchema.virtual('expired').get(function () {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date();
+});
+
+AccessTokenSchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    expired: this.expired,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+  };
+};
+
+module.exports = mongoose.model('AccessToken', AccessTokenSchema);
\ No newline at end of file
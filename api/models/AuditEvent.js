@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Append-only record of sensitive things done to or with an account, such as
+// a data export. Kept apart from the user document on purpose: it has to
+// outlive changes to the account — and the account itself, once deleted — so
+// it holds ids and metadata, never PII beyond the requesting IP.
+const AuditEventSchema = new mongoose.Schema({
+  action: { type: String, enum: ['data-export', 'account-deletion'], required: true },
+  // Whose account it concerns, and who did it (the same for self-service)
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null, maxlength: 512 },
+  // Action-specific, e.g. record counts for an export
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+AuditEventSchema.index({ userId: 1, createdAt: -1 });
+AuditEventSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
\ No newline at end of file
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const CommentSchema = new mongoose.Schema({
+  postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  author: { type: String, default: 'Anonymous' },
+
+  // Threading — null for top-level comments. depth is parent depth + 1.
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  depth: { type: Number, default: 0 },
+
+  // Emptied when the comment is soft-deleted (see `deleted`)
+  content: { type: String, default: '' },
+
+  // Moderation — the post's author can hide comments on their own posts
+  hidden: { type: Boolean, default: false },
+
+  // Deleting a comment that has replies blanks it instead of removing it,
+  // so the replies keep their place in the thread
+  deleted: { type: Boolean, default: false },
+
+  createdAt: { type: Date, default: Date.now }
+});
+
+CommentSchema.index({ postId: 1, createdAt: 1 });
+CommentSchema.index({ parentId: 1 });
+
+// Public view of a comment. Hidden comments keep their place in the thread
+// but only the post's author (moderator) still sees what they said.
+CommentSchema.methods.toPublic = function (isModerator = false) {
+  const redacted = this.deleted || (this.hidden && !isModerator);
+  return {
+    _id: this._id,
+    postId: this.postId,
+    parentId: this.parentId,
+    depth: this.depth,
+    author: this.deleted ? null : this.author,
+    content: redacted ? null : this.content,
+    hidden: this.hidden,
+    deleted: this.deleted,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model('Comment', CommentSchema);
\ No newline at end of file
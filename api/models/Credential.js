@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A WebAuthn credential (passkey) registered by a user.
+// Only the public key is stored — the private key never leaves the
+// authenticator. A user can have several, one per device or password manager.
+const CredentialSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+  // base64url credential id, as sent back by the browser on sign-in
+  credentialId: { type: String, required: true, unique: true },
+  publicKey: { type: Buffer, required: true },
+  // Signature counter — must increase on every use unless the authenticator doesn't keep one (0)
+  counter: { type: Number, default: 0 },
+  transports: { type: [String], default: [] },
+
+  // 'singleDevice' or 'multiDevice' (synced passkey), and whether it is backed up
+  deviceType: { type: String, default: null },
+  backedUp: { type: Boolean, default: false },
+
+  // Chosen by the user so they can tell their passkeys apart
+  name: { type: String, default: 'Passkey', maxlength: 60 },
+
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: null }
+});
+
+CredentialSchema.methods.toPublic = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    deviceType: this.deviceType,
+    backedUp: this.backedUp,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+  };
+};
+
+module.exports = mongoose.model('Credential', CredentialSchema);
\ No newline at end of file
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One sign-in attempt with an external OpenID Connect / OAuth provider.
+// Created when the browser is sent to the provider; marked completed when the
+// provider sends it back. The API then hands the browser a short login code
+// (stored here as SHA-256) that it trades for a session, and the record is
+// deleted. Set linkUserId when the attempt links a provider to an account
+// instead of signing in.
+const OAuthStateSchema = new mongoose.Schema({
+  state: { type: String, required: true, unique: true },
+  provider: { type: String, required: true },
+  nonce: { type: String, required: true },
+  codeVerifier: { type: String, required: true },
+  linkUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  completedAt: { type: Date, default: null },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  loginCodeHash: { type: String, default: null },
+
+  expiresAt: { type: Date, required: true }
+});
+
+OAuthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', OAuthStateSchema);
\ No newline at end of file
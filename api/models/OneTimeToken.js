@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens mailed to users (password reset links and the like).
+// Only the SHA-256 of the token is stored; the token itself exists only in
+// the email. A token is spent by setting usedAt, and MongoDB removes it
+// once it has expired.
+const OneTimeTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['password-reset', 'email-verification'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+OneTimeTokenSchema.index({ userId: 1, purpose: 1 });
+OneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OneTimeToken', OneTimeTokenSchema);
\ No newline at end of file
@@ -1,11 +1,106 @@
 const mongoose = require('mongoose');
+const { renderMarkdown } = require('../services/markdown');
 
 const PostSchema = new mongoose.Schema({
   title: { type: String, required: true },
+  // URL-safe permalink derived from the title — set once, never changes on edit
+  slug: { type: String, unique: true, sparse: true },
+  // Markdown source as written by the author
   content: { type: String, required: true },
+  // Sanitised HTML rendered from content on save — never set it directly
+  contentHtml: { type: String, default: '' },
   author: { type: String, default: 'Anonymous' },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
-  createdAt: { type: Date, default: Date.now }
+  // Lowercase, dash-separated, de-duplicated — normalised by postSchema in app.js
+  tags: { type: [String], default: [] },
+
+  // Publication lifecycle:
+  //   draft     → visible only to the author (GET /api/me/posts)
+  //   scheduled → goes public on its own once publishAt has passed
+  //   published → public; publishAt records when it went live (always set,
+  //               so public listings can sort on it through an index)
+  //   archived  → withdrawn from public listings but kept
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published', 'archived'],
+    default: 'published',
+  },
+  publishAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  // Set on every edit or restore — null means never edited
+  updatedAt: { type: Date, default: null }
+});
+
+// Keyset pagination indexes — each sort order in services/pagination.js
+// pages on { field, _id }, optionally narrowed by author, userId or tag.
+// Public listings and feeds go by publishAt; an author's own list
+// (GET /api/me/posts) by createdAt.
+PostSchema.index({ publishAt: -1, _id: -1 });
+PostSchema.index({ title: 1, _id: 1 });
+PostSchema.index({ author: 1, publishAt: -1, _id: -1 });
+PostSchema.index({ userId: 1, publishAt: -1, _id: -1 });
+PostSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+PostSchema.index({ status: 1, publishAt: 1 }); // publish scheduler sweep
+PostSchema.index({ tags: 1, publishAt: -1, _id: -1 }); // ?tag= listing and tag counts
+
+// Full-text search (services/search.js) — a title hit outranks a body hit
+PostSchema.index(
+  { title: 'text', tags: 'text', content: 'text' },
+  { name: 'post_text', weights: { title: 10, tags: 5, content: 1 } }
+);
+
+// Re-render whenever the Markdown source changes (create, edit, restore)
+PostSchema.pre('save', function () {
+  if (this.isModified('content') || !this.contentHtml) {
+    this.contentHtml = renderMarkdown(this.content);
+  }
+});
+
+// A published post without a publish time (created directly rather than
+// through the routes) went live when it was written
+PostSchema.pre('save', function () {
+  if (this.status === 'published' && !this.publishAt) this.publishAt = this.createdAt;
+});
+
+// Query filter for posts anyone may read.
+// Scheduled posts whose time has come count as published even before the
+// scheduler sweep flips their status, and posts saved before statuses existed
+// (no status field) stay public.
+PostSchema.statics.publicFilter = function (now = new Date()) {
+  return {
+    $or: [
+      { status: 'published' },
+      { status: { $exists: false } },
+      { status: 'scheduled', publishAt: { $lte: now } },
+    ],
+  };
+};
+
+// Lowercase ASCII words joined by dashes — "Hello, Wörld!" → "hello-world"
+function slugify(title) {
+  return String(title)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '') || 'post';
+}
+
+// Assign a unique slug before the first save (or to older posts that predate
+// slugs). Collisions get a numeric suffix: my-post, my-post-2, my-post-3, ...
+PostSchema.pre('validate', async function () {
+  if (this.slug) return;
+
+  const Post = this.constructor;
+  const baseSlug = slugify(this.title);
+  let slug = baseSlug;
+  let suffix = 2;
+  while (await Post.exists({ slug, _id: { $ne: this._id } })) {
+    slug = `${baseSlug}-${suffix++}`;
+  }
+  this.slug = slug;
 });
 
 module.exports = mongoose.model('Post', PostSchema);
\ No newline at end of file
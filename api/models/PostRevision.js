@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One document per superseded version of a post.
+// Written just before a post is edited or restored, so the history holds
+// every title/content the post has ever had apart from the current one.
+const PostRevisionSchema = new mongoose.Schema({
+  postId: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  title: { type: String, required: true },
+  content: { type: String, required: true },
+
+  // Who replaced this version, and when
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+PostRevisionSchema.index({ postId: 1, createdAt: -1 });
+
+// Snapshot the post's current title/content before it is overwritten
+PostRevisionSchema.statics.record = function (post, editedBy) {
+  return this.create({
+    postId: post._id,
+    title: post.title,
+    content: post.content,
+    editedBy,
+  });
+};
+
+module.exports = mongoose.model('PostRevision', PostRevisionSchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One document per sign-in ("session family").
+// The refresh token rotates on every use; only the SHA-256 of the current one
+// is stored, plus the hashes of the ones it replaced so that a replayed old
+// token can be recognised and the whole family revoked.
+const SessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+
+  tokenHash: { type: String, required: true, select: false },
+  previousTokenHashes: { type: [String], default: [], select: false },
+
+  // Sliding — pushed forward on every rotation
+  expiresAt: { type: Date, required: true },
+
+  // Where the sign-in came from — shown in the user's session list
+  userAgent: { type: String, default: null, maxlength: 512 },
+  ip: { type: String, default: null },
+
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now }
+});
+
+// Let MongoDB drop sessions a while after they can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+SessionSchema.virtual('active').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', SessionSchema);
\ No newline at end of file
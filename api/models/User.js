@@ -4,9 +4,15 @@ const {
   decryptPII,
   blindIndex,
   cardLastN,
+  createUserKey,
+  shredUserKey,
 } = require('../services/piiEncryption');
+const { ROLES, DEFAULT_ROLE, LEGACY_ROLES } = require('../services/roles');
 
 const PII_FIELDS = ['email', 'fullName', 'phone', 'creditCard'];
+// Not PII, but just as sensitive — encrypted the same way
+const SECRET_FIELDS = ['totpSecret'];
+const ENCRYPTED_FIELDS = [...PII_FIELDS, ...SECRET_FIELDS];
 
 const UserSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
@@ -30,24 +36,107 @@ const UserSchema = new mongoose.Schema({
   // Last 4 digits of card — safe to store plaintext for display
   creditCardLast4: { type: String, default: null, maxlength: 4 },
 
-  // ── OAuth fields — only set for Google SSO users ─────────────────────────
-  googleId: { type: String, default: null },
-  picture:  { type: String, default: null },
-
-  // How the account was created
-  authProvider: {
-    type:    String,
-    enum:    ['local', 'google'],
-    default: 'local',
+  // Transit key the encrypted fields above (and totpSecret) use: the user's
+  // own 'pii-user-<id>', deleted with the account so the ciphertext can never
+  // be read again — or null for the shared key, on accounts from before
+  // per-user keys (scripts/migrate-pii-keys.js moves them over).
+  // Always selected: the fields can't be decrypted without it.
+  piiKey: { type: String, default: null, select: true },
+
+  // Set explicitly on every new account: false for local sign-ups until the
+  // emailed link is opened, true when a sign-in provider verified the address.
+  // Accounts from before verification existed have no value and are treated
+  // as verified — see middleware/requireVerifiedEmail.js.
+  emailVerified: { type: Boolean },
+
+  // ── Two-factor authentication (TOTP) ─────────────────────────────────────
+  // Secret is Vault ciphertext like the PII fields. It is written at setup
+  // and only switched on (totpEnabled) once the user has confirmed a code.
+  totpSecret:   { type: String, default: null, select: false },
+  totpEnabled:  { type: Boolean, default: false },
+  // Last accepted time step — a code is never accepted twice
+  totpLastStep: { type: Number, default: -1, select: false },
+  // SHA-256 of unused recovery codes; each is removed when spent
+  recoveryCodes: { type: [String], default: [], select: false },
+
+  // ── Sign-in identities ───────────────────────────────────────────────────
+  // One entry per way the user can sign in: 'local' (password — subject is
+  // null) and external providers such as 'google' (subject is the provider's
+  // user id). Passkeys live in the Credential collection.
+  identities: {
+    type: [{
+      _id:      false,
+      provider: { type: String, required: true },
+      subject:  { type: String, default: null },
+      linkedAt: { type: Date, default: Date.now },
+    }],
+    default: [],
   },
+  picture: { type: String, default: null },
+
+  // ── Authorization ────────────────────────────────────────────────────────
+  // What the user may do — see services/roles.js. Copied into access tokens,
+  // so a change takes effect when the user's sessions next refresh.
+  roles: { type: [{ type: String, enum: ROLES }], default: () => [DEFAULT_ROLE] },
+
+  // Set when the user deletes their account, until services/accountDeletion.js
+  // has finished and removed this document. What to do with their posts is
+  // kept so an interrupted deletion finishes the way the user chose.
+  deletionRequestedAt: { type: Date, default: null },
+  deletionPosts: { type: String, enum: ['delete', 'anonymise', null], default: null },
 
   createdAt: { type: Date, default: Date.now },
 });
 
 // Fast lookup indexes
-UserSchema.index({ googleId:   1 }, { sparse: true });
+UserSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
 UserSchema.index({ emailIndex: 1 }, { sparse: true }); // for email search
 
+// Find a user by plaintext email through the blind index.
+// Resolves to null when BLIND_INDEX_PEPPER isn't set — there is no index to search.
+UserSchema.statics.findByEmail = function (email) {
+  const pepper = process.env.BLIND_INDEX_PEPPER;
+  if (!pepper || !email) return Promise.resolve(null);
+  return this.findOne({ emailIndex: blindIndex(email, pepper) });
+};
+
+// Find the user linked to an external identity, e.g. ('google', sub).
+// Also matches the pre-identities googleId field until
+// scripts/migrate-identities.js has been run.
+UserSchema.statics.findByIdentity = function (provider, subject) {
+  const linked = { identities: { $elemMatch: { provider, subject: String(subject) } } };
+  if (provider !== 'google') return this.findOne(linked);
+  return this.findOne({ $or: [linked, { googleId: String(subject) }] });
+};
+
+UserSchema.methods.hasIdentity = function (provider) {
+  return this.identities.some((identity) => identity.provider === provider);
+};
+
+UserSchema.methods.linkIdentity = function (provider, subject = null) {
+  this.identities = this.identities.filter((identity) => identity.provider !== provider);
+  this.identities.push({ provider, subject: subject === null ? null : String(subject), linkedAt: new Date() });
+};
+
+UserSchema.methods.unlinkIdentity = function (provider) {
+  this.identities = this.identities.filter((identity) => identity.provider !== provider);
+};
+
+// Accounts saved before identities existed have authProvider/googleId instead.
+// Present them in the new shape until scripts/migrate-identities.js rewrites them.
+UserSchema.pre('init', function (raw) {
+  if (raw.identities && raw.identities.length) return;
+  const identities = [];
+  if (raw.password) identities.push({ provider: 'local', subject: null, linkedAt: raw.createdAt });
+  if (raw.googleId) identities.push({ provider: 'google', subject: raw.googleId, linkedAt: raw.createdAt });
+  raw.identities = identities;
+});
+
+// Accounts saved before roles existed have none; they were all able to post
+UserSchema.pre('init', function (raw) {
+  if (!raw.roles) raw.roles = [...LEGACY_ROLES];
+});
+
 // ─── Vault PII encryption hooks ───────────────────────────────────────────────
 
 // Encrypt PII before saving.
@@ -56,32 +145,64 @@ UserSchema.index({ emailIndex: 1 }, { sparse: true }); // for email search
 UserSchema.pre('save', async function () {
   const PEPPER = process.env.BLIND_INDEX_PEPPER;
 
-  // Build blind index from plaintext email before it gets encrypted
-  if (this.isModified('email') && this.email) {
-    this.emailIndex = PEPPER ? blindIndex(this.email, PEPPER) : null;
+  // Build blind index from plaintext email before it gets encrypted.
+  // A removed email takes its index with it, so it can't be found any more.
+  if (this.isModified('email')) {
+    this.emailIndex = this.email && PEPPER ? blindIndex(this.email, PEPPER) : null;
   }
 
   // Store last 4 digits of card before encrypting
-  if (this.isModified('creditCard') && this.creditCard) {
-    this.creditCardLast4 = cardLastN(this.creditCard);
+  if (this.isModified('creditCard')) {
+    this.creditCardLast4 = this.creditCard ? cardLastN(this.creditCard) : null;
   }
 
-  await encryptPII(this, PII_FIELDS);
+  // New accounts get their own key from the start
+  if (this.isNew && !this.piiKey) {
+    this.piiKey = await createUserKey(this._id);
+    if (this.piiKey) {
+      const plaintext = Object.fromEntries(ENCRYPTED_FIELDS.map((field) => [field, this[field]]));
+      this.$locals.newPiiKey = { key: this.piiKey, plaintext };
+    }
+  }
+
+  await encryptPII(this, ENCRYPTED_FIELDS, this.piiKey);
+});
+
+UserSchema.post('save', function () {
+  delete this.$locals.newPiiKey;
+});
+
+// Validation has passed by the time the key is created, but the insert can
+// still fail (duplicate username, lost connection) and leave a key behind
+// that no account uses. Delete it, and put the plaintext back so the
+// document can be saved again.
+UserSchema.post('save', function (error, doc, next) {
+  const created = this.$locals.newPiiKey;
+  if (!created) return next(error);
+  delete this.$locals.newPiiKey;
+
+  shredUserKey(created.key)
+    .catch((err) => console.warn(`[Vault] Could not delete unused Transit key ${created.key}:`, err.message))
+    .then(() => {
+      Object.assign(this, created.plaintext);
+      this.piiKey = null;
+      next(error);
+    });
 });
 
 // Decrypt PII after finding multiple documents
 UserSchema.post('find', async function (docs) {
-  await Promise.all(docs.map(doc => decryptPII(doc, PII_FIELDS)));
+  await Promise.all(docs.map(doc => decryptPII(doc, ENCRYPTED_FIELDS, doc.piiKey)));
 });
 
 // Decrypt PII after finding a single document
 UserSchema.post('findOne', async function (doc) {
-  if (doc) await decryptPII(doc, PII_FIELDS);
+  if (doc) await decryptPII(doc, ENCRYPTED_FIELDS, doc.piiKey);
 });
 
 // Decrypt after findOneAndUpdate (used by some auth flows)
 UserSchema.post('findOneAndUpdate', async function (doc) {
-  if (doc) await decryptPII(doc, PII_FIELDS);
+  if (doc) await decryptPII(doc, ENCRYPTED_FIELDS, doc.piiKey);
 });
 
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// A challenge handed out for one WebAuthn ceremony.
+// Deleted as soon as a response is checked against it, so each challenge is
+// single-use. Registration challenges belong to the session that asked for
+// them; sign-in challenges (no session yet) to the browser that asked, through
+// a random nonce kept in an httpOnly cookie.
+const WebAuthnChallengeSchema = new mongoose.Schema({
+  challenge: { type: String, required: true, unique: true },
+  ceremony: { type: String, enum: ['registration', 'authentication'], required: true },
+
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', default: null },
+  nonce: { type: String, default: null },
+
+  expiresAt: { type: Date, required: true }
+});
+
+WebAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebAuthnChallenge', WebAuthnChallengeSchema);
\ No newline at end of file
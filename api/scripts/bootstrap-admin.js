@@ -0,0 +1,56 @@
+// api/scripts/bootstrap-admin.js
+// Promotes a user to admin from the command line — the way to get the first
+// admin, who can then manage everyone else's roles through the API.
+//
+// Usage: node scripts/bootstrap-admin.js <username> [--force]
+// Or via npm script: npm run admin:bootstrap -- <username>
+//
+// Refuses when an admin already exists, unless --force is given (e.g. the
+// only admin lost access to their account). The user's existing sessions are
+// signed out so their next sign-in carries the new role.
+
+// Load .env if present (local dev), otherwise env vars come from Docker/compose
+try { require('dotenv').config(); } catch (_) { /* dotenv not installed — that's fine */ }
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { revokeAllSessions } = require('../services/sessions');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const username = args.find((arg) => !arg.startsWith('--'));
+  if (!username) {
+    console.error('Usage: node scripts/bootstrap-admin.js <username> [--force]');
+    process.exit(1);
+  }
+
+  console.log('[Admin] Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const admins = await User.find({ roles: 'admin' }).select('username');
+  if (admins.length && !force) {
+    console.error(`[Admin] Admins already exist (${admins.map((a) => `@${a.username}`).join(', ')}).`);
+    console.error('[Admin] Ask one of them to grant the role, or re-run with --force.');
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  const user = await User.findOne({ username }).select('roles');
+  if (!user) {
+    console.error(`[Admin] No user called @${username}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  // Keeps the roles they had — for accounts from before roles, the implied 'author'
+  await User.updateOne({ _id: user._id }, { $set: { roles: [...new Set([...user.roles, 'admin'])] } });
+  await revokeAllSessions(user._id, 'roles changed');
+
+  console.log(`[Admin] ✅ @${username} is now an admin. They need to sign in again.`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error('[Admin] Fatal error:', err);
+  process.exit(1);
+});
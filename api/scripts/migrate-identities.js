@@ -0,0 +1,48 @@
+// api/scripts/migrate-identities.js
+// One-off migration: replaces the old single authProvider/googleId fields on
+// users with the identities list (models/User.js).
+//
+//   password set  → { provider: 'local' }
+//   googleId set  → { provider: 'google', subject: googleId }
+//
+// Usage: node scripts/migrate-identities.js
+// Or via npm script: npm run migrate:identities
+//
+// Safe to re-run — users that already have identities are skipped. Works on
+// raw documents, so PII is never decrypted.
+
+// Load .env if present (local dev), otherwise env vars come from Docker/compose
+try { require('dotenv').config(); } catch (_) { /* dotenv not installed — that's fine */ }
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+async function main() {
+  console.log('[Identities] Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const cursor = User.collection.find(
+    { $or: [{ identities: { $exists: false } }, { identities: { $size: 0 } }] },
+    { projection: { password: 1, googleId: 1, createdAt: 1 } }
+  );
+
+  let migrated = 0;
+  for await (const raw of cursor) {
+    const identities = [];
+    if (raw.password) identities.push({ provider: 'local', subject: null, linkedAt: raw.createdAt || new Date() });
+    if (raw.googleId) identities.push({ provider: 'google', subject: raw.googleId, linkedAt: raw.createdAt || new Date() });
+
+    await User.collection.updateOne(
+      { _id: raw._id },
+      { $set: { identities }, $unset: { authProvider: '', googleId: '' } }
+    );
+    migrated++;
+  }
+
+  console.log(`[Identities] ✅ Done. Users migrated: ${migrated}`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error('[Identities] Fatal error:', err);
+  process.exit(1);
+});
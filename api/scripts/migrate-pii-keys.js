@@ -0,0 +1,55 @@
+// api/scripts/migrate-pii-keys.js
+// One-off migration: gives accounts from before per-user keys their own
+// Transit key and re-encrypts their PII with it, so deleting the account can
+// shred that data too (see services/accountDeletion.js).
+//
+// Usage: node scripts/migrate-pii-keys.js
+// Or via npm script: npm run migrate:pii-keys
+//
+// Safe to re-run — users that already have a piiKey are skipped, and a user
+// interrupted half-way keeps the shared key until their save succeeds.
+// Old ciphertext under the shared key stays readable in existing database
+// backups until those backups expire.
+
+// Load .env if present (local dev), otherwise env vars come from Docker/compose
+try { require('dotenv').config(); } catch (_) { /* dotenv not installed — that's fine */ }
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getVaultClient } = require('../services/vault');
+const { createUserKey } = require('../services/piiEncryption');
+
+async function main() {
+  if (!getVaultClient().configured) {
+    console.error('[PIIKeys] Vault is not configured — there are no keys to migrate to.');
+    process.exit(1);
+  }
+
+  console.log('[PIIKeys] Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const ids = await User.collection
+    .find({ $or: [{ piiKey: null }, { piiKey: { $exists: false } }] }, { projection: { _id: 1 } })
+    .map((raw) => raw._id)
+    .toArray();
+
+  let migrated = 0;
+  for (const id of ids) {
+    // Loading decrypts every encrypted field with the shared key and marks it
+    // modified, so save() encrypts them all again under the new key
+    const user = await User.findById(id).select('+totpSecret');
+    if (!user || user.piiKey) continue;
+
+    user.piiKey = await createUserKey(user._id);
+    await user.save();
+    migrated++;
+    if (migrated % 100 === 0) console.log(`[PIIKeys] Migrated ${migrated} users...`);
+  }
+
+  console.log(`[PIIKeys] ✅ Done. Users migrated: ${migrated}`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error('[PIIKeys] Fatal error:', err);
+  process.exit(1);
+});
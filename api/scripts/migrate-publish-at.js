@@ -0,0 +1,38 @@
+// api/scripts/migrate-publish-at.js
+// One-off migration: gives every public post a publishAt, which public
+// listings and feeds now sort on (services/pagination.js).
+//
+//   no status                   → status 'published', publishAt = createdAt
+//   published without publishAt → publishAt = createdAt
+//
+// Usage: node scripts/migrate-publish-at.js
+// Or via npm script: npm run migrate:publish-at
+//
+// Safe to re-run — posts that already have a publishAt are skipped.
+
+// Load .env if present (local dev), otherwise env vars come from Docker/compose
+try { require('dotenv').config(); } catch (_) { /* dotenv not installed — that's fine */ }
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+
+async function main() {
+  console.log('[PublishAt] Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const legacy = await Post.collection.updateMany(
+    { status: { $exists: false } },
+    [{ $set: { status: 'published', publishAt: { $ifNull: ['$publishAt', '$createdAt'] } } }]
+  );
+  const published = await Post.collection.updateMany(
+    { status: 'published', publishAt: null },
+    [{ $set: { publishAt: '$createdAt' } }]
+  );
+
+  console.log(`[PublishAt] ✅ Done. Posts updated: ${legacy.modifiedCount + published.modifiedCount}`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error('[PublishAt] Fatal error:', err);
+  process.exit(1);
+});
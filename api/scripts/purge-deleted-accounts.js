@@ -0,0 +1,48 @@
+// api/scripts/purge-deleted-accounts.js
+// Finishes account deletions that were interrupted — users marked with
+// deletionRequestedAt whose document is still there, e.g. because Vault was
+// down when they asked. Each is run through services/accountDeletion.js
+// again, with the choice the user originally made for their posts.
+//
+// Usage: node scripts/purge-deleted-accounts.js
+// Or via npm script: npm run accounts:purge
+//
+// Safe to re-run, and to schedule — accounts that are fully deleted are gone
+// and won't be found again.
+
+// Load .env if present (local dev), otherwise env vars come from Docker/compose
+try { require('dotenv').config(); } catch (_) { /* dotenv not installed — that's fine */ }
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { deleteAccount } = require('../services/accountDeletion');
+
+async function main() {
+  console.log('[Deletion] Connecting to MongoDB...');
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const pending = await User.collection
+    .find({ deletionRequestedAt: { $ne: null } }, { projection: { _id: 1 } })
+    .toArray();
+
+  let finished = 0;
+  let failed = 0;
+  for (const { _id } of pending) {
+    try {
+      await deleteAccount(_id);
+      finished++;
+    } catch (err) {
+      // Leave it marked for the next run
+      console.error(`[Deletion] Could not finish deleting ${_id}:`, err.message);
+      failed++;
+    }
+  }
+
+  console.log(`[Deletion] ✅ Done. Finished: ${finished}, still pending: ${failed}`);
+  await mongoose.disconnect();
+  if (failed) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error('[Deletion] Fatal error:', err);
+  process.exit(1);
+});
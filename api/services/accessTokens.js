@@ -0,0 +1,121 @@
+// api/services/accessTokens.js
+// Personal access tokens — named, scoped, optionally expiring credentials for
+// scripts and CI, sent as `Authorization: Bearer blog_pat_...`.
+//
+// Tokens are "blog_pat_" + 256 random bits (base64url). The prefix lets
+// middleware/auth.js tell them from access-token JWTs, and makes a leaked
+// token easy to spot in logs and secret scanners. Only the SHA-256 is stored.
+//
+// A token can do no more than its scopes allow, and no more than its owner's
+// current roles allow either — roles are read on every use, not copied in.
+
+const crypto = require('crypto');
+const AccessToken = require('../models/AccessToken');
+const User = require('../models/User');
+
+const TOKEN_PREFIX = 'blog_pat_';
+
+// What a token can be allowed to do. Routes opt in with auth.scoped(scope);
+// everything else (account, security and admin routes) refuses tokens.
+const SCOPES = ['posts:read', 'posts:write', 'comments:write', 'profile:read'];
+
+const MAX_TOKENS_PER_USER = 50;
+
+// lastUsedAt is only written when it is at least this stale
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Whether a Bearer credential is a personal access token (rather than a JWT).
+ * @param {string} bearer
+ * @returns {boolean}
+ */
+const isAccessToken = (bearer) => String(bearer).startsWith(TOKEN_PREFIX);
+
+/**
+ * Create a token for a user.
+ *
+ * @param {string|ObjectId} userId
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string[]} options.scopes - From SCOPES
+ * @param {number|null} [options.expiresInDays] - Null or absent for no expiry
+ * @returns {Promise<{ token: string, accessToken: object }>} the raw token —
+ *   shown to the user once, never stored — and the saved document
+ * @throws {Error} 'Too many access tokens'
+ *
+ * @example
+ * const { token } = await createAccessToken(userId, { name: 'CI', scopes: ['posts:write'], expiresInDays: 90 });
+ */
+async function createAccessToken(userId, { name, scopes, expiresInDays = null }) {
+  if ((await AccessToken.countDocuments({ userId })) >= MAX_TOKENS_PER_USER) {
+    throw new Error('Too many access tokens');
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const accessToken = await AccessToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+  });
+  return { token, accessToken };
+}
+
+/**
+ * @param {string|ObjectId} userId
+ * @returns {Promise<object[]>} AccessToken documents, newest first
+ */
+async function listAccessTokens(userId) {
+  return AccessToken.find({ userId }).sort({ createdAt: -1 });
+}
+
+/**
+ * @param {string|ObjectId} userId
+ * @param {string|ObjectId} tokenId
+ * @returns {Promise<boolean>} false if the user has no such token
+ */
+async function revokeAccessToken(userId, tokenId) {
+  const result = await AccessToken.deleteOne({ _id: tokenId, userId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Look up a presented token. Called by middleware/auth.js.
+ *
+ * @param {string} token - The Bearer credential
+ * @returns {Promise<{ userId: string, roles: string[], scopes: string[], tokenId: string }|null>}
+ *   claims shaped like an access token's, or null if the token is unknown,
+ *   expired or its owner no longer exists
+ */
+async function authenticateAccessToken(token) {
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) })
+    .select('userId scopes expiresAt lastUsedAt');
+  if (!accessToken || accessToken.expired) return null;
+
+  const user = await User.findById(accessToken.userId).select('roles');
+  if (!user) return null;
+
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    AccessToken.updateOne({ _id: accessToken._id }, { $set: { lastUsedAt: new Date() } })
+      .catch((e) => console.error('Access token touch error:', e.message));
+  }
+
+  return {
+    userId: String(accessToken.userId),
+    roles: user.roles,
+    scopes: accessToken.scopes,
+    tokenId: String(accessToken._id),
+  };
+}
+
+module.exports = {
+  SCOPES,
+  isAccessToken,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+  authenticateAccessToken,
+};
@@ -0,0 +1,157 @@
+// api/services/accountDeletion.js
+// Deletes a user's account at their request.
+//
+//   1. Mark the account as being deleted and make it impossible to sign in to
+//   2. Revoke every session, access token and passkey
+//   3. Delete or anonymise their posts, as they chose; blank their comments
+//   4. Shred their PII: delete their Transit key (services/piiEncryption.js),
+//      so the ciphertext can't be decrypted anywhere — database backups
+//      included — then drop the user document
+//
+// Every step is safe to repeat, and the choice made in step 1 is stored on
+// the user, so a deletion that was interrupted can simply be run again —
+// scripts/purge-deleted-accounts.js finishes any that were left over.
+
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const Credential = require('../models/Credential');
+const AccessToken = require('../models/AccessToken');
+const OneTimeToken = require('../models/OneTimeToken');
+const OAuthState = require('../models/OAuthState');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const { revokeAllSessions } = require('./sessions');
+const { shredUserKey } = require('./piiEncryption');
+const { recordAudit } = require('./audit');
+
+// Accounts without a password confirm by having signed in this recently
+const REAUTH_WINDOW_MS = 10 * 60 * 1000;
+
+// Shown in place of the author on anonymised posts and blanked comments
+const DELETED_AUTHOR = '[deleted]';
+
+// Everything but the encrypted fields — a half-deleted account's key may
+// already be gone, and its PII can't (and needn't) be decrypted
+const STATE_FIELDS = 'username piiKey deletionRequestedAt deletionPosts';
+
+// ─── Steps ────────────────────────────────────────────────────────────────────
+
+// Only the first request's choice counts; later runs reuse it
+async function markForDeletion(userId, posts) {
+  await User.updateOne(
+    { _id: userId, deletionRequestedAt: null },
+    { $set: { deletionRequestedAt: new Date(), deletionPosts: posts } }
+  );
+  // Nothing left to sign in with. emailIndex is derived from the email, so it goes too.
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { password: null, identities: [], totpEnabled: false, recoveryCodes: [], emailIndex: null },
+      $unset: { googleId: '' },
+    }
+  );
+}
+
+async function revokeAccess(userId) {
+  await revokeAllSessions(userId, 'account deleted');
+  await Promise.all([
+    AccessToken.deleteMany({ userId }),
+    Credential.deleteMany({ userId }),
+    OneTimeToken.deleteMany({ userId }),
+    OAuthState.deleteMany({ $or: [{ userId }, { linkUserId: userId }] }),
+    WebAuthnChallenge.deleteMany({ userId }),
+  ]);
+}
+
+async function removeContent(userId, posts) {
+  if (posts === 'delete') {
+    const postIds = (await Post.find({ userId }).select('_id').lean()).map((post) => post._id);
+    await Comment.deleteMany({ postId: { $in: postIds } });
+    await PostRevision.deleteMany({ postId: { $in: postIds } });
+    await Post.deleteMany({ _id: { $in: postIds } });
+  } else {
+    // userId stays, so the posts remain editable by editors only
+    await Post.updateMany({ userId }, { $set: { author: DELETED_AUTHOR } });
+  }
+
+  // Placeholders keep other people's replies in their threads
+  await Comment.updateMany({ userId }, { $set: { deleted: true, content: '', author: DELETED_AUTHOR } });
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Check that the user really means to delete their account: their password,
+ * or for accounts without one, a sign-in within the last few minutes.
+ *
+ * @param {string|ObjectId} userId
+ * @param {string|ObjectId} sessionId - The `sid` of the request's access token
+ * @param {string} [password]
+ * @throws {Error} 'User not found'
+ * @throws {Error} 'Password is incorrect'
+ * @throws {Error} 'Sign in again to confirm'
+ */
+async function confirmDeletion(userId, sessionId, password) {
+  const user = await User.findById(userId).select('password');
+  if (!user) throw new Error('User not found');
+
+  if (user.password) {
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      throw new Error('Password is incorrect');
+    }
+    return;
+  }
+
+  const session = await Session.findById(sessionId).select('createdAt');
+  if (!session || Date.now() - session.createdAt.getTime() > REAUTH_WINDOW_MS) {
+    throw new Error('Sign in again to confirm');
+  }
+}
+
+/**
+ * Delete an account. Safe to call again for the same user, including after
+ * a failure part-way through.
+ *
+ * @param {string|ObjectId} userId
+ * @param {object} [options]
+ * @param {'delete'|'anonymise'} [options.posts] - What happens to their posts;
+ *   ignored if a deletion was already requested (that choice stands)
+ * @param {object} [options.req] - The request that asked for it, for the audit trail
+ * @returns {Promise<{ deleted: boolean, shredded: boolean }>} deleted is false
+ *   if there was no such account (e.g. already deleted); shredded is false for
+ *   accounts still on the shared key, whose PII was only removed from the
+ *   live database
+ */
+async function deleteAccount(userId, { posts = 'anonymise', req } = {}) {
+  if (!(await User.exists({ _id: userId }))) return { deleted: false, shredded: false };
+
+  await markForDeletion(userId, posts);
+  const user = await User.findById(userId).select(STATE_FIELDS);
+
+  await revokeAccess(userId);
+  await removeContent(userId, user.deletionPosts);
+
+  let shredded = false;
+  if (user.piiKey) {
+    await shredUserKey(user.piiKey);
+    shredded = true;
+  } else {
+    console.warn(`[Deletion] User ${userId} has no per-user key — PII remains in backups under the shared key`);
+  }
+
+  // The audit trail keeps only the id — the username is gone with the account
+  await recordAudit('account-deletion', {
+    userId,
+    req,
+    details: { posts: user.deletionPosts, shredded },
+  });
+  await User.deleteOne({ _id: userId });
+
+  console.log(`[Deletion] Deleted account ${userId} (posts: ${user.deletionPosts}, shredded: ${shredded})`);
+  return { deleted: true, shredded };
+}
+
+module.exports = { confirmDeletion, deleteAccount, DELETED_AUTHOR };
@@ -0,0 +1,32 @@
+// api/services/audit.js
+// Writes the audit trail (models/AuditEvent.js).
+
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Record an audited action.
+ *
+ * @param {string} action - One of the AuditEvent actions, e.g. 'data-export'
+ * @param {object} event
+ * @param {string|ObjectId} event.userId - The account concerned
+ * @param {string|ObjectId} [event.actorId] - Who did it (default: the user themselves)
+ * @param {object} [event.req] - The Express request, for IP and user agent
+ * @param {object} [event.details]
+ * @returns {Promise<object>} the saved AuditEvent
+ *
+ * @example
+ * await recordAudit('data-export', { userId, req, details: { posts: 12 } });
+ */
+async function recordAudit(action, { userId, actorId = userId, req, details = {} }) {
+  const userAgent = req && req.get('user-agent');
+  return AuditEvent.create({
+    action,
+    userId,
+    actorId,
+    ip: (req && req.ip) || null,
+    userAgent: userAgent ? String(userAgent).slice(0, 512) : null,
+    details,
+  });
+}
+
+module.exports = { recordAudit };
@@ -0,0 +1,76 @@
+// api/services/circuitBreaker.js
+// A circuit breaker for calls to a dependency that may go down (used for Vault).
+//
+//   closed    — calls go through; consecutive failures are counted
+//   open      — after `threshold` failures in a row, calls are refused
+//               outright for `cooldownMs`, instead of each waiting to time out
+//   half-open — once the cooldown is over, one trial call goes through:
+//               success closes the circuit, failure opens it again
+//
+// The breaker only keeps score; callers ask allowRequest() first and report
+// each outcome with recordSuccess() or recordFailure().
+
+class CircuitBreaker {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.name] - Used in log lines, e.g. 'Vault'
+   * @param {number} [options.threshold] - Consecutive failures that open the circuit (default 5)
+   * @param {number} [options.cooldownMs] - How long it stays open (default 30s)
+   */
+  constructor({ name = 'Circuit', threshold = 5, cooldownMs = 30 * 1000 } = {}) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may go ahead now. In half-open state only the first
+   * caller gets through; the rest are refused until its outcome is recorded.
+   * @returns {boolean}
+   */
+  allowRequest(now = Date.now()) {
+    if (this.state === 'closed') return true;
+    if (this.state === 'open') {
+      if (now - this.openedAt < this.cooldownMs) return false;
+      this.state = 'half-open';
+    }
+    if (this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') console.log(`[${this.name}] Circuit closed — reachable again`);
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(now = Date.now()) {
+    this.trialInFlight = false;
+    this.failures += 1;
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.threshold)) {
+      if (this.state === 'closed') {
+        console.warn(`[${this.name}] Circuit opened after ${this.failures} failures — failing fast for ${this.cooldownMs / 1000}s`);
+      }
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  /**
+   * Milliseconds until a trial call will be allowed; 0 unless open.
+   * @returns {number}
+   */
+  retryAfterMs(now = Date.now()) {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.openedAt + this.cooldownMs - now);
+  }
+}
+
+module.exports = { CircuitBreaker };
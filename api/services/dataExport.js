@@ -0,0 +1,179 @@
+// api/services/dataExport.js
+// Answers data subject access requests: everything we hold about a user, as
+// a ZIP archive they can download from GET /api/me/export.
+//
+//   data.json   — every record, machine-readable
+//   README.md   — the same, written out for people
+//   posts/*.md  — each post's Markdown, as written
+//
+// PII comes out decrypted (User's post('findOne') hook runs decryptPII).
+// Secrets that only exist to protect the account — password hash, TOTP
+// secret, recovery codes, token hashes — are left out; they say nothing about
+// the user and would only help someone who got hold of the archive.
+
+const User = require('../models/User');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const Session = require('../models/Session');
+const Credential = require('../models/Credential');
+const AccessToken = require('../models/AccessToken');
+const AuditEvent = require('../models/AuditEvent');
+const { createZip } = require('./zip');
+
+// ─── Collecting ───────────────────────────────────────────────────────────────
+
+async function collect(userId) {
+  const user = await User.findById(userId);
+  if (!user) throw new Error('User not found');
+
+  const posts = await Post.find({ userId }).sort({ createdAt: 1 })
+    .select('title slug content tags status publishAt createdAt updatedAt').lean();
+  const postIds = posts.map((post) => post._id);
+
+  const [revisions, comments, sessions, credentials, accessTokens, auditEvents] = await Promise.all([
+    // Earlier versions of their posts, and their edits to other people's
+    PostRevision.find({ $or: [{ postId: { $in: postIds } }, { editedBy: userId }] })
+      .sort({ createdAt: 1 }).lean(),
+    Comment.find({ userId }).sort({ createdAt: 1 })
+      .select('postId parentId content hidden deleted createdAt').lean(),
+    Session.find({ userId }).sort({ createdAt: 1 })
+      .select('userAgent ip createdAt lastUsedAt expiresAt revokedAt revokedReason').lean(),
+    Credential.find({ userId }).sort({ createdAt: 1 }),
+    AccessToken.find({ userId }).sort({ createdAt: 1 }),
+    AuditEvent.find({ userId }).sort({ createdAt: 1 })
+      .select('action actorId ip userAgent details createdAt').lean(),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      username: user.username,
+      email: user.email || null,
+      emailVerified: user.emailVerified !== false,
+      fullName: user.fullName || null,
+      phone: user.phone || null,
+      creditCard: user.creditCard || null,
+      picture: user.picture || null,
+      roles: user.roles,
+      hasPassword: Boolean(user.password),
+      twoFactorEnabled: user.totpEnabled,
+      signInIdentities: user.identities.map(({ provider, subject, linkedAt }) => ({ provider, subject, linkedAt })),
+      createdAt: user.createdAt,
+    },
+    posts,
+    postRevisions: revisions,
+    comments,
+    sessions,
+    passkeys: credentials.map((c) => c.toPublic()),
+    accessTokens: accessTokens.map((t) => t.toPublic()),
+    auditEvents,
+  };
+}
+
+// ─── Human-readable form ──────────────────────────────────────────────────────
+
+const when = (date) => (date ? new Date(date).toISOString() : '—');
+
+function readme(data) {
+  const { profile } = data;
+  const lines = [
+    `# Your data — @${profile.username}`,
+    '',
+    `Exported ${when(data.exportedAt)}. Everything below is also in data.json;`,
+    'your posts are in the posts/ folder as you wrote them.',
+    '',
+    '## Profile',
+    '',
+    `- Username: ${profile.username}`,
+    `- Full name: ${profile.fullName || '—'}`,
+    `- Email: ${profile.email || '—'}${profile.email && !profile.emailVerified ? ' (not verified)' : ''}`,
+    `- Phone: ${profile.phone || '—'}`,
+    `- Card number: ${profile.creditCard || '—'}`,
+    `- Roles: ${profile.roles.join(', ')}`,
+    `- Sign-in methods: ${profile.signInIdentities.map((i) => i.provider).join(', ') || '—'}`,
+    `- Two-factor authentication: ${profile.twoFactorEnabled ? 'on' : 'off'}`,
+    `- Account created: ${when(profile.createdAt)}`,
+    '',
+    `## Posts (${data.posts.length})`,
+    '',
+    ...data.posts.map((p) => `- ${when(p.createdAt)} — ${p.title} [${p.status || 'published'}] (posts/${postFileName(p)})`),
+    '',
+    `## Comments (${data.comments.length})`,
+    '',
+    ...data.comments.map((c) =>
+      `- ${when(c.createdAt)} on post ${c.postId}${c.deleted ? ' [deleted]' : ''}${c.hidden ? ' [hidden]' : ''}: ${oneLine(c.content)}`),
+    '',
+    `## Sessions (${data.sessions.length})`,
+    '',
+    ...data.sessions.map((s) =>
+      `- Signed in ${when(s.createdAt)} from ${s.ip || 'unknown IP'} — last used ${when(s.lastUsedAt)}` +
+      (s.revokedAt ? `, ended ${when(s.revokedAt)} (${s.revokedReason})` : '')),
+    '',
+    `## Passkeys (${data.passkeys.length})`,
+    '',
+    ...data.passkeys.map((p) => `- ${p.name}, added ${when(p.createdAt)}, last used ${when(p.lastUsedAt)}`),
+    '',
+    `## Access tokens (${data.accessTokens.length})`,
+    '',
+    ...data.accessTokens.map((t) => `- ${t.name} (${t.scopes.join(', ')}), created ${when(t.createdAt)}`),
+    '',
+    `## Account activity log (${data.auditEvents.length})`,
+    '',
+    ...data.auditEvents.map((e) => `- ${when(e.createdAt)} ${e.action} from ${e.ip || 'unknown IP'}`),
+    '',
+  ];
+  return lines.join('\n');
+}
+
+const oneLine = (text) => {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > 120 ? `${flat.slice(0, 117)}...` : flat || '—';
+};
+
+const postFileName = (post) => `${post.slug || post._id}.md`;
+
+function postFile(post) {
+  const tags = post.tags && post.tags.length ? `\nTags: ${post.tags.join(', ')}` : '';
+  return `# ${post.title}\n\nCreated: ${when(post.createdAt)}\nStatus: ${post.status || 'published'}${tags}\n\n---\n\n${post.content}\n`;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Build a user's data export.
+ *
+ * @param {string|ObjectId} userId
+ * @returns {Promise<{ filename: string, archive: Buffer, counts: object }>}
+ *   counts holds how many records of each kind went in, for the audit trail
+ * @throws {Error} 'User not found'
+ *
+ * @example
+ * const { filename, archive } = await buildExport(req.userData.userId);
+ */
+async function buildExport(userId) {
+  const data = await collect(userId);
+
+  const archive = createZip([
+    { name: 'data.json', content: JSON.stringify(data, null, 2) },
+    { name: 'README.md', content: readme(data) },
+    ...data.posts.map((post) => ({ name: `posts/${postFileName(post)}`, content: postFile(post) })),
+  ], data.exportedAt);
+
+  const date = data.exportedAt.toISOString().slice(0, 10);
+  return {
+    filename: `blog-export-${data.profile.username}-${date}.zip`,
+    archive,
+    counts: {
+      posts: data.posts.length,
+      postRevisions: data.postRevisions.length,
+      comments: data.comments.length,
+      sessions: data.sessions.length,
+      passkeys: data.passkeys.length,
+      accessTokens: data.accessTokens.length,
+    },
+  };
+}
+
+module.exports = { buildExport };
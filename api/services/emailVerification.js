@@ -0,0 +1,61 @@
+// api/services/emailVerification.js
+// Confirms that locally registered users own the email address they gave.
+//
+// On registration (and on request) a single-use link is mailed to the address;
+// opening it sets User.emailVerified. Google accounts skip this — Google has
+// already verified the address (see services/oauth.js).
+
+const User = require('../models/User');
+const { issueToken, consumeToken } = require('./oneTimeTokens');
+const { sendMail } = require('./mailer');
+
+const VERIFY_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+/**
+ * Mail a verification link to a user's address.
+ * Replaces any link sent before, so only the newest one works.
+ *
+ * @param {object} user    - User document with decrypted email
+ * @param {string|null} siteUrl - Public URL of the site (SITE_URL), for the
+ *   link. Never derive it from the request.
+ */
+async function sendVerificationEmail(user, siteUrl) {
+  if (!user.email) return;
+  if (!siteUrl) {
+    console.warn('[EmailVerification] SITE_URL not set — not sending verification links');
+    return;
+  }
+
+  const token = await issueToken(user._id, 'email-verification', VERIFY_TTL_HOURS * 60 * 60 * 1000);
+  const link = `${siteUrl}/api/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm this is your email address by opening the link below:',
+      '',
+      link,
+      '',
+      `The link expires in ${VERIFY_TTL_HOURS} hours.`,
+      'If you did not create an account, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Mark the owner of a verification token as verified.
+ *
+ * @param {string} token
+ * @throws {Error} 'Invalid or expired token'
+ */
+async function verifyEmail(token) {
+  const spent = await consumeToken(token, 'email-verification');
+  if (!spent) throw new Error('Invalid or expired token');
+
+  await User.updateOne({ _id: spent.userId }, { $set: { emailVerified: true } });
+}
+
+module.exports = { sendVerificationEmail, verifyEmail };
@@ -0,0 +1,158 @@
+// api/services/feeds.js
+// Builds RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents from published posts.
+//
+// Feed readers poll often, so every feed carries a validator pair:
+//   ETag          — hash of the feed format plus each post's id and last change
+//   Last-Modified — the most recent publish/edit time among the posts
+// Routes set both and answer 304 when the reader already has the latest copy,
+// before any XML is generated.
+
+const crypto = require('crypto');
+
+const SITE_TITLE = process.env.SITE_TITLE || "Mali's Blog";
+const SITE_DESCRIPTION = process.env.SITE_DESCRIPTION || 'Notes on DevOps, cloud and full-stack development';
+const FEED_SIZE = 20;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+// Escapes text for XML element content and attribute values
+function xmlEscape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Characters XML 1.0 forbids outright — can't be escaped, only dropped
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '');
+}
+
+const publishedAt = (post) => post.publishAt || post.createdAt;
+const modifiedAt = (post) => post.updatedAt || publishedAt(post);
+const postUrl = (siteUrl, post) => `${siteUrl}/posts/${encodeURIComponent(post.slug || post._id)}`;
+const postHtml = (post) => post.contentHtml || xmlEscape(post.content);
+
+/**
+ * Cache validators for a feed.
+ *
+ * @param {string}   format - 'rss' | 'atom' | 'json' — different bodies need different ETags
+ * @param {object[]} posts  - Posts in the feed
+ * @returns {{ etag: string, lastModified: Date }}
+ */
+function feedValidators(format, posts) {
+  const hash = crypto.createHash('sha1').update(format);
+  let lastModified = new Date(0);
+
+  for (const post of posts) {
+    const modified = new Date(modifiedAt(post));
+    hash.update(`|${post._id}:${modified.getTime()}`);
+    if (modified > lastModified) lastModified = modified;
+  }
+
+  // HTTP dates have second precision — drop the milliseconds so
+  // If-Modified-Since comparisons line up
+  lastModified.setMilliseconds(0);
+  return { etag: `W/"${hash.digest('base64url')}"`, lastModified };
+}
+
+// ─── RSS 2.0 ──────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object[]} posts
+ * @param {object}   meta - { siteUrl, feedUrl, title?, description? }
+ * @returns {string} RSS 2.0 XML
+ */
+function buildRss(posts, { siteUrl, feedUrl, title = SITE_TITLE, description = SITE_DESCRIPTION }) {
+  const { lastModified } = feedValidators('rss', posts);
+
+  const items = posts.map((post) => `    <item>
+      <title>${xmlEscape(post.title)}</title>
+      <link>${xmlEscape(postUrl(siteUrl, post))}</link>
+      <guid isPermaLink="false">${xmlEscape(post._id)}</guid>
+      <dc:creator>${xmlEscape(post.author)}</dc:creator>
+      <pubDate>${new Date(publishedAt(post)).toUTCString()}</pubDate>
+${(post.tags || []).map((tag) => `      <category>${xmlEscape(tag)}</category>\n`).join('')}      <description>${xmlEscape(postHtml(post))}</description>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${xmlEscape(title)}</title>
+    <link>${xmlEscape(siteUrl)}</link>
+    <description>${xmlEscape(description)}</description>
+    <atom:link href="${xmlEscape(feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${lastModified.toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+// ─── Atom 1.0 ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object[]} posts
+ * @param {object}   meta - { siteUrl, feedUrl, title?, description? }
+ * @returns {string} Atom XML
+ */
+function buildAtom(posts, { siteUrl, feedUrl, title = SITE_TITLE, description = SITE_DESCRIPTION }) {
+  const { lastModified } = feedValidators('atom', posts);
+
+  const entries = posts.map((post) => `  <entry>
+    <title>${xmlEscape(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${xmlEscape(postUrl(siteUrl, post))}"/>
+    <id>${xmlEscape(`${siteUrl}/posts/${post._id}`)}</id>
+    <published>${new Date(publishedAt(post)).toISOString()}</published>
+    <updated>${new Date(modifiedAt(post)).toISOString()}</updated>
+    <author><name>${xmlEscape(post.author)}</name></author>
+${(post.tags || []).map((tag) => `    <category term="${xmlEscape(tag)}"/>\n`).join('')}    <content type="html">${xmlEscape(postHtml(post))}</content>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${xmlEscape(title)}</title>
+  <subtitle>${xmlEscape(description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${xmlEscape(siteUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${xmlEscape(feedUrl)}"/>
+  <id>${xmlEscape(feedUrl)}</id>
+  <updated>${lastModified.toISOString()}</updated>
+${entries}
+</feed>
+`;
+}
+
+// ─── JSON Feed 1.1 ────────────────────────────────────────────────────────────
+
+/**
+ * @param {object[]} posts
+ * @param {object}   meta - { siteUrl, feedUrl, title?, description? }
+ * @returns {object} JSON Feed document
+ */
+function buildJsonFeed(posts, { siteUrl, feedUrl, title = SITE_TITLE, description = SITE_DESCRIPTION }) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    description,
+    home_page_url: siteUrl,
+    feed_url: feedUrl,
+    items: posts.map((post) => ({
+      id: String(post._id),
+      url: postUrl(siteUrl, post),
+      title: post.title,
+      content_html: postHtml(post),
+      date_published: new Date(publishedAt(post)).toISOString(),
+      date_modified: new Date(modifiedAt(post)).toISOString(),
+      authors: [{ name: post.author }],
+      tags: post.tags || [],
+    })),
+  };
+}
+
+module.exports = {
+  buildRss,
+  buildAtom,
+  buildJsonFeed,
+  feedValidators,
+  xmlEscape,
+  FEED_SIZE,
+};
@@ -0,0 +1,185 @@
+// api/services/identities.js
+// Linking and unlinking the ways a user can sign in to one account:
+// a password ('local'), external providers ('google', any provider from
+// services/oidc.js) and passkeys.
+//
+// The one rule: an account must always keep at least one working sign-in
+// method, otherwise its owner is locked out for good.
+
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Credential = require('../models/Credential');
+const { revokeAllSessions } = require('./sessions');
+
+/**
+ * List how a user can currently sign in.
+ *
+ * @param {object} user - User document
+ * @returns {Promise<string[]>} e.g. ['local', 'google', 'passkey']
+ */
+async function signInMethods(user) {
+  const methods = user.identities.map((identity) => identity.provider);
+  if (await Credential.exists({ userId: user._id })) methods.push('passkey');
+  return methods;
+}
+
+// "Jane Doe" → "janedoe", or "janedoe2" if that's taken
+async function uniqueUsername(name) {
+  const base = String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 20) || 'user';
+  let username = base;
+  let suffix = 1;
+  while (await User.exists({ username })) {
+    username = `${base}${suffix++}`;
+  }
+  return username;
+}
+
+/**
+ * Find the account an external identity signs in to, creating one on its
+ * first sign-in.
+ *
+ * @param {string} provider
+ * @param {object} profile - { subject, email, emailVerified, name, picture } as verified by the provider
+ * @returns {Promise<object>} the user
+ * @throws {Error} 'An account with this email already exists'
+ */
+async function signInWithIdentity(provider, { subject, email, emailVerified, name, picture }) {
+  const existing = await User.findByIdentity(provider, subject);
+  if (existing) return existing;
+
+  // An address the provider hasn't verified proves nothing — leave it off the account
+  const verifiedEmail = emailVerified ? email : null;
+  // Never merge into an account by email: whoever controls the provider
+  // account would take it over. Its owner can link the provider instead.
+  if (verifiedEmail && (await User.findByEmail(verifiedEmail))) {
+    throw new Error('An account with this email already exists');
+  }
+
+  const username = await uniqueUsername(name || (verifiedEmail && verifiedEmail.split('@')[0]));
+  const user = new User({
+    username,
+    password: null,
+    email: verifiedEmail,
+    fullName: name,
+    identities: [{ provider, subject }],
+    picture,
+    emailVerified: Boolean(verifiedEmail),
+  });
+  await user.save();
+  console.log(`[SSO] Auto-created ${provider} account @${username}`);
+  return user;
+}
+
+/**
+ * Attach an external identity to a signed-in user.
+ *
+ * @param {string|ObjectId} userId
+ * @param {string} provider - e.g. 'google'
+ * @param {string} subject  - The provider's id for the user
+ * @param {object} [profile] - { email, picture } from the provider, already verified
+ * @returns {Promise<object>} the updated user
+ * @throws {Error} 'Identity already linked to another account'
+ */
+async function linkIdentity(userId, provider, subject, { email, picture } = {}) {
+  const owner = await User.findByIdentity(provider, subject);
+  if (owner && !owner._id.equals(userId)) throw new Error('Identity already linked to another account');
+
+  const user = await User.findById(userId);
+  if (!user) throw new Error('User not found');
+
+  user.linkIdentity(provider, subject);
+  if (!user.picture && picture) user.picture = picture;
+  // The provider has verified this address — if it's the one on the account, so have we
+  if (email && user.email && email.toLowerCase() === user.email.toLowerCase()) user.emailVerified = true;
+
+  await user.save();
+  return user;
+}
+
+/**
+ * Remove a sign-in method. Unlinking 'local' deletes the password (and with
+ * it TOTP, which only guards password sign-in).
+ *
+ * @param {string|ObjectId} userId
+ * @param {string} provider
+ * @throws {Error} 'Identity not linked'
+ * @throws {Error} 'Cannot remove the last sign-in method'
+ */
+async function unlinkIdentity(userId, provider) {
+  const user = await User.findById(userId);
+  if (!user) throw new Error('User not found');
+  if (!user.hasIdentity(provider)) throw new Error('Identity not linked');
+
+  const remaining = (await signInMethods(user)).filter((method) => method !== provider);
+  if (remaining.length === 0) throw new Error('Cannot remove the last sign-in method');
+
+  user.unlinkIdentity(provider);
+  if (provider === 'local') {
+    user.password = null;
+    user.totpEnabled = false;
+    user.totpSecret = null;
+    user.recoveryCodes = [];
+  }
+  await user.save();
+  // Accounts from before identities may still carry googleId/authProvider.
+  // They aren't in the schema, so save() leaves them behind — and
+  // User.findByIdentity() would still sign in with the googleId.
+  await User.updateOne({ _id: user._id }, { $unset: { googleId: '', authProvider: '' } }, { strict: false });
+}
+
+/**
+ * Delete one of the user's passkeys.
+ *
+ * @param {string|ObjectId} userId
+ * @param {string|ObjectId} credentialId
+ * @throws {Error} 'Passkey not found'
+ * @throws {Error} 'Cannot remove the last sign-in method'
+ */
+async function removePasskey(userId, credentialId) {
+  const user = await User.findById(userId);
+  if (!user) throw new Error('User not found');
+  if (!(await Credential.exists({ _id: credentialId, userId: user._id }))) throw new Error('Passkey not found');
+
+  // The user's other passkeys, if any, still count as the 'passkey' method
+  const remaining = (await signInMethods(user)).filter((method) => method !== 'passkey');
+  if (remaining.length === 0 && !(await Credential.exists({ _id: { $ne: credentialId }, userId: user._id }))) {
+    throw new Error('Cannot remove the last sign-in method');
+  }
+
+  await Credential.deleteOne({ _id: credentialId, userId: user._id });
+}
+
+/**
+ * Set or change the account password.
+ * Changing an existing password needs the current one; accounts without a
+ * password (Google-only) can set one directly since the user is signed in.
+ * Other sessions are signed out either way.
+ *
+ * @param {string|ObjectId} userId
+ * @param {object} passwords - { password, currentPassword? }
+ * @param {string} currentSessionId - Kept signed in
+ * @throws {Error} 'Current password is incorrect'
+ */
+async function setPassword(userId, { password, currentPassword }, currentSessionId) {
+  const user = await User.findById(userId);
+  if (!user) throw new Error('User not found');
+
+  if (user.password && !(currentPassword && (await bcrypt.compare(currentPassword, user.password)))) {
+    throw new Error('Current password is incorrect');
+  }
+
+  user.password = await bcrypt.hash(password, 12);
+  if (!user.hasIdentity('local')) user.linkIdentity('local');
+  await user.save();
+
+  await revokeAllSessions(user._id, 'password changed', { exceptSessionId: currentSessionId });
+}
+
+module.exports = {
+  signInMethods,
+  signInWithIdentity,
+  linkIdentity,
+  unlinkIdentity,
+  removePasskey,
+  setPassword,
+};
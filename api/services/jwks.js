@@ -0,0 +1,208 @@
+// api/services/jwks.js
+// Verifies JWTs signed by an external issuer — OpenID Connect ID tokens —
+// against the public keys the issuer publishes as a JSON Web Key Set.
+//
+// Keys are cached for as long as the issuer's Cache-Control allows, and
+// refreshed in the background shortly before that runs out, so sign-ins don't
+// wait on the issuer. A token signed with a key id we haven't seen means the
+// issuer rotated its keys, so it triggers one refetch; refetches are spaced
+// out so a stream of forged tokens can't make us hammer the issuer.
+// Verification itself is local (jsonwebtoken + node:crypto), no network call.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const FETCH_TIMEOUT_MS = 5000;
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+const MIN_CACHE_MS = 60 * 1000;
+const MAX_CACHE_MS = 24 * 60 * 60 * 1000;
+const REFETCH_COOLDOWN_MS = 30 * 1000;
+// Refresh in the background once this much of the cache lifetime has passed
+const REFRESH_AHEAD_RATIO = 0.9;
+
+// Only public-key algorithms. HS* would let anyone holding the (public) key
+// sign tokens, and 'none' isn't a signature at all.
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// ─── HTTP ─────────────────────────────────────────────────────────────────────
+
+async function fetchOk(url, init = {}) {
+  const res = await fetch(url, {
+    ...init,
+    headers: { Accept: 'application/json', ...init.headers },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`${new URL(url).host} responded with HTTP ${res.status}`);
+  return res;
+}
+
+/**
+ * GET (or POST) a URL and parse the JSON response.
+ *
+ * @param {string} url
+ * @param {object} [init] - fetch() options
+ * @returns {Promise<object>}
+ * @throws {Error} on network errors, timeouts and non-2xx responses
+ */
+async function fetchJson(url, init = {}) {
+  return (await fetchOk(url, init)).json();
+}
+
+/**
+ * How long a response may be cached, from its Cache-Control max-age less
+ * its Age, kept within sane bounds.
+ *
+ * @param {Headers} headers
+ * @param {number} fallbackMs - When the response doesn't say
+ * @returns {number} milliseconds
+ */
+function cacheLifetime(headers, fallbackMs) {
+  const cacheControl = headers.get('cache-control') || '';
+  if (/no-cache|no-store/i.test(cacheControl)) return MIN_CACHE_MS;
+
+  const maxAge = cacheControl.match(/(?:^|,)\s*max-age=(\d+)/i);
+  if (!maxAge) return fallbackMs;
+
+  const age = parseInt(headers.get('age'), 10) || 0;
+  return Math.min(Math.max((Number(maxAge[1]) - age) * 1000, MIN_CACHE_MS), MAX_CACHE_MS);
+}
+
+// ─── Key set ──────────────────────────────────────────────────────────────────
+
+class JwksClient {
+  /**
+   * @param {string} jwksUri
+   * @param {object} [options]
+   * @param {number} [options.cacheMs]    - How long keys are trusted when the response has no max-age
+   * @param {number} [options.cooldownMs] - Minimum gap between fetches outside the schedule
+   */
+  constructor(jwksUri, { cacheMs = DEFAULT_CACHE_MS, cooldownMs = REFETCH_COOLDOWN_MS } = {}) {
+    this.jwksUri = jwksUri;
+    this.cacheMs = cacheMs;
+    this.cooldownMs = cooldownMs;
+    this.keys = new Map(); // kid → KeyObject
+    this.refreshAt = 0;
+    this.expiresAt = 0;
+    this.attemptedAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * The public key for a key id, fetching the key set if needed.
+   *
+   * @param {string} [kid] - From the JWT header; may be absent if the set has one key
+   * @returns {Promise<crypto.KeyObject>}
+   * @throws {Error} 'Unknown signing key'
+   */
+  async getKey(kid) {
+    const now = Date.now();
+    const cooledDown = now - this.attemptedAt >= this.cooldownMs;
+
+    if (now >= this.expiresAt && (this.keys.size === 0 || cooledDown)) {
+      try {
+        await this.refresh();
+      } catch (e) {
+        // Keys rarely change — better to keep using the old set than fail every sign-in
+        if (this.keys.size === 0) throw e;
+        console.warn(`[JWKS] Refresh of ${this.jwksUri} failed, using cached keys:`, e.message);
+      }
+    } else if (now >= this.refreshAt && cooledDown) {
+      this.refresh().catch((e) => console.warn(`[JWKS] Background refresh of ${this.jwksUri} failed:`, e.message));
+    }
+
+    let key = this.find(kid);
+    if (!key && Date.now() - this.attemptedAt >= this.cooldownMs) {
+      await this.refresh();
+      key = this.find(kid);
+    }
+    if (!key) throw new Error('Unknown signing key');
+    return key;
+  }
+
+  /** Fetch the key set now. Concurrent callers share one request. */
+  refresh() {
+    if (!this.pending) {
+      this.attemptedAt = Date.now();
+      this.pending = this.load().finally(() => { this.pending = null; });
+    }
+    return this.pending;
+  }
+
+  async load() {
+    const res = await fetchOk(this.jwksUri);
+    const { keys } = await res.json();
+    if (!Array.isArray(keys)) throw new Error('JWKS response has no keys');
+
+    const parsed = new Map();
+    for (const jwk of keys) {
+      if (jwk.use && jwk.use !== 'sig') continue;
+      try {
+        parsed.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (_) {
+        // Key types node:crypto can't import are of no use to us either
+      }
+    }
+    // Keys that dropped out of the set are gone at once — the issuer retired them
+    this.keys = parsed;
+
+    const fetchedAt = Date.now();
+    const lifetime = cacheLifetime(res.headers, this.cacheMs);
+    this.expiresAt = fetchedAt + lifetime;
+    this.refreshAt = fetchedAt + lifetime * REFRESH_AHEAD_RATIO;
+  }
+
+  find(kid) {
+    if (kid) return this.keys.get(kid);
+    return this.keys.size === 1 ? this.keys.values().next().value : undefined;
+  }
+}
+
+// ─── Verification ─────────────────────────────────────────────────────────────
+
+/**
+ * Verify a JWT's signature and standard claims.
+ *
+ * @param {string} token
+ * @param {JwksClient} jwks
+ * @param {object} expected
+ * @param {string|string[]} expected.issuer - Exact `iss` (or one of them)
+ * @param {string} expected.audience   - Must be in `aud`; with several audiences, must also be `azp`
+ * @param {string} [expected.nonce]    - Exact `nonce`, when the flow sent one
+ * @param {string[]} [expected.algorithms] - Allowed `alg` values (default RS256)
+ * @param {number} [expected.clockTolerance] - Seconds of leeway for clock skew on exp/nbf/iat (default 60)
+ * @returns {Promise<object>} the token's claims
+ * @throws {Error} 'Invalid ID token: <reason>'
+ * @throws {Error} the original error when the key set can't be fetched
+ *
+ * @example
+ * const claims = await verifyJwt(idToken, jwks, { issuer, audience: clientId, nonce });
+ */
+function verifyJwt(token, jwks, { issuer, audience, nonce, algorithms = ['RS256'], clockTolerance = 60 }) {
+  const allowed = algorithms.filter((alg) => ASYMMETRIC_ALGORITHMS.includes(alg));
+  let keyError = null;
+  const getKey = (header, callback) => {
+    jwks.getKey(header.kid).then((key) => callback(null, key), (e) => {
+      keyError = e;
+      callback(e);
+    });
+  };
+
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, getKey, { issuer, audience, algorithms: allowed, clockTolerance }, (err, claims) => {
+      // Couldn't reach the issuer — not the token's fault, so don't report it as invalid
+      if (keyError && keyError.message !== 'Unknown signing key') return reject(keyError);
+      if (err) return reject(new Error(`Invalid ID token: ${err.message}`));
+      if (typeof claims.exp !== 'number') return reject(new Error('Invalid ID token: no expiry'));
+      if (typeof claims.iat !== 'number') return reject(new Error('Invalid ID token: no issue time'));
+      if (claims.iat > Date.now() / 1000 + clockTolerance) return reject(new Error('Invalid ID token: issued in the future'));
+      if (!claims.sub) return reject(new Error('Invalid ID token: no subject'));
+      if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== audience) {
+        return reject(new Error('Invalid ID token: authorized party mismatch'));
+      }
+      if (nonce !== undefined && claims.nonce !== nonce) return reject(new Error('Invalid ID token: nonce mismatch'));
+      resolve(claims);
+    });
+  });
+}
+
+module.exports = { JwksClient, verifyJwt, fetchJson, ASYMMETRIC_ALGORITHMS };
@@ -0,0 +1,105 @@
+// api/services/mailer.js
+// Sends transactional email (password resets, verification links) through a
+// pluggable transport, picked once at startup with MAIL_TRANSPORT:
+//
+//   smtp    — a real mail server: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   file    — writes each message as an .eml file to MAIL_OUTBOX_DIR (default ./mail-outbox)
+//   console — prints the message to stdout
+//
+// Defaults to smtp when SMTP_HOST is set and console otherwise, so local dev
+// works with no configuration. Messages carry live tokens, so the file and
+// console transports must never be used in production.
+//
+// Usage:
+//   const { sendMail } = require('./mailer');
+//   await sendMail({ to: 'a@example.com', subject: 'Hi', text: '...' });
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+
+// ─── Transports ───────────────────────────────────────────────────────────────
+// A transport is { name, send(message) → Promise }. Register more with
+// registerTransport() before the first sendMail() call.
+
+const transports = {
+  smtp() {
+    const mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      ...(process.env.SMTP_USER && {
+        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+      }),
+    });
+    return { name: 'smtp', send: (message) => mailer.sendMail(message) };
+  },
+
+  file() {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+    // Builds the full RFC 822 message without sending it anywhere
+    const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      name: 'file',
+      async send(message) {
+        const info = await mailer.sendMail(message);
+        await fs.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+        await fs.writeFile(file, info.message);
+        console.log(`[Mail] Wrote "${message.subject}" for ${message.to} to ${file}`);
+        return info;
+      },
+    };
+  },
+
+  console() {
+    return {
+      name: 'console',
+      async send(message) {
+        console.log(`[Mail] To: ${message.to}\n[Mail] Subject: ${message.subject}\n${message.text}`);
+        return { messageId: null };
+      },
+    };
+  },
+};
+
+let instance = null;
+
+/**
+ * Add or replace a transport factory.
+ *
+ * @param {string}   name    - Value of MAIL_TRANSPORT that selects it
+ * @param {Function} factory - () → { name, send(message) → Promise }
+ */
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  instance = null;
+}
+
+function getTransport() {
+  if (instance) return instance;
+
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  const factory = transports[name];
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+
+  instance = factory();
+  if (name !== 'smtp' && process.env.NODE_ENV === 'production') {
+    console.warn(`[Mail] Using the "${name}" transport in production — emails will not be delivered`);
+  }
+  return instance;
+}
+
+/**
+ * Send an email through the configured transport.
+ *
+ * @param {object} message - { to, subject, text, html? }
+ * @returns {Promise<object>} transport-specific info
+ */
+async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, ...(html && { html }) });
+}
+
+module.exports = { sendMail, registerTransport };
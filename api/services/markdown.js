@@ -0,0 +1,97 @@
+// api/services/markdown.js
+// Renders post Markdown to HTML and sanitises it before it is stored.
+//
+// Posts keep the Markdown source in `content` and the rendered result in
+// `contentHtml`. Rendering happens once, on save, so readers are served
+// pre-sanitised HTML and the browser never parses untrusted Markdown.
+//
+// The output is deterministic: the same source always produces the same
+// HTML (fixed parser options, no generated ids, no timestamps), which keeps
+// ETags and the XSS regression tests stable.
+
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// A private parser instance — global marked.use() calls elsewhere can't
+// change how posts render
+const marked = new Marked({
+  gfm: true,
+  breaks: false,
+  async: false,
+});
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li',
+    'strong', 'em', 'del', 's', 'code', 'pre',
+    'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+    'input',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    ol: ['start'],
+    // GFM task-list checkboxes
+    input: ['type', 'checked', 'disabled'],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  // No javascript:, data:, vbscript: ... — relative URLs are still allowed
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  // Drop <script>/<style> along with their contents instead of escaping them
+  disallowedTagsMode: 'discard',
+  nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'iframe'],
+  transformTags: {
+    // Author links must not pass our origin to, or open a window handle for, other sites
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' }),
+    input: (tagName, attribs) => (
+      attribs.type === 'checkbox'
+        ? { tagName, attribs: { type: 'checkbox', disabled: '', ...(attribs.checked !== undefined && { checked: '' }) } }
+        : { tagName: 'span', attribs: {} }
+    ),
+  },
+};
+
+/**
+ * Render Markdown to sanitised HTML.
+ *
+ * @param {string} source - Markdown written by the author
+ * @returns {string} HTML safe to inject into the page
+ *
+ * @example
+ * renderMarkdown('# Hi <script>alert(1)</script>')  // → '<h1>Hi </h1>\n'
+ */
+function renderMarkdown(source) {
+  if (!source) return '';
+  const html = marked.parse(String(source));
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+/**
+ * Render Markdown to plain text — for search snippets and summaries.
+ * Goes through the same renderer so link URLs, emphasis markers and
+ * stripped HTML never leak into the text.
+ *
+ * @param {string} source - Markdown written by the author
+ * @returns {string} text with whitespace collapsed to single spaces
+ */
+function renderPlainText(source) {
+  const text = sanitizeHtml(renderMarkdown(source), { allowedTags: [], allowedAttributes: {} });
+  return text
+    .replace(/&(amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = { renderMarkdown, renderPlainText };
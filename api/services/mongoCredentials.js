@@ -0,0 +1,295 @@
+// api/services/mongoCredentials.js
+// Keeps the API's MongoDB connection on current credentials while Vault
+// rotates them.
+//
+// The blogapi user is a Vault static role: Vault owns its password and
+// changes it every rotation_period. static-creds returns the password and
+// the ttl until the next rotation, so we sleep until the rotation, fetch the
+// new password and move Mongoose onto it:
+//
+//   1. Open a new MongoClient with it and ping — a password that doesn't work
+//      never replaces one that does
+//   2. Hand Mongoose's connection the new client, in one synchronous step, so
+//      every query from then on runs on it and none sees the connection
+//      without a client
+//   3. Close the old client once the operations already running on it have
+//      finished (up to DRAIN_TIMEOUT_MS), rather than cutting them off
+//
+// Until Vault rotates, static-creds can only return the password being
+// replaced, so each refresh is timed for just after the ttl runs out. MongoDB
+// checks the password only when a socket signs in, so the open connection
+// keeps working in the seconds in between. Refreshes also run at least
+// hourly, and on SIGHUP (app.js), to pick up passwords rotated by hand.
+// Failures are retried with back-off; state is reported on /health/vault and
+// /metrics.
+
+const mongoose = require('mongoose');
+const client = require('prom-client');
+const { getVaultClient } = require('./vault');
+
+const CONNECT_OPTIONS = { serverSelectionTimeoutMS: 30000 };
+
+// Vault rotates on its own timer — give it a moment past the ttl
+const ROTATION_GRACE_MS = 2000;
+const MIN_REFRESH_DELAY_MS = 1000;
+const MAX_REFRESH_DELAY_MS = 60 * 60 * 1000;
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 60 * 1000;
+// Credentials this far past their rotation without a refresh are stale
+const STALE_AFTER_MS = 60 * 1000;
+// How long a replaced client may take to finish what it is running
+const DRAIN_TIMEOUT_MS = 30 * 1000;
+const DRAIN_POLL_MS = 100;
+
+let timer = null;
+let refreshing = null;
+let currentUri = null;
+
+const state = {
+  source: null, // 'vault' | 'env' (MONGO_URI — never rotates)
+  username: null,
+  lastRotation: null,
+  expiresAt: null, // when Vault next rotates the password
+  lastRefreshAt: null,
+  nextRefreshAt: null,
+  reconnects: 0,
+  failures: 0, // consecutive
+  lastError: null,
+};
+
+// ─── Metrics ──────────────────────────────────────────────────────────────────
+
+const isStale = (now = Date.now()) =>
+  state.source === 'vault' && state.expiresAt !== null && now - state.expiresAt.getTime() > STALE_AFTER_MS;
+
+new client.Gauge({
+  name: 'vault_mongo_credentials_ttl_seconds',
+  help: 'Seconds until Vault next rotates the MongoDB password (negative once overdue)',
+  collect() {
+    if (state.expiresAt) this.set((state.expiresAt.getTime() - Date.now()) / 1000);
+  },
+});
+
+new client.Gauge({
+  name: 'vault_mongo_credentials_stale',
+  help: '1 if the MongoDB credentials were rotated by Vault and not yet refreshed',
+  collect() {
+    this.set(isStale() ? 1 : 0);
+  },
+});
+
+const lastRefreshGauge = new client.Gauge({
+  name: 'vault_mongo_credentials_last_refresh_timestamp_seconds',
+  help: 'When MongoDB credentials were last fetched from Vault',
+});
+
+const reconnectCounter = new client.Counter({
+  name: 'vault_mongo_credentials_reconnects_total',
+  help: 'MongoDB reconnections onto rotated credentials',
+});
+
+const failureCounter = new client.Counter({
+  name: 'vault_mongo_credentials_refresh_failures_total',
+  help: 'Failed attempts to fetch or switch to new MongoDB credentials',
+});
+
+// ─── Connecting ───────────────────────────────────────────────────────────────
+
+// Operations in progress on each client. Every operation checks a connection
+// out of the driver's pool and back in when it's done.
+const inProgress = new WeakMap();
+
+function trackOperations(client) {
+  const count = (by) => () => inProgress.set(client, Math.max(0, (inProgress.get(client) || 0) + by));
+  client.on('connectionCheckOutStarted', count(1));
+  client.on('connectionCheckOutFailed', count(-1));
+  client.on('connectionCheckedIn', count(-1));
+}
+
+// Signs in with `uri` on a client of its own, leaving the live connection alone
+async function openClient(uri) {
+  const next = new mongoose.mongo.MongoClient(uri, CONNECT_OPTIONS);
+  trackOperations(next);
+  try {
+    await next.connect();
+    // connect() alone doesn't sign in — commands do
+    await next.db().command({ ping: 1 });
+    return next;
+  } catch (err) {
+    await next.close().catch(() => {});
+    throw err;
+  }
+}
+
+async function drainAndClose(client) {
+  const deadline = Date.now() + DRAIN_TIMEOUT_MS;
+  while (inProgress.get(client) > 0 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, DRAIN_POLL_MS).unref());
+  }
+  await client.close();
+}
+
+async function reconnect(uri) {
+  const next = await openClient(uri);
+  const connection = mongoose.connection;
+  const previous = connection.getClient();
+
+  // Mongoose follows its client's topology to keep readyState; the old
+  // client's is about to close and mustn't mark the connection down
+  previous.removeAllListeners('serverDescriptionChanged');
+  previous.removeAllListeners('topologyDescriptionChanged');
+  // setClient() only takes a disconnected connection; it reconnects it at once
+  connection.readyState = mongoose.STATES.disconnected;
+  connection.setClient(next);
+
+  drainAndClose(previous).catch((err) => {
+    console.error('[DB] Closing the replaced MongoDB client failed:', err.message);
+  });
+}
+
+function applyCredentials(credentials) {
+  state.source = credentials.source;
+  state.username = credentials.username || null;
+  state.lastRotation = credentials.lastRotation || null;
+  state.expiresAt = credentials.ttl ? new Date(Date.now() + credentials.ttl * 1000) : null;
+  state.lastRefreshAt = new Date();
+  lastRefreshGauge.set(state.lastRefreshAt.getTime() / 1000);
+}
+
+// ─── Scheduling ───────────────────────────────────────────────────────────────
+
+/**
+ * How long to wait before the next refresh: until just after Vault rotates,
+ * clamped to between a second and an hour.
+ *
+ * @param {Date|null} expiresAt - When Vault next rotates; null if unknown
+ * @param {number} [now]
+ * @returns {number} milliseconds
+ */
+function refreshDelay(expiresAt, now = Date.now()) {
+  if (!expiresAt) return MAX_REFRESH_DELAY_MS;
+  const delay = expiresAt.getTime() - now + ROTATION_GRACE_MS;
+  return Math.min(Math.max(delay, MIN_REFRESH_DELAY_MS), MAX_REFRESH_DELAY_MS);
+}
+
+const retryDelay = (failures) => Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+
+function schedule(delay) {
+  clearTimeout(timer);
+  state.nextRefreshAt = new Date(Date.now() + delay);
+  timer = setTimeout(tick, delay);
+  timer.unref(); // never keep the process alive on its own
+}
+
+function tick() {
+  return refreshCredentials()
+    .then(() => schedule(refreshDelay(state.expiresAt)))
+    .catch(() => schedule(retryDelay(state.failures)));
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Connect Mongoose with credentials from Vault (or MONGO_URI), then keep them
+ * current as Vault rotates the password.
+ *
+ * @throws if the first connection fails
+ */
+async function connectWithRotation() {
+  const credentials = await getVaultClient().getMongoCredentials();
+  await mongoose.connect(credentials.uri, CONNECT_OPTIONS);
+  trackOperations(mongoose.connection.getClient());
+  currentUri = credentials.uri;
+  applyCredentials(credentials);
+
+  if (credentials.source === 'vault') {
+    schedule(refreshDelay(state.expiresAt));
+    console.log(`[DB] Refreshing MongoDB credentials at ${state.nextRefreshAt.toISOString()}`);
+  }
+}
+
+/**
+ * Fetch credentials from Vault now, and reconnect if the password changed.
+ * Concurrent calls share one refresh.
+ *
+ * @returns {Promise<{ reconnected: boolean }>}
+ */
+function refreshCredentials() {
+  if (refreshing) return refreshing;
+
+  refreshing = (async () => {
+    try {
+      const credentials = await getVaultClient().getMongoCredentials();
+      const reconnected = credentials.uri !== currentUri;
+      if (reconnected) {
+        await reconnect(credentials.uri);
+        currentUri = credentials.uri;
+        state.reconnects += 1;
+        reconnectCounter.inc();
+        console.log(`[DB] Reconnected to MongoDB with rotated credentials for ${credentials.username || 'MONGO_URI'}`);
+      }
+      applyCredentials(credentials);
+      state.failures = 0;
+      state.lastError = null;
+      return { reconnected };
+    } catch (err) {
+      state.failures += 1;
+      state.lastError = err.message;
+      failureCounter.inc();
+      console.error(`[DB] MongoDB credential refresh failed (attempt ${state.failures}):`, err.message);
+      throw err;
+    }
+  })().finally(() => {
+    refreshing = null;
+  });
+
+  return refreshing;
+}
+
+/**
+ * Refresh now rather than at the next scheduled time — for when the password
+ * was rotated by hand. Failures are retried like scheduled refreshes. Does
+ * nothing unless credentials come from Vault.
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshNow() {
+  if (!timer) return;
+  await tick();
+}
+
+/**
+ * Rotation state, for /health/vault. Never includes the password.
+ */
+function credentialStatus() {
+  const now = Date.now();
+  return {
+    source: state.source,
+    username: state.username,
+    lastRotation: state.lastRotation,
+    expiresAt: state.expiresAt,
+    ttlSeconds: state.expiresAt ? Math.round((state.expiresAt.getTime() - now) / 1000) : null,
+    lastRefreshAt: state.lastRefreshAt,
+    nextRefreshAt: timer ? state.nextRefreshAt : null,
+    reconnects: state.reconnects,
+    failures: state.failures,
+    lastError: state.lastError,
+    stale: isStale(now),
+  };
+}
+
+function stopCredentialRotation() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  connectWithRotation,
+  refreshCredentials,
+  refreshNow,
+  credentialStatus,
+  stopCredentialRotation,
+  refreshDelay,
+};
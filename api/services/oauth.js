@@ -1,69 +1,59 @@
 // api/services/oauth.js
 // Verifies Google ID tokens and extracts user info.
-// Uses Google's tokeninfo endpoint — no extra dependencies needed.
+// Tokens are checked locally against Google's published signing keys
+// (services/jwks.js caches them per Google's Cache-Control), so a sign-in
+// needs no call to Google — no extra dependencies needed either.
 
-const https = require('https');
+const { JwksClient, verifyJwt } = require('./jwks');
 
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
+const GOOGLE_JWKS_URI = 'https://www.googleapis.com/oauth2/v3/certs';
+// Google uses both forms
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
 
 if (!GOOGLE_CLIENT_ID) {
   console.warn('[OAuth] GOOGLE_CLIENT_ID not set — Google SSO will not work');
 }
 
+const googleKeys = new JwksClient(GOOGLE_JWKS_URI);
+
 /**
  * Verifies a Google ID token and returns the user's profile.
  * @param {string} idToken — the token sent from the frontend
+ * @param {object} [options]
+ * @param {object} [options.jwks] — key source, for tests (default: Google's JWKS)
  * @returns {{ googleId, email, name, picture }} — verified user info
+ * @throws {Error} 'Invalid Google token: <reason>' when the token is bad;
+ *   any other error means Google's keys couldn't be fetched
  */
-async function verifyGoogleToken(idToken) {
+async function verifyGoogleToken(idToken, { jwks = googleKeys } = {}) {
   if (!GOOGLE_CLIENT_ID) {
     throw new Error('GOOGLE_CLIENT_ID is not configured');
   }
 
-  return new Promise((resolve, reject) => {
-    const url = `https://oauth2.googleapis.com/tokeninfo?id_token=${encodeURIComponent(idToken)}`;
-
-    https.get(url, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        try {
-          const payload = JSON.parse(data);
-
-          // Token verification failed
-          if (payload.error_description || res.statusCode !== 200) {
-            return reject(new Error(`Invalid Google token: ${payload.error_description || 'unknown error'}`));
-          }
-
-          // Ensure token was issued for our app
-          if (payload.aud !== GOOGLE_CLIENT_ID) {
-            return reject(new Error('Token audience mismatch — wrong client ID'));
-          }
-
-          // Ensure token is not expired
-          if (Date.now() / 1000 > parseInt(payload.exp)) {
-            return reject(new Error('Google token has expired'));
-          }
+  let payload;
+  try {
+    payload = await verifyJwt(idToken, jwks, {
+      issuer: GOOGLE_ISSUERS,
+      audience: GOOGLE_CLIENT_ID,
+      algorithms: ['RS256'],
+    });
+  } catch (e) {
+    if (!e.message.startsWith('Invalid ID token')) throw e;
+    throw new Error(`Invalid Google token: ${e.message.replace('Invalid ID token: ', '')}`);
+  }
 
-          // Ensure email is verified by Google
-          if (payload.email_verified !== 'true') {
-            return reject(new Error('Google email is not verified'));
-          }
+  // Ensure email is verified by Google
+  if (!payload.email || payload.email_verified !== true) {
+    throw new Error('Invalid Google token: email is not verified');
+  }
 
-          resolve({
-            googleId: payload.sub,
-            email: payload.email,
-            name: payload.name || payload.email.split('@')[0],
-            picture: payload.picture || null,
-          });
-        } catch (e) {
-          reject(new Error(`Failed to parse Google token response: ${e.message}`));
-        }
-      });
-    }).on('error', (e) => {
-      reject(new Error(`Google token verification request failed: ${e.message}`));
-    });
-  });
+  return {
+    googleId: payload.sub,
+    email: payload.email,
+    name: payload.name || payload.email.split('@')[0],
+    picture: payload.picture || null,
+  };
 }
 
 module.exports = { verifyGoogleToken };
\ No newline at end of file
@@ -0,0 +1,346 @@
+// api/services/oidc.js
+// Sign-in with external identity providers: any OpenID Connect issuer
+// (Keycloak, Microsoft Entra ID, Okta, Google, ...) plus GitHub, which only
+// speaks plain OAuth 2.0.
+//
+// Providers are configured with OIDC_PROVIDERS (a JSON array) or
+// OIDC_PROVIDERS_FILE (path to a file holding one):
+//   [{ "name": "keycloak", "label": "Keycloak",
+//      "issuer": "https://sso.example.com/realms/blog",
+//      "clientId": "blog", "clientSecret": "..." },
+//    { "name": "github", "type": "github", "clientId": "...", "clientSecret": "..." }]
+// Register <site>/api/auth/<name>/callback as the redirect URI with each provider.
+//
+// Flow (authorization code with PKCE):
+//   1. startAuthorization()    — new state, nonce and PKCE verifier (models/OAuthState.js),
+//                                the browser goes to the provider's authorization URL
+//   2. completeAuthorization() — the provider sends the browser back with a code; the
+//                                state is spent, the code exchanged at the token endpoint
+//                                and the ID token verified locally (services/jwks.js)
+//   3. issueLoginCode() / redeemLoginCode() — hand the session to the SPA without
+//                                putting tokens in a URL
+
+const crypto = require('crypto');
+const fs = require('fs');
+const Joi = require('joi');
+const OAuthState = require('../models/OAuthState');
+const { JwksClient, verifyJwt, fetchJson } = require('./jwks');
+
+const ATTEMPT_TTL_MS = 10 * 60 * 1000;
+const LOGIN_CODE_TTL_MS = 2 * 60 * 1000;
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+
+const GITHUB = {
+  authorization_endpoint: 'https://github.com/login/oauth/authorize',
+  token_endpoint: 'https://github.com/login/oauth/access_token',
+  user_endpoint: 'https://api.github.com/user',
+  emails_endpoint: 'https://api.github.com/user/emails',
+  scopes: ['read:user', 'user:email'],
+};
+
+// Taken by other /api/auth/* routes or by built-in sign-in methods. 'google'
+// is the built-in Google sign-in (POST /api/auth/google): a provider of that
+// name would share its identities, so a subject from one could sign in as
+// whoever linked the other.
+const RESERVED_NAMES = ['providers', 'exchange', 'refresh', 'local', 'passkey', 'google'];
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+
+const providerSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z0-9-]+$/).max(30).invalid(...RESERVED_NAMES).required(),
+  type: Joi.string().valid('oidc', 'github').default('oidc'),
+  label: Joi.string().max(40),
+  issuer: Joi.string().uri().when('type', { is: 'oidc', then: Joi.required(), otherwise: Joi.forbidden() }),
+  clientId: Joi.string().required(),
+  // Optional: public clients rely on PKCE alone
+  clientSecret: Joi.string(),
+  scopes: Joi.array().items(Joi.string()),
+});
+
+/**
+ * Parse and validate a provider list.
+ *
+ * @param {string} json - JSON array of provider settings
+ * @returns {object[]} providers with defaults filled in
+ * @throws {Error} if the JSON or any provider is invalid
+ */
+function parseProviders(json) {
+  const { error, value } = Joi.array().items(providerSchema).unique('name').validate(JSON.parse(json));
+  if (error) throw new Error(error.details[0].message);
+
+  return value.map((provider) => ({
+    ...provider,
+    label: provider.label || (provider.type === 'github' ? 'GitHub' : provider.name),
+    scopes: provider.scopes || (provider.type === 'github' ? GITHUB.scopes : DEFAULT_SCOPES),
+  }));
+}
+
+let registry = null;
+
+function loadRegistry() {
+  const file = process.env.OIDC_PROVIDERS_FILE;
+  const json = file ? fs.readFileSync(file, 'utf8') : process.env.OIDC_PROVIDERS;
+  if (!json) return new Map();
+  try {
+    return new Map(parseProviders(json).map((provider) => [provider.name, provider]));
+  } catch (e) {
+    console.error('[OIDC] Provider configuration is invalid, external sign-in is disabled:', e.message);
+    return new Map();
+  }
+}
+
+/** @returns {object|null} the configured provider called `name` */
+function getProvider(name) {
+  if (!registry) registry = loadRegistry();
+  return registry.get(name) || null;
+}
+
+/** @returns {{ name: string, label: string }[]} what the login page can offer */
+function listProviders() {
+  if (!registry) registry = loadRegistry();
+  return [...registry.values()].map(({ name, label }) => ({ name, label }));
+}
+
+// ─── Discovery and keys ───────────────────────────────────────────────────────
+
+const discoveryCache = new Map(); // issuer → { metadata, fetchedAt }
+const jwksClients = new Map(); // jwks_uri → JwksClient
+
+/**
+ * The issuer's discovery document (/.well-known/openid-configuration), cached.
+ *
+ * @param {string} issuer
+ * @returns {Promise<object>}
+ * @throws {Error} if it can't be fetched or names a different issuer
+ */
+async function discover(issuer) {
+  const cached = discoveryCache.get(issuer);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_CACHE_MS) return cached.metadata;
+
+  let metadata;
+  try {
+    metadata = await fetchJson(`${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`);
+  } catch (e) {
+    if (cached) return cached.metadata;
+    throw e;
+  }
+  // The spec requires an exact match; anything else means we were pointed at the wrong place
+  if (metadata.issuer !== issuer) throw new Error(`Discovery document is for issuer ${metadata.issuer}`);
+
+  discoveryCache.set(issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+function jwksFor(jwksUri) {
+  if (!jwksClients.has(jwksUri)) jwksClients.set(jwksUri, new JwksClient(jwksUri));
+  return jwksClients.get(jwksUri);
+}
+
+const endpoints = (provider) => (provider.type === 'github' ? GITHUB : discover(provider.issuer));
+
+// ─── Protocol ─────────────────────────────────────────────────────────────────
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Where to send the browser to sign in.
+ *
+ * @param {object} provider
+ * @param {object} params - { state, nonce, codeVerifier, redirectUri }
+ * @returns {Promise<string>}
+ */
+async function authorizationUrl(provider, { state, nonce, codeVerifier, redirectUri }) {
+  const { authorization_endpoint: endpoint } = await endpoints(provider);
+  const url = new URL(endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes.join(' '),
+    state,
+    ...(provider.type === 'oidc' && { nonce }),
+    code_challenge: sha256(codeVerifier).toString('base64url'),
+    code_challenge_method: 'S256',
+  }).toString();
+  return url.toString();
+}
+
+async function exchangeCode(provider, { code, codeVerifier, redirectUri }) {
+  const { token_endpoint: endpoint } = await endpoints(provider);
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+    ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+  });
+  const tokens = await fetchJson(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body,
+  });
+  // GitHub reports failures with a 200 and an error field
+  if (tokens.error) throw new Error(`Token request failed: ${tokens.error}`);
+  return tokens;
+}
+
+async function oidcProfile(provider, tokens, nonce) {
+  if (!tokens.id_token) throw new Error('Invalid ID token: none returned');
+  const metadata = await discover(provider.issuer);
+  let claims = await verifyJwt(tokens.id_token, jwksFor(metadata.jwks_uri), {
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+    nonce,
+    algorithms: metadata.id_token_signing_alg_values_supported || ['RS256'],
+  });
+
+  // Some providers keep the email out of the ID token and only serve it from userinfo
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+    if (userinfo.sub === claims.sub) claims = { ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+  }
+
+  return {
+    subject: claims.sub,
+    email: claims.email || null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || claims.preferred_username || null,
+    picture: claims.picture || null,
+  };
+}
+
+async function githubProfile(tokens) {
+  const headers = { Authorization: `Bearer ${tokens.access_token}`, 'User-Agent': 'blog-api' };
+  const [user, emails] = await Promise.all([
+    fetchJson(GITHUB.user_endpoint, { headers }),
+    fetchJson(GITHUB.emails_endpoint, { headers }),
+  ]);
+  const primary = emails.find((e) => e.primary && e.verified);
+
+  return {
+    subject: String(user.id),
+    email: primary ? primary.email : null,
+    emailVerified: Boolean(primary),
+    name: user.name || user.login,
+    picture: user.avatar_url || null,
+  };
+}
+
+/**
+ * Trade an authorization code for the user's verified profile.
+ *
+ * @param {object} provider
+ * @param {object} params - { code, codeVerifier, nonce, redirectUri }
+ * @returns {Promise<{ subject: string, email: string|null, emailVerified: boolean, name: string|null, picture: string|null }>}
+ * @throws {Error} 'Invalid ID token: <reason>' and network/provider errors
+ */
+async function fetchProfile(provider, { code, codeVerifier, nonce, redirectUri }) {
+  const tokens = await exchangeCode(provider, { code, codeVerifier, redirectUri });
+  return provider.type === 'github' ? githubProfile(tokens) : oidcProfile(provider, tokens, nonce);
+}
+
+// ─── Sign-in attempts ─────────────────────────────────────────────────────────
+
+/**
+ * Begin a sign-in (or, with linkUserId, linking) attempt.
+ *
+ * @param {object} provider
+ * @param {string} redirectUri
+ * @param {object} [options] - { linkUserId }
+ * @returns {Promise<{ state: string, url: string }>} bind `state` to the browser, send it to `url`
+ */
+async function startAuthorization(provider, redirectUri, { linkUserId = null } = {}) {
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+
+  const url = await authorizationUrl(provider, { state, nonce, codeVerifier, redirectUri });
+  await OAuthState.create({
+    state,
+    provider: provider.name,
+    nonce,
+    codeVerifier,
+    linkUserId,
+    expiresAt: new Date(Date.now() + ATTEMPT_TTL_MS),
+  });
+  return { state, url };
+}
+
+/**
+ * Handle the provider's redirect back. The attempt is marked completed first,
+ * so a callback URL can only be used once.
+ *
+ * @param {object} provider
+ * @param {object} params - { code, state } from the callback query
+ * @param {string} redirectUri - Same as given to startAuthorization
+ * @returns {Promise<{ attempt: object, profile: object }>}
+ * @throws {Error} 'Sign-in expired'
+ */
+async function completeAuthorization(provider, { code, state }, redirectUri) {
+  const attempt = await OAuthState.findOneAndUpdate(
+    { state, provider: provider.name, completedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { completedAt: new Date() } },
+    { new: true }
+  );
+  if (!attempt) throw new Error('Sign-in expired');
+
+  const profile = await fetchProfile(provider, {
+    code,
+    codeVerifier: attempt.codeVerifier,
+    nonce: attempt.nonce,
+    redirectUri,
+  });
+  return { attempt, profile };
+}
+
+/**
+ * Record who signed in and return a short-lived code the SPA trades for a session.
+ *
+ * @param {object} attempt - From completeAuthorization
+ * @param {string|ObjectId} userId
+ * @returns {Promise<string>}
+ */
+async function issueLoginCode(attempt, userId) {
+  const code = randomToken();
+  await OAuthState.updateOne(
+    { _id: attempt._id },
+    { $set: { userId, loginCodeHash: sha256(code).toString('hex'), expiresAt: new Date(Date.now() + LOGIN_CODE_TTL_MS) } }
+  );
+  return code;
+}
+
+/**
+ * Spend a login code. Needs the state too, which only the browser that
+ * started the attempt has.
+ *
+ * @param {string} state
+ * @param {string} code
+ * @returns {Promise<ObjectId|null>} id of the user who signed in
+ */
+async function redeemLoginCode(state, code) {
+  const attempt = await OAuthState.findOneAndDelete({
+    state,
+    loginCodeHash: sha256(String(code)).toString('hex'),
+    userId: { $ne: null },
+    expiresAt: { $gt: new Date() },
+  });
+  return attempt ? attempt.userId : null;
+}
+
+module.exports = {
+  parseProviders,
+  getProvider,
+  listProviders,
+  discover,
+  authorizationUrl,
+  fetchProfile,
+  startAuthorization,
+  completeAuthorization,
+  issueLoginCode,
+  redeemLoginCode,
+};
@@ -0,0 +1,50 @@
+// api/services/oneTimeTokens.js
+// Issues and redeems the single-use tokens sent in emails (models/OneTimeToken.js).
+//
+// Tokens are 256 random bits, base64url, stored only as SHA-256. Issuing a new
+// token for a user and purpose discards any earlier unused one, so only the
+// most recent email works.
+
+const crypto = require('crypto');
+const OneTimeToken = require('../models/OneTimeToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a token for a user.
+ *
+ * @param {string|ObjectId} userId
+ * @param {string} purpose - One of the OneTimeToken purposes, e.g. 'password-reset'
+ * @param {number} ttlMs   - How long the token stays valid
+ * @returns {Promise<string>} the raw token — send it, never store it
+ */
+async function issueToken(userId, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await OneTimeToken.deleteMany({ userId, purpose, usedAt: null });
+  await OneTimeToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+}
+
+/**
+ * Redeem a token. Marking it used is a single atomic update, so two
+ * concurrent requests can't both spend the same token.
+ *
+ * @param {string} token
+ * @param {string} purpose
+ * @returns {Promise<object|null>} the spent token document, or null if the
+ *   token is unknown, expired, already used or issued for another purpose
+ */
+async function consumeToken(token, purpose) {
+  return OneTimeToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+}
+
+module.exports = { issueToken, consumeToken };
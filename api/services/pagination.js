@@ -0,0 +1,169 @@
+// api/services/pagination.js
+// Opaque cursor (keyset) pagination for list endpoints.
+//
+// Instead of skip/offset — which gets slower the deeper you page and shifts
+// when new posts arrive — each page ends with a cursor that encodes the sort
+// value and _id of its last document. The next page asks MongoDB for documents
+// strictly "after" that pair, which an index on { field, _id } serves directly.
+//
+// Cursors are base64url JSON. Clients must treat them as opaque strings.
+
+const mongoose = require('mongoose');
+
+// Supported sort orders — the key is what clients pass as ?sort=
+const SORTS = {
+  newest: { field: 'createdAt', order: -1 },
+  oldest: { field: 'createdAt', order: 1 },
+  title:  { field: 'title',     order: 1 },
+};
+
+// Full-text search results page by descending $text score. Not in SORTS,
+// so it can't be requested on plain listings where there is no score.
+const RELEVANCE = 'relevance';
+const SEARCH_SORT = { field: 'score', order: -1 };
+
+// Public post listings go by when a post went live rather than when it was
+// written, so a draft published today comes first. Clients still ask for
+// newest/oldest; paginatePublished() maps them to these keys, which only
+// appear inside cursors. Every public post has publishAt set (models/Post.js).
+const PUBLISHED_SORTS = {
+  newest: 'published-newest',
+  oldest: 'published-oldest',
+};
+
+const SORT_SPECS = {
+  ...SORTS,
+  [RELEVANCE]: SEARCH_SORT,
+  [PUBLISHED_SORTS.newest]: { field: 'publishAt', order: -1 },
+  [PUBLISHED_SORTS.oldest]: { field: 'publishAt', order: 1 },
+};
+const DATE_FIELDS = ['createdAt', 'publishAt'];
+
+const sortSpec = (sortKey) => SORT_SPECS[sortKey];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encode the position of a document within a sort order as an opaque cursor.
+ *
+ * @param {object} doc     - Last document of the current page
+ * @param {string} sortKey - One of the SORTS keys, RELEVANCE or a PUBLISHED_SORTS value
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(doc, sortKey) {
+  const { field } = sortSpec(sortKey);
+  const value = doc[field] instanceof Date ? doc[field].getTime() : doc[field];
+  const payload = { s: sortKey, v: value, id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor().
+ * Returns null if the cursor is malformed or was issued for a different sort,
+ * so the route can answer 400 instead of silently restarting from page one.
+ *
+ * @param {string} cursor
+ * @param {string} sortKey
+ * @returns {{ value: *, id: mongoose.Types.ObjectId } | null}
+ */
+function decodeCursor(cursor, sortKey) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || payload.s !== sortKey || !mongoose.isValidObjectId(payload.id)) {
+      return null;
+    }
+    const { field } = sortSpec(sortKey);
+    const value = DATE_FIELDS.includes(field) ? new Date(payload.v) : payload.v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+    if (value === undefined || value === null) return null;
+    // Reject values of the wrong type so they can't turn into query operators
+    if (field === 'score' && typeof value !== 'number') return null;
+    if (field === 'title' && typeof value !== 'string') return null;
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Build the MongoDB filter that selects documents after a decoded cursor.
+ * Ties on the sort field are broken by _id in the same direction.
+ */
+function afterCursor(sortKey, { value, id }) {
+  const { field, order } = sortSpec(sortKey);
+  const op = order === -1 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } },
+    ],
+  };
+}
+
+// One page of Model.find(filter) in the order of sortKey (a SORT_SPECS key)
+async function findPage(Model, filter, sortKey, { limit, cursor, select }) {
+  const { field, order } = sortSpec(sortKey);
+  const conditions = [filter];
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor, sortKey);
+    if (!decoded) throw new Error('Invalid cursor');
+    conditions.push(afterCursor(sortKey, decoded));
+  }
+
+  let query = Model.find(conditions.length > 1 ? { $and: conditions } : filter)
+    .sort({ [field]: order, _id: order })
+    .limit(limit + 1);
+  if (select) query = query.select(select);
+
+  const docs = await query;
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore ? encodeCursor(items[items.length - 1], sortKey) : null;
+
+  return { items, nextCursor, hasMore };
+}
+
+/**
+ * Fetch one page of documents.
+ *
+ * @param {object} Model   - Mongoose model
+ * @param {object} filter  - Base query filter (already validated)
+ * @param {object} options - { sort, limit, cursor, select }
+ * @returns {Promise<{ items: object[], nextCursor: string|null, hasMore: boolean }>}
+ * @throws {Error} 'Invalid cursor' if the cursor cannot be decoded
+ *
+ * @example
+ * const page = await paginate(Post, { author: 'mali' }, { sort: 'newest', limit: 10 });
+ * res.json({ posts: page.items, nextCursor: page.nextCursor, hasMore: page.hasMore });
+ */
+async function paginate(Model, filter, { sort = 'newest', limit = DEFAULT_LIMIT, cursor, select } = {}) {
+  return findPage(Model, filter, sort, { limit, cursor, select });
+}
+
+/**
+ * Fetch one page of posts for a public listing, where newest and oldest go by
+ * publishAt (see PUBLISHED_SORTS). Other sorts are as paginate().
+ *
+ * @param {object} Model   - Mongoose model with publishAt
+ * @param {object} filter  - Base query filter (already validated)
+ * @param {object} options - { sort, limit, cursor, select }
+ * @returns {Promise<{ items: object[], nextCursor: string|null, hasMore: boolean }>}
+ * @throws {Error} 'Invalid cursor' if the cursor cannot be decoded
+ */
+async function paginatePublished(Model, filter, { sort = 'newest', limit = DEFAULT_LIMIT, cursor, select } = {}) {
+  return findPage(Model, filter, PUBLISHED_SORTS[sort] || sort, { limit, cursor, select });
+}
+
+module.exports = {
+  paginate,
+  paginatePublished,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  SORTS,
+  RELEVANCE,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+};
@@ -0,0 +1,82 @@
+// api/services/passwordReset.js
+// "Forgot password" for local accounts.
+//
+//   1. requestPasswordReset(email) — finds the account through the emailIndex
+//      blind index (email itself is Vault ciphertext) and mails a reset link
+//   2. resetPassword(token, password) — spends the token, sets the new
+//      password and signs the user out of every session
+//
+// Nothing here tells the caller whether an account exists; the route answers
+// the same way either way.
+
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { issueToken, consumeToken } = require('./oneTimeTokens');
+const { revokeAllSessions } = require('./sessions');
+const { sendMail } = require('./mailer');
+
+const RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+/**
+ * Email a password reset link if the address belongs to a local account.
+ * Silently does nothing otherwise.
+ *
+ * @param {string} email
+ * @param {string|null} siteUrl - Public URL of the frontend (SITE_URL), for the
+ *   link. Never derive it from the request.
+ */
+async function requestPasswordReset(email, siteUrl) {
+  if (!siteUrl) {
+    console.warn('[PasswordReset] SITE_URL not set — not sending reset links');
+    return;
+  }
+  if (!process.env.BLIND_INDEX_PEPPER) {
+    console.warn('[PasswordReset] BLIND_INDEX_PEPPER not set — cannot look up accounts by email');
+    return;
+  }
+
+  const user = await User.findByEmail(email);
+  // Google-only accounts have no password to reset
+  if (!user || !user.password || !user.email) return;
+
+  const token = await issueToken(user._id, 'password-reset', RESET_TTL_MINUTES * 60 * 1000);
+  const link = `${siteUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your account. If it was you, open this link:',
+      '',
+      link,
+      '',
+      `The link works once and expires in ${RESET_TTL_MINUTES} minutes.`,
+      'If you did not ask for this, you can ignore this email — your password has not changed.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Set a new password using a reset token.
+ *
+ * @param {string} token
+ * @param {string} password - Already validated
+ * @throws {Error} 'Invalid or expired token'
+ */
+async function resetPassword(token, password) {
+  const spent = await consumeToken(token, 'password-reset');
+  if (!spent) throw new Error('Invalid or expired token');
+
+  const user = await User.findById(spent.userId);
+  if (!user) throw new Error('Invalid or expired token');
+
+  user.password = await bcrypt.hash(password, 12);
+  await user.save();
+
+  // Whoever knew the old password may still hold a session
+  await revokeAllSessions(user._id, 'password reset');
+}
+
+module.exports = { requestPasswordReset, resetPassword };
@@ -196,8 +196,9 @@ function blindIndex(value, pepper) {
  *
  * @param {object}   doc    - Mongoose document or plain object
  * @param {string[]} fields - Field names to encrypt
+ * @param {string}   [key]  - Transit key name (default: the shared PII key)
  */
-async function encryptPII(doc, fields = DEFAULT_PII_FIELDS) {
+async function encryptPII(doc, fields = DEFAULT_PII_FIELDS, key) {
   const vault = getVaultClient();
   const toEncrypt = [];
   const fieldNames = [];
@@ -212,7 +213,7 @@ async function encryptPII(doc, fields = DEFAULT_PII_FIELDS) {
 
   if (toEncrypt.length === 0) return;
 
-  const ciphertexts = await vault.encryptBatch(toEncrypt);
+  const ciphertexts = await vault.encryptBatch(toEncrypt, key || undefined);
   fieldNames.forEach((field, i) => {
     doc[field] = ciphertexts[i];
   });
@@ -226,8 +227,9 @@ async function encryptPII(doc, fields = DEFAULT_PII_FIELDS) {
  *
  * @param {object}   doc    - Mongoose document or plain object
  * @param {string[]} fields - Field names to decrypt
+ * @param {string}   [key]  - Transit key name they were encrypted with
  */
-async function decryptPII(doc, fields = DEFAULT_PII_FIELDS) {
+async function decryptPII(doc, fields = DEFAULT_PII_FIELDS, key) {
   const vault = getVaultClient();
 
   const obj = doc.toObject ? doc.toObject() : doc;
@@ -244,7 +246,7 @@ async function decryptPII(doc, fields = DEFAULT_PII_FIELDS) {
 
   if (toDecrypt.length === 0) return;
 
-  const plaintexts = await vault.decryptBatch(toDecrypt);
+  const plaintexts = await vault.decryptBatch(toDecrypt, key || undefined);
   fieldNames.forEach((field, i) => {
     if (doc.set) {
       doc.set(field, plaintexts[i]);
@@ -309,7 +311,7 @@ async function _rewrapBatch(vault, docs, fields) {
       for (const field of fields) {
         const value = doc[field];
         if (isEncrypted(value)) {
-          doc[field] = await vault.rewrap(value);
+          doc[field] = await vault.rewrap(value, doc.piiKey || undefined);
           changed = true;
         }
       }
@@ -318,6 +320,45 @@ async function _rewrapBatch(vault, docs, fields) {
   );
 }
 
+// ─── Per-user keys (crypto-shredding) ────────────────────────────────────────
+
+/**
+ * Name of the Transit key that encrypts one user's PII.
+ * @param {string|ObjectId} userId
+ * @returns {string} e.g. 'pii-user-65f1c0...'
+ */
+const userKeyName = (userId) => `pii-user-${userId}`;
+
+/**
+ * Create the Transit key for a user's PII. Safe to call again for the same user.
+ *
+ * @param {string|ObjectId} userId
+ * @returns {Promise<string|null>} the key name, or null when Vault isn't
+ *   configured (PII is then stored as-is and there is nothing to shred)
+ */
+async function createUserKey(userId) {
+  const vault = getVaultClient();
+  if (!vault.configured) return null;
+  const key = userKeyName(userId);
+  await vault.createKey(key);
+  return key;
+}
+
+/**
+ * Delete a user's Transit key. Everything encrypted with it — in the database
+ * and in every backup of it — can never be decrypted again.
+ * Safe to call again once the key is gone.
+ *
+ * @param {string} key - The user's piiKey
+ * @returns {Promise<boolean>} false if the key was already gone
+ */
+async function shredUserKey(key) {
+  if (!key || !key.startsWith('pii-user-')) {
+    throw new Error(`Refusing to delete Transit key ${key} — not a per-user key`);
+  }
+  return getVaultClient().deleteKey(key);
+}
+
 // ─── Exports ──────────────────────────────────────────────────────────────────
 
 module.exports = {
@@ -341,6 +382,11 @@ module.exports = {
   // Key rotation
   rewrapCollection,
 
+  // Per-user keys
+  userKeyName,
+  createUserKey,
+  shredUserKey,
+
   // Constants
   DEFAULT_PII_FIELDS,
 };
\ No newline at end of file
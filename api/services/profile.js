@@ -0,0 +1,84 @@
+// api/services/profile.js
+// Self-service changes to a user's own profile — the Vault-encrypted PII
+// fields (email, fullName, phone, creditCard).
+//
+// Changes go through user.save(), so models/User.js's pre('save') hook
+// encrypts them and keeps emailIndex and creditCardLast4 in step.
+
+const User = require('../models/User');
+const OneTimeToken = require('../models/OneTimeToken');
+
+const PROFILE_FIELDS = ['email', 'fullName', 'phone', 'creditCard'];
+
+/**
+ * Luhn checksum, as carried by every payment card number.
+ * Catches typos; says nothing about whether the card exists.
+ *
+ * @param {string} digits - Card number, digits only
+ * @returns {boolean}
+ *
+ * @example
+ * luhnValid('4111111111111111') // → true
+ * luhnValid('4111111111111112') // → false
+ */
+function luhnValid(digits) {
+  if (!/^\d+$/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Apply validated changes to a user's profile. Fields left out are kept;
+ * null clears a field.
+ *
+ * A new email address starts out unverified: pending verification and
+ * password reset links, which went to the old address, stop working.
+ * Removing the address leaves emailVerified alone: with no address to send
+ * a link to, an unverified account could never post again.
+ *
+ * @param {string|ObjectId} userId
+ * @param {object} changes - Any of { email, fullName, phone, creditCard }
+ * @returns {Promise<{ user: object, emailChanged: boolean }>} the saved user,
+ *   with PII decrypted, and whether a new address needs verifying
+ * @throws {Error} 'User not found'
+ * @throws {Error} 'An account with this email already exists'
+ */
+async function updateProfile(userId, changes) {
+  const user = await User.findById(userId).select('-password');
+  if (!user) throw new Error('User not found');
+
+  const emailChanged = Boolean(changes.email) &&
+    changes.email.toLowerCase() !== (user.email || '').toLowerCase();
+
+  if (emailChanged) {
+    const owner = await User.findByEmail(changes.email);
+    if (owner && !owner._id.equals(user._id)) {
+      throw new Error('An account with this email already exists');
+    }
+  }
+
+  // Snapshot the plaintext before save() swaps it for ciphertext
+  const profile = {};
+  for (const field of PROFILE_FIELDS) {
+    if (changes[field] !== undefined) user[field] = changes[field] || null;
+    profile[field] = user[field] || null;
+  }
+
+  if (emailChanged) {
+    user.emailVerified = false;
+    await OneTimeToken.deleteMany({ userId: user._id, usedAt: null });
+  }
+
+  await user.save();
+  return { user: Object.assign(user.toObject(), profile), emailChanged };
+}
+
+module.exports = { PROFILE_FIELDS, luhnValid, updateProfile };
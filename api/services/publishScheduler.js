@@ -0,0 +1,57 @@
+// api/services/publishScheduler.js
+// Promotes scheduled posts to published once their publishAt time passes.
+//
+// Runs inside the API process — no external cron needed. Public queries
+// already treat due scheduled posts as visible (Post.publicFilter), so the
+// sweep only has to keep the stored status honest; a late or missed tick
+// never delays a post going live. The update is idempotent, so running
+// several API replicas side by side is safe.
+
+const Post = require('../models/Post');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+
+/**
+ * Flip every due scheduled post to published.
+ * @returns {Promise<number>} number of posts published
+ */
+async function publishDuePosts(now = new Date()) {
+  const result = await Post.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    { $set: { status: 'published' } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`[Scheduler] Published ${result.modifiedCount} scheduled post(s)`);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Start the periodic sweep. Interval comes from PUBLISH_SCHEDULER_INTERVAL_MS
+ * (default 60s). Calling it twice is a no-op.
+ */
+function startPublishScheduler(intervalMs = Number(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) {
+  if (timer) return;
+
+  const tick = () => {
+    publishDuePosts().catch((err) => {
+      console.error('[Scheduler] Publish sweep failed:', err.message);
+    });
+  };
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref(); // never keep the process alive on its own
+  console.log(`[Scheduler] Publishing scheduled posts every ${Math.round(intervalMs / 1000)}s`);
+}
+
+function stopPublishScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = { startPublishScheduler, stopPublishScheduler, publishDuePosts };
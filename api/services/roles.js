@@ -0,0 +1,52 @@
+// api/services/roles.js
+// Roles and what each may do. Roles are ranked, and each one can do
+// everything the roles below it can:
+//
+//   reader — comment
+//   author — + write posts and manage their own
+//   editor — + edit or delete any post, moderate any comment
+//   admin  — + manage users and their roles
+//
+// Users carry a list of roles (models/User.js), copied into every access
+// token (services/sessions.js) so middleware/requirePermission.js can check
+// them without a database read.
+
+const ROLES = ['reader', 'author', 'editor', 'admin'];
+
+const PERMISSIONS = {
+  reader: ['comments:write'],
+  author: ['posts:write'],
+  editor: ['posts:edit-any', 'comments:moderate'],
+  admin: ['users:manage'],
+};
+
+// New accounts get DEFAULT_ROLE — set it to 'reader' to have an editor or
+// admin promote people before they can post. Accounts from before roles
+// existed have been posting all along, so they count as authors.
+const DEFAULT_ROLE = ROLES.includes(process.env.DEFAULT_ROLE) ? process.env.DEFAULT_ROLE : 'author';
+const LEGACY_ROLES = ['author'];
+
+/**
+ * Everything a set of roles allows.
+ *
+ * @param {string[]} roles
+ * @returns {string[]}
+ */
+function permissionsOf(roles = []) {
+  const rank = Math.max(-1, ...roles.map((role) => ROLES.indexOf(role)));
+  return ROLES.slice(0, rank + 1).flatMap((role) => PERMISSIONS[role]);
+}
+
+/**
+ * @param {string[]} roles
+ * @param {string} permission - e.g. 'posts:edit-any'
+ * @returns {boolean}
+ *
+ * @example
+ * hasPermission(['editor'], 'posts:write'); // true — editors can do what authors can
+ */
+function hasPermission(roles, permission) {
+  return permissionsOf(roles).includes(permission);
+}
+
+module.exports = { ROLES, PERMISSIONS, DEFAULT_ROLE, LEGACY_ROLES, permissionsOf, hasPermission };
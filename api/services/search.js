@@ -0,0 +1,135 @@
+// api/services/search.js
+// Full-text search over posts using the MongoDB text index on Post.
+//
+// Results are ranked by $text relevance score and paged with the same opaque
+// cursors as the listings (services/pagination.js), keyed on { score, _id }.
+// Snippets are cut from the rendered plain text around the first matching term
+// and returned with highlight ranges rather than HTML, so the client can mark
+// them up without injecting anything.
+//
+// MongoDB matches stemmed words — "run" finds "running" — so highlights go
+// by stem too: a word is marked when its stem is the stem of a query term.
+// No regular expressions are ever built from the query (words are found with
+// one fixed pattern and compared as strings), so a hostile query can't
+// trigger catastrophic backtracking.
+
+const Post = require('../models/Post');
+const { renderPlainText } = require('./markdown');
+const { encodeCursor, decodeCursor, afterCursor, RELEVANCE } = require('./pagination');
+
+const SNIPPET_RADIUS = 80;
+
+// A run of letters or digits — the words of a text, and of a query
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Endings stripped to get a word's stem, longest first. Much cruder than the
+// Snowball stemmer MongoDB uses, but it only decides what gets highlighted.
+const SUFFIXES = ['ings', 'ing', 'ions', 'ion', 'edly', 'ies', 'ed', 'es', 'ly', 's'];
+const MIN_STEM = 3;
+
+/**
+ * Reduce a lowercase word to the stem its variants share.
+ *
+ * @example
+ * stem('running')  // → 'run', as stem('runs')
+ * stem('rotation') // → 'rotat', as stem('rotate') and stem('rotating')
+ */
+function stem(word) {
+  const suffix = SUFFIXES.find((s) =>
+    word.endsWith(s) && word.length - s.length + (s === 'ies' ? 1 : 0) >= MIN_STEM && !(s === 's' && word.endsWith('ss')));
+
+  let base = word;
+  if (suffix) {
+    base = word.slice(0, -suffix.length) + (suffix === 'ies' ? 'i' : '');
+    // runn(ing) → run, stopp(ed) → stop
+    const last = base[base.length - 1];
+    if (base.length > MIN_STEM && last === base[base.length - 2] && !'lsz'.includes(last)) base = base.slice(0, -1);
+  } else if (word.endsWith('e') && word.length > MIN_STEM) {
+    base = word.slice(0, -1);
+  }
+  // key, keys → kei; daily, day → dai
+  return base.endsWith('y') ? `${base.slice(0, -1)}i` : base;
+}
+
+/**
+ * Split a $text query into the stems worth highlighting.
+ * Drops negated terms ("-foo") and the quotes around phrases.
+ *
+ * @example
+ * highlightTerms('vault "key rotation" -kubernetes') // → ['vault', 'kei', 'rotat']
+ */
+function highlightTerms(q) {
+  const words = q
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((t) => t && !t.startsWith('-'))
+    .flatMap((t) => t.match(WORD) || []);
+  return [...new Set(words.map(stem))];
+}
+
+/**
+ * Cut a window of text around the first matching word.
+ *
+ * @param {string}   text  - Plain text to search in
+ * @param {string[]} terms - Stems from highlightTerms()
+ * @returns {{ text: string, highlights: number[][] }}
+ *   highlights are [start, end) offsets into the returned text, sorted and
+ *   non-overlapping, each covering a whole word
+ */
+function buildSnippet(text, terms, radius = SNIPPET_RADIUS) {
+  const matches = [];
+  for (const { 0: word, index } of text.matchAll(WORD)) {
+    if (terms.includes(stem(word.toLowerCase()))) matches.push([index, index + word.length]);
+  }
+
+  const start = matches.length ? Math.max(0, matches[0][0] - radius) : 0;
+  const end = Math.min(text.length, start + radius * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  // Words cut by the window edges are marked as far as they show
+  const highlights = matches
+    .filter(([from, to]) => to > start && from < end)
+    .map(([from, to]) => [Math.max(from, start) - start + prefix.length, Math.min(to, end) - start + prefix.length]);
+
+  return { text: `${prefix}${text.slice(start, end)}${suffix}`, highlights };
+}
+
+/**
+ * Search posts matching `q`, most relevant first.
+ *
+ * @param {string} q       - Validated search query
+ * @param {object} filter  - Extra conditions, e.g. Post.publicFilter()
+ * @param {object} options - { limit, cursor }
+ * @returns {Promise<{ items: object[], nextCursor: string|null, hasMore: boolean }>}
+ *   items are plain post objects with `score` and `snippet` added
+ * @throws {Error} 'Invalid cursor' if the cursor cannot be decoded
+ */
+async function searchPosts(q, filter, { limit, cursor } = {}) {
+  const pipeline = [
+    { $match: { $text: { $search: q }, ...filter } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+  ];
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor, RELEVANCE);
+    if (!decoded) throw new Error('Invalid cursor');
+    pipeline.push({ $match: afterCursor(RELEVANCE, decoded) });
+  }
+
+  pipeline.push({ $sort: { score: -1, _id: -1 } }, { $limit: limit + 1 });
+
+  const docs = await Post.aggregate(pipeline);
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore ? encodeCursor(items[items.length - 1], RELEVANCE) : null;
+
+  const terms = highlightTerms(q);
+  for (const post of items) {
+    post.snippet = buildSnippet(renderPlainText(post.content), terms);
+  }
+
+  return { items, nextCursor, hasMore };
+}
+
+module.exports = { searchPosts, buildSnippet, highlightTerms };
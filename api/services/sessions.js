@@ -0,0 +1,240 @@
+// api/services/sessions.js
+// Issues short-lived access tokens and rotating refresh tokens.
+//
+//   Access token  — JWT signed with JWT_SECRET, { userId, sid, roles }, ACCESS_TOKEN_TTL (default 15m)
+//   Refresh token — "<sessionId>.<random>", opaque to clients, stored only as SHA-256
+//
+// Each refresh hands out a new refresh token and retires the old one. If a
+// retired token is ever presented again, either the client or an attacker is
+// replaying a stolen copy — we can't tell which, so the whole session family
+// is revoked and the user has to sign in again.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// How many retired tokens per session are remembered for reuse detection
+const MAX_PREVIOUS_HASHES = 50;
+
+// lastUsedAt is only written when it is at least this stale, so authenticated
+// requests don't each cost a database write
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+// Refresh secrets are 256 random bits, so a fast hash is enough — there is
+// nothing to brute-force that bcrypt would slow down
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+function hashesMatch(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// "<sessionId>.<secret>" → { sessionId, secret }, or null if malformed
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret, extra] = String(refreshToken || '').split('.');
+  if (extra !== undefined || !secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+/**
+ * Sign an access token for a session.
+ * @param {string|ObjectId} userId
+ * @param {string|ObjectId} sessionId
+ * @param {string[]} roles - See services/roles.js
+ * @returns {{ token: string, expiresAt: number }} expiresAt in epoch ms
+ */
+function signAccessToken(userId, sessionId, roles) {
+  const token = jwt.sign(
+    { userId: String(userId), sid: String(sessionId), roles },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  return { token, expiresAt: jwt.decode(token).exp * 1000 };
+}
+
+// Roles are read afresh for every token, so a refresh picks up role changes
+async function tokenResponse(session, secret) {
+  const user = await User.findById(session.userId).select('roles');
+  if (!user) throw new Error('Invalid refresh token');
+  const { token, expiresAt } = signAccessToken(session.userId, session._id, user.roles);
+  return { token, refreshToken: `${session._id}.${secret}`, expiresAt };
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Start a new session after a successful sign-in.
+ *
+ * @param {string|ObjectId} userId
+ * @param {object} [client] - { userAgent, ip } of the signing-in request
+ * @returns {Promise<{ token: string, refreshToken: string, expiresAt: number }>}
+ *
+ * @example
+ * const tokens = await createSession(user._id, { userAgent: req.get('user-agent'), ip: req.ip });
+ */
+async function createSession(userId, { userAgent, ip } = {}) {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId,
+    tokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    userAgent: userAgent ? String(userAgent).slice(0, 512) : null,
+    ip: ip || null,
+  });
+  return tokenResponse(session, secret);
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ *
+ * @param {string} refreshToken
+ * @returns {Promise<{ token: string, refreshToken: string, expiresAt: number, userId: ObjectId }>}
+ * @throws {Error} 'Invalid refresh token' — unknown, expired or revoked
+ * @throws {Error} 'Refresh token reuse detected' — the session has been revoked
+ */
+async function rotateRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw new Error('Invalid refresh token');
+
+  const session = await Session.findById(parsed.sessionId).select('+tokenHash +previousTokenHashes');
+  if (!session || session.revokedAt) throw new Error('Invalid refresh token');
+
+  const presented = hashToken(parsed.secret);
+
+  if (session.previousTokenHashes.includes(presented)) {
+    await revokeSessionById(session._id, 'refresh token reuse');
+    console.warn(`[Auth] Refresh token reuse detected — revoked session ${session._id} of user ${session.userId}`);
+    throw new Error('Refresh token reuse detected');
+  }
+
+  if (!hashesMatch(presented, session.tokenHash) || session.expiresAt <= new Date()) {
+    throw new Error('Invalid refresh token');
+  }
+
+  // Conditional on the hash we just checked — if a concurrent request already
+  // rotated this token, ours is now a retired token being replayed
+  const secret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+    {
+      $set: { tokenHash: hashToken(secret), expiresAt: refreshExpiry(), lastUsedAt: new Date() },
+      $push: { previousTokenHashes: { $each: [session.tokenHash], $slice: -MAX_PREVIOUS_HASHES } },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSessionById(session._id, 'refresh token reuse');
+    throw new Error('Refresh token reuse detected');
+  }
+
+  return { ...(await tokenResponse(rotated, secret)), userId: rotated.userId };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout).
+ * Accepts the current or any remembered earlier token, so a client holding a
+ * stale copy can still sign itself out. Unknown tokens are ignored.
+ *
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} true if a session was revoked
+ */
+async function revokeRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const presented = hashToken(parsed.secret);
+  const result = await Session.updateOne(
+    {
+      _id: parsed.sessionId,
+      revokedAt: null,
+      $or: [{ tokenHash: presented }, { previousTokenHashes: presented }],
+    },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke one session. Access tokens issued for it stop working immediately.
+ *
+ * @param {string|ObjectId} sessionId
+ * @param {string} reason - Kept on the document for auditing
+ * @param {string|ObjectId} [userId] - When given, only that user's session is revoked
+ * @returns {Promise<boolean>} true if an active session was revoked
+ */
+async function revokeSessionById(sessionId, reason, userId) {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null, ...(userId && { userId }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user ("log out everywhere").
+ *
+ * @param {string|ObjectId} userId
+ * @param {string} reason
+ * @param {object} [options] - { exceptSessionId } to keep the caller's own session
+ * @returns {Promise<number>} how many sessions were revoked
+ */
+async function revokeAllSessions(userId, reason, { exceptSessionId } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+/**
+ * List a user's sessions that can still be used, most recently active first.
+ *
+ * @param {string|ObjectId} userId
+ * @returns {Promise<object[]>} Session documents (no token hashes)
+ */
+async function listActiveSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+}
+
+/**
+ * Check that the session behind an access token is still live, and record
+ * that it was just seen. Called by middleware/auth.js on every request.
+ *
+ * @param {string} sessionId - The `sid` claim of the access token
+ * @returns {Promise<boolean>}
+ */
+async function touchSession(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt lastUsedAt');
+  if (!session || !session.active) return false;
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+      .catch((e) => console.error('Session touch error:', e.message));
+  }
+  return true;
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSessionById,
+  revokeAllSessions,
+  listActiveSessions,
+  touchSession,
+  signAccessToken,
+};
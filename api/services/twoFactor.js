@@ -0,0 +1,188 @@
+// api/services/twoFactor.js
+// TOTP two-factor authentication for local (password) accounts.
+//
+// Enrolment:  startEnrollment() stores a new secret → the user adds it to an
+//             authenticator app → confirmEnrollment() checks a first code,
+//             switches 2FA on and hands out recovery codes (shown once).
+// Sign-in:    /api/login answers with a short-lived challenge token instead of
+//             a session; /api/login/2fa trades challenge + code for a session.
+//
+// The secret is stored as Vault Transit ciphertext (see models/User.js);
+// recovery codes are stored as SHA-256 and removed as they are used.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { generateSecret, verifyCode, otpauthUri, base32Encode } = require('./totp');
+
+const ISSUER = process.env.TOTP_ISSUER || process.env.SITE_TITLE || "Mali's Blog";
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const SECRET_SELECT = '+totpSecret +totpLastStep +recoveryCodes';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+// Recovery codes are typed by hand, so compare them without dashes or case
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// "k3xq7-m2pfa" — 10 base32 characters, 50 random bits each
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+async function loadWithSecrets(userId) {
+  const user = await User.findById(userId).select(SECRET_SELECT);
+  if (!user) throw new Error('User not found');
+  return user;
+}
+
+// ─── Enrolment ────────────────────────────────────────────────────────────────
+
+/**
+ * Generate and store a new, not yet active, TOTP secret.
+ * Calling it again before confirming replaces the secret.
+ *
+ * @param {string|ObjectId} userId
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ * @throws {Error} 'Two-factor authentication is already enabled'
+ * @throws {Error} 'Two-factor authentication needs a password account'
+ */
+async function startEnrollment(userId) {
+  const user = await loadWithSecrets(userId);
+  if (user.totpEnabled) throw new Error('Two-factor authentication is already enabled');
+  if (!user.password) throw new Error('Two-factor authentication needs a password account');
+
+  const secret = generateSecret();
+  user.totpSecret = secret;
+  user.totpLastStep = -1;
+  await user.save();
+
+  return { secret, otpauthUri: otpauthUri(secret, user.username, ISSUER) };
+}
+
+/**
+ * Switch 2FA on once the user proves their app produces valid codes.
+ *
+ * @param {string|ObjectId} userId
+ * @param {string} code - Current code from the authenticator app
+ * @returns {Promise<string[]>} recovery codes — the only time they are available in plaintext
+ * @throws {Error} 'Two-factor authentication is already enabled'
+ * @throws {Error} 'Two-factor setup has not been started'
+ * @throws {Error} 'Invalid code'
+ */
+async function confirmEnrollment(userId, code) {
+  const user = await loadWithSecrets(userId);
+  if (user.totpEnabled) throw new Error('Two-factor authentication is already enabled');
+  if (!user.totpSecret) throw new Error('Two-factor setup has not been started');
+
+  const step = verifyCode(user.totpSecret, code);
+  if (step === null) throw new Error('Invalid code');
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.totpEnabled = true;
+  user.totpLastStep = step;
+  user.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save();
+
+  return recoveryCodes;
+}
+
+// ─── Verification ─────────────────────────────────────────────────────────────
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled.
+ * Both are single-use: the code's time step, or the recovery code itself, is
+ * spent in a conditional update, so a replayed or concurrent second attempt fails.
+ *
+ * @param {string|ObjectId} userId
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const user = await loadWithSecrets(userId);
+  if (!user.totpEnabled || !user.totpSecret) return false;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, recoveryCodes: hash },
+      { $pull: { recoveryCodes: hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const step = verifyCode(user.totpSecret, code, { afterStep: user.totpLastStep });
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    { _id: user._id, totpLastStep: { $lt: step } },
+    { $set: { totpLastStep: step } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Turn 2FA off. Needs a valid code or recovery code.
+ *
+ * @throws {Error} 'Invalid code'
+ */
+async function disableTwoFactor(userId, factor) {
+  if (!(await verifySecondFactor(userId, factor))) throw new Error('Invalid code');
+  await User.updateOne(
+    { _id: userId },
+    { $set: { totpEnabled: false, totpSecret: null, totpLastStep: -1, recoveryCodes: [] } }
+  );
+}
+
+/**
+ * Replace all recovery codes. Needs a valid code or recovery code.
+ *
+ * @returns {Promise<string[]>} the new codes
+ * @throws {Error} 'Invalid code'
+ */
+async function regenerateRecoveryCodes(userId, factor) {
+  if (!(await verifySecondFactor(userId, factor))) throw new Error('Invalid code');
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { recoveryCodes: recoveryCodes.map(hashRecoveryCode) } });
+  return recoveryCodes;
+}
+
+// ─── Login challenge ──────────────────────────────────────────────────────────
+// Proves the password step succeeded. It carries no session id, so
+// middleware/auth.js never accepts it as an access token.
+
+function issueChallenge(userId) {
+  return jwt.sign({ userId: String(userId), purpose: 'mfa' }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+  });
+}
+
+/**
+ * @param {string} challengeToken
+ * @returns {string} userId
+ * @throws {Error} 'Invalid challenge'
+ */
+function verifyChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'mfa') throw new Error('wrong purpose');
+    return decoded.userId;
+  } catch (_) {
+    throw new Error('Invalid challenge');
+  }
+}
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  issueChallenge,
+  verifyChallenge,
+};
@@ -0,0 +1,41 @@
+// api/services/userAdmin.js
+// User management for admins (the 'users:manage' permission).
+
+const User = require('../models/User');
+const { revokeAllSessions } = require('./sessions');
+const { permissionsOf } = require('./roles');
+
+/**
+ * Replace a user's roles.
+ * Taking a permission away signs the user out everywhere, so it can't be used for
+ * the rest of an access token's life. Granting one takes effect on the
+ * user's next token refresh.
+ *
+ * @param {string|ObjectId} userId
+ * @param {string[]} roles - Validated against services/roles.js ROLES by the caller
+ * @param {object} actor - { userId } of the admin making the change, for the log
+ * @returns {Promise<{ _id: ObjectId, username: string, roles: string[] }>}
+ * @throws {Error} 'User not found'
+ * @throws {Error} 'Cannot remove the last admin'
+ */
+async function setRoles(userId, roles, actor) {
+  const user = await User.findById(userId).select('username roles');
+  if (!user) throw new Error('User not found');
+
+  const previous = [...user.roles];
+  if (previous.includes('admin') && !roles.includes('admin')) {
+    // Nobody could ever grant it back without the bootstrap script
+    if ((await User.countDocuments({ roles: 'admin' })) <= 1) throw new Error('Cannot remove the last admin');
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { roles } });
+  const kept = permissionsOf(roles);
+  if (permissionsOf(previous).some((permission) => !kept.includes(permission))) {
+    await revokeAllSessions(user._id, 'roles changed');
+  }
+
+  console.log(`[Admin] ${actor.userId} changed roles of @${user.username}: ${previous.join(',')} → ${roles.join(',')}`);
+  return { _id: user._id, username: user.username, roles };
+}
+
+module.exports = { setRoles };
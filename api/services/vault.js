@@ -2,20 +2,82 @@
 // Vault Transit client — handles AppRole auth, token renewal, PII encrypt/decrypt,
 // and dynamic MongoDB credential fetching from the database secrets engine.
 //
+// Transit calls use the shared 'pii-encryption' key unless given another key
+// name — accounts get a key of their own (see services/piiEncryption.js) so
+// that deleting the key shreds their data.
+//
 // Auth modes:
-//   Production: AppRole (VAULT_ROLE_ID + VAULT_SECRET_ID) → short-lived token
+//   Production: AppRole (VAULT_ROLE_ID + VAULT_SECRET_ID) → short-lived token,
+//               renewed (renew-self) before it expires; logs in again if
+//               renewal fails or the token reaches its max TTL
 //   Development: Static token (VAULT_TOKEN env var) → root token from dev server
+//
+// A slow or dead Vault must not hang every User save and find: each request
+// times out, requests that are safe to repeat are retried with jittered
+// back-off, and after repeated failures a circuit breaker makes calls fail
+// fast with VaultUnavailableError until Vault answers again.
 
 const https = require('https');
 const http = require('http');
+const { CircuitBreaker } = require('./circuitBreaker');
+
+// Thrown instead of waiting on a Vault that is down, sealed or too slow —
+// after retries run out, or straight away while the circuit is open. Routes
+// answer it with 503 (serverError in app.js).
+class VaultUnavailableError extends Error {
+  constructor(message, { retryAfterMs = 0, cause } = {}) {
+    super(message, { cause });
+    this.name = 'VaultUnavailableError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Worth retrying: no answer at all (timeout, connection refused or reset),
+// a server-side error, or rate limiting. Anything else is Vault's considered
+// answer and won't change.
+const isTransient = (err) => err.status === undefined || err.status >= 500 || err.status === 429;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const numberFromEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && process.env[name] !== '' ? value : fallback;
+};
+
+// A token renewed down to less than this has hit its max TTL — log in again
+const MIN_TOKEN_TTL_S = 60;
 
 class VaultClient {
-  constructor() {
-    this.vaultAddr = process.env.VAULT_ADDR || 'http://vault:8200';
-    this.roleId = process.env.VAULT_ROLE_ID;
-    this.secretId = process.env.VAULT_SECRET_ID;
+  /**
+   * Settings come from the environment; `options` overrides them (tests).
+   *
+   * @param {object} [options]
+   * @param {number} [options.requestTimeoutMs] - VAULT_REQUEST_TIMEOUT_MS, default 5000
+   * @param {number} [options.maxRetries] - VAULT_MAX_RETRIES, default 3
+   * @param {number} [options.retryBaseMs] - VAULT_RETRY_BASE_MS, default 100
+   * @param {number} [options.retryMaxMs] - Longest wait between attempts, default 2000
+   * @param {number} [options.breakerThreshold] - VAULT_BREAKER_THRESHOLD, default 5
+   * @param {number} [options.breakerCooldownMs] - VAULT_BREAKER_COOLDOWN_MS, default 30000
+   */
+  constructor(options = {}) {
+    this.vaultAddr = options.vaultAddr || process.env.VAULT_ADDR || 'http://vault:8200';
+    this.roleId = options.roleId || process.env.VAULT_ROLE_ID;
+    this.secretId = options.secretId || process.env.VAULT_SECRET_ID;
     this.keyName = 'pii-encryption';
     this.tokenExpiry = null;
+    this.tokenRenewAt = null;
+    this.tokenRenewable = false;
+    this.tokenPromise = null;
+
+    this.requestTimeoutMs = options.requestTimeoutMs ?? numberFromEnv('VAULT_REQUEST_TIMEOUT_MS', 5000);
+    this.maxRetries = options.maxRetries ?? numberFromEnv('VAULT_MAX_RETRIES', 3);
+    this.retryBaseMs = options.retryBaseMs ?? numberFromEnv('VAULT_RETRY_BASE_MS', 100);
+    this.retryMaxMs = options.retryMaxMs ?? 2000;
+    this.breaker = new CircuitBreaker({
+      name: 'Vault',
+      threshold: options.breakerThreshold ?? numberFromEnv('VAULT_BREAKER_THRESHOLD', 5),
+      cooldownMs: options.breakerCooldownMs ?? numberFromEnv('VAULT_BREAKER_COOLDOWN_MS', 30 * 1000),
+    });
 
     // MongoDB static role name in Vault
     this.mongoStaticRole = process.env.VAULT_MONGO_ROLE || 'blogapi-static';
@@ -24,7 +86,7 @@ class VaultClient {
     this.mongoDb = process.env.MONGO_DB || 'blog';
     this.mongoAuthSource = process.env.MONGO_AUTH_SOURCE || 'blog';
 
-    const staticToken = process.env.VAULT_TOKEN;
+    const staticToken = 'token' in options ? options.token : process.env.VAULT_TOKEN;
     if (staticToken) {
       this.token = staticToken;
       this.tokenExpiry = Infinity;
@@ -43,7 +105,8 @@ class VaultClient {
   }
 
   // ─── HTTP helper ────────────────────────────────────────────────────────────
-  async _request(method, path, body = null) {
+  // One attempt, abandoned after requestTimeoutMs. HTTP errors carry .status.
+  _send(method, path, body = null) {
     const url = new URL(path, this.vaultAddr);
     const lib = url.protocol === 'https:' ? https : http;
 
@@ -63,55 +126,154 @@ class VaultClient {
         let data = '';
         res.on('data', (chunk) => { data += chunk; });
         res.on('end', () => {
+          clearTimeout(timer);
+          let parsed;
           try {
-            const parsed = data ? JSON.parse(data) : {};
-            if (res.statusCode >= 400) {
-              reject(new Error(`Vault error ${res.statusCode}: ${parsed.errors?.join(', ') || data}`));
-            } else {
-              resolve(parsed);
-            }
+            parsed = data ? JSON.parse(data) : {};
           } catch (e) {
+            parsed = null;
+          }
+          if (res.statusCode >= 400) {
+            const err = new Error(`Vault error ${res.statusCode}: ${parsed?.errors?.join(', ') || data}`);
+            err.status = res.statusCode;
+            reject(err);
+          } else if (parsed === null) {
             reject(new Error(`Failed to parse Vault response: ${data}`));
+          } else {
+            resolve(parsed);
           }
         });
+        res.on('error', reject);
       });
 
-      req.on('error', reject);
+      // Covers the whole exchange, body included — not just an idle socket
+      const timer = setTimeout(() => {
+        req.destroy(new Error(`Vault request timed out after ${this.requestTimeoutMs}ms: ${method} ${url.pathname}`));
+      }, this.requestTimeoutMs);
+
+      req.on('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
       if (body) req.write(JSON.stringify(body));
       req.end();
     });
   }
 
+  // Wait before retry number `attempt` (1, 2, ...): exponential back-off with
+  // full jitter, so replicas that failed together don't retry together
+  _backoff(attempt) {
+    return Math.random() * Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempt - 1));
+  }
+
+  // Sends a request through the circuit breaker. Idempotent requests — safe
+  // to repeat, even if the first attempt did reach Vault — are retried on
+  // transient failures. GET and DELETE are idempotent by default; other
+  // callers opt in.
+  async _request(method, path, body = null, { idempotent = method === 'GET' || method === 'DELETE' } = {}) {
+    const attempts = idempotent ? this.maxRetries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      if (!this.breaker.allowRequest()) {
+        const retryAfterMs = this.breaker.retryAfterMs();
+        throw new VaultUnavailableError(
+          `Vault unavailable — circuit open, retry in ${Math.ceil(retryAfterMs / 1000)}s`,
+          { retryAfterMs }
+        );
+      }
+
+      try {
+        const response = await this._send(method, path, body);
+        this.breaker.recordSuccess();
+        return response;
+      } catch (err) {
+        if (!isTransient(err)) {
+          // Vault answered — it's up, even if it said no
+          this.breaker.recordSuccess();
+          throw err;
+        }
+        this.breaker.recordFailure();
+        if (attempt >= attempts) {
+          throw new VaultUnavailableError(`Vault unavailable: ${err.message}`, {
+            retryAfterMs: this.breaker.retryAfterMs(),
+            cause: err,
+          });
+        }
+        await sleep(this._backoff(attempt));
+      }
+    }
+  }
+
   // ─── AppRole Authentication ──────────────────────────────────────────────────
+  // Not retried: a secret_id may be limited to a number of uses.
   async _authenticate() {
     const response = await this._request('POST', '/v1/auth/approle/login', {
       role_id: this.roleId,
       secret_id: this.secretId,
     });
 
-    this.token = response.auth.client_token;
+    this._setToken(response.auth);
+    console.log(`[Vault] Authenticated via AppRole. Token valid for ${response.auth.lease_duration}s`);
+  }
+
+  // Extends the current token's lease, up to its max TTL
+  async _renewToken() {
+    const response = await this._request('POST', '/v1/auth/token/renew-self', {}, { idempotent: true });
     const ttl = response.auth.lease_duration;
-    this.tokenExpiry = Date.now() + (ttl - 300) * 1000;
-    console.log(`[Vault] Authenticated via AppRole. Token valid for ${ttl}s`);
+    if (ttl < MIN_TOKEN_TTL_S) {
+      throw new Error(`token is near its max TTL (${ttl}s left)`);
+    }
+    this._setToken(response.auth);
+    console.log(`[Vault] Token renewed. Valid for ${ttl}s`);
+  }
+
+  // Renew once two thirds of the lease has gone, leaving time to log in
+  // again if renewal fails
+  _setToken(auth) {
+    const ttlMs = auth.lease_duration * 1000;
+    this.token = auth.client_token;
+    this.tokenRenewable = Boolean(auth.renewable);
+    this.tokenExpiry = Date.now() + ttlMs;
+    this.tokenRenewAt = Date.now() + (ttlMs * 2) / 3;
   }
 
   // ─── Token Management ────────────────────────────────────────────────────────
+  // Concurrent callers share one renewal or login.
   async _ensureToken() {
     if (this.tokenExpiry === Infinity) return;
-    if (!this.token || Date.now() >= this.tokenExpiry) {
-      await this._authenticate();
+    if (this.token && Date.now() < this.tokenRenewAt) return;
+
+    if (!this.tokenPromise) {
+      this.tokenPromise = (async () => {
+        if (this.token && this.tokenRenewable && Date.now() < this.tokenExpiry) {
+          try {
+            await this._renewToken();
+            return;
+          } catch (err) {
+            console.warn(`[Vault] Token renewal failed (${err.message}) — logging in again`);
+          }
+        }
+        await this._authenticate();
+      })().finally(() => {
+        this.tokenPromise = null;
+      });
     }
+    await this.tokenPromise;
   }
 
   // ─── MongoDB Credentials ─────────────────────────────────────────────────────
-  // Fetches current credentials for the blogapi static role from Vault.
+  // Fetches current credentials for the blogapi static role from Vault, with
+  // the rotation schedule Vault reports (services/mongoCredentials.js uses it
+  // to pick up each new password). Static roles have no lease to renew: the
+  // password simply changes every rotation_period, ttl seconds from now.
   // Falls back to MONGO_URI env var if Vault database engine is not configured.
-  async getMongoUri() {
+  async getMongoCredentials() {
+    const fromEnv = () => ({ uri: process.env.MONGO_URI, source: 'env' });
+
     if (!this.configured) {
-      const fallback = process.env.MONGO_URI;
-      if (fallback) {
+      if (process.env.MONGO_URI) {
         console.log('[Vault] Database engine not configured — using MONGO_URI env var');
-        return fallback;
+        return fromEnv();
       }
       throw new Error('No MongoDB URI available: Vault not configured and MONGO_URI not set');
     }
@@ -124,11 +286,19 @@ class VaultClient {
         `/v1/database/static-creds/${this.mongoStaticRole}`
       );
 
-      const { username, password } = response.data;
+      const { username, password, ttl, rotation_period: rotationPeriod, last_vault_rotation: lastRotation } = response.data;
       const uri = `mongodb://${username}:${encodeURIComponent(password)}@${this.mongoHost}:${this.mongoPort}/${this.mongoDb}?authSource=${this.mongoAuthSource}`;
 
-      console.log(`[Vault] MongoDB credentials fetched for role: ${this.mongoStaticRole}`);
-      return uri;
+      console.log(`[Vault] MongoDB credentials fetched for role: ${this.mongoStaticRole}` +
+        (ttl != null ? ` (next rotation in ${ttl}s)` : ''));
+      return {
+        uri,
+        source: 'vault',
+        username,
+        ttl: ttl ?? null,
+        rotationPeriod: rotationPeriod ?? null,
+        lastRotation: lastRotation ? new Date(lastRotation) : null,
+      };
     } catch (err) {
       // Graceful fallback if database engine not yet set up
       if (
@@ -136,30 +306,33 @@ class VaultClient {
         err.message.includes('invalid role') ||
         err.message.includes('unknown role')
       ) {
-        const fallback = process.env.MONGO_URI;
-        if (fallback) {
+        if (process.env.MONGO_URI) {
           console.warn(`[Vault] Database engine unavailable (${err.message}) — falling back to MONGO_URI env var`);
-          return fallback;
+          return fromEnv();
         }
       }
       throw err;
     }
   }
 
+  async getMongoUri() {
+    return (await this.getMongoCredentials()).uri;
+  }
+
   // ─── Encrypt a single value ──────────────────────────────────────────────────
-  async encrypt(plaintext) {
+  async encrypt(plaintext, key = this.keyName) {
     if (!this.configured) return plaintext;
     await this._ensureToken();
 
     const encoded = Buffer.from(String(plaintext)).toString('base64');
-    const response = await this._request('POST', `/v1/transit/encrypt/${this.keyName}`, {
+    const response = await this._request('POST', `/v1/transit/encrypt/${key}`, {
       plaintext: encoded,
-    });
+    }, { idempotent: true });
     return response.data.ciphertext;
   }
 
   // ─── Decrypt a single value ──────────────────────────────────────────────────
-  async decrypt(ciphertext) {
+  async decrypt(ciphertext, key = this.keyName) {
     if (!this.configured) return ciphertext;
     await this._ensureToken();
 
@@ -167,14 +340,14 @@ class VaultClient {
       return ciphertext;
     }
 
-    const response = await this._request('POST', `/v1/transit/decrypt/${this.keyName}`, {
+    const response = await this._request('POST', `/v1/transit/decrypt/${key}`, {
       ciphertext,
-    });
+    }, { idempotent: true });
     return Buffer.from(response.data.plaintext, 'base64').toString('utf8');
   }
 
   // ─── Batch encrypt ───────────────────────────────────────────────────────────
-  async encryptBatch(values) {
+  async encryptBatch(values, key = this.keyName) {
     if (!this.configured) return values;
     await this._ensureToken();
 
@@ -182,9 +355,9 @@ class VaultClient {
       plaintext: Buffer.from(String(v)).toString('base64'),
     }));
 
-    const response = await this._request('POST', `/v1/transit/encrypt/${this.keyName}`, {
+    const response = await this._request('POST', `/v1/transit/encrypt/${key}`, {
       batch_input: batchInput,
-    });
+    }, { idempotent: true });
 
     return response.data.batch_results.map((r) => {
       if (r.error) throw new Error(`Vault batch encrypt error: ${r.error}`);
@@ -193,7 +366,7 @@ class VaultClient {
   }
 
   // ─── Batch decrypt ───────────────────────────────────────────────────────────
-  async decryptBatch(ciphertexts) {
+  async decryptBatch(ciphertexts, key = this.keyName) {
     if (!this.configured) return ciphertexts;
     await this._ensureToken();
 
@@ -211,9 +384,9 @@ class VaultClient {
     if (vaultEntries.length === 0) return results;
 
     const batchInput = vaultEntries.map((e) => ({ ciphertext: e.ciphertext }));
-    const response = await this._request('POST', `/v1/transit/decrypt/${this.keyName}`, {
+    const response = await this._request('POST', `/v1/transit/decrypt/${key}`, {
       batch_input: batchInput,
-    });
+    }, { idempotent: true });
 
     response.data.batch_results.forEach((r, i) => {
       if (r.error) throw new Error(`Vault batch decrypt error: ${r.error}`);
@@ -224,22 +397,55 @@ class VaultClient {
   }
 
   // ─── Rewrap ciphertext to latest key version ─────────────────────────────────
-  async rewrap(ciphertext) {
+  async rewrap(ciphertext, key = this.keyName) {
     await this._ensureToken();
 
-    const response = await this._request('POST', `/v1/transit/rewrap/${this.keyName}`, {
+    const response = await this._request('POST', `/v1/transit/rewrap/${key}`, {
       ciphertext,
-    });
+    }, { idempotent: true });
     return response.data.ciphertext;
   }
 
+  // ─── Key lifecycle ───────────────────────────────────────────────────────────
+  // Creates a Transit key that may later be deleted. Creating a key that
+  // already exists changes nothing, so this is safe to repeat.
+  async createKey(key) {
+    if (!this.configured) return;
+    await this._ensureToken();
+
+    await this._request('POST', `/v1/transit/keys/${key}`, { type: 'aes256-gcm96', exportable: false }, { idempotent: true });
+    await this._request('POST', `/v1/transit/keys/${key}/config`, { deletion_allowed: true }, { idempotent: true });
+  }
+
+  // Deletes a Transit key for good — everything encrypted with it can never
+  // be decrypted again, including copies in database backups.
+  // Resolves to false if there was no such key (already deleted).
+  async deleteKey(key) {
+    if (!this.configured) return false;
+    await this._ensureToken();
+
+    try {
+      await this._request('DELETE', `/v1/transit/keys/${key}`);
+      return true;
+    } catch (err) {
+      // Vault reports a missing key as an error ("could not delete key; not found")
+      if (/^Vault error \d+: .*(not found|no existing key)/i.test(err.message)) {
+        return false;
+      }
+      throw err;
+    }
+  }
+
   // ─── Health check ────────────────────────────────────────────────────────────
+  // Asks Vault directly, bypassing the circuit breaker and retries, so it
+  // reports how Vault is now; `circuit` says whether requests are failing fast.
   async healthCheck() {
+    const circuit = this.breaker.state;
     try {
-      const response = await this._request('GET', '/v1/sys/health');
-      return { ok: true, sealed: response.sealed, version: response.version };
+      const response = await this._send('GET', '/v1/sys/health');
+      return { ok: true, sealed: response.sealed, version: response.version, circuit };
     } catch (err) {
-      return { ok: false, error: err.message };
+      return { ok: false, error: err.message, circuit };
     }
   }
 }
@@ -254,4 +460,4 @@ function getVaultClient() {
   return instance;
 }
 
-module.exports = { getVaultClient };
\ No newline at end of file
+module.exports = { getVaultClient, VaultClient, VaultUnavailableError };
\ No newline at end of file
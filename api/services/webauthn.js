@@ -0,0 +1,221 @@
+// api/services/webauthn.js
+// Passkey (WebAuthn) registration and sign-in, built on @simplewebauthn/server.
+//
+// Each ceremony is two calls:
+//   options — generate a challenge, store it (models/WebAuthnChallenge.js), send options to the browser
+//   verify  — take the challenge out of the signed clientDataJSON, delete the stored copy
+//             (single use) and let the library check the signature against it
+//
+// A stored challenge only matches requests from whoever asked for it: the
+// same session for registration, and for sign-in the same browser, which
+// gets a nonce in an httpOnly cookie with the options (app.js).
+//
+// Relying party settings:
+//   WEBAUTHN_RP_ID   — domain passkeys are scoped to (default: host of the site URL)
+//   WEBAUTHN_ORIGIN  — origin the browser reports (default: the site URL)
+//   WEBAUTHN_RP_NAME — name shown by the authenticator (default: SITE_TITLE)
+
+const crypto = require('crypto');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+const Credential = require('../models/Credential');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || process.env.SITE_TITLE || "Mali's Blog";
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CREDENTIALS_PER_USER = 10;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function relyingParty(siteUrl) {
+  return {
+    rpID: process.env.WEBAUTHN_RP_ID || new URL(siteUrl).hostname,
+    origin: process.env.WEBAUTHN_ORIGIN || siteUrl,
+  };
+}
+
+// The challenge the authenticator signed, read from the browser's response.
+// Only used to find our stored copy — the library verifies the signature.
+function signedChallenge(response) {
+  try {
+    const clientData = JSON.parse(Buffer.from(response.response.clientDataJSON, 'base64url').toString('utf8'));
+    return typeof clientData.challenge === 'string' ? clientData.challenge : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function storeChallenge(options, ceremony, { userId = null, sessionId = null, nonce = null } = {}) {
+  await WebAuthnChallenge.create({
+    challenge: options.challenge,
+    ceremony,
+    userId,
+    sessionId,
+    nonce,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+  });
+}
+
+// Removes the challenge whatever happens next, so a response can be tried once.
+// `binding` must match what it was stored with: { userId, sessionId } or { nonce }.
+async function takeChallenge(response, ceremony, binding) {
+  const challenge = signedChallenge(response);
+  if (!challenge || Object.values(binding).some((value) => !value)) return null;
+  return WebAuthnChallenge.findOneAndDelete({
+    challenge,
+    ceremony,
+    expiresAt: { $gt: new Date() },
+    ...binding,
+  });
+}
+
+// ─── Registration ─────────────────────────────────────────────────────────────
+
+/**
+ * Options for navigator.credentials.create(), for a signed-in user.
+ *
+ * @param {object} user      - { _id, username }
+ * @param {string} sessionId - The caller's session; only it can complete the ceremony
+ * @param {string} siteUrl
+ * @throws {Error} 'Too many passkeys'
+ */
+async function registrationOptions(user, sessionId, siteUrl) {
+  const existing = await Credential.find({ userId: user._id }).select('credentialId transports');
+  if (existing.length >= MAX_CREDENTIALS_PER_USER) throw new Error('Too many passkeys');
+
+  const { rpID } = relyingParty(siteUrl);
+  const options = await generateRegistrationOptions({
+    rpName: RP_NAME,
+    rpID,
+    userName: user.username,
+    userID: Buffer.from(String(user._id)),
+    attestationType: 'none',
+    // Don't let the same authenticator be registered twice
+    excludeCredentials: existing.map((c) => ({ id: c.credentialId, transports: c.transports })),
+    authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+  });
+
+  await storeChallenge(options, 'registration', { userId: user._id, sessionId });
+  return options;
+}
+
+/**
+ * Check the browser's registration response and store the new credential.
+ *
+ * @param {object} user      - { _id }
+ * @param {string} sessionId
+ * @param {object} response  - RegistrationResponseJSON from the browser
+ * @param {string} siteUrl
+ * @param {string} [name]    - Label for the passkey
+ * @returns {Promise<object>} the Credential document
+ * @throws {Error} 'Invalid passkey response'
+ */
+async function verifyRegistration(user, sessionId, response, siteUrl, name) {
+  const stored = await takeChallenge(response, 'registration', { userId: user._id, sessionId });
+  if (!stored) throw new Error('Invalid passkey response');
+
+  const { rpID, origin } = relyingParty(siteUrl);
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: stored.challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      requireUserVerification: true,
+    });
+  } catch (e) {
+    console.warn('[WebAuthn] Registration rejected:', e.message);
+    throw new Error('Invalid passkey response');
+  }
+  if (!verification.verified) throw new Error('Invalid passkey response');
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  return Credential.create({
+    userId: user._id,
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    ...(name && { name }),
+  });
+}
+
+// ─── Sign-in ──────────────────────────────────────────────────────────────────
+
+/**
+ * Options for navigator.credentials.get(). No username needed — passkeys are
+ * discoverable, so the browser offers whichever ones it has for this site.
+ *
+ * @param {string} siteUrl
+ * @returns {Promise<{ options: object, nonce: string }>} the nonce goes to
+ *   the browser in a cookie and must come back with its response
+ */
+async function authenticationOptions(siteUrl) {
+  const { rpID } = relyingParty(siteUrl);
+  const options = await generateAuthenticationOptions({ rpID, userVerification: 'required' });
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  await storeChallenge(options, 'authentication', { nonce });
+  return { options, nonce };
+}
+
+/**
+ * Check the browser's sign-in response.
+ *
+ * @param {object} response - AuthenticationResponseJSON from the browser
+ * @param {string} nonce    - From the cookie set with the options
+ * @param {string} siteUrl
+ * @returns {Promise<ObjectId>} id of the user who signed in
+ * @throws {Error} 'Invalid passkey response'
+ */
+async function verifyAuthentication(response, nonce, siteUrl) {
+  const stored = await takeChallenge(response, 'authentication', { nonce });
+  if (!stored) throw new Error('Invalid passkey response');
+
+  const credential = await Credential.findOne({ credentialId: String(response.id) });
+  if (!credential) throw new Error('Invalid passkey response');
+
+  const { rpID, origin } = relyingParty(siteUrl);
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: stored.challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      credential: {
+        id: credential.credentialId,
+        publicKey: new Uint8Array(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports,
+      },
+      requireUserVerification: true,
+    });
+  } catch (e) {
+    // Includes a counter that went backwards — a sign of a cloned authenticator
+    console.warn(`[WebAuthn] Sign-in with credential ${credential._id} rejected:`, e.message);
+    throw new Error('Invalid passkey response');
+  }
+  if (!verification.verified) throw new Error('Invalid passkey response');
+
+  const { newCounter, credentialBackedUp } = verification.authenticationInfo;
+  credential.counter = newCounter;
+  credential.backedUp = credentialBackedUp;
+  credential.lastUsedAt = new Date();
+  await credential.save();
+
+  return credential.userId;
+}
+
+module.exports = {
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+};
@@ -0,0 +1,117 @@
+// test/accessTokens.test.js
+// Personal access tokens: creating, listing and revoking them under
+// /api/me/tokens, and what they may do as a Bearer credential, through the
+// real routes with an in-memory MongoDB (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+let AccessToken;
+
+before(async () => {
+  api = await startApi();
+  AccessToken = require('../models/AccessToken');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+const createToken = (token, body) => api.request('POST', '/api/me/tokens', { token, body });
+
+// A signed-in user and a personal access token of theirs with `scopes`
+async function userWithToken(scopes) {
+  const { token } = await api.signUp('mali');
+  const res = await createToken(token, { name: 'CI publish', scopes });
+  assert.equal(res.status, 201);
+  return { token, pat: res.body.token, id: res.body.id };
+}
+
+const publish = (token) => api.request('POST', '/api/posts', { token, body: { title: 'From CI', content: 'x' } });
+
+describe('/api/me/tokens', () => {
+  it('shows a new token once and stores only its hash', async () => {
+    const { token } = await api.signUp('mali');
+
+    const res = await createToken(token, { name: 'CI publish', scopes: ['posts:write'], expiresInDays: 30 });
+    assert.equal(res.status, 201);
+    assert.match(res.body.token, /^blog_pat_/);
+    assert.equal(res.body.name, 'CI publish');
+    assert.deepEqual(res.body.scopes, ['posts:write']);
+    assert.ok(new Date(res.body.expiresAt) > new Date());
+
+    const stored = await AccessToken.findById(res.body.id).select('+tokenHash');
+    assert.notEqual(stored.tokenHash, res.body.token);
+
+    const list = await api.request('GET', '/api/me/tokens', { token });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.tokens.map((t) => t.name), ['CI publish']);
+    assert.ok(list.body.tokens.every((t) => !('token' in t)));
+  });
+
+  it('rejects unknown scopes and missing names', async () => {
+    const { token } = await api.signUp('mali');
+    assert.equal((await createToken(token, { name: 'Root', scopes: ['users:manage'] })).status, 400);
+    assert.equal((await createToken(token, { scopes: ['posts:read'] })).status, 400);
+    assert.equal((await createToken(token, { name: 'Nothing', scopes: [] })).status, 400);
+  });
+
+  it('revokes a token, which then stops working', async () => {
+    const { token, pat, id } = await userWithToken(['posts:write']);
+
+    assert.equal((await api.request('DELETE', `/api/me/tokens/${id}`, { token })).status, 204);
+    assert.equal((await publish(pat)).status, 401);
+    assert.equal((await api.request('DELETE', `/api/me/tokens/${id}`, { token })).status, 404);
+  });
+
+  it("won't revoke another user's token", async () => {
+    const { id } = await userWithToken(['posts:write']);
+    const someone = await api.signUp('someone');
+
+    assert.equal((await api.request('DELETE', `/api/me/tokens/${id}`, { token: someone.token })).status, 404);
+  });
+});
+
+describe('personal access tokens as credentials', () => {
+  it('can publish posts with the posts:write scope', async () => {
+    const { pat } = await userWithToken(['posts:write']);
+
+    const res = await publish(pat);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.author, 'mali');
+  });
+
+  it('answer 403 on routes outside their scopes', async () => {
+    const { pat } = await userWithToken(['posts:read']);
+
+    const res = await publish(pat);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, 'This access token does not have the posts:write scope');
+    assert.equal((await api.request('GET', '/api/me', { token: pat })).status, 403);
+    assert.equal((await api.request('GET', '/api/me/posts', { token: pat })).status, 200);
+  });
+
+  it("can't manage tokens or sessions, whatever their scopes", async () => {
+    const { pat } = await userWithToken(['posts:write', 'profile:read']);
+
+    assert.equal((await createToken(pat, { name: 'Another', scopes: ['posts:write'] })).status, 403);
+    assert.equal((await api.request('GET', '/api/me/tokens', { token: pat })).status, 403);
+    assert.equal((await api.request('DELETE', '/api/me/sessions', { token: pat })).status, 403);
+  });
+
+  it('stop working once expired', async () => {
+    const { pat, id } = await userWithToken(['posts:write']);
+    await AccessToken.updateOne({ _id: id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    assert.equal((await publish(pat)).status, 401);
+  });
+
+  it('are refused for an unknown token', async () => {
+    assert.equal((await publish('blog_pat_not-a-real-token')).status, 401);
+  });
+});
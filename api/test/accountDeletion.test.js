@@ -0,0 +1,175 @@
+// test/accountDeletion.test.js
+// Deleting an account (services/accountDeletion.js) against a fake Vault
+// and an in-memory MongoDB (test/helpers): what becomes of the user's posts
+// and comments, their sign-ins and their Transit key, and running it again
+// after it failed part-way.
+// Run with: npm test
+
+'use strict';
+
+// Sessions sign an access token when they start
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { connectMemoryMongo } = require('./helpers/memoryMongo');
+const { startFakeVault } = require('./helpers/fakeVault');
+
+let vault;
+let memory;
+let deleteAccount;
+let DELETED_AUTHOR;
+let decryptPII;
+let createSession;
+let createAccessToken;
+let User;
+let Post;
+let PostRevision;
+let Comment;
+let Session;
+let AccessToken;
+let AuditEvent;
+
+before(async () => {
+  vault = await startFakeVault();
+  process.env.VAULT_ADDR = vault.url;
+  process.env.VAULT_TOKEN = 'test-token';
+  memory = await connectMemoryMongo();
+
+  // Loaded now so the shared Vault client picks up the fake Vault's address
+  ({ deleteAccount, DELETED_AUTHOR } = require('../services/accountDeletion'));
+  ({ decryptPII } = require('../services/piiEncryption'));
+  ({ createSession } = require('../services/sessions'));
+  ({ createAccessToken } = require('../services/accessTokens'));
+  User = require('../models/User');
+  Post = require('../models/Post');
+  PostRevision = require('../models/PostRevision');
+  Comment = require('../models/Comment');
+  Session = require('../models/Session');
+  AccessToken = require('../models/AccessToken');
+  AuditEvent = require('../models/AuditEvent');
+});
+
+after(async () => {
+  await memory.close();
+  vault.server.closeAllConnections();
+  vault.server.close();
+});
+
+beforeEach(() => {
+  memory.reset();
+  vault.faults = [];
+});
+
+// Mali is leaving. Each of them has written a post, and each has commented
+// on the other's; Mali has also edited hers.
+async function twoUsers() {
+  const mali = await User.create({ username: 'mali', email: 'mali@example.com', fullName: 'Mali Owusu' });
+  const kofi = await User.create({ username: 'kofi', email: 'kofi@example.com', fullName: 'Kofi Mensah' });
+
+  const malisPost = await Post.create({ title: 'Mine', content: 'x', userId: mali._id, author: 'mali' });
+  const kofisPost = await Post.create({ title: 'Theirs', content: 'y', userId: kofi._id, author: 'kofi' });
+  await PostRevision.create({ postId: malisPost._id, title: 'Mine', content: 'draft', editedBy: mali._id });
+
+  const kofiOnMalis = await Comment.create({ postId: malisPost._id, userId: kofi._id, author: 'kofi', content: 'Nice' });
+  const maliOnKofis = await Comment.create({ postId: kofisPost._id, userId: mali._id, author: 'mali', content: 'Thanks' });
+
+  return { mali, kofi, malisPost, kofisPost, kofiOnMalis, maliOnKofis };
+}
+
+describe('deleteAccount', () => {
+  it('anonymises the posts by default and blanks the comments', async () => {
+    const { mali, malisPost, kofiOnMalis, maliOnKofis } = await twoUsers();
+
+    assert.deepEqual(await deleteAccount(mali._id), { deleted: true, shredded: true });
+
+    assert.equal(await User.exists({ _id: mali._id }), null);
+    const post = await Post.findById(malisPost._id);
+    assert.equal(post.author, DELETED_AUTHOR);
+    assert.equal(post.content, 'x');
+    assert.equal(await PostRevision.countDocuments({ postId: malisPost._id }), 1);
+
+    const blanked = await Comment.findById(maliOnKofis._id);
+    assert.equal(blanked.deleted, true);
+    assert.equal(blanked.content, '');
+    assert.equal(blanked.author, DELETED_AUTHOR);
+    assert.equal((await Comment.findById(kofiOnMalis._id)).content, 'Nice', 'other people\'s comments stay');
+  });
+
+  it('deletes the posts, with their comments and revisions, when asked to', async () => {
+    const { mali, malisPost, kofisPost, kofiOnMalis, maliOnKofis } = await twoUsers();
+
+    await deleteAccount(mali._id, { posts: 'delete' });
+
+    assert.equal(await Post.exists({ _id: malisPost._id }), null);
+    assert.equal(await PostRevision.countDocuments({ postId: malisPost._id }), 0);
+    assert.equal(await Comment.exists({ _id: kofiOnMalis._id }), null);
+
+    assert.ok(await Post.exists({ _id: kofisPost._id }));
+    const blanked = await Comment.findById(maliOnKofis._id);
+    assert.equal(blanked.deleted, true);
+    assert.equal(blanked.author, DELETED_AUTHOR);
+  });
+
+  it('deletes the user\'s Transit key, and only theirs', async () => {
+    const { mali, kofi } = await twoUsers();
+    const backup = await User.collection.findOne({ _id: mali._id });
+    assert.ok(vault.keys.has(mali.piiKey));
+
+    await deleteAccount(mali._id);
+
+    assert.equal(vault.keys.has(mali.piiKey), false);
+    await assert.rejects(decryptPII(backup, ['email'], backup.piiKey), /encryption key not found/);
+
+    assert.ok(vault.keys.has(kofi.piiKey));
+    const other = await User.findById(kofi._id);
+    assert.equal(other.email, 'kofi@example.com');
+    assert.equal(other.fullName, 'Kofi Mensah');
+  });
+
+  it('revokes every session and access token', async () => {
+    const { mali, kofi } = await twoUsers();
+    await createSession(mali._id);
+    await createSession(mali._id);
+    await createSession(kofi._id);
+    await createAccessToken(mali._id, { name: 'CI', scopes: ['posts:write'] });
+    await createAccessToken(kofi._id, { name: 'CI', scopes: ['posts:write'] });
+
+    await deleteAccount(mali._id);
+
+    const sessions = await Session.find({ userId: mali._id });
+    assert.equal(sessions.length, 2);
+    assert.ok(sessions.every((session) => session.revokedAt));
+    assert.equal(await AccessToken.countDocuments({ userId: mali._id }), 0);
+
+    assert.equal((await Session.findOne({ userId: kofi._id })).revokedAt, null);
+    assert.equal(await AccessToken.countDocuments({ userId: kofi._id }), 1);
+  });
+
+  it('finishes a deletion that failed part-way when run again', async () => {
+    const { mali, malisPost } = await twoUsers();
+    await createSession(mali._id);
+
+    // Vault turns down the key deletion, after the content has been dealt with
+    vault.faults.push({ status: 403 });
+    await assert.rejects(deleteAccount(mali._id, { posts: 'anonymise' }), /Vault error 403/);
+
+    const halfDeleted = await User.findById(mali._id).select('deletionRequestedAt deletionPosts password');
+    assert.ok(halfDeleted.deletionRequestedAt);
+    assert.equal(halfDeleted.password, null);
+    assert.ok(vault.keys.has(mali.piiKey));
+    assert.equal(await Session.countDocuments({ userId: mali._id, revokedAt: null }), 0);
+    assert.equal((await Post.findById(malisPost._id)).author, DELETED_AUTHOR);
+
+    // The first choice stands
+    assert.deepEqual(await deleteAccount(mali._id, { posts: 'delete' }), { deleted: true, shredded: true });
+    assert.equal((await Post.findById(malisPost._id)).author, DELETED_AUTHOR);
+    assert.equal(vault.keys.has(mali.piiKey), false);
+    assert.equal(await User.exists({ _id: mali._id }), null);
+
+    assert.deepEqual(await deleteAccount(mali._id), { deleted: false, shredded: false });
+    const audit = await AuditEvent.find({ action: 'account-deletion', userId: mali._id });
+    assert.equal(audit.length, 1);
+    assert.deepEqual(audit[0].details, { posts: 'anonymise', shredded: true });
+  });
+});
@@ -0,0 +1,160 @@
+// test/comments.test.js
+// Threaded comments: posting and replying, moderation and deletion, through
+// the real routes with an in-memory MongoDB (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+let Post;
+let Comment;
+
+before(async () => {
+  api = await startApi();
+  Post = require('../models/Post');
+  Comment = require('../models/Comment');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+// A published post by its own author, and a reader to comment on it
+async function postWithReader() {
+  const author = await api.signUp('mali');
+  const reader = await api.signUp('kofi', { roles: ['reader'] });
+  const post = await Post.create({ title: 'Hello', content: 'World', userId: author.user._id, author: 'mali' });
+  return { author, reader, post };
+}
+
+const comment = (post, token, content, parentId) =>
+  api.request('POST', `/api/posts/${post._id}/comments`, { token, body: { content, parentId } });
+
+const comments = (post, token) => api.request('GET', `/api/posts/${post._id}/comments`, { token });
+
+describe('POST /api/posts/:id/comments', () => {
+  it('threads replies, up to the depth limit', async () => {
+    const { reader, post } = await postWithReader();
+
+    let parent = (await comment(post, reader.token, 'Top')).body;
+    assert.equal(parent.depth, 0);
+    for (let depth = 1; depth <= 5; depth++) {
+      const res = await comment(post, reader.token, `Reply ${depth}`, parent._id);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.depth, depth);
+      assert.equal(res.body.parentId, parent._id);
+      parent = res.body;
+    }
+
+    const tooDeep = await comment(post, reader.token, 'Reply 6', parent._id);
+    assert.equal(tooDeep.status, 400);
+    assert.equal(tooDeep.body.message, 'Replies are nested too deeply');
+  });
+
+  it('will not reply to a comment on another post, or a deleted one', async () => {
+    const { reader, post } = await postWithReader();
+    const other = await Post.create({ title: 'Other', content: 'x' });
+    const elsewhere = await Comment.create({ postId: other._id, userId: reader.user._id, content: 'Hi' });
+    const gone = await Comment.create({ postId: post._id, userId: reader.user._id, deleted: true });
+
+    assert.equal((await comment(post, reader.token, 'Reply', elsewhere._id)).status, 400);
+    assert.equal((await comment(post, reader.token, 'Reply', gone._id)).status, 400);
+  });
+
+  it('allows ten comments per account every ten minutes', async () => {
+    const { author, reader, post } = await postWithReader();
+
+    for (let i = 1; i <= 10; i++) {
+      assert.equal((await comment(post, reader.token, `Comment ${i}`)).status, 201);
+    }
+    const limited = await comment(post, reader.token, 'One more');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.message, 'Too many comments, please slow down.');
+
+    // Counted per account, not per address
+    assert.equal((await comment(post, author.token, 'Mine')).status, 201);
+  });
+});
+
+describe('hidden comments', () => {
+  it('are redacted for readers but shown to moderators', async () => {
+    const { author, reader, post } = await postWithReader();
+    const { body: posted } = await comment(post, reader.token, 'Spam');
+
+    const hide = await api.request('PATCH', `/api/comments/${posted._id}`, {
+      token: author.token,
+      body: { hidden: true },
+    });
+    assert.equal(hide.status, 200);
+
+    const [anonymous] = (await comments(post)).body;
+    assert.equal(anonymous.hidden, true);
+    assert.equal(anonymous.content, null);
+    assert.equal(anonymous.author, 'kofi');
+    assert.equal((await comments(post, reader.token)).body[0].content, null);
+
+    assert.equal((await comments(post, author.token)).body[0].content, 'Spam');
+    const { token: editor } = await api.signUp('ama', { roles: ['editor'] });
+    assert.equal((await comments(post, editor)).body[0].content, 'Spam');
+  });
+
+  it('can only be hidden by the post\'s author or an editor', async () => {
+    const { reader, post } = await postWithReader();
+    const { body: posted } = await comment(post, reader.token, 'Mine');
+    const { token: stranger } = await api.signUp('yaw');
+
+    const hide = (token) => api.request('PATCH', `/api/comments/${posted._id}`, { token, body: { hidden: true } });
+    assert.equal((await hide(reader.token)).status, 403, 'not even the comment\'s own author');
+    assert.equal((await hide(stranger)).status, 403);
+    assert.equal((await Comment.findById(posted._id)).hidden, false);
+  });
+});
+
+describe('DELETE /api/comments/:id', () => {
+  const remove = (id, token) => api.request('DELETE', `/api/comments/${id}`, { token });
+
+  it('keeps a placeholder in the thread when others have replied', async () => {
+    const { author, reader, post } = await postWithReader();
+    const { body: top } = await comment(post, reader.token, 'Top');
+    const { body: reply } = await comment(post, author.token, 'Reply', top._id);
+
+    assert.equal((await remove(top._id, reader.token)).status, 200);
+
+    const thread = (await comments(post)).body;
+    assert.equal(thread.length, 2);
+    assert.equal(thread[0].deleted, true);
+    assert.equal(thread[0].content, null);
+    assert.equal(thread[0].author, null);
+    assert.equal(thread[1].parentId, top._id);
+    assert.equal(thread[1].content, 'Reply');
+    assert.equal((await Comment.findById(top._id)).content, '', 'the text itself is gone');
+
+    assert.equal((await remove(top._id, reader.token)).status, 404);
+    assert.equal((await remove(reply._id, author.token)).status, 200);
+  });
+
+  it('removes a comment without replies outright', async () => {
+    const { reader, post } = await postWithReader();
+    const { body: posted } = await comment(post, reader.token, 'Oops');
+
+    assert.equal((await remove(posted._id, reader.token)).status, 200);
+    assert.equal(await Comment.exists({ _id: posted._id }), null);
+  });
+
+  it('is for the comment\'s author and editors only', async () => {
+    const { author, reader, post } = await postWithReader();
+    const { body: first } = await comment(post, reader.token, 'First');
+    const { token: stranger } = await api.signUp('yaw');
+    const { token: editor } = await api.signUp('ama', { roles: ['editor'] });
+
+    assert.equal((await remove(first._id, stranger)).status, 403);
+    assert.equal((await remove(first._id, author.token)).status, 403, 'the post\'s author can hide it, not delete it');
+    assert.ok(await Comment.exists({ _id: first._id }));
+
+    assert.equal((await remove(first._id, editor)).status, 200);
+  });
+});
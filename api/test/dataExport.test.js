@@ -0,0 +1,121 @@
+// test/dataExport.test.js
+// GET /api/me/export through the real routes, with PII encrypted under
+// per-user keys in a fake Vault and an in-memory MongoDB (test/helpers): the
+// archive unzipped, and the audit trail it leaves.
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+const { startFakeVault } = require('./helpers/fakeVault');
+const { readZip } = require('./helpers/zip');
+
+let api;
+let vault;
+let User;
+let Post;
+let Comment;
+let AuditEvent;
+let createAccessToken;
+
+before(async () => {
+  // Set after helpers/api has cleared VAULT_ADDR, before anything reaches Vault
+  vault = await startFakeVault();
+  process.env.VAULT_ADDR = vault.url;
+  process.env.VAULT_TOKEN = 'test-token';
+
+  api = await startApi();
+  User = require('../models/User');
+  Post = require('../models/Post');
+  Comment = require('../models/Comment');
+  AuditEvent = require('../models/AuditEvent');
+  ({ createAccessToken } = require('../services/accessTokens'));
+});
+
+after(async () => {
+  await api.close();
+  vault.server.closeAllConnections();
+  vault.server.close();
+});
+
+beforeEach(() => api.reset());
+
+// api.request() reads the body as text, which would mangle the archive
+async function download(token) {
+  const res = await fetch(`${api.url}/api/me/export`, { headers: { Authorization: `Bearer ${token}` } });
+  const archive = Buffer.from(await res.arrayBuffer());
+  return { status: res.status, headers: res.headers, archive };
+}
+
+const filesIn = (archive) => Object.fromEntries(readZip(archive).map(({ name, content }) => [name, content.toString()]));
+
+describe('GET /api/me/export', () => {
+  it('zips up the caller\'s own data, PII decrypted, and audits it', async () => {
+    const { user: mali, token } = await api.signUp('mali', { fullName: 'Mali Owusu', phone: '+233244123456' });
+    const { user: kofi } = await api.signUp('kofi', { fullName: 'Kofi Mensah' });
+    const mine = await Post.create({ title: 'Mine', content: 'My words', userId: mali._id, author: 'mali' });
+    const theirs = await Post.create({ title: 'Theirs', content: 'Their words', userId: kofi._id, author: 'kofi' });
+    await Comment.create({ postId: theirs._id, userId: mali._id, author: 'mali', content: 'Mine too' });
+    await Comment.create({ postId: mine._id, userId: kofi._id, author: 'kofi', content: 'Not mine' });
+
+    // Stored encrypted, under Mali's own key
+    const raw = await User.collection.findOne({ _id: mali._id });
+    assert.match(raw.email, /^vault:v1:/);
+    assert.equal(raw.piiKey, `pii-user-${mali._id}`);
+
+    const res = await download(token);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/zip');
+    assert.match(res.headers.get('content-disposition'), /^attachment; filename="blog-export-mali-\d{4}-\d{2}-\d{2}\.zip"$/);
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+
+    const files = filesIn(res.archive);
+    assert.deepEqual(Object.keys(files).sort(), ['README.md', 'data.json', 'posts/mine.md']);
+    assert.match(files['posts/mine.md'], /My words/);
+
+    const data = JSON.parse(files['data.json']);
+    assert.equal(data.profile.email, 'mali@example.com');
+    assert.equal(data.profile.fullName, 'Mali Owusu');
+    assert.equal(data.profile.phone, '+233244123456');
+    assert.match(files['README.md'], /Email: mali@example\.com/);
+
+    assert.deepEqual(data.posts.map((post) => post.title), ['Mine']);
+    assert.deepEqual(data.comments.map((comment) => comment.content), ['Mine too']);
+    assert.ok(!files['data.json'].includes('kofi@example.com'));
+    assert.ok(!files['data.json'].includes('Kofi Mensah'));
+    assert.ok(!files['data.json'].includes('Not mine'));
+
+    // No secrets
+    assert.ok(!('password' in data.profile));
+    assert.ok(!files['data.json'].includes('vault:v1:'));
+
+    const [audit] = await AuditEvent.find({ action: 'data-export' });
+    assert.equal(audit.userId.toString(), mali._id.toString());
+    assert.equal(audit.actorId.toString(), mali._id.toString());
+    assert.deepEqual(
+      { posts: audit.details.posts, comments: audit.details.comments, sessions: audit.details.sessions },
+      { posts: 1, comments: 1, sessions: 1 }
+    );
+    assert.equal(await AuditEvent.countDocuments(), 1);
+  });
+
+  it('needs a session — access tokens can\'t export', async () => {
+    const { user } = await api.signUp('mali');
+    const { token } = await createAccessToken(user._id, { name: 'CI', scopes: ['profile:read'] });
+
+    assert.equal((await download(token)).status, 403);
+    assert.equal(await AuditEvent.countDocuments(), 0);
+  });
+
+  it('allows three exports an hour per account', async () => {
+    const { token } = await api.signUp('mali');
+    const { token: other } = await api.signUp('kofi');
+
+    for (let i = 1; i <= 3; i++) assert.equal((await download(token)).status, 200);
+    assert.equal((await download(token)).status, 429);
+    assert.equal((await download(other)).status, 200);
+    assert.equal(await AuditEvent.countDocuments(), 4);
+  });
+});
@@ -0,0 +1,100 @@
+// test/emailVerification.test.js
+// Which actions need a verified email (REQUIRE_VERIFIED_EMAIL), and the links
+// that verify one, through the real routes with an in-memory MongoDB
+// (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+process.env.REQUIRE_VERIFIED_EMAIL = 'posts';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+const { captureMail, linkIn } = require('./helpers/mail');
+const { VaultUnavailableError } = require('../services/vault');
+
+let api;
+let mail;
+let User;
+
+before(async () => {
+  api = await startApi();
+  mail = captureMail();
+  User = require('../models/User');
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  api.reset();
+  mail.clear();
+});
+
+const newPost = { title: 'Hello', content: 'World' };
+
+describe('requireVerifiedEmail', () => {
+  it('lets a verified user post', async () => {
+    const { token } = await api.signUp('verified');
+    const res = await api.request('POST', '/api/posts', { token, body: newPost });
+    assert.equal(res.status, 201);
+  });
+
+  it('turns away a user who has not verified their address', async () => {
+    const { token } = await api.signUp('unverified', { emailVerified: false });
+    const res = await api.request('POST', '/api/posts', { token, body: newPost });
+    assert.equal(res.status, 403);
+    assert.match(res.body.message, /verify your email/);
+  });
+
+  it('lets accounts from before verification existed post', async () => {
+    const { user, token } = await api.signUp('legacy');
+    await User.updateOne({ _id: user._id }, { $unset: { emailVerified: 1 } });
+
+    const res = await api.request('POST', '/api/posts', { token, body: newPost });
+    assert.equal(res.status, 201);
+  });
+
+  it('answers 503 with Retry-After when Vault is unavailable, 500 for anything else', async (t) => {
+    const { token } = await api.signUp('unlucky');
+
+    const exists = t.mock.method(User, 'exists', async () => {
+      throw new VaultUnavailableError('Vault is unavailable', { retryAfterMs: 12000 });
+    });
+    const outage = await api.request('POST', '/api/posts', { token, body: newPost });
+    assert.equal(outage.status, 503);
+    assert.equal(outage.headers.get('retry-after'), '12');
+
+    exists.mock.mockImplementation(async () => {
+      throw new Error('boom');
+    });
+    const bug = await api.request('POST', '/api/posts', { token, body: newPost });
+    assert.equal(bug.status, 500);
+  });
+});
+
+describe('POST /api/verify-email/resend', () => {
+  it('mails a link to SITE_URL that verifies the address', async () => {
+    const { user, token } = await api.signUp('unverified', { emailVerified: false });
+
+    const res = await api.request('POST', '/api/verify-email/resend', { token });
+    assert.equal(res.status, 202);
+    const link = linkIn(await mail.next());
+    assert.equal(link.origin, api.url);
+
+    const opened = await fetch(link, { redirect: 'manual' });
+    assert.equal(opened.headers.get('location'), `${api.url}/?emailVerified=ok`);
+    assert.equal((await User.findById(user._id)).emailVerified, true);
+  });
+
+  it('refuses to send a link when SITE_URL is not set', async (t) => {
+    const { token } = await api.signUp('unverified', { emailVerified: false });
+    const siteUrl = process.env.SITE_URL;
+    delete process.env.SITE_URL;
+    t.after(() => { process.env.SITE_URL = siteUrl; });
+
+    const res = await api.request('POST', '/api/verify-email/resend', { token });
+    assert.equal(res.status, 503);
+    assert.equal(mail.outbox.length, 0);
+  });
+});
@@ -0,0 +1,103 @@
+// test/feeds.test.js
+// RSS, Atom and JSON feeds through the real routes, with an in-memory
+// MongoDB (test/helpers): which posts they carry, in what order, and the
+// dates and cache validators that go with them.
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { startApi } = require('./helpers/api');
+
+let api;
+let Post;
+
+before(async () => {
+  api = await startApi();
+  Post = require('../models/Post');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+const day = (n) => new Date(Date.UTC(2026, 0, n));
+
+// 25 posts published on Jan 1..25, plus one written on Dec 1 and only
+// published on Jan 31 — more than a feed holds, so the late one only makes
+// it in when feeds go by publish time
+async function seedPosts() {
+  for (let i = 1; i <= 25; i++) {
+    await Post.create({ title: `Post ${i}`, content: 'x', createdAt: day(i), publishAt: day(i) });
+  }
+  await Post.create({ title: 'Late bloomer', content: 'x', createdAt: new Date(Date.UTC(2025, 11, 1)), publishAt: day(31) });
+}
+
+// fetch() adds Cache-Control: no-cache to conditional requests, which
+// forces a full response — feed readers don't, so use plain http here
+const statusOf = (path, headers) =>
+  new Promise((resolve, reject) => {
+    http.get(api.url + path, { headers }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+
+describe('feeds', () => {
+  it('list the latest posts by publish time', async () => {
+    await seedPosts();
+
+    const res = await api.request('GET', '/feed.json');
+    assert.equal(res.status, 200);
+    const { items } = res.body;
+    assert.equal(items.length, 20);
+    assert.equal(items[0].title, 'Late bloomer');
+    assert.equal(items[0].date_published, day(31).toISOString());
+    assert.equal(items[1].title, 'Post 25');
+    assert.equal(items[19].title, 'Post 7');
+  });
+
+  it('date Last-Modified by the latest publish time', async () => {
+    await seedPosts();
+
+    const res = await api.request('GET', '/feed.xml');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('last-modified'), day(31).toUTCString());
+    assert.match(res.text, /<title>Late bloomer<\/title>/);
+  });
+
+  it('leave out drafts and posts scheduled for later', async () => {
+    await Post.create({ title: 'Live', content: 'x' });
+    await Post.create({ title: 'Draft', content: 'x', status: 'draft' });
+    await Post.create({ title: 'Soon', content: 'x', status: 'scheduled', publishAt: new Date(Date.now() + 3600 * 1000) });
+
+    const res = await api.request('GET', '/atom.xml');
+    assert.match(res.text, /<title>Live<\/title>/);
+    assert.doesNotMatch(res.text, /Draft|Soon/);
+  });
+
+  it('answer 304 while nothing has changed', async () => {
+    await seedPosts();
+    const first = await api.request('GET', '/feed.json');
+
+    assert.equal(await statusOf('/feed.json', { 'If-None-Match': first.headers.get('etag') }), 304);
+    assert.equal(await statusOf('/feed.json', { 'If-Modified-Since': first.headers.get('last-modified') }), 304);
+
+    await Post.create({ title: 'New', content: 'x' });
+    assert.equal(await statusOf('/feed.json', { 'If-None-Match': first.headers.get('etag') }), 200);
+  });
+
+  it("have one per author, with only that author's posts", async () => {
+    const { user } = await api.signUp('mali');
+    await Post.create({ title: 'By mali', content: 'x', author: 'mali', userId: user._id });
+    await Post.create({ title: 'By someone else', content: 'x' });
+
+    const res = await api.request('GET', '/authors/mali/feed.xml');
+    assert.equal(res.status, 200);
+    assert.match(res.text, /By mali/);
+    assert.doesNotMatch(res.text, /someone else/);
+    assert.equal((await api.request('GET', '/authors/nobody/feed.xml')).status, 404);
+  });
+});
@@ -0,0 +1,154 @@
+// test/helpers/fakeVault.js
+// A fake Vault served from localhost that implements just enough of the
+// Transit engine, AppRole and the database secrets engine for services/vault.js.
+//
+//   const vault = await startFakeVault();
+//   process.env.VAULT_ADDR = vault.url;
+//   vault.faults.push({ status: 503 });
+
+'use strict';
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+
+// Fake Transit: ciphertext is an opaque handle into the key's own table, so
+// once a key is deleted nothing encrypted under it can be read back — like
+// the real thing. Also AppRole login, token renewal and sys/health, and
+// faults to inject: errors, slow answers, dropped connections.
+function startFakeVault() {
+  const vault = {
+    keys: new Map(),
+    requests: [],
+    mongo: { username: 'blogapi', password: 'p@ss/word', ttl: 3540, rotationPeriod: 3600 },
+    // AppRole tokens
+    tokens: new Map(),
+    logins: 0,
+    tokenTtl: 3600,
+    renewTtl: 3600,
+    renewFails: false,
+    // e.g. { status: 503 }, { delayMs: 200 } or { hangUp: true }
+    faults: [],
+  };
+
+  const encryptOne = (key, plaintext) => {
+    const handle = crypto.randomBytes(12).toString('base64url');
+    key.values.set(handle, plaintext);
+    return `vault:v1:${handle}`;
+  };
+  const decryptOne = (key, ciphertext) => {
+    const plaintext = key.values.get(String(ciphertext).replace(/^vault:v1:/, ''));
+    if (plaintext === undefined) throw new Error('cipher: message authentication failed');
+    return plaintext;
+  };
+
+  // The Vault API proper
+  const route = (req, body, send) => {
+    if (req.method === 'POST' && req.url === '/v1/auth/approle/login') {
+      vault.logins += 1;
+      const token = `s.token${vault.logins}`;
+      vault.tokens.set(token, { renewals: 0 });
+      return send(200, { auth: { client_token: token, lease_duration: vault.tokenTtl, renewable: true } });
+    }
+
+    if (req.method === 'POST' && req.url === '/v1/auth/token/renew-self') {
+      const token = req.headers['x-vault-token'];
+      if (vault.renewFails || !vault.tokens.has(token)) return send(403, { errors: ['permission denied'] });
+      vault.tokens.get(token).renewals += 1;
+      return send(200, { auth: { client_token: token, lease_duration: vault.renewTtl, renewable: true } });
+    }
+
+    if (req.method === 'GET' && req.url === '/v1/sys/health') {
+      return send(200, { initialized: true, sealed: false, version: '1.15.0' });
+    }
+
+    let match = req.url.match(/^\/v1\/transit\/keys\/([\w-]+)(\/config)?$/);
+    if (match) {
+      const [, name, config] = match;
+      const key = vault.keys.get(name);
+      if (req.method === 'POST' && !config) {
+        if (!key) vault.keys.set(name, { values: new Map(), deletionAllowed: false });
+        return send(204);
+      }
+      if (req.method === 'POST' && config) {
+        if (!key) return send(400, { errors: [`no existing key named ${name} could be found`] });
+        key.deletionAllowed = Boolean(body.deletion_allowed);
+        return send(204);
+      }
+      if (req.method === 'DELETE') {
+        if (!key) return send(400, { errors: [`error deleting policy ${name}: could not delete key; not found`] });
+        if (!key.deletionAllowed) return send(400, { errors: ['deletion is not allowed for this key'] });
+        vault.keys.delete(name);
+        return send(204);
+      }
+    }
+
+    if (req.method === 'GET' && req.url === '/v1/database/static-creds/blogapi-static') {
+      const { username, password, ttl, rotationPeriod } = vault.mongo;
+      return send(200, { data: {
+        username,
+        password,
+        ttl,
+        rotation_period: rotationPeriod,
+        last_vault_rotation: new Date(Date.now() - (rotationPeriod - ttl) * 1000).toISOString(),
+      } });
+    }
+
+    match = req.url.match(/^\/v1\/transit\/(encrypt|decrypt)\/([\w-]+)$/);
+    if (match && req.method === 'POST') {
+      const [, operation, name] = match;
+      let key = vault.keys.get(name);
+      if (!key && operation === 'encrypt') {
+        // Vault creates keys on first encrypt (upsert)
+        key = { values: new Map(), deletionAllowed: false };
+        vault.keys.set(name, key);
+      }
+      if (!key) return send(400, { errors: ['encryption key not found'] });
+
+      const one = (item) => (operation === 'encrypt'
+        ? { ciphertext: encryptOne(key, item.plaintext) }
+        : { plaintext: decryptOne(key, item.ciphertext) });
+      try {
+        if (body.batch_input) {
+          return send(200, { data: { batch_results: body.batch_input.map((item) => {
+            try { return one(item); } catch (e) { return { error: e.message }; }
+          }) } });
+        }
+        return send(200, { data: one(body) });
+      } catch (e) {
+        return send(400, { errors: [e.message] });
+      }
+    }
+
+    send(404, { errors: [] });
+  };
+
+  vault.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+      };
+      vault.requests.push({ method: req.method, path: req.url, token: req.headers['x-vault-token'] });
+
+      // Injected failures, used up one per request
+      const fault = vault.faults.shift();
+      if (fault?.hangUp) return req.socket.destroy();
+      if (fault?.status) return send(fault.status, { errors: [`injected ${fault.status}`] });
+
+      const body = raw ? JSON.parse(raw) : {};
+      if (fault?.delayMs) return setTimeout(() => route(req, body, send), fault.delayMs);
+      route(req, body, send);
+    });
+  });
+
+  return new Promise((resolve) => {
+    vault.server.listen(0, '127.0.0.1', () => {
+      vault.url = `http://127.0.0.1:${vault.server.address().port}`;
+      resolve(vault);
+    });
+  });
+}
+
+module.exports = { startFakeVault };
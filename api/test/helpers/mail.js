@@ -0,0 +1,59 @@
+// test/helpers/mail.js
+// Keeps the emails the app sends in memory instead of printing them, so
+// route tests can read the links in them.
+//
+//   const mail = captureMail();
+//   await api.request('POST', '/api/password/forgot', { body: { email } });
+//   const message = await mail.next();
+
+'use strict';
+
+const { registerTransport } = require('../../services/mailer');
+
+/**
+ * @returns {{ outbox: object[], next: Function, clear: Function }}
+ */
+function captureMail() {
+  const outbox = [];
+  let read = 0;
+
+  registerTransport('test', () => ({
+    name: 'test',
+    async send(message) {
+      outbox.push(message);
+      return { messageId: null };
+    },
+  }));
+  process.env.MAIL_TRANSPORT = 'test';
+
+  /**
+   * The next message not yet returned. Routes may send after they answer,
+   * so this waits up to `timeoutMs` for it.
+   */
+  async function next(timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (outbox.length <= read) {
+      if (Date.now() > deadline) throw new Error('No email was sent');
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return outbox[read++];
+  }
+
+  return {
+    outbox,
+    next,
+    clear() {
+      outbox.length = 0;
+      read = 0;
+    },
+  };
+}
+
+/**
+ * The first link in a message's text.
+ * @param {object} message
+ * @returns {URL}
+ */
+const linkIn = (message) => new URL(message.text.match(/https?:\/\/\S+/)[0]);
+
+module.exports = { captureMail, linkIn };
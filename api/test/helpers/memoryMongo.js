@@ -0,0 +1,395 @@
+// test/helpers/memoryMongo.js
+// An in-memory stand-in for MongoDB, so route tests can run the real models
+// without a database server. Collections are arrays of documents, queried
+// and updated with mingo (MongoDB's query, update and aggregation language
+// in JavaScript) and handed to Mongoose through connection.setClient().
+//
+// Documents go in and come out through a BSON round trip, just as they
+// would over the wire. Covers what the app's models use: CRUD,
+// findOneAnd*, counts, distinct, aggregate, unique indexes and $text search
+// at the start of an aggregation (roughly — see textSearch()). Not covered:
+// transactions, TTL expiry.
+
+'use strict';
+
+const mongoose = require('mongoose');
+const mingo = require('mingo');
+const { update } = require('mingo/updater');
+require('mingo/init/system');
+
+const { BSON, MongoClient, MongoServerError, ObjectId } = mongoose.mongo;
+
+const clone = (doc) => (doc == null ? doc : BSON.deserialize(BSON.serialize(doc)));
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const cursorOf = (docs) => ({ toArray: async () => docs });
+
+function applyUpdate(doc, expr, { arrayFilters, inserting = false } = {}) {
+  const operators = Object.keys(expr);
+  if (!operators.some((op) => op.startsWith('$'))) {
+    // Replacement document: keep the _id
+    for (const key of Object.keys(doc)) if (key !== '_id') delete doc[key];
+    Object.assign(doc, clone(expr));
+    return;
+  }
+  for (const op of operators) {
+    if (op === '$setOnInsert') {
+      if (inserting) update(doc, { $set: clone(expr[op]) });
+      continue;
+    }
+    update(doc, { [op]: clone(expr[op]) }, arrayFilters);
+  }
+}
+
+// The document an upsert starts from: the filter's plain equality fields
+function seedFromFilter(filter = {}) {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    if (value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date) &&
+        Object.keys(value).some((k) => k.startsWith('$'))) {
+      if ('$eq' in value) update(doc, { $set: { [key]: clone({ v: value.$eq }).v } });
+      continue;
+    }
+    update(doc, { $set: { [key]: clone({ v: value }).v } });
+  }
+  return doc;
+}
+
+// ─── $text ────────────────────────────────────────────────────────────────────
+// A rough stand-in for MongoDB's: whole words, a few English endings stripped,
+// score = sum of field weight × matching words. Phrases count as their words.
+
+const TEXT_SCORE = '__textScore';
+
+const textStem = (word) => word.replace(/(ing|ed|es|s)$/, '').replace(/(.)\1$/, '$1');
+
+const wordsOf = (value) =>
+  [].concat(value ?? []).join(' ').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+function textSearch(docs, { fields, weights }, search) {
+  const wanted = new Set();
+  const unwanted = new Set();
+  for (const token of search.split(/\s+/)) {
+    const target = token.startsWith('-') ? unwanted : wanted;
+    for (const word of wordsOf(token)) target.add(textStem(word));
+  }
+
+  const results = [];
+  for (const doc of docs) {
+    let score = 0;
+    let excluded = false;
+    for (const field of fields) {
+      for (const word of wordsOf(getPath(doc, field))) {
+        const stem = textStem(word);
+        if (unwanted.has(stem)) excluded = true;
+        if (wanted.has(stem)) score += weights[field] || 1;
+      }
+    }
+    if (score > 0 && !excluded) results.push({ ...doc, [TEXT_SCORE]: score });
+  }
+  return results;
+}
+
+// { $meta: 'textScore' } anywhere in later stages → the score field
+function withTextScore(value) {
+  if (Array.isArray(value)) return value.map(withTextScore);
+  if (!value || typeof value !== 'object' || value instanceof ObjectId || value instanceof Date) return value;
+  if (value.$meta === 'textScore') return `$${TEXT_SCORE}`;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, withTextScore(v)]));
+}
+
+function sortSpec(sort) {
+  if (!sort) return null;
+  if (Array.isArray(sort)) return Object.fromEntries(sort);
+  if (sort instanceof Map) return Object.fromEntries(sort);
+  return sort;
+}
+
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.namespace = `${db.databaseName}.${name}`;
+    this.docs = [];
+    this.uniqueIndexes = [];
+    this.textIndex = null;
+  }
+
+  _matching(filter = {}, { sort, skip, limit } = {}) {
+    let cursor = mingo.find(this.docs, filter);
+    const spec = sortSpec(sort);
+    if (spec && Object.keys(spec).length) cursor = cursor.sort(spec);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(Math.abs(limit));
+    return cursor.all();
+  }
+
+  _project(docs, projection) {
+    if (!projection || !Object.keys(projection).length) return docs.map(clone);
+    return mingo.find(docs.map(clone), {}, projection).all();
+  }
+
+  _checkUnique(candidate, replacing = null) {
+    for (const index of this.uniqueIndexes) {
+      const keyOf = (doc) => index.fields.map((field) => getPath(doc, field) ?? null);
+      const applies = (doc) => {
+        if (index.sparse && index.fields.every((field) => getPath(doc, field) === undefined)) return false;
+        if (index.partialFilterExpression && !new mingo.Query(index.partialFilterExpression).test(doc)) return false;
+        return true;
+      };
+      if (!applies(candidate)) continue;
+
+      const key = BSON.EJSON.stringify(keyOf(candidate));
+      const clash = this.docs.some((doc) => doc !== replacing && applies(doc) && BSON.EJSON.stringify(keyOf(doc)) === key);
+      if (clash) {
+        const keyValue = Object.fromEntries(index.fields.map((field) => [field, getPath(candidate, field)]));
+        throw new MongoServerError({
+          message: `E11000 duplicate key error collection: ${this.namespace} index: ${index.name} dup key: ${BSON.EJSON.stringify(keyValue)}`,
+          code: 11000,
+          keyPattern: index.keys,
+          keyValue,
+        });
+      }
+    }
+  }
+
+  // Applies `expr` to a copy, checks unique indexes, then commits
+  _updateDoc(doc, expr, options) {
+    const updated = clone(doc);
+    applyUpdate(updated, expr, options);
+    this._checkUnique(updated, doc);
+    const changed = BSON.EJSON.stringify(updated) !== BSON.EJSON.stringify(doc);
+    this.docs[this.docs.indexOf(doc)] = updated;
+    return { updated, changed };
+  }
+
+  _upsert(filter, expr, options) {
+    const doc = seedFromFilter(filter);
+    applyUpdate(doc, expr, { ...options, inserting: true });
+    if (doc._id === undefined) doc._id = new ObjectId();
+    return this._insert(doc);
+  }
+
+  _insert(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    const stored = clone(doc);
+    this._checkUnique(stored);
+    this.docs.push(stored);
+    return stored;
+  }
+
+  // ─── Driver API ─────────────────────────────────────────────────────────────
+
+  async insertOne(doc) {
+    const stored = this._insert(doc);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    docs.forEach((doc, i) => { insertedIds[i] = this._insert(doc)._id; });
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  find(filter, options = {}) {
+    const docs = this._project(this._matching(filter, options), options.projection);
+    return cursorOf(docs);
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this._matching(filter, { ...options, limit: 1 });
+    return doc ? this._project([doc], options.projection)[0] : null;
+  }
+
+  async countDocuments(filter, options = {}) {
+    return this._matching(filter, options).length;
+  }
+
+  async count(filter, options) {
+    return this.countDocuments(filter, options);
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const seen = new Map();
+    for (const doc of this._matching(filter)) {
+      const value = getPath(doc, field);
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined) seen.set(BSON.EJSON.stringify({ v: item }), item);
+      }
+    }
+    return [...seen.values()];
+  }
+
+  async updateOne(filter, expr, options = {}) {
+    const [doc] = this._matching(filter, { sort: options.sort, limit: 1 });
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const stored = this._upsert(filter, expr, options);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: stored._id };
+    }
+    const { changed } = this._updateDoc(doc, expr, options);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: changed ? 1 : 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, expr, options = {}) {
+    const docs = this._matching(filter);
+    if (!docs.length && options.upsert) return this.updateOne(filter, expr, options);
+    let modifiedCount = 0;
+    for (const doc of docs) {
+      if (this._updateDoc(doc, expr, options).changed) modifiedCount += 1;
+    }
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async _findOneAndModify(filter, options, modify) {
+    const [doc] = this._matching(filter, { sort: options.sort, limit: 1 });
+    const { before, after, upserted } = modify(doc);
+    const returned = options.returnDocument === 'after' ? after : before;
+    const value = returned ? this._project([returned], options.projection)[0] : null;
+    if (options.includeResultMetadata === false) return value;
+    return {
+      value,
+      ok: 1,
+      lastErrorObject: { n: before || upserted ? 1 : 0, updatedExisting: Boolean(before), ...(upserted && { upserted: upserted._id }) },
+    };
+  }
+
+  async findOneAndUpdate(filter, expr, options = {}) {
+    return this._findOneAndModify(filter, options, (doc) => {
+      if (!doc) {
+        if (!options.upsert) return {};
+        const upserted = this._upsert(filter, expr, options);
+        return { after: upserted, upserted };
+      }
+      const before = clone(doc);
+      return { before, after: this._updateDoc(doc, expr, options).updated };
+    });
+  }
+
+  async findOneAndReplace(filter, replacement, options = {}) {
+    return this.findOneAndUpdate(filter, replacement, options);
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    return this._findOneAndModify(filter, options, (doc) => {
+      if (!doc) return {};
+      this.docs.splice(this.docs.indexOf(doc), 1);
+      return { before: doc };
+    });
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this._matching(filter, { limit: 1 });
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const doomed = new Set(this._matching(filter));
+    this.docs = this.docs.filter((doc) => !doomed.has(doc));
+    return { acknowledged: true, deletedCount: doomed.size };
+  }
+
+  aggregate(pipeline) {
+    const collectionResolver = (name) => this.db.collection(name).docs;
+    let docs = this.docs.map(clone);
+    let stages = pipeline;
+
+    const first = pipeline[0] && pipeline[0].$match;
+    if (first && first.$text) {
+      if (!this.textIndex) throw new MongoServerError({ message: 'text index required for $text query', code: 27 });
+      const { $text, ...filter } = first;
+      docs = textSearch(docs, this.textIndex, $text.$search);
+      stages = [{ $match: filter }, ...withTextScore(pipeline.slice(1)), { $project: { [TEXT_SCORE]: 0 } }];
+    }
+    return cursorOf(mingo.aggregate(docs, stages, { collectionResolver }));
+  }
+
+  async createIndex(keys, options = {}) {
+    const name = options.name || Object.entries(keys).map(([k, v]) => `${k}_${v}`).join('_');
+    const textFields = Object.keys(keys).filter((field) => keys[field] === 'text');
+    if (textFields.length) this.textIndex = { fields: textFields, weights: options.weights || {} };
+    if (options.unique && !this.uniqueIndexes.some((index) => index.name === name)) {
+      this.uniqueIndexes.push({
+        name,
+        keys,
+        fields: Object.keys(keys),
+        sparse: Boolean(options.sparse),
+        partialFilterExpression: options.partialFilterExpression,
+      });
+    }
+    return name;
+  }
+
+  listIndexes() {
+    return cursorOf([{ key: { _id: 1 }, name: '_id_' }]);
+  }
+}
+
+class MemoryDb {
+  constructor(name) {
+    this.databaseName = name;
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(this, name));
+    return this.collections.get(name);
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+
+  listCollections() {
+    return cursorOf([...this.collections.keys()].map((name) => ({ name })));
+  }
+
+  async command() {
+    return { ok: 1 };
+  }
+}
+
+/**
+ * Point Mongoose's default connection at a fresh in-memory database.
+ *
+ * @returns {Promise<{ db: MemoryDb, client: MongoClient, reset: Function, close: Function }>}
+ *   reset() empties every collection, keeping its indexes; `client` can be
+ *   given to setClient() again after close()
+ */
+async function connectMemoryMongo() {
+  const db = new MemoryDb('test');
+
+  // Enough of a MongoClient for setClient(): a database and a "connected" topology
+  const client = Object.create(MongoClient.prototype);
+  Object.assign(client, {
+    s: { url: 'mongodb://memory/test', options: { dbName: 'test', hosts: [] } },
+    topology: { description: { type: 'Memory' } },
+    db: () => db,
+    close: async () => {},
+  });
+
+  mongoose.connection.setClient(client);
+  await Promise.all(Object.values(mongoose.connection.models).map((model) => model.init()));
+
+  return {
+    db,
+    client,
+    reset() {
+      for (const collection of db.collections.values()) collection.docs = [];
+    },
+    close: () => mongoose.connection.close(),
+  };
+}
+
+module.exports = { connectMemoryMongo };
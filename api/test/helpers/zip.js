@@ -0,0 +1,38 @@
+// test/helpers/zip.js
+// Reads ZIP archives back with a minimal central-directory parser, so tests
+// don't trust the writer's own bookkeeping.
+//
+//   const entries = readZip(archive); // [{ name, content, crc }]
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+// → [{ name, content, crc }] from the central directory
+function readZip(archive) {
+  const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, 'no end-of-central-directory record');
+  const count = archive.readUInt16LE(end + 10);
+  let pos = archive.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(pos), 0x02014b50);
+    const crc = archive.readUInt32LE(pos + 16);
+    const compressedSize = archive.readUInt32LE(pos + 20);
+    const nameLength = archive.readUInt16LE(pos + 28);
+    const localOffset = archive.readUInt32LE(pos + 42);
+    const name = archive.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+    assert.equal(archive.readUInt32LE(localOffset), 0x04034b50);
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+    entries.push({ name, content, crc });
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+module.exports = { readZip };
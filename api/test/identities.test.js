@@ -0,0 +1,80 @@
+// test/identities.test.js
+// DELETE /api/me/identities/:provider, including accounts still in the shape
+// they had before identities (authProvider/googleId), against the real routes
+// with an in-memory MongoDB (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+let User;
+let createSession;
+
+before(async () => {
+  api = await startApi();
+  User = require('../models/User');
+  ({ createSession } = require('../services/sessions'));
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+// An account as it was saved before scripts/migrate-identities.js, signed in
+async function legacyUser(fields) {
+  const { insertedId } = await User.collection.insertOne({
+    username: 'legacy',
+    createdAt: new Date(),
+    ...fields,
+  });
+  const { token } = await createSession(insertedId);
+  return { id: insertedId, token };
+}
+
+const unlink = (token, provider) => api.request('DELETE', `/api/me/identities/${provider}`, { token });
+
+describe('DELETE /api/me/identities/:provider', () => {
+  it('unlinks Google from an account saved before identities', async () => {
+    const { id, token } = await legacyUser({ password: 'bcrypt-hash', authProvider: 'google', googleId: 'g-123' });
+
+    const res = await unlink(token, 'google');
+    assert.equal(res.status, 204);
+
+    assert.equal(await User.findByIdentity('google', 'g-123'), null, 'the old googleId no longer signs in');
+    const raw = await User.collection.findOne({ _id: id });
+    assert.equal(raw.googleId, undefined);
+    assert.equal(raw.authProvider, undefined);
+    assert.deepEqual(raw.identities.map((i) => i.provider), ['local']);
+  });
+
+  it('refuses to remove the last sign-in method', async () => {
+    const { id, token } = await legacyUser({ authProvider: 'google', googleId: 'g-123' });
+
+    const res = await unlink(token, 'google');
+    assert.equal(res.status, 400);
+    assert.equal((await User.findByIdentity('google', 'g-123'))._id.toString(), id.toString());
+  });
+
+  it('answers 404 for a method that is not linked', async () => {
+    const { token } = await api.signUp('mali');
+    assert.equal((await unlink(token, 'google')).status, 404);
+  });
+
+  it('removes the password, and two-factor with it', async () => {
+    const { user, token } = await api.signUp('mali', {
+      password: 'bcrypt-hash',
+      totpEnabled: true,
+      identities: [{ provider: 'local' }, { provider: 'google', subject: 'g-9' }],
+    });
+
+    assert.equal((await unlink(token, 'local')).status, 204);
+    const saved = await User.findById(user._id).select('+password');
+    assert.equal(saved.password, null);
+    assert.equal(saved.totpEnabled, false);
+    assert.deepEqual(saved.identities.map((i) => i.provider), ['google']);
+  });
+});
@@ -0,0 +1,129 @@
+// test/markdown.test.js
+// XSS regression tests for the post Markdown renderer.
+// Run with: npm test
+//
+// Every payload here must come out without anything a browser would execute.
+// When a new bypass is reported, add it to XSS_PAYLOADS before fixing it.
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown } = require('../services/markdown');
+
+// Anything matching one of these in rendered output is executable.
+// Attribute checks only look inside tags — the same text as escaped prose is harmless.
+const DANGEROUS = [
+  /<script/i,
+  /<iframe/i,
+  /<object/i,
+  /<embed/i,
+  /<svg/i,
+  /<math/i,
+  /<style/i,
+  /<form/i,
+  /<[^>]*\son\w+\s*=/i,                         // onerror=, onclick=, onload= ...
+  /<[^>]*=\s*"?\s*(javascript|vbscript|data):/i, // dangerous URL schemes in any attribute
+  /<[^>]*\sstyle\s*=/i,
+  /<[^>]*href="\/\//i,                           // protocol-relative links to other origins
+];
+
+const XSS_PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=//evil.example/x.js></SCRIPT>',
+  '<img src=x onerror=alert(1)>',
+  '<img src="javascript:alert(1)">',
+  '<svg onload=alert(1)>',
+  '<svg><script>alert(1)</script></svg>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '<iframe src="https://evil.example"></iframe>',
+  '<object data="javascript:alert(1)"></object>',
+  '<a href="javascript:alert(1)">x</a>',
+  '<a href="http://ok.example" onclick="alert(1)">x</a>',
+  '<div style="background:url(javascript:alert(1))">x</div>',
+  '<form action="javascript:alert(1)"><button>x</button></form>',
+  '[x](javascript:alert(1))',
+  '[x](JaVaScRiPt:alert(1))',
+  '[x](  javascript:alert(1))',
+  '[x](&#106;avascript:alert(1))',
+  '[x](&#x6A;avascript:alert(1))',
+  '[x](java\tscript:alert(1))',
+  '[x](vbscript:msgbox(1))',
+  '[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+  '[x](//evil.example)',
+  '![x](javascript:alert(1))',
+  '![x](data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+)',
+  '![x](x" onerror="alert(1))',
+  '[x]: javascript:alert(1)\n\n[click][x]',
+  '<details open ontoggle=alert(1)>',
+  '<input autofocus onfocus=alert(1)>',
+  '<<script>script>alert(1)<</script>/script>',
+  '`<script>alert(1)</script>`',
+  '```\n<script>alert(1)</script>\n```',
+];
+
+describe('renderMarkdown() — XSS', () => {
+  for (const payload of XSS_PAYLOADS) {
+    it(`neutralises ${JSON.stringify(payload)}`, () => {
+      const html = renderMarkdown(payload);
+      for (const pattern of DANGEROUS) {
+        assert.doesNotMatch(html, pattern, `output: ${html}`);
+      }
+    });
+  }
+
+  it('keeps script source inside code blocks as escaped text', () => {
+    const html = renderMarkdown('```\n<script>alert(1)</script>\n```');
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  });
+
+  it('adds rel="nofollow noopener noreferrer" to links', () => {
+    const html = renderMarkdown('[site](https://example.com)');
+    assert.equal(
+      html,
+      '<p><a href="https://example.com" rel="nofollow noopener noreferrer">site</a></p>\n'
+    );
+  });
+
+  it('overrides an author-supplied rel', () => {
+    const html = renderMarkdown('<a href="https://example.com" rel="opener">x</a>');
+    assert.match(html, /rel="nofollow noopener noreferrer"/);
+    assert.doesNotMatch(html, /rel="opener"/);
+  });
+});
+
+describe('renderMarkdown() — formatting', () => {
+  it('renders headings, emphasis and lists', () => {
+    const html = renderMarkdown('## Title\n\nSome **bold** and *em*.\n\n- one\n- two');
+    assert.equal(
+      html,
+      '<h2>Title</h2>\n<p>Some <strong>bold</strong> and <em>em</em>.</p>\n<ul>\n<li>one</li>\n<li>two</li>\n</ul>\n'
+    );
+  });
+
+  it('keeps the language class on fenced code blocks', () => {
+    const html = renderMarkdown('```js\nconst a = 1 < 2;\n```');
+    assert.equal(html, '<pre><code class="language-js">const a = 1 &lt; 2;\n</code></pre>\n');
+  });
+
+  it('allows relative and mailto links', () => {
+    assert.match(renderMarkdown('[post](/posts/hello)'), /href="\/posts\/hello"/);
+    assert.match(renderMarkdown('[me](mailto:me@example.com)'), /href="mailto:me@example.com"/);
+  });
+
+  it('renders GFM task lists as disabled checkboxes', () => {
+    const html = renderMarkdown('- [x] done\n- [ ] todo');
+    assert.match(html, /<input type="checkbox" disabled checked \/> done/);
+    assert.match(html, /<input type="checkbox" disabled \/> todo/);
+  });
+
+  it('is deterministic', () => {
+    const source = '# A\n\n| a | b |\n|---|---|\n| 1 | 2 |\n\n> quote\n\n[x](https://example.com)';
+    assert.equal(renderMarkdown(source), renderMarkdown(source));
+  });
+
+  it('returns an empty string for empty input', () => {
+    assert.equal(renderMarkdown(''), '');
+    assert.equal(renderMarkdown(null), '');
+  });
+});
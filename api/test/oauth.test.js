@@ -0,0 +1,107 @@
+// test/oauth.test.js
+// Google ID token verification, with tokens signed by a locally generated
+// keypair standing in for Google's.
+// Run with: npm test
+
+'use strict';
+
+process.env.GOOGLE_CLIENT_ID = 'test-client.apps.googleusercontent.com';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const jwt = require('jsonwebtoken');
+
+const { verifyGoogleToken } = require('../services/oauth');
+
+const KID = 'google-key-1';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Stands in for the cached JWKS: knows one key id
+const jwks = {
+  async getKey(kid) {
+    if (kid !== KID) throw new Error('Unknown signing key');
+    return publicKey;
+  },
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function googleToken(claims = {}, { key = privateKey, kid = KID } = {}) {
+  return jwt.sign(
+    {
+      iss: 'https://accounts.google.com',
+      aud: process.env.GOOGLE_CLIENT_ID,
+      sub: '110169484474386276334',
+      email: 'jane@gmail.com',
+      email_verified: true,
+      name: 'Jane Doe',
+      picture: 'https://lh3.googleusercontent.com/a/jane',
+      iat: now(),
+      exp: now() + 3600,
+      ...claims,
+    },
+    key,
+    { algorithm: 'RS256', keyid: kid }
+  );
+}
+
+const verify = (token) => verifyGoogleToken(token, { jwks });
+
+describe('verifyGoogleToken', () => {
+  it('returns the profile from a valid token', async () => {
+    assert.deepEqual(await verify(googleToken()), {
+      googleId: '110169484474386276334',
+      email: 'jane@gmail.com',
+      name: 'Jane Doe',
+      picture: 'https://lh3.googleusercontent.com/a/jane',
+    });
+  });
+
+  it('accepts both forms of the Google issuer', async () => {
+    assert.ok(await verify(googleToken({ iss: 'accounts.google.com' })));
+  });
+
+  it('rejects other issuers', async () => {
+    await assert.rejects(verify(googleToken({ iss: 'https://accounts.google.com.evil.example' })), /Invalid Google token/);
+  });
+
+  it('rejects tokens for another client', async () => {
+    await assert.rejects(verify(googleToken({ aud: 'other-client.apps.googleusercontent.com' })), /Invalid Google token/);
+  });
+
+  it('allows a minute of clock skew on exp', async () => {
+    assert.ok(await verify(googleToken({ iat: now() - 3630, exp: now() - 30 })));
+    await assert.rejects(verify(googleToken({ iat: now() - 3700, exp: now() - 100 })), /Invalid Google token: jwt expired/);
+  });
+
+  it('allows a minute of clock skew on iat', async () => {
+    assert.ok(await verify(googleToken({ iat: now() + 30 })));
+    await assert.rejects(verify(googleToken({ iat: now() + 300 })), /Invalid Google token: issued in the future/);
+  });
+
+  it('rejects unverified email addresses', async () => {
+    await assert.rejects(verify(googleToken({ email_verified: false })), /email is not verified/);
+    await assert.rejects(verify(googleToken({ email_verified: 'true' })), /email is not verified/);
+  });
+
+  it('rejects tokens signed with another key', async () => {
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    await assert.rejects(verify(googleToken({}, { key: other })), /Invalid Google token: invalid signature/);
+    await assert.rejects(verify(googleToken({}, { key: other, kid: 'rotated-away' })), /Invalid Google token/);
+  });
+
+  it('rejects tampered tokens', async () => {
+    const [header, , signature] = googleToken().split('.');
+    const payload = Buffer.from(JSON.stringify({ sub: 'someone-else' })).toString('base64url');
+    await assert.rejects(verify(`${header}.${payload}.${signature}`), /Invalid Google token/);
+  });
+
+  it('reports unreachable keys as an outage, not a bad token', async () => {
+    const down = { getKey: async () => { throw new Error('fetch failed'); } };
+    await assert.rejects(verifyGoogleToken(googleToken(), { jwks: down }), (e) => {
+      assert.equal(e.message, 'fetch failed');
+      return true;
+    });
+  });
+});
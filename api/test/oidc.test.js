@@ -0,0 +1,302 @@
+// test/oidc.test.js
+// OpenID Connect provider config, discovery, JWKS caching and ID token
+// verification, against a fake issuer served from localhost.
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const jwt = require('jsonwebtoken');
+
+const { parseProviders, discover, authorizationUrl, fetchProfile } = require('../services/oidc');
+const { JwksClient } = require('../services/jwks');
+
+const CLIENT_ID = 'blog-client';
+
+function signingKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+}
+
+// Serves discovery, JWKS and a token endpoint that answers with `idToken`.
+// `jwksHeaders` are added to JWKS responses; `jwksDown` makes them fail.
+function startIssuer() {
+  const issuer = { keys: [], idToken: null, jwksRequests: 0, tokenRequests: [], jwksHeaders: {}, jwksDown: false };
+
+  issuer.server = http.createServer((req, res) => {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+    const { pathname } = new URL(req.url, issuer.url);
+
+    if (pathname.endsWith('/.well-known/openid-configuration')) {
+      return send(200, {
+        issuer: issuer.url,
+        authorization_endpoint: `${issuer.url}/authorize`,
+        token_endpoint: `${issuer.url}/token`,
+        jwks_uri: `${issuer.url}/jwks`,
+        id_token_signing_alg_values_supported: ['RS256'],
+      });
+    }
+    if (pathname === '/jwks') {
+      issuer.jwksRequests++;
+      if (issuer.jwksDown) return send(503, { error: 'unavailable' });
+      return send(200, { keys: issuer.keys.map((key) => key.jwk) }, issuer.jwksHeaders);
+    }
+    if (pathname === '/token' && req.method === 'POST') {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        issuer.tokenRequests.push(new URLSearchParams(body));
+        send(200, { access_token: 'access-token', token_type: 'Bearer', id_token: issuer.idToken });
+      });
+      return;
+    }
+    send(404, { error: 'not_found' });
+  });
+
+  return new Promise((resolve) => {
+    issuer.server.listen(0, '127.0.0.1', () => {
+      issuer.url = `http://127.0.0.1:${issuer.server.address().port}`;
+      resolve(issuer);
+    });
+  });
+}
+
+describe('parseProviders', () => {
+  it('fills in labels and scopes', () => {
+    const [keycloak, github] = parseProviders(JSON.stringify([
+      { name: 'keycloak', issuer: 'https://sso.example.com/realms/blog', clientId: 'blog' },
+      { name: 'github', type: 'github', clientId: 'gh' },
+    ]));
+    assert.equal(keycloak.type, 'oidc');
+    assert.equal(keycloak.label, 'keycloak');
+    assert.deepEqual(keycloak.scopes, ['openid', 'email', 'profile']);
+    assert.equal(github.label, 'GitHub');
+    assert.deepEqual(github.scopes, ['read:user', 'user:email']);
+  });
+
+  it('requires an issuer for OIDC providers', () => {
+    assert.throws(() => parseProviders(JSON.stringify([{ name: 'kc', clientId: 'blog' }])), /issuer/);
+  });
+
+  it('rejects reserved and duplicate names', () => {
+    const provider = { issuer: 'https://sso.example.com', clientId: 'blog' };
+    assert.throws(() => parseProviders(JSON.stringify([{ ...provider, name: 'refresh' }])));
+    assert.throws(() => parseProviders(JSON.stringify([{ ...provider, name: 'google' }])), /name" contains an invalid value/);
+    assert.throws(() => parseProviders(JSON.stringify([{ ...provider, name: 'kc' }, { ...provider, name: 'kc' }])));
+  });
+});
+
+describe('OIDC sign-in against a fake issuer', () => {
+  let issuer;
+  let provider;
+  let key;
+  const redirectUri = 'https://blog.example.com/api/auth/test/callback';
+  const nonce = 'expected-nonce';
+
+  const idToken = (claims = {}, options = {}, signWith = key) =>
+    jwt.sign(
+      { sub: 'user-42', email: 'jane@example.com', email_verified: true, name: 'Jane Doe', nonce, ...claims },
+      signWith.privateKey,
+      { algorithm: 'RS256', keyid: signWith.kid, issuer: issuer.url, audience: CLIENT_ID, expiresIn: '5m', ...options }
+    );
+
+  const signIn = () => fetchProfile(provider, { code: 'auth-code', codeVerifier: 'verifier', nonce, redirectUri });
+
+  before(async () => {
+    issuer = await startIssuer();
+    key = signingKey('key-1');
+    issuer.keys = [key];
+    [provider] = parseProviders(JSON.stringify([
+      { name: 'test', issuer: issuer.url, clientId: CLIENT_ID, clientSecret: 'client-secret' },
+    ]));
+  });
+
+  after(() => {
+    issuer.server.closeAllConnections();
+    issuer.server.close();
+  });
+
+  beforeEach(() => {
+    issuer.tokenRequests = [];
+  });
+
+  it('reads the discovery document', async () => {
+    const metadata = await discover(issuer.url);
+    assert.equal(metadata.token_endpoint, `${issuer.url}/token`);
+  });
+
+  it('rejects a discovery document for another issuer', async () => {
+    await assert.rejects(discover(`${issuer.url}/other`), /Discovery document is for issuer/);
+  });
+
+  it('builds an authorization URL with state, nonce and a PKCE challenge', async () => {
+    const url = new URL(await authorizationUrl(provider, { state: 's', nonce: 'n', codeVerifier: 'verifier', redirectUri }));
+    assert.equal(url.origin + url.pathname, `${issuer.url}/authorize`);
+    assert.equal(url.searchParams.get('client_id'), CLIENT_ID);
+    assert.equal(url.searchParams.get('redirect_uri'), redirectUri);
+    assert.equal(url.searchParams.get('scope'), 'openid email profile');
+    assert.equal(url.searchParams.get('state'), 's');
+    assert.equal(url.searchParams.get('nonce'), 'n');
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+    assert.equal(
+      url.searchParams.get('code_challenge'),
+      crypto.createHash('sha256').update('verifier').digest('base64url')
+    );
+  });
+
+  it('exchanges the code and returns the verified profile', async () => {
+    issuer.idToken = idToken();
+    const profile = await signIn();
+
+    assert.deepEqual(profile, {
+      subject: 'user-42',
+      email: 'jane@example.com',
+      emailVerified: true,
+      name: 'Jane Doe',
+      picture: null,
+    });
+    const [request] = issuer.tokenRequests;
+    assert.equal(request.get('grant_type'), 'authorization_code');
+    assert.equal(request.get('code'), 'auth-code');
+    assert.equal(request.get('code_verifier'), 'verifier');
+    assert.equal(request.get('redirect_uri'), redirectUri);
+    assert.equal(request.get('client_secret'), 'client-secret');
+  });
+
+  it('does not treat an unverified email as verified', async () => {
+    issuer.idToken = idToken({ email_verified: false });
+    assert.equal((await signIn()).emailVerified, false);
+  });
+
+  it('rejects a token with the wrong nonce', async () => {
+    issuer.idToken = idToken({ nonce: 'replayed' });
+    await assert.rejects(signIn(), /nonce mismatch/);
+  });
+
+  it('rejects a token for another client', async () => {
+    issuer.idToken = idToken({}, { audience: 'someone-else' });
+    await assert.rejects(signIn(), /Invalid ID token: jwt audience invalid/);
+  });
+
+  it('rejects a token from another issuer', async () => {
+    issuer.idToken = idToken({}, { issuer: 'https://evil.example.com' });
+    await assert.rejects(signIn(), /Invalid ID token: jwt issuer invalid/);
+  });
+
+  it('rejects an expired token', async () => {
+    issuer.idToken = idToken({ iat: Math.floor(Date.now() / 1000) - 3600 }, { expiresIn: '5m' });
+    await assert.rejects(signIn(), /Invalid ID token: jwt expired/);
+  });
+
+  it('rejects a token signed with a key the issuer never published', async () => {
+    issuer.idToken = idToken({}, {}, signingKey('key-1'));
+    await assert.rejects(signIn(), /Invalid ID token: invalid signature/);
+  });
+
+  it('rejects symmetric algorithms', async () => {
+    issuer.idToken = jwt.sign({ sub: 'user-42', nonce }, 'guessable', {
+      algorithm: 'HS256', issuer: issuer.url, audience: CLIENT_ID, expiresIn: '5m',
+    });
+    await assert.rejects(signIn(), /Invalid ID token/);
+  });
+});
+
+describe('JwksClient', () => {
+  let issuer;
+
+  before(async () => {
+    issuer = await startIssuer();
+    issuer.keys = [signingKey('old')];
+  });
+
+  after(() => {
+    issuer.server.closeAllConnections();
+    issuer.server.close();
+  });
+
+  beforeEach(() => {
+    issuer.jwksHeaders = {};
+    issuer.jwksDown = false;
+  });
+
+  it('caches the key set', async () => {
+    const jwks = new JwksClient(`${issuer.url}/jwks`);
+    const before = issuer.jwksRequests;
+    await jwks.getKey('old');
+    await jwks.getKey('old');
+    assert.equal(issuer.jwksRequests - before, 1);
+  });
+
+  it('refetches when a token names a new key', async () => {
+    const jwks = new JwksClient(`${issuer.url}/jwks`, { cooldownMs: 0 });
+    await jwks.getKey('old');
+    issuer.keys = [...issuer.keys, signingKey('new')];
+
+    const before = issuer.jwksRequests;
+    const key = await jwks.getKey('new');
+    assert.equal(key.asymmetricKeyType, 'rsa');
+    assert.equal(issuer.jwksRequests - before, 1);
+  });
+
+  it('does not refetch for unknown keys during the cooldown', async () => {
+    const jwks = new JwksClient(`${issuer.url}/jwks`, { cooldownMs: 60 * 1000 });
+    await jwks.getKey('old');
+
+    const before = issuer.jwksRequests;
+    await assert.rejects(jwks.getKey('forged'), /Unknown signing key/);
+    await assert.rejects(jwks.getKey('forged'), /Unknown signing key/);
+    assert.equal(issuer.jwksRequests, before);
+  });
+
+  it('caches for as long as Cache-Control allows, less the response Age', async () => {
+    issuer.jwksHeaders = { 'Cache-Control': 'public, max-age=400, must-revalidate', Age: '100' };
+    const jwks = new JwksClient(`${issuer.url}/jwks`);
+    await jwks.getKey('old');
+
+    const lifetime = jwks.expiresAt - Date.now();
+    assert.ok(lifetime > 290 * 1000 && lifetime <= 300 * 1000, `lifetime was ${lifetime}ms`);
+  });
+
+  it('caches for at least a minute when told not to cache', async () => {
+    issuer.jwksHeaders = { 'Cache-Control': 'no-store' };
+    const jwks = new JwksClient(`${issuer.url}/jwks`);
+    await jwks.getKey('old');
+
+    const lifetime = jwks.expiresAt - Date.now();
+    assert.ok(lifetime > 55 * 1000 && lifetime <= 60 * 1000, `lifetime was ${lifetime}ms`);
+  });
+
+  it('refreshes in the background when the cache is about to expire', async () => {
+    const jwks = new JwksClient(`${issuer.url}/jwks`, { cooldownMs: 0 });
+    await jwks.getKey('old');
+    jwks.refreshAt = Date.now() - 1;
+
+    const before = issuer.jwksRequests;
+    assert.ok(await jwks.getKey('old'));
+    assert.ok(jwks.pending, 'a refresh should be in flight');
+    await jwks.pending;
+    assert.equal(issuer.jwksRequests - before, 1);
+    assert.ok(jwks.refreshAt > Date.now());
+  });
+
+  it('keeps using cached keys when a refresh fails', async () => {
+    const jwks = new JwksClient(`${issuer.url}/jwks`, { cooldownMs: 0 });
+    const key = await jwks.getKey('old');
+    jwks.expiresAt = Date.now() - 1;
+    issuer.jwksDown = true;
+
+    assert.equal(await jwks.getKey('old'), key);
+  });
+
+  it('fails when the key set has never been fetched', async () => {
+    issuer.jwksDown = true;
+    const jwks = new JwksClient(`${issuer.url}/jwks`);
+    await assert.rejects(jwks.getKey('old'), /HTTP 503/);
+  });
+});
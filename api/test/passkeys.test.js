@@ -0,0 +1,74 @@
+// test/passkeys.test.js
+// DELETE /api/me/passkeys/:id must never leave an account without a way to
+// sign in, against the real routes with an in-memory MongoDB (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { startApi } = require('./helpers/api');
+
+let api;
+let Credential;
+
+before(async () => {
+  api = await startApi();
+  Credential = require('../models/Credential');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+const addPasskey = (user, name = 'Passkey') =>
+  Credential.create({
+    userId: user._id,
+    credentialId: crypto.randomBytes(16).toString('base64url'),
+    publicKey: crypto.randomBytes(32),
+    name,
+  });
+
+describe('DELETE /api/me/passkeys/:id', () => {
+  it('refuses to delete the only sign-in method', async () => {
+    const { user, token } = await api.signUp('passkeyonly', { identities: [] });
+    const passkey = await addPasskey(user);
+
+    const res = await api.request('DELETE', `/api/me/passkeys/${passkey._id}`, { token });
+    assert.equal(res.status, 409);
+    assert.ok(await Credential.exists({ _id: passkey._id }));
+  });
+
+  it('deletes a passkey when another passkey is left', async () => {
+    const { user, token } = await api.signUp('twopasskeys', { identities: [] });
+    const phone = await addPasskey(user, 'Phone');
+    const laptop = await addPasskey(user, 'Laptop');
+
+    const res = await api.request('DELETE', `/api/me/passkeys/${phone._id}`, { token });
+    assert.equal(res.status, 204);
+
+    // ...but not the last of them
+    const last = await api.request('DELETE', `/api/me/passkeys/${laptop._id}`, { token });
+    assert.equal(last.status, 409);
+  });
+
+  it('deletes the last passkey when the account has a password', async () => {
+    const { user, token } = await api.signUp('withpassword');
+    const passkey = await addPasskey(user);
+
+    const res = await api.request('DELETE', `/api/me/passkeys/${passkey._id}`, { token });
+    assert.equal(res.status, 204);
+    assert.equal(await Credential.exists({ _id: passkey._id }), null);
+  });
+
+  it("answers 404 for another user's passkey", async () => {
+    const { user: owner } = await api.signUp('owner');
+    const { token } = await api.signUp('intruder');
+    const passkey = await addPasskey(owner);
+
+    const res = await api.request('DELETE', `/api/me/passkeys/${passkey._id}`, { token });
+    assert.equal(res.status, 404);
+    assert.ok(await Credential.exists({ _id: passkey._id }));
+  });
+});
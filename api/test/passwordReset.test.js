@@ -0,0 +1,147 @@
+// test/passwordReset.test.js
+// "Forgot password": POST /api/password/forgot and /api/password/reset,
+// through the real routes with an in-memory MongoDB (test/helpers) and the
+// emails kept in memory.
+// Run with: npm test
+
+'use strict';
+
+// Accounts are found by email through the blind index
+process.env.BLIND_INDEX_PEPPER = process.env.BLIND_INDEX_PEPPER || 'test-pepper';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const bcrypt = require('bcryptjs');
+const { startApi } = require('./helpers/api');
+const { captureMail, linkIn } = require('./helpers/mail');
+
+let api;
+let mail;
+let OneTimeToken;
+
+before(async () => {
+  api = await startApi();
+  mail = captureMail();
+  OneTimeToken = require('../models/OneTimeToken');
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+  api.reset();
+  mail.clear();
+});
+
+// fetch() won't send a Host header of our choosing, so use plain http
+const forgotWithHost = (email, host) =>
+  new Promise((resolve, reject) => {
+    const req = http.request(`${api.url}/api/password/forgot`, {
+      method: 'POST',
+      headers: { Host: host, 'Content-Type': 'application/json' },
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify({ email }));
+  });
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe('reset links', () => {
+  it('point at SITE_URL, whatever Host the request claims', async () => {
+    await api.signUp('mali', { password: 'bcrypt-hash' });
+
+    assert.equal(await forgotWithHost('mali@example.com', 'attacker.example'), 202);
+    const link = linkIn(await mail.next());
+    assert.equal(link.origin, api.url);
+    assert.equal(link.pathname, '/reset-password');
+  });
+
+  it('are not sent at all when SITE_URL is not set', async (t) => {
+    await api.signUp('mali', { password: 'bcrypt-hash' });
+    const siteUrl = process.env.SITE_URL;
+    delete process.env.SITE_URL;
+    t.after(() => { process.env.SITE_URL = siteUrl; });
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.equal(await forgotWithHost('mali@example.com', 'attacker.example'), 202);
+    await waitFor(() => warn.mock.calls.some((call) => /SITE_URL not set/.test(call.arguments[0])));
+    assert.equal(mail.outbox.length, 0);
+    assert.equal(await OneTimeToken.countDocuments({ purpose: 'password-reset' }), 0);
+  });
+});
+
+// Ask for a reset for an existing user and return the emailed token
+async function resetToken(username = 'mali') {
+  await api.request('POST', '/api/password/forgot', { body: { email: `${username}@example.com` } });
+  return linkIn(await mail.next()).searchParams.get('token');
+}
+
+const reset = (token, password = 'a brand new password') =>
+  api.request('POST', '/api/password/reset', { body: { token, password } });
+
+describe('POST /api/password/forgot', () => {
+  it('answers the same whether or not the email has an account', async () => {
+    await api.signUp('mali', { password: 'bcrypt-hash' });
+
+    const known = await api.request('POST', '/api/password/forgot', { body: { email: 'mali@example.com' } });
+    const unknown = await api.request('POST', '/api/password/forgot', { body: { email: 'nobody@example.com' } });
+    assert.equal(known.status, 202);
+    assert.equal(unknown.status, 202);
+    assert.deepEqual(known.body, unknown.body);
+
+    assert.equal((await mail.next()).to, 'mali@example.com');
+    assert.equal(mail.outbox.length, 1, 'nothing is sent for an unknown address');
+  });
+});
+
+describe('POST /api/password/reset', () => {
+  it('sets the new password with a token that works only once', async () => {
+    await api.signUp('mali', { password: await bcrypt.hash('the old password', 4) });
+    const token = await resetToken();
+
+    const res = await reset(token);
+    assert.equal(res.status, 200);
+    assert.equal((await reset(token, 'yet another password')).status, 400);
+
+    const login = (password) => api.request('POST', '/api/login', { body: { username: 'mali', password } });
+    assert.equal((await login('a brand new password')).status, 200);
+    assert.equal((await login('the old password')).status, 401);
+  });
+
+  it('rejects an expired token', async () => {
+    await api.signUp('mali', { password: 'bcrypt-hash' });
+    const token = await resetToken();
+    await OneTimeToken.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const res = await reset(token);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'This reset link is invalid or has expired');
+  });
+
+  it('rejects a token once a newer one has been sent', async () => {
+    await api.signUp('mali', { password: 'bcrypt-hash' });
+    const first = await resetToken();
+    const second = await resetToken();
+
+    assert.equal((await reset(first)).status, 400);
+    assert.equal((await reset(second)).status, 200);
+  });
+
+  it('signs the user out of every session', async () => {
+    const { token, refreshToken } = await api.signUp('mali', { password: 'bcrypt-hash' });
+
+    assert.equal((await reset(await resetToken())).status, 200);
+    assert.equal((await api.request('GET', '/api/me', { token })).status, 401);
+    const refresh = await api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+    assert.equal(refresh.status, 401);
+  });
+});
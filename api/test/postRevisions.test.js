@@ -0,0 +1,123 @@
+// test/postRevisions.test.js
+// Editing posts (PATCH /api/posts/:id) and their revision history, through
+// the real routes with an in-memory MongoDB (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+let Post;
+
+before(async () => {
+  api = await startApi();
+  Post = require('../models/Post');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+async function authorWithPost() {
+  const author = await api.signUp('author');
+  const created = await api.request('POST', '/api/posts', {
+    token: author.token,
+    body: { title: 'First title', content: 'First *content*' },
+  });
+  assert.equal(created.status, 201);
+  return { ...author, post: created.body };
+}
+
+const edit = (post, token, body) => api.request('PATCH', `/api/posts/${post._id}`, { token, body });
+
+describe('PATCH /api/posts/:id', () => {
+  it('updates the post, keeping createdAt and stamping updatedAt', async () => {
+    const { token, post } = await authorWithPost();
+
+    const res = await edit(post, token, { title: 'Second title', content: 'Second **content**' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, 'Second title');
+    assert.equal(res.body.contentHtml, '<p>Second <strong>content</strong></p>\n');
+    assert.equal(res.body.createdAt, post.createdAt);
+    assert.ok(res.body.updatedAt);
+    assert.equal(res.body.slug, post.slug, 'the permalink survives a retitle');
+  });
+
+  it('validates the edit like a new post', async () => {
+    const { token, post } = await authorWithPost();
+    const res = await edit(post, token, { title: '', content: 'x' });
+    assert.equal(res.status, 400);
+  });
+
+  it('lets only the author, or an editor, edit', async () => {
+    const { post } = await authorWithPost();
+    const stranger = await api.signUp('stranger');
+    const editor = await api.signUp('editor', { roles: ['editor'] });
+
+    assert.equal((await edit(post, stranger.token, { title: 'Mine now', content: 'x' })).status, 403);
+    assert.equal((await edit(post, null, { title: 'Anonymous', content: 'x' })).status, 401);
+    assert.equal((await edit(post, editor.token, { title: 'Copy-edited', content: 'x' })).status, 200);
+  });
+
+  it('answers 404 for a post that does not exist', async () => {
+    const { token } = await authorWithPost();
+    const res = await edit({ _id: '65f1c0ffee65f1c0ffee65f1' }, token, { title: 'x', content: 'x' });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('post revisions', () => {
+  it('keeps every earlier version, newest first, with who replaced it', async () => {
+    const { user, token, post } = await authorWithPost();
+    await edit(post, token, { title: 'Second title', content: 'Second content' });
+    await edit(post, token, { title: 'Third title', content: 'Third content' });
+
+    const res = await api.request('GET', `/api/posts/${post._id}/revisions`, { token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((r) => r.title), ['Second title', 'First title']);
+    assert.ok(res.body.every((r) => r.editedBy === String(user._id)));
+  });
+
+  it('does not record a revision when only tags or status change', async () => {
+    const { token, post } = await authorWithPost();
+    await edit(post, token, { title: post.title, content: post.content, tags: ['news'] });
+
+    const res = await api.request('GET', `/api/posts/${post._id}/revisions`, { token });
+    assert.deepEqual(res.body, []);
+  });
+
+  it('restores an earlier version, keeping the current one in the history', async () => {
+    const { token, post } = await authorWithPost();
+    await edit(post, token, { title: 'Second title', content: 'Second content' });
+    const [first] = (await api.request('GET', `/api/posts/${post._id}/revisions`, { token })).body;
+
+    const res = await api.request('POST', `/api/posts/${post._id}/revisions/${first._id}/restore`, { token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, 'First title');
+    assert.equal((await Post.findById(post._id)).content, 'First *content*');
+
+    const history = (await api.request('GET', `/api/posts/${post._id}/revisions`, { token })).body;
+    assert.deepEqual(history.map((r) => r.title), ['Second title', 'First title']);
+  });
+
+  it("hides the history from anyone who can't edit the post", async () => {
+    const { post } = await authorWithPost();
+    const stranger = await api.signUp('stranger');
+
+    const res = await api.request('GET', `/api/posts/${post._id}/revisions`, { token: stranger.token });
+    assert.equal(res.status, 403);
+  });
+
+  it("won't restore a revision of another post", async () => {
+    const { token, post } = await authorWithPost();
+    await edit(post, token, { title: 'Second title', content: 'Second content' });
+    const [revision] = (await api.request('GET', `/api/posts/${post._id}/revisions`, { token })).body;
+    const other = (await api.request('POST', '/api/posts', { token, body: { title: 'Other', content: 'x' } })).body;
+
+    const res = await api.request('POST', `/api/posts/${other._id}/revisions/${revision._id}/restore`, { token });
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,192 @@
+// test/posts.test.js
+// GET /api/posts: cursor pagination, filters and sort orders, against the
+// real routes with an in-memory MongoDB (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+let Post;
+
+before(async () => {
+  api = await startApi();
+  Post = require('../models/Post');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+// Posts a day apart, oldest first: titles 'Post 1', 'Post 2', ...
+async function seedPosts(count, fields = {}) {
+  const start = Date.parse('2026-01-01T00:00:00Z');
+  const posts = [];
+  for (let i = 1; i <= count; i++) {
+    posts.push(await Post.create({
+      title: `Post ${i}`,
+      content: `Body ${i}`,
+      createdAt: new Date(start + i * 24 * 3600 * 1000),
+      ...fields,
+    }));
+  }
+  return posts;
+}
+
+const titles = (res) => res.body.posts.map((post) => post.title);
+
+describe('GET /api/posts pagination', () => {
+  it('returns newest first in pages, with nextCursor and hasMore', async () => {
+    await seedPosts(5);
+
+    const first = await api.request('GET', '/api/posts?limit=2');
+    assert.equal(first.status, 200);
+    assert.deepEqual(titles(first), ['Post 5', 'Post 4']);
+    assert.equal(first.body.hasMore, true);
+    assert.equal(typeof first.body.nextCursor, 'string');
+
+    const second = await api.request('GET', `/api/posts?limit=2&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(titles(second), ['Post 3', 'Post 2']);
+
+    const last = await api.request('GET', `/api/posts?limit=2&cursor=${second.body.nextCursor}`);
+    assert.deepEqual(titles(last), ['Post 1']);
+    assert.equal(last.body.hasMore, false);
+    assert.equal(last.body.nextCursor, null);
+  });
+
+  it('does not skip or repeat posts that share a timestamp', async () => {
+    const createdAt = new Date('2026-02-01T00:00:00Z');
+    for (let i = 1; i <= 5; i++) await Post.create({ title: `Same ${i}`, content: 'x', createdAt });
+
+    const seen = [];
+    let cursor = '';
+    do {
+      const res = await api.request('GET', `/api/posts?limit=2${cursor && `&cursor=${cursor}`}`);
+      seen.push(...titles(res));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    assert.equal(seen.length, 5);
+    assert.equal(new Set(seen).size, 5);
+  });
+
+  it('supports the oldest and title sort orders', async () => {
+    await seedPosts(3);
+
+    const oldest = await api.request('GET', '/api/posts?sort=oldest');
+    assert.deepEqual(titles(oldest), ['Post 1', 'Post 2', 'Post 3']);
+
+    await Post.create({ title: 'Aardvark', content: 'x' });
+    const byTitle = await api.request('GET', '/api/posts?sort=title&limit=2');
+    assert.deepEqual(titles(byTitle), ['Aardvark', 'Post 1']);
+  });
+
+  it('rejects a cursor issued for another sort order, or a malformed one', async () => {
+    await seedPosts(3);
+    const { body } = await api.request('GET', '/api/posts?limit=1&sort=title');
+
+    const wrongSort = await api.request('GET', `/api/posts?limit=1&sort=newest&cursor=${body.nextCursor}`);
+    assert.equal(wrongSort.status, 400);
+    assert.equal(wrongSort.body.message, 'Invalid cursor');
+
+    const garbage = await api.request('GET', '/api/posts?cursor=not-a-cursor');
+    assert.equal(garbage.status, 400);
+  });
+
+  it('rejects a limit above the maximum', async () => {
+    const res = await api.request('GET', '/api/posts?limit=1000');
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('GET /api/posts publish time', () => {
+  it('orders by when posts went live, not when they were written', async () => {
+    await seedPosts(3); // Jan 2 .. Jan 4, never drafts
+    // Written first, kept as a draft, published last
+    await Post.create({
+      title: 'Late bloomer',
+      content: 'x',
+      createdAt: new Date('2026-01-01T00:00:00Z'),
+      publishAt: new Date('2026-01-10T00:00:00Z'),
+    });
+
+    const first = await api.request('GET', '/api/posts?limit=2');
+    assert.deepEqual(titles(first), ['Late bloomer', 'Post 3']);
+    const rest = await api.request('GET', `/api/posts?limit=2&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(titles(rest), ['Post 2', 'Post 1']);
+
+    const oldest = await api.request('GET', '/api/posts?sort=oldest');
+    assert.deepEqual(titles(oldest), ['Post 1', 'Post 2', 'Post 3', 'Late bloomer']);
+  });
+
+  it('gives every published post a stored publish time to sort on', async () => {
+    const createdAt = new Date('2026-01-01T00:00:00Z');
+    const post = await Post.create({ title: 'Old style', content: 'x', createdAt });
+    const draft = await Post.create({ title: 'Draft', content: 'x', status: 'draft' });
+
+    assert.deepEqual(post.publishAt, createdAt);
+    assert.equal(draft.publishAt, null);
+  });
+
+  it('pages with an indexed find, not an aggregation over every post', async (t) => {
+    await seedPosts(3);
+    const aggregate = t.mock.method(Post, 'aggregate');
+    const find = t.mock.method(Post, 'find');
+
+    const res = await api.request('GET', '/api/posts?limit=2');
+    assert.deepEqual(titles(res), ['Post 3', 'Post 2']);
+    assert.equal(aggregate.mock.callCount(), 0);
+    assert.equal(find.mock.callCount(), 1);
+  });
+
+  it('filters dates by publish date, in every sort order', async () => {
+    await seedPosts(3);
+    await Post.create({
+      title: 'Late bloomer',
+      content: 'x',
+      createdAt: new Date('2026-01-01T00:00:00Z'),
+      publishAt: new Date('2026-01-10T00:00:00Z'),
+    });
+
+    const range = 'from=2026-01-09T00:00:00Z&to=2026-01-11T00:00:00Z';
+    assert.deepEqual(titles(await api.request('GET', `/api/posts?${range}`)), ['Late bloomer']);
+    assert.deepEqual(titles(await api.request('GET', `/api/posts?${range}&sort=title`)), ['Late bloomer']);
+  });
+});
+
+describe('GET /api/posts filters', () => {
+  it('filters by author and by userId', async () => {
+    const { user } = await api.signUp('mali');
+    await seedPosts(2, { author: 'someone' });
+    await Post.create({ title: 'Mine', content: 'x', author: 'mali', userId: user._id });
+
+    const byAuthor = await api.request('GET', '/api/posts?author=mali');
+    assert.deepEqual(titles(byAuthor), ['Mine']);
+
+    const byUserId = await api.request('GET', `/api/posts?userId=${user._id}`);
+    assert.deepEqual(titles(byUserId), ['Mine']);
+  });
+
+  it('filters by date range, inclusive at both ends', async () => {
+    await seedPosts(5); // Jan 2 .. Jan 6
+
+    const res = await api.request('GET', '/api/posts?from=2026-01-03T00:00:00Z&to=2026-01-05T00:00:00Z');
+    assert.deepEqual(titles(res), ['Post 4', 'Post 3', 'Post 2']);
+  });
+
+  it('rejects a range that ends before it starts', async () => {
+    const res = await api.request('GET', '/api/posts?from=2026-01-05&to=2026-01-01');
+    assert.equal(res.status, 400);
+  });
+
+  it('leaves drafts out', async () => {
+    await seedPosts(1);
+    await Post.create({ title: 'Draft', content: 'x', status: 'draft' });
+
+    const res = await api.request('GET', '/api/posts');
+    assert.deepEqual(titles(res), ['Post 1']);
+  });
+});
@@ -0,0 +1,94 @@
+// test/profile.test.js
+// Self-service profile updates: card number checks, and what changing or
+// removing the email address does to verification (PATCH /api/me, against
+// an in-memory MongoDB — see test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { luhnValid } = require('../services/profile');
+const { startApi } = require('./helpers/api');
+
+describe('luhnValid', () => {
+  it('accepts well-known test card numbers', () => {
+    assert.equal(luhnValid('4111111111111111'), true);  // Visa
+    assert.equal(luhnValid('5500005555555559'), true);  // Mastercard
+    assert.equal(luhnValid('378282246310005'), true);   // Amex, odd length
+  });
+
+  it('rejects a mistyped digit', () => {
+    assert.equal(luhnValid('4111111111111112'), false);
+  });
+
+  it('rejects two swapped neighbouring digits', () => {
+    assert.equal(luhnValid('5500005555555595'), false);
+  });
+
+  it('rejects anything that is not all digits', () => {
+    assert.equal(luhnValid('4111 1111 1111 1111'), false);
+    assert.equal(luhnValid(''), false);
+  });
+});
+
+describe('PATCH /api/me email', () => {
+  let api;
+  let User;
+  let OneTimeToken;
+
+  before(async () => {
+    api = await startApi();
+    User = require('../models/User');
+    OneTimeToken = require('../models/OneTimeToken');
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => api.reset());
+
+  const pendingResetLink = (user) =>
+    OneTimeToken.create({
+      userId: user._id,
+      purpose: 'password-reset',
+      tokenHash: `hash-${user._id}`,
+      expiresAt: new Date(Date.now() + 3600 * 1000),
+    });
+
+  it('makes a new address unverified and cancels links sent to the old one', async () => {
+    const { user, token } = await api.signUp('changer');
+    await pendingResetLink(user);
+
+    const res = await api.request('PATCH', '/api/me', { token, body: { email: 'new@example.com' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.emailVerified, false);
+    assert.equal((await User.findById(user._id)).emailVerified, false);
+    assert.equal(await OneTimeToken.countDocuments({ userId: user._id, purpose: 'password-reset' }), 0);
+  });
+
+  it('leaves verification alone when the same address is sent again', async () => {
+    const { user, token } = await api.signUp('resender');
+
+    const res = await api.request('PATCH', '/api/me', { token, body: { email: 'RESENDER@example.com' } });
+    assert.equal(res.status, 200);
+    assert.equal((await User.findById(user._id)).emailVerified, true);
+  });
+
+  for (const email of [null, '']) {
+    it(`removes the address without unverifying the account (email: ${JSON.stringify(email)})`, async () => {
+      const { user, token } = await api.signUp('remover');
+      await pendingResetLink(user);
+
+      const res = await api.request('PATCH', '/api/me', { token, body: { email } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.email, null);
+      assert.equal(res.body.emailVerified, true);
+
+      const saved = await User.findById(user._id);
+      assert.equal(saved.email, null);
+      assert.equal(saved.emailVerified, true);
+      assert.equal(await OneTimeToken.countDocuments({ userId: user._id, purpose: 'password-reset' }), 1);
+    });
+  }
+});
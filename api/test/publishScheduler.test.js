@@ -0,0 +1,112 @@
+// test/publishScheduler.test.js
+// Scheduled posts: hidden from public listings and feeds until publishAt,
+// the sweep that publishes them (services/publishScheduler.js), and authors
+// finding their own unpublished posts in /api/me/posts — through the real
+// routes with an in-memory MongoDB (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+const { publishDuePosts } = require('../services/publishScheduler');
+
+let api;
+let Post;
+
+before(async () => {
+  api = await startApi();
+  Post = require('../models/Post');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+const inMinutes = (n, from = Date.now()) => new Date(from + n * 60 * 1000);
+
+const create = (token, title, fields = {}) =>
+  api.request('POST', '/api/posts', { token, body: { title, content: 'Body', ...fields } });
+
+const publicTitles = async () => (await api.request('GET', '/api/posts')).body.posts.map((post) => post.title);
+const feedTitles = async () => (await api.request('GET', '/feed.json')).body.items.map((item) => item.title);
+
+describe('scheduled posts', () => {
+  it('stay out of listings and feeds until publishAt', async () => {
+    const { token } = await api.signUp('mali');
+    await create(token, 'Live');
+    const { body: scheduled } = await create(token, 'Coming soon', {
+      status: 'scheduled',
+      publishAt: inMinutes(60).toISOString(),
+    });
+    assert.equal(scheduled.status, 'scheduled');
+
+    assert.deepEqual(await publicTitles(), ['Live']);
+    assert.deepEqual(await feedTitles(), ['Live']);
+    assert.equal((await api.request('GET', `/api/posts/by-slug/${scheduled.slug}`)).status, 404);
+
+    // Once the time comes they are public, whether or not the sweep has run yet
+    await Post.updateOne({ _id: scheduled._id }, { $set: { publishAt: inMinutes(-1) } });
+    assert.deepEqual(await publicTitles(), ['Live', 'Coming soon']);
+    assert.deepEqual(await feedTitles(), ['Live', 'Coming soon']);
+    assert.equal((await api.request('GET', `/api/posts/by-slug/${scheduled.slug}`)).status, 200);
+  });
+
+  it('cannot be scheduled for the past', async () => {
+    const { token } = await api.signUp('mali');
+    const res = await create(token, 'Too late', { status: 'scheduled', publishAt: inMinutes(-1).toISOString() });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('publishDuePosts', () => {
+  it('publishes exactly the scheduled posts that are due', async () => {
+    const now = Date.now();
+    await Post.create({ title: 'Overdue', content: 'x', status: 'scheduled', publishAt: inMinutes(-60, now) });
+    await Post.create({ title: 'Due now', content: 'x', status: 'scheduled', publishAt: new Date(now) });
+    await Post.create({ title: 'Later', content: 'x', status: 'scheduled', publishAt: inMinutes(1, now) });
+    await Post.create({ title: 'Draft', content: 'x', status: 'draft' });
+    await Post.create({ title: 'Archived', content: 'x', status: 'archived', publishAt: inMinutes(-60, now) });
+
+    assert.equal(await publishDuePosts(new Date(now)), 2);
+
+    const statuses = Object.fromEntries((await Post.find()).map((post) => [post.title, post.status]));
+    assert.deepEqual(statuses, {
+      Overdue: 'published',
+      'Due now': 'published',
+      Later: 'scheduled',
+      Draft: 'draft',
+      Archived: 'archived',
+    });
+    // Keeps its scheduled time as the publish date
+    assert.equal((await Post.findOne({ title: 'Overdue' })).publishAt.getTime(), inMinutes(-60, now).getTime());
+
+    assert.equal(await publishDuePosts(new Date(now)), 0, 'running it again changes nothing');
+  });
+});
+
+describe('GET /api/me/posts', () => {
+  it('lists the author\'s own posts in every status, and only theirs', async () => {
+    const { token } = await api.signUp('mali');
+    const { token: other } = await api.signUp('kofi');
+    await create(token, 'Published');
+    await create(token, 'Draft', { status: 'draft' });
+    await create(token, 'Scheduled', { status: 'scheduled', publishAt: inMinutes(60).toISOString() });
+    await create(other, 'Not mine', { status: 'draft' });
+
+    const mine = await api.request('GET', '/api/me/posts', { token });
+    assert.equal(mine.status, 200);
+    assert.deepEqual(mine.body.posts.map((post) => post.title).sort(), ['Draft', 'Published', 'Scheduled']);
+
+    const unpublished = await api.request('GET', '/api/me/posts?status=draft&status=scheduled', { token });
+    assert.deepEqual(unpublished.body.posts.map((post) => post.status).sort(), ['draft', 'scheduled']);
+
+    const theirs = await api.request('GET', '/api/me/posts', { token: other });
+    assert.deepEqual(theirs.body.posts.map((post) => post.title), ['Not mine']);
+  });
+
+  it('needs a signed-in user', async () => {
+    assert.equal((await api.request('GET', '/api/me/posts')).status, 401);
+  });
+});
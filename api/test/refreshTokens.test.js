@@ -0,0 +1,98 @@
+// test/refreshTokens.test.js
+// Short-lived access tokens and rotating refresh tokens: POST /api/login,
+// /api/auth/refresh and /api/logout, through the real routes with an
+// in-memory MongoDB (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { startApi } = require('./helpers/api');
+
+let api;
+let Session;
+
+before(async () => {
+  api = await startApi();
+  Session = require('../models/Session');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+const refresh = (refreshToken) => api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+describe('POST /api/login', () => {
+  it('starts a session with an access token and a refresh token', async () => {
+    await api.signUp('mali', { password: await bcrypt.hash('correct horse', 4) });
+
+    const res = await api.request('POST', '/api/login', { body: { username: 'mali', password: 'correct horse' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.username, 'mali');
+    assert.ok(res.body.expiresAt > Date.now());
+    assert.match(res.body.refreshToken, /^[0-9a-f]{24}\./);
+
+    const me = await api.request('GET', '/api/me', { token: res.body.token });
+    assert.equal(me.status, 200);
+
+    const [sessionId] = res.body.refreshToken.split('.');
+    const session = await Session.findById(sessionId).select('+tokenHash');
+    assert.ok(session.tokenHash, 'stored hashed');
+    assert.ok(!res.body.refreshToken.includes(session.tokenHash));
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('hands out a new pair and retires the refresh token it was sent', async () => {
+    const { refreshToken } = await api.signUp('mali');
+
+    const res = await refresh(refreshToken);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.username, 'mali');
+    assert.notEqual(res.body.refreshToken, refreshToken);
+    assert.equal((await api.request('GET', '/api/me', { token: res.body.token })).status, 200);
+
+    const again = await refresh(res.body.refreshToken);
+    assert.equal(again.status, 200, 'the new refresh token works in turn');
+  });
+
+  it('revokes the whole session when a retired refresh token comes back', async () => {
+    const { refreshToken: stolen } = await api.signUp('mali');
+    const { body: current } = await refresh(stolen);
+
+    const replay = await refresh(stolen);
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.message, 'Refresh token reuse detected');
+
+    assert.equal((await refresh(current.refreshToken)).status, 401);
+    assert.equal((await api.request('GET', '/api/me', { token: current.token })).status, 401);
+  });
+
+  it('rejects unknown and malformed refresh tokens', async () => {
+    const { refreshToken } = await api.signUp('mali');
+    const [sessionId] = refreshToken.split('.');
+
+    assert.equal((await refresh(`${sessionId}.not-the-secret`)).status, 401);
+    assert.equal((await refresh('garbage')).status, 401);
+    assert.equal((await refresh(undefined)).status, 400);
+  });
+});
+
+describe('POST /api/logout', () => {
+  it('revokes the session, so neither token works afterwards', async () => {
+    const { token, refreshToken } = await api.signUp('mali');
+
+    const res = await api.request('POST', '/api/logout', { body: { refreshToken } });
+    assert.equal(res.status, 204);
+    assert.equal((await api.request('GET', '/api/me', { token })).status, 401);
+    assert.equal((await refresh(refreshToken)).status, 401);
+  });
+
+  it("answers 204 for a token it doesn't know", async () => {
+    const res = await api.request('POST', '/api/logout', { body: { refreshToken: '65f1c0ffee65f1c0ffee65f1.nope' } });
+    assert.equal(res.status, 204);
+  });
+});
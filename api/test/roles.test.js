@@ -0,0 +1,43 @@
+// test/roles.test.js
+// Role ranking and the permissions each role grants.
+// Run with: npm test
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { permissionsOf, hasPermission } = require('../services/roles');
+
+describe('permissionsOf', () => {
+  it('lets readers only comment', () => {
+    assert.deepEqual(permissionsOf(['reader']), ['comments:write']);
+  });
+
+  it('gives each role everything the roles below it can do', () => {
+    assert.deepEqual(permissionsOf(['editor']).sort(), [
+      'comments:moderate', 'comments:write', 'posts:edit-any', 'posts:write',
+    ]);
+  });
+
+  it('goes by the highest role held', () => {
+    assert.deepEqual(permissionsOf(['reader', 'admin']), permissionsOf(['admin']));
+  });
+
+  it('grants nothing for no or unknown roles', () => {
+    assert.deepEqual(permissionsOf([]), []);
+    assert.deepEqual(permissionsOf(['superuser']), []);
+  });
+});
+
+describe('hasPermission', () => {
+  it('keeps user management to admins', () => {
+    assert.equal(hasPermission(['editor'], 'users:manage'), false);
+    assert.equal(hasPermission(['admin'], 'users:manage'), true);
+  });
+
+  it('does not let readers post', () => {
+    assert.equal(hasPermission(['reader'], 'posts:write'), false);
+    assert.equal(hasPermission(['author'], 'posts:write'), true);
+  });
+});
@@ -0,0 +1,136 @@
+// test/search.test.js
+// Full-text search: GET /api/posts/search through the real routes with an
+// in-memory MongoDB (test/helpers, whose $text matching is only a rough
+// stand-in for MongoDB's), and the snippets services/search.js cuts.
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+const { buildSnippet, highlightTerms } = require('../services/search');
+
+let api;
+let Post;
+
+before(async () => {
+  api = await startApi();
+  Post = require('../models/Post');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+const search = (q, extra = '') => api.request('GET', `/api/posts/search?q=${encodeURIComponent(q)}${extra}`);
+
+const titles = (res) => res.body.posts.map((post) => post.title);
+
+// The marked parts of a snippet
+const marked = ({ text, highlights }) => highlights.map(([from, to]) => text.slice(from, to));
+
+describe('GET /api/posts/search', () => {
+  it('validates q', async () => {
+    assert.equal((await api.request('GET', '/api/posts/search')).status, 400);
+    assert.equal((await search('a')).status, 400, 'too short');
+    assert.equal((await search('x'.repeat(101))).status, 400, 'too long');
+    assert.equal((await search('vault\u0000keys')).status, 400, 'control characters');
+    assert.equal((await search('vault\nkeys')).status, 400, 'line breaks');
+  });
+
+  it('takes regex metacharacters as plain text', async () => {
+    await Post.create({ title: 'Vault', content: 'About vault' });
+    const res = await search('(a+)+$ vault [');
+    assert.equal(res.status, 200);
+    assert.deepEqual(titles(res), ['Vault']);
+  });
+
+  it('only finds posts anyone may read', async () => {
+    await Post.create({ title: 'Live vault', content: 'x' });
+    await Post.create({ title: 'Draft vault', content: 'x', status: 'draft' });
+    await Post.create({ title: 'Archived vault', content: 'x', status: 'archived' });
+    await Post.create({
+      title: 'Scheduled vault',
+      content: 'x',
+      status: 'scheduled',
+      publishAt: new Date(Date.now() + 3600 * 1000),
+    });
+    await Post.create({ title: 'Unrelated', content: 'x' });
+
+    assert.deepEqual(titles(await search('vault')), ['Live vault']);
+  });
+
+  it('ranks title matches above body matches', async () => {
+    await Post.create({ title: 'Notes', content: 'Something about vault' });
+    await Post.create({ title: 'Vault', content: 'Something else' });
+
+    assert.deepEqual(titles(await search('vault')), ['Vault', 'Notes']);
+  });
+
+  it('pages through results with a cursor, without skipping or repeating', async () => {
+    for (let i = 1; i <= 5; i++) await Post.create({ title: `Post ${i}`, content: 'vault '.repeat(i) });
+
+    const seen = [];
+    let cursor = '';
+    let pages = 0;
+    do {
+      const res = await search('vault', `&limit=2${cursor && `&cursor=${cursor}`}`);
+      assert.equal(res.status, 200);
+      seen.push(...titles(res));
+      cursor = res.body.nextCursor;
+      pages++;
+    } while (cursor);
+
+    assert.equal(pages, 3);
+    assert.deepEqual(seen, ['Post 5', 'Post 4', 'Post 3', 'Post 2', 'Post 1']);
+  });
+
+  it('rejects a cursor from another listing', async () => {
+    await Post.create({ title: 'One', content: 'x' });
+    await Post.create({ title: 'Two', content: 'x' });
+    const { body } = await api.request('GET', '/api/posts?limit=1');
+
+    const res = await search('vault', `&cursor=${body.nextCursor}`);
+    assert.equal(res.status, 400);
+  });
+
+  it('returns plain-text snippets with the matching words marked', async () => {
+    await Post.create({
+      title: 'Rotation',
+      content: 'We are **running** <script>alert(1)</script> the key & vault <b>rotation</b> job.',
+    });
+
+    const [post] = (await search('run')).body.posts;
+    assert.equal(post.snippet.text, 'We are running the key & vault rotation job.');
+    assert.deepEqual(marked(post.snippet), ['running']);
+  });
+});
+
+describe('highlightTerms', () => {
+  it('keeps the stems of the words to find, not the negated ones', () => {
+    assert.deepEqual(highlightTerms('Vault "key rotation" -kubernetes'), ['vault', 'kei', 'rotat']);
+  });
+});
+
+describe('buildSnippet', () => {
+  it('marks every form of a word that shares its stem', () => {
+    const snippet = buildSnippet('Runs, running and the runner run; keys rotate keyboards.', highlightTerms('run key'));
+    assert.deepEqual(marked(snippet), ['Runs', 'running', 'run', 'keys']);
+    assert.deepEqual(marked(buildSnippet('She runs daily', highlightTerms('running'))), ['runs']);
+  });
+
+  it('cuts a window around the first match, marking offsets into it', () => {
+    const text = `${'lorem '.repeat(40)}vault ${'ipsum '.repeat(40)}`;
+    const snippet = buildSnippet(text, ['vault'], 20);
+
+    assert.ok(snippet.text.startsWith('…') && snippet.text.endsWith('…'));
+    assert.equal(snippet.text.length, 40 + 2);
+    assert.deepEqual(marked(snippet), ['vault']);
+  });
+
+  it('starts at the beginning when nothing matches', () => {
+    const snippet = buildSnippet('Nothing to see here', ['vault'], 5);
+    assert.deepEqual(snippet, { text: 'Nothing to…', highlights: [] });
+  });
+});
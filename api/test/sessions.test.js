@@ -0,0 +1,108 @@
+// test/sessions.test.js
+// Listing and revoking signed-in devices (/api/me/sessions), through the real
+// routes with an in-memory MongoDB (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { startApi } = require('./helpers/api');
+
+let api;
+let createSession;
+
+before(async () => {
+  api = await startApi();
+  ({ createSession } = require('../services/sessions'));
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+const listSessions = (token) => api.request('GET', '/api/me/sessions', { token });
+
+describe('GET /api/me/sessions', () => {
+  it('lists where the user is signed in, marking the current session', async () => {
+    const { user, token } = await api.signUp('mali');
+    await createSession(user._id, { userAgent: 'Phone browser', ip: '203.0.113.7' });
+
+    const res = await listSessions(token);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.sessions.length, 2);
+
+    const phone = res.body.sessions.find((s) => s.userAgent === 'Phone browser');
+    assert.equal(phone.ip, '203.0.113.7');
+    assert.equal(phone.current, false);
+    assert.ok(phone.createdAt && phone.lastUsedAt);
+    assert.equal(res.body.sessions.find((s) => s.current).userAgent, 'route-test');
+  });
+
+  it('records the user agent and the client IP a login came from', async () => {
+    await api.signUp('mali', { password: await bcrypt.hash('correct horse', 4) });
+
+    const login = await api.request('POST', '/api/login', {
+      body: { username: 'mali', password: 'correct horse' },
+      headers: { 'User-Agent': 'Laptop browser', 'X-Forwarded-For': '198.51.100.4' },
+    });
+    const res = await listSessions(login.body.token);
+    const current = res.body.sessions.find((s) => s.current);
+    assert.equal(current.userAgent, 'Laptop browser');
+    assert.equal(current.ip, '198.51.100.4');
+  });
+
+  it("doesn't list other users' sessions", async () => {
+    const { token } = await api.signUp('mali');
+    await api.signUp('someone');
+
+    const res = await listSessions(token);
+    assert.equal(res.body.sessions.length, 1);
+  });
+});
+
+describe('DELETE /api/me/sessions/:id', () => {
+  it('signs that device out at once', async () => {
+    const { user, token } = await api.signUp('mali');
+    const other = await createSession(user._id, { userAgent: 'Stolen laptop' });
+    const [otherId] = other.refreshToken.split('.');
+
+    const res = await api.request('DELETE', `/api/me/sessions/${otherId}`, { token });
+    assert.equal(res.status, 204);
+    assert.equal((await api.request('GET', '/api/me', { token: other.token })).status, 401);
+    assert.equal((await api.request('GET', '/api/me', { token })).status, 200);
+  });
+
+  it("answers 404 for another user's session or one that doesn't exist", async () => {
+    const { token } = await api.signUp('mali');
+    const someone = await api.signUp('someone');
+    const [theirs] = someone.refreshToken.split('.');
+
+    assert.equal((await api.request('DELETE', `/api/me/sessions/${theirs}`, { token })).status, 404);
+    assert.equal((await api.request('GET', '/api/me', { token: someone.token })).status, 200);
+    assert.equal((await api.request('DELETE', '/api/me/sessions/not-an-id', { token })).status, 404);
+  });
+});
+
+describe('DELETE /api/me/sessions', () => {
+  it('signs out everywhere', async () => {
+    const { user, token } = await api.signUp('mali');
+    const other = await createSession(user._id);
+
+    const res = await api.request('DELETE', '/api/me/sessions', { token });
+    assert.deepEqual(res.body, { revoked: 2 });
+    assert.equal((await api.request('GET', '/api/me', { token })).status, 401);
+    assert.equal((await api.request('GET', '/api/me', { token: other.token })).status, 401);
+  });
+
+  it('keeps the current session with ?except=current', async () => {
+    const { user, token } = await api.signUp('mali');
+    const other = await createSession(user._id);
+
+    const res = await api.request('DELETE', '/api/me/sessions?except=current', { token });
+    assert.deepEqual(res.body, { revoked: 1 });
+    assert.equal((await api.request('GET', '/api/me', { token })).status, 200);
+    assert.equal((await api.request('GET', '/api/me', { token: other.token })).status, 401);
+  });
+});
@@ -0,0 +1,91 @@
+// test/slugs.test.js
+// Post permalinks: the slug a post gets when created, that it keeps through
+// edits, and GET /api/posts/by-slug/:slug, through the real routes with an
+// in-memory MongoDB (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+let Post;
+
+before(async () => {
+  api = await startApi();
+  Post = require('../models/Post');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+const create = (token, title, fields = {}) =>
+  api.request('POST', '/api/posts', { token, body: { title, content: 'Body', ...fields } });
+
+const bySlug = (slug, token) => api.request('GET', `/api/posts/by-slug/${slug}`, { token });
+
+describe('slugs', () => {
+  it('are made from the title', async () => {
+    const { token } = await api.signUp('mali');
+
+    assert.equal((await create(token, 'Hello, Wörld!')).body.slug, 'hello-world');
+    assert.equal((await create(token, '  Vault & Kubernetes: part 2  ')).body.slug, 'vault-kubernetes-part-2');
+    assert.equal((await create(token, '¿¡!?')).body.slug, 'post');
+  });
+
+  it('number repeated titles from 2', async () => {
+    const { token } = await api.signUp('mali');
+
+    const slugs = [];
+    for (let i = 0; i < 3; i++) slugs.push((await create(token, 'My Post')).body.slug);
+    assert.deepEqual(slugs, ['my-post', 'my-post-2', 'my-post-3']);
+  });
+
+  it('stay the same when the post is edited', async () => {
+    const { token } = await api.signUp('mali');
+    const { body: post } = await create(token, 'My Post');
+
+    const edited = await api.request('PATCH', `/api/posts/${post._id}`, {
+      token,
+      body: { title: 'A Better Title', content: 'New body' },
+    });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.slug, 'my-post');
+    assert.equal((await bySlug('my-post')).body.title, 'A Better Title');
+
+    // The old title's slug is still taken
+    assert.equal((await create(token, 'My Post')).body.slug, 'my-post-2');
+  });
+});
+
+describe('GET /api/posts/by-slug/:slug', () => {
+  it('finds a published post, whatever the case of the slug', async () => {
+    const { token } = await api.signUp('mali');
+    const { body: post } = await create(token, 'My Post');
+
+    const res = await bySlug('My-Post');
+    assert.equal(res.status, 200);
+    assert.equal(res.body._id, post._id);
+  });
+
+  it('is 404 for drafts and scheduled posts, whoever asks', async () => {
+    const { token } = await api.signUp('mali');
+    const { token: other } = await api.signUp('kofi');
+    await create(token, 'Draft', { status: 'draft' });
+    await Post.create({
+      title: 'Scheduled',
+      content: 'x',
+      status: 'scheduled',
+      publishAt: new Date(Date.now() + 3600 * 1000),
+    });
+
+    for (const slug of ['draft', 'scheduled']) {
+      assert.equal((await bySlug(slug)).status, 404);
+      assert.equal((await bySlug(slug, other)).status, 404);
+    }
+    assert.equal((await bySlug('no-such-post')).status, 404);
+  });
+});
@@ -0,0 +1,85 @@
+// test/tags.test.js
+// Post tags: normalising them on save, GET /api/tags counts and
+// GET /api/posts?tag=, through the real routes with an in-memory MongoDB
+// (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApi } = require('./helpers/api');
+
+let api;
+let token;
+
+before(async () => {
+  api = await startApi();
+});
+
+after(() => api.close());
+
+beforeEach(async () => {
+  api.reset();
+  ({ token } = await api.signUp('tagger'));
+});
+
+const createPost = (title, tags) => api.request('POST', '/api/posts', { token, body: { title, content: 'x', tags } });
+
+describe('tags on posts', () => {
+  it('are lowercased, dashed and de-duplicated', async () => {
+    const res = await createPost('Tagged', ['Node JS', 'node_js', ' Web  Dev ', 'web-dev']);
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.tags, ['node-js', 'web-dev']);
+  });
+
+  it('are capped at ten per post', async () => {
+    const tags = Array.from({ length: 11 }, (_, i) => `tag${i}`);
+    assert.equal((await createPost('Too many', tags)).status, 400);
+  });
+
+  it('must start with a letter or digit', async () => {
+    assert.equal((await createPost('Odd', ['-dash'])).status, 400);
+    assert.equal((await createPost('Odd', ['<b>'])).status, 400);
+  });
+
+  it('are left alone by an edit that leaves them out', async () => {
+    const { body: post } = await createPost('Keep', ['kept']);
+    const res = await api.request('PATCH', `/api/posts/${post._id}`, { token, body: { title: 'Kept', content: 'y' } });
+    assert.deepEqual(res.body.tags, ['kept']);
+  });
+});
+
+describe('GET /api/tags', () => {
+  it('counts public posts per tag, most used first, ties alphabetical', async () => {
+    await createPost('One', ['js', 'web']);
+    await createPost('Two', ['js']);
+    await createPost('Three', ['css', 'web']);
+    await api.request('POST', '/api/posts', { token, body: { title: 'Draft', content: 'x', tags: ['secret'], status: 'draft' } });
+
+    const res = await api.request('GET', '/api/tags');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, [
+      { tag: 'js', count: 2 },
+      { tag: 'web', count: 2 },
+      { tag: 'css', count: 1 },
+    ]);
+  });
+
+  it('honours ?limit=', async () => {
+    await createPost('One', ['a', 'b', 'c']);
+    const res = await api.request('GET', '/api/tags?limit=2');
+    assert.equal(res.body.length, 2);
+  });
+});
+
+describe('GET /api/posts?tag=', () => {
+  it('lists only posts with the tag, matching it however it is written', async () => {
+    await createPost('JS post', ['node-js']);
+    await createPost('CSS post', ['css']);
+
+    const res = await api.request('GET', `/api/posts?tag=${encodeURIComponent('Node JS')}`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.posts.map((p) => p.title), ['JS post']);
+  });
+});
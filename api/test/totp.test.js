@@ -0,0 +1,90 @@
+// test/totp.test.js
+// TOTP code generation and verification against the RFC 6238 test vectors.
+// Run with: npm test
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  otpauthUri,
+  timeStep,
+  base32Encode,
+  base32Decode,
+} = require('../services/totp');
+
+// RFC 6238 appendix B — SHA-1 seed "12345678901234567890", 8-digit codes.
+// generateCode() yields 6 digits, which are the last 6 of the RFC's values.
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130'],
+];
+
+describe('totp', () => {
+  for (const [seconds, expected] of RFC_VECTORS) {
+    it(`matches RFC 6238 vector at T=${seconds}`, () => {
+      assert.equal(generateCode(RFC_SECRET, timeStep(seconds * 1000)), expected.slice(-6));
+    });
+  }
+
+  it('base32 round-trips arbitrary bytes', () => {
+    for (let len = 0; len < 24; len++) {
+      const bytes = Buffer.from(Array.from({ length: len }, (_, i) => (i * 37 + len) & 255));
+      assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+    }
+    assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  });
+
+  it('generateSecret returns 160 bits of base32', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(base32Decode(secret).length, 20);
+  });
+
+  it('verifyCode accepts the current and adjacent steps only', () => {
+    const secret = generateSecret();
+    const now = 1_700_000_000_000;
+    const step = timeStep(now);
+
+    assert.equal(verifyCode(secret, generateCode(secret, step), { now }), step);
+    assert.equal(verifyCode(secret, generateCode(secret, step - 1), { now }), step - 1);
+    assert.equal(verifyCode(secret, generateCode(secret, step + 1), { now }), step + 1);
+    assert.equal(verifyCode(secret, generateCode(secret, step - 2), { now }), null);
+  });
+
+  it('verifyCode refuses steps at or before afterStep', () => {
+    const secret = generateSecret();
+    const now = 1_700_000_000_000;
+    const code = generateCode(secret, timeStep(now));
+    assert.equal(verifyCode(secret, code, { now, afterStep: timeStep(now) }), null);
+  });
+
+  it('verifyCode ignores spaces and rejects malformed input', () => {
+    const secret = generateSecret();
+    const now = 1_700_000_000_000;
+    const code = generateCode(secret, timeStep(now));
+    assert.equal(verifyCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`, { now }), timeStep(now));
+    assert.equal(verifyCode(secret, '12345', { now }), null);
+    assert.equal(verifyCode(secret, 'abcdef', { now }), null);
+    assert.equal(verifyCode(secret, undefined, { now }), null);
+  });
+
+  it('otpauthUri follows the key URI format', () => {
+    const uri = new URL(otpauthUri('JBSWY3DPEHPK3PXP', 'mali', "Mali's Blog"));
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), "/Mali's Blog:mali");
+    assert.equal(uri.searchParams.get('secret'), 'JBSWY3DPEHPK3PXP');
+    assert.equal(uri.searchParams.get('issuer'), "Mali's Blog");
+    assert.equal(uri.searchParams.get('digits'), '6');
+  });
+});
@@ -0,0 +1,146 @@
+// test/twoFactor.test.js
+// Two-factor sign-in: enrolment, the /api/login challenge, /api/login/2fa with
+// a code or a recovery code, and turning it off, through the real routes with
+// an in-memory MongoDB (test/helpers).
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { startApi } = require('./helpers/api');
+const { generateCode, timeStep } = require('../services/totp');
+
+let api;
+let User;
+let twoFactor;
+
+before(async () => {
+  api = await startApi();
+  User = require('../models/User');
+  twoFactor = require('../services/twoFactor');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+const PASSWORD = 'correct horse battery staple';
+
+// The code an authenticator app would show, `ahead` steps from now
+const codeFor = (secret, ahead = 0) => generateCode(secret, timeStep() + ahead);
+
+// A password account with 2FA already on — enrolled through the service, to
+// spare the rate-limited routes. Returns its secret and recovery codes.
+async function enrolled(username = 'mali') {
+  const { user, token } = await api.signUp(username, { password: await bcrypt.hash(PASSWORD, 4) });
+  const { secret } = await twoFactor.startEnrollment(user._id);
+  const recoveryCodes = await twoFactor.confirmEnrollment(user._id, codeFor(secret));
+  // Confirming spent this time step; give it back so tests can sign in with it
+  await User.updateOne({ _id: user._id }, { $set: { totpLastStep: -1 } });
+  return { user, token, secret, recoveryCodes };
+}
+
+const login = (username = 'mali') => api.request('POST', '/api/login', { body: { username, password: PASSWORD } });
+
+const secondFactor = (challengeToken, factor) =>
+  api.request('POST', '/api/login/2fa', { body: { challengeToken, ...factor } });
+
+describe('enrolment', () => {
+  it('turns 2FA on once a code from the new secret checks out', async () => {
+    const { user, token } = await api.signUp('mali', { password: await bcrypt.hash(PASSWORD, 4) });
+
+    const setup = await api.request('POST', '/api/me/2fa/setup', { token });
+    assert.equal(setup.status, 200);
+    assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\//);
+
+    const confirm = (code) => api.request('POST', '/api/me/2fa/confirm', { token, body: { code } });
+    assert.equal((await confirm('000000')).status, 400);
+    assert.equal((await User.findById(user._id)).totpEnabled, false);
+
+    const res = await confirm(codeFor(setup.body.secret));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.recoveryCodes.length, 10);
+    assert.equal((await User.findById(user._id)).totpEnabled, true);
+  });
+});
+
+describe('POST /api/login with 2FA on', () => {
+  it('answers with a challenge, not a session, until the code is given', async () => {
+    const { secret } = await enrolled();
+
+    const res = await login();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.mfaRequired, true);
+    assert.ok(res.body.challengeToken);
+    assert.ok(!('token' in res.body) && !('refreshToken' in res.body));
+    assert.equal((await api.request('GET', '/api/me', { token: res.body.challengeToken })).status, 401);
+
+    const signedIn = await secondFactor(res.body.challengeToken, { code: codeFor(secret) });
+    assert.equal(signedIn.status, 200);
+    assert.equal(signedIn.body.username, 'mali');
+    assert.equal((await api.request('GET', '/api/me', { token: signedIn.body.token })).status, 200);
+  });
+
+  it('will not take the same code twice', async () => {
+    const { secret } = await enrolled();
+    const code = codeFor(secret);
+
+    assert.equal((await secondFactor((await login()).body.challengeToken, { code })).status, 200);
+    assert.equal((await secondFactor((await login()).body.challengeToken, { code })).status, 401);
+  });
+
+  it('rejects a wrong code, and an expired or forged challenge', async () => {
+    const { user, token, secret } = await enrolled();
+    const { challengeToken } = (await login()).body;
+
+    const wrong = await secondFactor(challengeToken, { code: codeFor(secret, 5) });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.message, 'Invalid code');
+
+    const expired = jwt.sign(
+      { userId: String(user._id), purpose: 'mfa', exp: Math.floor(Date.now() / 1000) - 1 },
+      process.env.JWT_SECRET
+    );
+    const late = await secondFactor(expired, { code: codeFor(secret) });
+    assert.equal(late.status, 401);
+    assert.equal(late.body.message, 'Your sign-in expired. Please log in again.');
+
+    // An access token proves a session, not the password step
+    assert.equal((await secondFactor(token, { code: codeFor(secret) })).status, 401);
+  });
+
+  it('accepts each recovery code once, however it is typed', async () => {
+    const { user, recoveryCodes: [recoveryCode] } = await enrolled();
+
+    const first = await secondFactor((await login()).body.challengeToken, { recoveryCode });
+    assert.equal(first.status, 200);
+
+    const retyped = recoveryCode.toUpperCase().replace('-', '');
+    assert.equal((await secondFactor((await login()).body.challengeToken, { recoveryCode: retyped })).status, 401);
+
+    const { recoveryCodes } = await User.findById(user._id).select('+recoveryCodes');
+    assert.equal(recoveryCodes.length, 9);
+  });
+});
+
+describe('DELETE /api/me/2fa', () => {
+  it('needs a valid code, then signs in with the password alone', async () => {
+    const { user, token, secret } = await enrolled();
+    const disable = (code) => api.request('DELETE', '/api/me/2fa', { token, body: { code } });
+
+    const refused = await disable(codeFor(secret, 5));
+    assert.equal(refused.status, 400);
+    assert.equal((await User.findById(user._id)).totpEnabled, true);
+
+    assert.equal((await disable(codeFor(secret))).status, 204);
+    assert.equal((await User.findById(user._id)).totpEnabled, false);
+
+    const res = await login();
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.ok(!res.body.mfaRequired);
+  });
+});
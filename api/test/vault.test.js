@@ -0,0 +1,356 @@
+// test/vault.test.js
+// VaultClient and per-user PII keys, against a fake Vault served from
+// localhost that implements just enough of the Transit engine.
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { VaultClient, VaultUnavailableError } = require('../services/vault');
+const { CircuitBreaker } = require('../services/circuitBreaker');
+const { connectMemoryMongo } = require('./helpers/memoryMongo');
+const { startFakeVault } = require('./helpers/fakeVault');
+
+describe('per-user PII keys against a fake Vault', () => {
+  let vault;
+  let client;
+  let pii;
+
+  before(async () => {
+    vault = await startFakeVault();
+    process.env.VAULT_ADDR = vault.url;
+    process.env.VAULT_TOKEN = 'test-token';
+    // Loaded now so the shared client picks up the fake Vault's address
+    const { getVaultClient } = require('../services/vault');
+    client = getVaultClient();
+    pii = require('../services/piiEncryption');
+  });
+
+  after(() => {
+    vault.server.closeAllConnections();
+    vault.server.close();
+  });
+
+  it('names keys after the user', () => {
+    assert.equal(pii.userKeyName('65f1c0ffee'), 'pii-user-65f1c0ffee');
+  });
+
+  it('creates a deletable key, and creating it again is harmless', async () => {
+    const key = await pii.createUserKey('u1');
+    assert.equal(key, 'pii-user-u1');
+    await pii.createUserKey('u1');
+    assert.equal(vault.keys.get('pii-user-u1').deletionAllowed, true);
+  });
+
+  it('encrypts and decrypts document fields under the given key', async () => {
+    const key = await pii.createUserKey('u2');
+    const doc = { email: 'jane@example.com', phone: '+233244123456', fullName: null };
+
+    await pii.encryptPII(doc, ['email', 'phone', 'fullName'], key);
+    assert.ok(pii.isEncrypted(doc.email));
+    assert.equal(doc.fullName, null);
+    assert.equal(vault.keys.get(key).values.size, 2);
+
+    await pii.decryptPII(doc, ['email', 'phone', 'fullName'], key);
+    assert.deepEqual(doc, { email: 'jane@example.com', phone: '+233244123456', fullName: null });
+  });
+
+  it('uses the shared key when none is given', async () => {
+    const doc = { email: 'legacy@example.com' };
+    await pii.encryptPII(doc, ['email']);
+    assert.equal(vault.keys.get('pii-encryption').values.size, 1);
+    await pii.decryptPII(doc, ['email'], null);
+    assert.equal(doc.email, 'legacy@example.com');
+  });
+
+  it('cannot decrypt with another user\'s key', async () => {
+    const mine = await pii.createUserKey('u3');
+    const theirs = await pii.createUserKey('u4');
+    const ciphertext = await client.encrypt('secret', mine);
+    await assert.rejects(client.decrypt(ciphertext, theirs), /Vault error 400/);
+  });
+
+  it('shreds: once the key is deleted the data is gone for good', async () => {
+    const key = await pii.createUserKey('u5');
+    const doc = { email: 'gone@example.com' };
+    await pii.encryptPII(doc, ['email'], key);
+    const backup = { ...doc };
+
+    assert.equal(await pii.shredUserKey(key), true);
+    await assert.rejects(pii.decryptPII(backup, ['email'], key), /encryption key not found/);
+  });
+
+  it('shredding twice is fine', async () => {
+    const key = await pii.createUserKey('u6');
+    assert.equal(await pii.shredUserKey(key), true);
+    assert.equal(await pii.shredUserKey(key), false);
+  });
+
+  it('deletes the key of a new account that could not be saved', async () => {
+    const User = require('../models/User');
+    const memory = await connectMemoryMongo();
+    try {
+      await User.create({ username: 'taken', email: 'first@example.com' });
+      const second = new User({ username: 'taken', email: 'second@example.com' });
+
+      await assert.rejects(second.save(), /E11000/);
+      assert.equal(vault.keys.has(pii.userKeyName(second._id)), false);
+      assert.equal(second.piiKey, null);
+      assert.equal(second.email, 'second@example.com');
+
+      // Fixed up, it saves with a fresh key
+      second.username = 'free';
+      await second.save();
+      assert.ok(vault.keys.has(pii.userKeyName(second._id)));
+      assert.equal((await User.findById(second._id)).email, 'second@example.com');
+    } finally {
+      await memory.close();
+    }
+  });
+
+  it('refuses to delete anything but a per-user key', async () => {
+    await assert.rejects(pii.shredUserKey('pii-encryption'), /not a per-user key/);
+    await assert.rejects(pii.shredUserKey(null), /not a per-user key/);
+    assert.ok(!vault.requests.some((r) => r.method === 'DELETE' && r.path.endsWith('/pii-encryption')));
+  });
+
+  it('reads MongoDB static credentials with their rotation schedule', async () => {
+    const credentials = await client.getMongoCredentials();
+    assert.equal(credentials.source, 'vault');
+    assert.equal(credentials.username, 'blogapi');
+    assert.equal(credentials.uri, 'mongodb://blogapi:p%40ss%2Fword@db:27017/blog?authSource=blog');
+    assert.equal(credentials.ttl, 3540);
+    assert.equal(credentials.rotationPeriod, 3600);
+    assert.ok(Math.abs(Date.now() - 60 * 1000 - credentials.lastRotation.getTime()) < 5000);
+
+    vault.mongo.password = 'rotated';
+    assert.equal(await client.getMongoUri(), 'mongodb://blogapi:rotated@db:27017/blog?authSource=blog');
+  });
+
+  it('sends its token with every request', () => {
+    assert.ok(vault.requests.every((r) => r.token === 'test-token'));
+  });
+});
+
+describe('VaultClient resilience', () => {
+  let vault;
+
+  // Quick timeouts and back-off, so the tests stay fast
+  const newClient = (options = {}) => new VaultClient({
+    vaultAddr: vault.url,
+    token: 'test-token',
+    requestTimeoutMs: 200,
+    maxRetries: 3,
+    retryBaseMs: 1,
+    breakerThreshold: 5,
+    breakerCooldownMs: 60 * 1000,
+    ...options,
+  });
+  const appRoleClient = (options = {}) => newClient({ token: null, roleId: 'role', secretId: 'secret', ...options });
+  const requestsTo = (path) => vault.requests.filter((r) => r.path === path).length;
+
+  before(async () => {
+    vault = await startFakeVault();
+  });
+
+  beforeEach(() => {
+    vault.requests = [];
+    vault.faults = [];
+    vault.renewFails = false;
+    vault.tokenTtl = 3600;
+    vault.renewTtl = 3600;
+  });
+
+  after(() => {
+    vault.server.closeAllConnections();
+    vault.server.close();
+  });
+
+  describe('timeouts and retries', () => {
+    it('gives up on a request that takes too long', async () => {
+      vault.faults.push({ delayMs: 1000 });
+      const started = Date.now();
+      await assert.rejects(newClient({ maxRetries: 0 }).encrypt('x'), (err) => {
+        assert.ok(err instanceof VaultUnavailableError);
+        assert.match(err.cause.message, /timed out after 200ms/);
+        return true;
+      });
+      assert.ok(Date.now() - started < 900);
+    });
+
+    it('retries idempotent requests through errors, timeouts and dropped connections', async () => {
+      vault.faults.push({ status: 503 }, { delayMs: 1000 }, { hangUp: true });
+      const client = newClient();
+      const ciphertext = await client.encrypt('secret');
+      assert.equal(requestsTo('/v1/transit/encrypt/pii-encryption'), 4);
+      assert.equal(await client.decrypt(ciphertext), 'secret');
+    });
+
+    it('wraps the last error once retries run out', async () => {
+      vault.faults.push(...Array(4).fill({ status: 502 }));
+      await assert.rejects(newClient().encrypt('x'), (err) => {
+        assert.ok(err instanceof VaultUnavailableError);
+        assert.match(err.message, /Vault unavailable: Vault error 502/);
+        return true;
+      });
+      assert.equal(requestsTo('/v1/transit/encrypt/pii-encryption'), 4);
+    });
+
+    it('does not retry AppRole login, which may use up the secret_id', async () => {
+      vault.faults.push({ status: 500 });
+      await assert.rejects(appRoleClient().encrypt('x'), VaultUnavailableError);
+      assert.equal(requestsTo('/v1/auth/approle/login'), 1);
+    });
+
+    it('passes on errors that retrying would not fix, untouched', async () => {
+      const client = newClient();
+      await assert.rejects(client.decrypt('vault:v1:abc', 'no-such-key'), (err) => {
+        assert.ok(!(err instanceof VaultUnavailableError));
+        assert.match(err.message, /^Vault error 400: encryption key not found/);
+        return true;
+      });
+      assert.equal(requestsTo('/v1/transit/decrypt/no-such-key'), 1);
+    });
+
+    it('backs off exponentially with jitter, up to a cap', () => {
+      const client = newClient({ retryBaseMs: 100, retryMaxMs: 1000 });
+      for (let i = 0; i < 50; i++) {
+        assert.ok(client._backoff(1) <= 100);
+        assert.ok(client._backoff(3) <= 400);
+        assert.ok(client._backoff(10) <= 1000);
+      }
+      const waits = Array.from({ length: 50 }, () => client._backoff(3));
+      assert.ok(new Set(waits).size > 1, 'waits should vary');
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('opens after repeated failures and then fails fast without calling Vault', async () => {
+      const client = newClient({ maxRetries: 0, breakerThreshold: 3 });
+      vault.faults.push(...Array(3).fill({ status: 503 }));
+      for (let i = 0; i < 3; i++) {
+        await assert.rejects(client.encrypt('x'), VaultUnavailableError);
+      }
+      assert.equal(client.breaker.state, 'open');
+
+      await assert.rejects(client.encrypt('x'), (err) => {
+        assert.ok(err instanceof VaultUnavailableError);
+        assert.match(err.message, /circuit open/);
+        assert.ok(err.retryAfterMs > 59 * 1000);
+        return true;
+      });
+      assert.equal(vault.requests.length, 3);
+    });
+
+    it('lets a trial request through after the cooldown, and closes if it succeeds', async () => {
+      const client = newClient({ maxRetries: 0, breakerThreshold: 1, breakerCooldownMs: 50 });
+      vault.faults.push({ status: 503 });
+      await assert.rejects(client.encrypt('x'), VaultUnavailableError);
+      assert.equal(client.breaker.state, 'open');
+
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      assert.ok((await client.encrypt('x')).startsWith('vault:v1:'));
+      assert.equal(client.breaker.state, 'closed');
+    });
+
+    it('opens again at once if the trial request fails', async () => {
+      const client = newClient({ maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 50 });
+      vault.faults.push(...Array(3).fill({ status: 503 }));
+      await assert.rejects(client.encrypt('x'), VaultUnavailableError);
+      await assert.rejects(client.encrypt('x'), VaultUnavailableError);
+
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      await assert.rejects(client.encrypt('x'), /Vault error 503/);
+      assert.equal(client.breaker.state, 'open');
+      await assert.rejects(client.encrypt('x'), /circuit open/);
+      assert.equal(vault.requests.length, 3);
+    });
+
+    it('counts a refusal from Vault as Vault being up', async () => {
+      const client = newClient({ maxRetries: 0, breakerThreshold: 2 });
+      vault.faults.push({ status: 503 });
+      await assert.rejects(client.encrypt('x'), VaultUnavailableError);
+      await assert.rejects(client.decrypt('vault:v1:abc', 'no-such-key'), /Vault error 400/);
+      vault.faults.push({ status: 503 });
+      await assert.rejects(client.encrypt('x'), VaultUnavailableError);
+      assert.equal(client.breaker.state, 'closed');
+    });
+
+    it('allows one trial at a time while half-open', () => {
+      const breaker = new CircuitBreaker({ threshold: 1, cooldownMs: 1000 });
+      breaker.recordFailure(0);
+      assert.equal(breaker.allowRequest(500), false);
+      assert.equal(breaker.allowRequest(1000), true);
+      assert.equal(breaker.state, 'half-open');
+      assert.equal(breaker.allowRequest(1001), false);
+      breaker.recordSuccess();
+      assert.equal(breaker.allowRequest(1002), true);
+    });
+
+    it('health checks ask Vault directly and report the circuit', async () => {
+      const client = newClient({ maxRetries: 0, breakerThreshold: 1 });
+      vault.faults.push({ status: 503 });
+      await assert.rejects(client.encrypt('x'), VaultUnavailableError);
+
+      const health = await client.healthCheck();
+      assert.deepEqual(health, { ok: true, sealed: false, version: '1.15.0', circuit: 'open' });
+    });
+  });
+
+  describe('AppRole tokens', () => {
+    it('logs in once, however many requests are waiting for a token', async () => {
+      const client = appRoleClient();
+      const before = vault.logins;
+      await Promise.all(Array.from({ length: 5 }, (_, i) => client.encrypt(`value ${i}`)));
+      assert.equal(vault.logins, before + 1);
+      const token = `s.token${vault.logins}`;
+      assert.ok(vault.requests.filter((r) => r.path.startsWith('/v1/transit/')).every((r) => r.token === token));
+    });
+
+    it('renews the token before it expires instead of logging in again', async () => {
+      const client = appRoleClient();
+      await client.encrypt('x');
+      const logins = vault.logins;
+
+      client.tokenRenewAt = Date.now() - 1; // two thirds of the lease have gone
+      await client.encrypt('y');
+      assert.equal(vault.logins, logins);
+      assert.equal(vault.tokens.get(client.token).renewals, 1);
+      assert.ok(client.tokenRenewAt > Date.now());
+    });
+
+    it('logs in again when renewal is refused', async () => {
+      const client = appRoleClient();
+      await client.encrypt('x');
+      const first = client.token;
+
+      vault.renewFails = true;
+      client.tokenRenewAt = Date.now() - 1;
+      await client.encrypt('y');
+      assert.notEqual(client.token, first);
+      assert.equal(requestsTo('/v1/auth/token/renew-self'), 1);
+    });
+
+    it('logs in again when the token is near its max TTL', async () => {
+      const client = appRoleClient();
+      await client.encrypt('x');
+      const logins = vault.logins;
+
+      vault.renewTtl = 30;
+      client.tokenRenewAt = Date.now() - 1;
+      await client.encrypt('y');
+      assert.equal(vault.logins, logins + 1);
+    });
+
+    it('logs in again, without renewing, once the token has expired', async () => {
+      const client = appRoleClient();
+      await client.encrypt('x');
+
+      client.tokenRenewAt = client.tokenExpiry = Date.now() - 1;
+      await client.encrypt('y');
+      assert.equal(requestsTo('/v1/auth/token/renew-self'), 0);
+      assert.equal(requestsTo('/v1/auth/approle/login'), 2);
+    });
+  });
+});
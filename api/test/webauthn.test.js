@@ -0,0 +1,120 @@
+// test/webauthn.test.js
+// Passkey sign-in through the real routes (in-memory MongoDB, see
+// test/helpers), with a software authenticator: an ES256 keypair that signs
+// assertions the way a browser's would.
+// Run with: npm test
+
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { isoCBOR } = require('@simplewebauthn/server/helpers');
+const { startApi } = require('./helpers/api');
+
+let api;
+let Credential;
+
+before(async () => {
+  api = await startApi();
+  Credential = require('../models/Credential');
+});
+
+after(() => api.close());
+
+beforeEach(() => api.reset());
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// A passkey for `user`: stores the public key as registration would and
+// returns a function that signs a sign-in response for a given challenge
+async function softwarePasskey(user) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const cosePublicKey = isoCBOR.encode(new Map([
+    [1, 2],   // kty: EC2
+    [3, -7],  // alg: ES256
+    [-1, 1],  // crv: P-256
+    [-2, Buffer.from(jwk.x, 'base64url')],
+    [-3, Buffer.from(jwk.y, 'base64url')],
+  ]));
+  const credentialId = crypto.randomBytes(16).toString('base64url');
+  await Credential.create({ userId: user._id, credentialId, publicKey: Buffer.from(cosePublicKey) });
+
+  let counter = 0;
+  return (challenge) => {
+    const { origin, hostname } = new URL(api.url);
+    const clientDataJSON = Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge, origin, crossOrigin: false }));
+    const counterBytes = Buffer.alloc(4);
+    counterBytes.writeUInt32BE(++counter);
+    // rpIdHash, flags (user present + user verified), signature counter
+    const authenticatorData = Buffer.concat([sha256(hostname), Buffer.from([0x05]), counterBytes]);
+    const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, sha256(clientDataJSON)]), privateKey);
+
+    return {
+      id: credentialId,
+      rawId: credentialId,
+      type: 'public-key',
+      response: {
+        clientDataJSON: clientDataJSON.toString('base64url'),
+        authenticatorData: authenticatorData.toString('base64url'),
+        signature: signature.toString('base64url'),
+      },
+      clientExtensionResults: {},
+    };
+  };
+}
+
+// Starts a sign-in like a browser: the challenge, and the cookie that came with it
+async function loginOptions() {
+  const res = await api.request('POST', '/api/webauthn/login/options');
+  assert.equal(res.status, 200);
+  const cookie = res.headers.get('set-cookie').split(';')[0];
+  assert.match(res.headers.get('set-cookie'), /HttpOnly/i);
+  assert.match(res.headers.get('set-cookie'), /SameSite=Strict/i);
+  return { challenge: res.body.challenge, cookie };
+}
+
+const loginVerify = (response, cookie) =>
+  api.request('POST', '/api/webauthn/login/verify', {
+    body: { response },
+    headers: cookie ? { Cookie: cookie } : {},
+  });
+
+describe('POST /api/webauthn/login', () => {
+  it('signs in the browser that asked for the challenge', async () => {
+    const { user } = await api.signUp('mali');
+    const sign = await softwarePasskey(user);
+
+    const { challenge, cookie } = await loginOptions();
+    const res = await loginVerify(sign(challenge), cookie);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.username, 'mali');
+    assert.ok(res.body.token);
+  });
+
+  it('rejects a challenge issued to another browser', async () => {
+    const { user } = await api.signUp('mali');
+    const sign = await softwarePasskey(user);
+
+    const victim = await loginOptions();
+    const attacker = await loginOptions();
+
+    // The victim's challenge, signed, replayed with the attacker's cookie or none
+    const response = sign(victim.challenge);
+    assert.equal((await loginVerify(response, attacker.cookie)).status, 401);
+    assert.equal((await loginVerify(response)).status, 401);
+
+    // ...and the victim can still finish their own sign-in
+    assert.equal((await loginVerify(response, victim.cookie)).status, 200);
+  });
+
+  it('accepts each challenge once', async () => {
+    const { user } = await api.signUp('mali');
+    const sign = await softwarePasskey(user);
+
+    const { challenge, cookie } = await loginOptions();
+    assert.equal((await loginVerify(sign(challenge), cookie)).status, 200);
+    assert.equal((await loginVerify(sign(challenge), cookie)).status, 401);
+  });
+});
@@ -0,0 +1,37 @@
+// test/zip.test.js
+// ZIP archives for data exports, read back with a minimal central-directory
+// parser (test/helpers) so the test doesn't trust the writer's own bookkeeping.
+// Run with: npm test
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+const { createZip } = require('../services/zip');
+const { readZip } = require('./helpers/zip');
+
+describe('createZip', () => {
+  it('round-trips files, folders and non-ASCII names', () => {
+    const files = [
+      { name: 'data.json', content: JSON.stringify({ hello: 'world' }) },
+      { name: 'posts/café.md', content: '# Café\n\n'.repeat(200) },
+      { name: 'raw.bin', content: Buffer.from([0, 1, 2, 255]) },
+    ];
+    const entries = readZip(createZip(files));
+
+    assert.deepEqual(entries.map((e) => e.name), files.map((f) => f.name));
+    entries.forEach((entry, i) => {
+      const expected = Buffer.isBuffer(files[i].content) ? files[i].content : Buffer.from(files[i].content);
+      assert.deepEqual(entry.content, expected);
+      assert.equal(entry.crc, zlib.crc32(expected));
+    });
+  });
+
+  it('writes a valid empty archive', () => {
+    const archive = createZip([]);
+    assert.equal(archive.length, 22);
+    assert.deepEqual(readZip(archive), []);
+  });
+});
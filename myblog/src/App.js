@@ -1,33 +1,118 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
+import { Routes, Route, Link, useSearchParams } from 'react-router-dom';
 import { useAuth } from './context/AuthContext';
 import Navbar from './components/Navbar';
 import LoginForm from './components/LoginForm';
 import PostList from './components/PostList';
+import PostPage from './components/PostPage';
+import ResetPasswordPage from './components/ResetPasswordPage';
+import AuthCallbackPage from './components/AuthCallbackPage';
+import MarkdownEditor from './components/MarkdownEditor';
+import TagList, { parseTags } from './components/TagList';
+import SessionsPanel from './components/SessionsPanel';
+import TwoFactorPanel from './components/TwoFactorPanel';
+import PasskeysPanel from './components/PasskeysPanel';
+import SignInMethodsPanel from './components/SignInMethodsPanel';
+import AccessTokensPanel from './components/AccessTokensPanel';
+import ProfileForm from './components/ProfileForm';
+import DataExportButton from './components/DataExportButton';
+import DeleteAccountPanel from './components/DeleteAccountPanel';
 import './App.css';
 
 const API_URL = process.env.REACT_APP_API_URL || '/api';
+const PAGE_SIZE = 10;
 
 function App() {
-  const { user, token } = useAuth();
+  const { user, token, hasRole } = useAuth();
+  const [searchParams] = useSearchParams();
+  const activeTag = searchParams.get('tag');
+  // Set by the API when it redirects back from an email verification link
+  const emailVerifiedResult = searchParams.get('emailVerified');
   const [posts, setPosts] = useState([]);
+  const [tagCounts, setTagCounts] = useState([]);
   const [title, setTitle] = useState('');
   const [content, setContent] = useState('');
+  const [tagsInput, setTagsInput] = useState('');
+  const [publishAt, setPublishAt] = useState('');
+  const [drafts, setDrafts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [profile, setProfile] = useState(null);
+  const [postError, setPostError] = useState('');
+  const [verifyMessage, setVerifyMessage] = useState('');
+  const [editingProfile, setEditingProfile] = useState(false);
 
-  const fetchPosts = async () => {
+  // Fetches one page of posts. Without a cursor it starts over from the
+  // newest post; with one it appends the next page to what's already shown.
+  // Narrowed to the tag in ?tag= when one is selected.
+  const fetchPosts = useCallback(async (cursor = null) => {
     try {
-      const res = await fetch(`${API_URL}/posts`);
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (cursor) params.set('cursor', cursor);
+      if (activeTag) params.set('tag', activeTag);
+
+      const res = await fetch(`${API_URL}/posts?${params}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
-      setPosts(data);
+      setPosts((prev) => (cursor ? [...prev, ...data.posts] : data.posts));
+      setNextCursor(data.nextCursor);
+      setHasMore(data.hasMore);
     } catch (err) {
       console.error('Failed to fetch posts:', err);
     } finally {
       setLoading(false);
     }
+  }, [activeTag]);
+
+  const fetchTags = async () => {
+    try {
+      const res = await fetch(`${API_URL}/tags?limit=20`);
+      if (res.ok) setTagCounts(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch tags:', err);
+    }
+  };
+
+  const loadMore = async () => {
+    if (!hasMore || loadingMore) return;
+    setLoadingMore(true);
+    await fetchPosts(nextCursor);
+    setLoadingMore(false);
+  };
+
+  const handlePostUpdated = (updated) => {
+    setPosts((prev) => prev.map((p) => (p._id === updated._id ? updated : p)));
+  };
+
+  // Drafts and scheduled posts are only visible to their author
+  const fetchDrafts = useCallback(async () => {
+    if (!token) return;
+    try {
+      const params = new URLSearchParams([['status', 'draft'], ['status', 'scheduled'], ['limit', 50]]);
+      const res = await fetch(`${API_URL}/me/posts?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setDrafts(data.posts);
+      }
+    } catch (err) {
+      console.error('Failed to fetch drafts:', err);
+    }
+  }, [token]);
+
+  const handleDraftUpdated = (updated) => {
+    if (updated.status === 'published') {
+      setDrafts((prev) => prev.filter((p) => p._id !== updated._id));
+      fetchPosts();
+    } else {
+      setDrafts((prev) => prev.map((p) => (p._id === updated._id ? updated : p)));
+    }
   };
 
-  const fetchProfile = async () => {
+  const fetchProfile = useCallback(async () => {
     if (!token) return;
     try {
       const res = await fetch(`${API_URL}/me`, {
@@ -40,24 +125,38 @@ function App() {
     } catch (err) {
       console.error('Failed to fetch profile:', err);
     }
-  };
+  }, [token]);
 
   useEffect(() => {
+    setLoading(true);
     fetchPosts();
+  }, [fetchPosts]);
+
+  useEffect(() => {
+    fetchTags();
   }, []);
 
   useEffect(() => {
     if (user) {
       fetchProfile();
+      fetchDrafts();
     } else {
       setProfile(null);
+      setDrafts([]);
     }
-  }, [user, token]);
+  }, [user, fetchProfile, fetchDrafts]);
 
-  const handlePost = async (e) => {
-    e.preventDefault();
+  // status is 'published' for the Publish/Schedule button, 'draft' for Save draft.
+  // Publishing with a date picked turns the post into a scheduled one.
+  const savePost = async (status) => {
     if (!title.trim() || !content.trim()) return;
 
+    const payload = { title, content, tags: parseTags(tagsInput), status };
+    if (status === 'published' && publishAt) {
+      payload.status = 'scheduled';
+      payload.publishAt = new Date(publishAt).toISOString();
+    }
+
     try {
       const res = await fetch(`${API_URL}/posts`, {
         method: 'POST',
@@ -65,65 +164,192 @@ function App() {
           'Content-Type': 'application/json',
           Authorization: `Bearer ${token}`,
         },
-        body: JSON.stringify({ title, content }),
+        body: JSON.stringify(payload),
       });
 
-      if (res.ok) {
-        setTitle('');
-        setContent('');
+      if (!res.ok) {
+        const data = await res.json();
+        setPostError(data.message || 'Could not save the post');
+        return;
+      }
+      setPostError('');
+      setTitle('');
+      setContent('');
+      setTagsInput('');
+      setPublishAt('');
+      if (payload.status === 'published') {
         fetchPosts();
+        fetchTags();
+      } else {
+        fetchDrafts();
       }
     } catch (err) {
       console.error('Failed to create post:', err);
     }
   };
 
+  const resendVerification = async () => {
+    try {
+      const res = await fetch(`${API_URL}/verify-email/resend`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json();
+      setVerifyMessage(data.message);
+    } catch (err) {
+      console.error('Failed to resend verification email:', err);
+    }
+  };
+
+  const handleProfileSaved = (updated, emailChanged) => {
+    setProfile(updated);
+    setEditingProfile(false);
+    setVerifyMessage(emailChanged ? 'We sent a link to your new email address — open it to verify the address.' : '');
+  };
+
+  const handlePost = (e) => {
+    e.preventDefault();
+    savePost('published');
+  };
+
   return (
     <div className="app">
       <Navbar />
 
       <main className="container">
-        {!user ? (
-          <LoginForm />
-        ) : (
-          <>
-            {profile && (
-              <section className="profile-section" style={{ marginBottom: '2rem', padding: '1rem', backgroundColor: '#f9f9f9', borderRadius: '8px' }}>
-                <h3>Your Profile</h3>
-                <p><strong>Username:</strong> {profile.username}</p>
-                <p><strong>Full Name:</strong> {profile.fullName || 'N/A'}</p>
-                <p><strong>Email:</strong> {profile.email || 'N/A'}</p>
+        <Routes>
+          <Route path="/posts/:slug" element={<PostPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/auth/callback" element={<AuthCallbackPage />} />
+          <Route path="/" element={
+            <>
+              {emailVerifiedResult === 'ok' && (
+                <p className="notice-msg">Thanks — your email address is verified.</p>
+              )}
+              {emailVerifiedResult === 'invalid' && (
+                <p className="error-msg">That verification link is invalid or has expired. Log in to request a new one.</p>
+              )}
+              {!user ? (
+                <LoginForm />
+              ) : (
+                <>
+                  {profile && (
+                    <section className="profile-section" style={{ marginBottom: '2rem', padding: '1rem', backgroundColor: '#f9f9f9', borderRadius: '8px' }}>
+                      <h3>Your Profile</h3>
+                      <p><strong>Username:</strong> {profile.username}</p>
+                      {editingProfile ? (
+                        <ProfileForm
+                          profile={profile}
+                          onSaved={handleProfileSaved}
+                          onCancel={() => setEditingProfile(false)}
+                        />
+                      ) : (
+                        <>
+                          <p><strong>Full Name:</strong> {profile.fullName || 'N/A'}</p>
+                          <p>
+                            <strong>Email:</strong> {profile.email || 'N/A'}
+                            {profile.email && !profile.emailVerified && (
+                              <>
+                                {' '}<span className="post-status">Unverified</span>
+                                {' '}<button className="btn btn-secondary" onClick={resendVerification}>Resend link</button>
+                              </>
+                            )}
+                          </p>
+                          <p><strong>Phone:</strong> {profile.phone || 'N/A'}</p>
+                          <p><strong>Card:</strong> {profile.creditCard || 'N/A'}</p>
+                          <button className="btn btn-secondary" onClick={() => setEditingProfile(true)}>Edit profile</button>
+                        </>
+                      )}
+                      {verifyMessage && <p className="notice-msg">{verifyMessage}</p>}
+                      <SignInMethodsPanel methods={profile.signInMethods} onChange={fetchProfile} />
+                      {profile.signInMethods.includes('local') && (
+                        <TwoFactorPanel enabled={profile.twoFactorEnabled} onChange={fetchProfile} />
+                      )}
+                      <PasskeysPanel />
+                      <SessionsPanel />
+                      <AccessTokensPanel />
+                      <DataExportButton />
+                      <DeleteAccountPanel hasPassword={profile.signInMethods.includes('local')} />
+                    </section>
+                  )}
+                  {/* Readers can comment but not post */}
+                  {hasRole('author') && (
+                    <section className="create-post">
+                      <h2>Write a New Post</h2>
+                      {postError && <p className="error-msg">{postError}</p>}
+                      <form onSubmit={handlePost}>
+                        <input
+                          type="text"
+                          placeholder="Post title"
+                          value={title}
+                          onChange={(e) => setTitle(e.target.value)}
+                          required
+                        />
+                        <MarkdownEditor
+                          placeholder="What's on your mind? (Markdown supported)"
+                          value={content}
+                          onChange={setContent}
+                          rows={8}
+                        />
+                        <input
+                          type="text"
+                          placeholder="Tags, comma separated (e.g. devops, vault)"
+                          value={tagsInput}
+                          onChange={(e) => setTagsInput(e.target.value)}
+                        />
+                        <label className="schedule-picker">
+                          <span>Publish at (optional)</span>
+                          <input
+                            type="datetime-local"
+                            value={publishAt}
+                            onChange={(e) => setPublishAt(e.target.value)}
+                          />
+                        </label>
+                        <div className="post-actions">
+                          <button className="btn btn-primary" type="submit">
+                            {publishAt ? 'Schedule' : 'Publish'}
+                          </button>
+                          <button className="btn btn-secondary" type="button" onClick={() => savePost('draft')}>
+                            Save draft
+                          </button>
+                        </div>
+                      </form>
+                    </section>
+                  )}
+                  {drafts.length > 0 && (
+                    <section className="posts-section drafts-section">
+                      <h2>Your Drafts &amp; Scheduled Posts</h2>
+                      <PostList posts={drafts} onPostUpdated={handleDraftUpdated} />
+                    </section>
+                  )}
+                </>
+              )}
+
+              <section className="posts-section">
+                <h2>{activeTag ? `Posts tagged #${activeTag}` : 'Recent Posts'}</h2>
+                {activeTag ? (
+                  <Link to="/" className="back-link">&larr; All posts</Link>
+                ) : (
+                  <TagList
+                    tags={tagCounts.map((t) => t.tag)}
+                    counts={Object.fromEntries(tagCounts.map((t) => [t.tag, t.count]))}
+                  />
+                )}
+                {loading ? (
+                  <p>Loading...</p>
+                ) : (
+                  <PostList
+                    posts={posts}
+                    hasMore={hasMore}
+                    loadingMore={loadingMore}
+                    onLoadMore={loadMore}
+                    onPostUpdated={handlePostUpdated}
+                  />
+                )}
               </section>
-            )}
-            <section className="create-post">
-              <h2>Write a New Post</h2>
-              <form onSubmit={handlePost}>
-                <input
-                  type="text"
-                  placeholder="Post title"
-                  value={title}
-                  onChange={(e) => setTitle(e.target.value)}
-                  required
-                />
-                <textarea
-                  placeholder="What's on your mind?"
-                  value={content}
-                  onChange={(e) => setContent(e.target.value)}
-                  rows={5}
-                  required
-                />
-                <button className="btn btn-primary" type="submit">
-                  Publish
-                </button>
-              </form>
-            </section>
-          </>
-        )}
-
-        <section className="posts-section">
-          <h2>Recent Posts</h2>
-          {loading ? <p>Loading...</p> : <PostList posts={posts} />}
-        </section>
+            </>
+          } />
+        </Routes>
       </main>
 
       <footer className="footer">
@@ -0,0 +1,145 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+const EXPIRY_OPTIONS = [
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: '1 year', days: 365 },
+  { label: 'Never', days: null },
+];
+
+function expiryText(token) {
+  if (token.expired) return 'Expired';
+  if (!token.expiresAt) return 'Never expires';
+  return `Expires ${new Date(token.expiresAt).toLocaleDateString()}`;
+}
+
+export default function AccessTokensPanel() {
+  const { token } = useAuth();
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [expiry, setExpiry] = useState(90);
+  const [created, setCreated] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_URL}/me/tokens`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setTokens(data.tokens);
+        setScopes(data.scopes);
+      }
+    } catch (err) {
+      console.error('Failed to fetch access tokens:', err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  const toggleScope = (scope) => {
+    setSelected((prev) => (prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]));
+  };
+
+  const createToken = async (e) => {
+    e.preventDefault();
+    setError('');
+    setCreated(null);
+    if (selected.length === 0) {
+      setError('Pick at least one scope');
+      return;
+    }
+    const res = await fetch(`${API_URL}/me/tokens`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ name, scopes: selected, expiresInDays: expiry }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.message || 'Could not create the token');
+      return;
+    }
+    const { token: secret, ...accessToken } = data;
+    setCreated(secret);
+    setTokens((prev) => [accessToken, ...prev]);
+    setName('');
+    setSelected([]);
+  };
+
+  const revoke = async (accessToken) => {
+    if (!window.confirm(`Revoke "${accessToken.name}"? Anything using it will stop working.`)) return;
+    setError('');
+    const res = await fetch(`${API_URL}/me/tokens/${accessToken.id}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (res.ok || res.status === 404) {
+      setTokens((prev) => prev.filter((t) => t.id !== accessToken.id));
+    } else {
+      setError('Could not revoke the token');
+    }
+  };
+
+  return (
+    <div className="access-tokens-panel">
+      <h4>Access tokens</h4>
+      <p>For scripts and CI. Send one as <code>Authorization: Bearer &lt;token&gt;</code>.</p>
+      {error && <p className="error-msg">{error}</p>}
+      {created && (
+        <div className="notice-msg new-access-token">
+          Copy your new token now — you won't be able to see it again.
+          <code>{created}</code>
+        </div>
+      )}
+      <ul className="session-list">
+        {tokens.map((t) => (
+          <li key={t.id} className="session-item">
+            <div>
+              <strong>{t.name}</strong>
+              {t.expired && <span className="post-status">Expired</span>}
+              <div className="post-meta">
+                <span>{t.scopes.join(', ')}</span>
+                <span>&middot;</span>
+                <span>{expiryText(t)}</span>
+                <span>&middot;</span>
+                <span>{t.lastUsedAt ? `Last used ${new Date(t.lastUsedAt).toLocaleString()}` : 'Never used'}</span>
+              </div>
+            </div>
+            <button className="btn btn-secondary" onClick={() => revoke(t)}>Revoke</button>
+          </li>
+        ))}
+      </ul>
+      <form className="access-token-form" onSubmit={createToken}>
+        <input
+          placeholder="Name (e.g. CI publish)"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={60}
+          required
+        />
+        <div className="access-token-scopes">
+          {scopes.map((scope) => (
+            <label key={scope}>
+              <input type="checkbox" checked={selected.includes(scope)} onChange={() => toggleScope(scope)} />
+              {' '}{scope}
+            </label>
+          ))}
+        </div>
+        <select value={expiry ?? ''} onChange={(e) => setExpiry(e.target.value ? Number(e.target.value) : null)}>
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.label} value={option.days ?? ''}>{option.label}</option>
+          ))}
+        </select>
+        <button className="btn btn-secondary" type="submit">Create token</button>
+      </form>
+    </div>
+  );
+}
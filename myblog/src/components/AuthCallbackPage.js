@@ -0,0 +1,76 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+const ERRORS = {
+  cancelled: 'Sign-in was cancelled.',
+  expired: 'Your sign-in expired. Please try again.',
+  unavailable: 'The sign-in provider could not be reached. Please try again later.',
+  already_linked: 'That account is already linked to another user.',
+  failed: 'Sign-in failed. Please try again.',
+};
+
+// Where external sign-in ends: /api/auth/:provider/callback sends the browser
+// here with a login code to trade for a session, an error, or ?linked= after
+// linking a provider from the profile.
+export default function AuthCallbackPage() {
+  const [searchParams] = useSearchParams();
+  // Read once — the code is single-use and shouldn't stay in the address bar
+  const [params] = useState(() => Object.fromEntries(searchParams));
+  const { login } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState(() => {
+    if (params.error === 'account_exists') {
+      return `An account with this email already exists. Log in to it, then link ${params.provider || 'this provider'} from your profile.`;
+    }
+    return params.error ? ERRORS[params.error] || ERRORS.failed : '';
+  });
+
+  useEffect(() => {
+    if (!params.code) return;
+    navigate('/auth/callback', { replace: true });
+    fetch(`${API_URL}/auth/exchange`, {
+      method: 'POST',
+      // The API matches the code against the cookie set when sign-in started
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: params.code }),
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) {
+          setError(data.message || ERRORS.failed);
+          return;
+        }
+        login(data.username, data.token, data.refreshToken, data.expiresAt);
+        navigate('/', { replace: true });
+      })
+      .catch(() => setError('Could not connect to server'));
+  }, [params.code, login, navigate]);
+
+  if (params.linked) {
+    return (
+      <div className="auth-container">
+        <h2>Account Linked</h2>
+        <p className="notice-msg">You can now sign in with {params.linked}.</p>
+        <Link to="/" className="back-link">&larr; Back to the blog</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <h2>Signing In</h2>
+      {error ? (
+        <>
+          <p className="error-msg">{error}</p>
+          <Link to="/" className="back-link">&larr; Back to login</Link>
+        </>
+      ) : (
+        <p>Please wait...</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+const MAX_DEPTH = 5;
+
+// The API returns a flat list in posting order — nest it by parentId
+function buildThreads(comments) {
+  const byParent = new Map();
+  comments.forEach((c) => {
+    const key = c.parentId || 'root';
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(c);
+  });
+  const attach = (c) => ({ ...c, replies: (byParent.get(c._id) || []).map(attach) });
+  return (byParent.get('root') || []).map(attach);
+}
+
+function CommentForm({ onSubmit, onCancel, placeholder = 'Write a comment...' }) {
+  const [content, setContent] = useState('');
+  const [error, setError] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+    setSending(true);
+    setError('');
+    const message = await onSubmit(content);
+    setSending(false);
+    if (message) {
+      setError(message);
+    } else {
+      setContent('');
+    }
+  };
+
+  return (
+    <form className="comment-form" onSubmit={handleSubmit}>
+      {error && <p className="error-msg">{error}</p>}
+      <textarea
+        placeholder={placeholder}
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        maxLength={2000}
+        rows={3}
+        required
+      />
+      <div className="post-actions">
+        <button className="btn btn-primary" type="submit" disabled={sending}>
+          {sending ? 'Posting...' : 'Comment'}
+        </button>
+        {onCancel && (
+          <button className="btn btn-secondary" type="button" onClick={onCancel}>Cancel</button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+function CommentThread({ comment, isModerator, onReply, onDelete, onModerate }) {
+  const { user, hasRole } = useAuth();
+  const [replying, setReplying] = useState(false);
+
+  const isMine = Boolean(user) && comment.author === user;
+  const redacted = comment.content === null;
+
+  return (
+    <li className={`comment ${comment.hidden ? 'comment-hidden' : ''}`}>
+      <div className="post-meta">
+        <span>{comment.author || '[deleted]'}</span>
+        <span>&middot;</span>
+        <span>{new Date(comment.createdAt).toLocaleString()}</span>
+        {comment.hidden && <span className="post-status">Hidden</span>}
+      </div>
+      <p className="comment-content">
+        {redacted ? (comment.deleted ? '[deleted]' : '[hidden by the author]') : comment.content}
+      </p>
+
+      {user && !comment.deleted && (
+        <div className="comment-actions">
+          {comment.depth < MAX_DEPTH && (
+            <button onClick={() => setReplying(!replying)}>Reply</button>
+          )}
+          {(isMine || hasRole('editor')) && <button onClick={() => onDelete(comment)}>Delete</button>}
+          {isModerator && (
+            <button onClick={() => onModerate(comment, !comment.hidden)}>
+              {comment.hidden ? 'Unhide' : 'Hide'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {replying && (
+        <CommentForm
+          placeholder={`Reply to ${comment.author}...`}
+          onCancel={() => setReplying(false)}
+          onSubmit={async (content) => {
+            const error = await onReply(content, comment._id);
+            if (!error) setReplying(false);
+            return error;
+          }}
+        />
+      )}
+
+      {comment.replies.length > 0 && (
+        <ul className="comment-replies">
+          {comment.replies.map((reply) => (
+            <CommentThread
+              key={reply._id}
+              comment={reply}
+              isModerator={isModerator}
+              onReply={onReply}
+              onDelete={onDelete}
+              onModerate={onModerate}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+export default function Comments({ post }) {
+  const { user, token, hasRole } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // The post's author moderates its comments, editors moderate all of them
+  const isModerator = Boolean(user) && (post.author === user || hasRole('editor'));
+  const authHeaders = token ? { Authorization: `Bearer ${token}` } : {};
+
+  const fetchComments = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_URL}/posts/${post._id}/comments`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+      if (res.ok) setComments(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch comments:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [post._id, token]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  // Returns an error message for the form, or null on success
+  const addComment = async (content, parentId = null) => {
+    try {
+      const res = await fetch(`${API_URL}/posts/${post._id}/comments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
+        body: JSON.stringify({ content, parentId }),
+      });
+      const data = await res.json();
+      if (!res.ok) return data.message || 'Could not post comment';
+      setComments((prev) => [...prev, data]);
+      return null;
+    } catch {
+      return 'Could not connect to server';
+    }
+  };
+
+  const deleteComment = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      const res = await fetch(`${API_URL}/comments/${comment._id}`, {
+        method: 'DELETE',
+        headers: authHeaders,
+      });
+      if (res.ok) fetchComments();
+    } catch (err) {
+      console.error('Failed to delete comment:', err);
+    }
+  };
+
+  const moderateComment = async (comment, hidden) => {
+    try {
+      const res = await fetch(`${API_URL}/comments/${comment._id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
+        body: JSON.stringify({ hidden }),
+      });
+      if (res.ok) {
+        const updated = await res.json();
+        setComments((prev) => prev.map((c) => (c._id === updated._id ? updated : c)));
+      }
+    } catch (err) {
+      console.error('Failed to moderate comment:', err);
+    }
+  };
+
+  const threads = buildThreads(comments);
+
+  return (
+    <section className="comments">
+      <h2>Comments ({comments.filter((c) => !c.deleted).length})</h2>
+
+      {user ? (
+        <CommentForm onSubmit={(content) => addComment(content)} />
+      ) : (
+        <p className="empty-state">Log in to join the conversation.</p>
+      )}
+
+      {loading ? (
+        <p>Loading...</p>
+      ) : (
+        <ul className="comment-list">
+          {threads.map((comment) => (
+            <CommentThread
+              key={comment._id}
+              comment={comment}
+              isModerator={isModerator}
+              onReply={addComment}
+              onDelete={deleteComment}
+              onModerate={moderateComment}
+            />
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,49 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+// Downloads everything the blog holds about the user as a ZIP. Fetched rather
+// than linked to, since the request needs the Authorization header.
+export default function DataExportButton() {
+  const { token } = useAuth();
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const download = async () => {
+    setError('');
+    setExporting(true);
+    try {
+      const res = await fetch(`${API_URL}/me/export`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        setError(data.message || 'Could not export your data');
+        return;
+      }
+      const filename = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '')?.[1] || 'blog-export.zip';
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Could not export your data. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="data-export">
+      <h4>Your data</h4>
+      <p>Download a copy of your profile, posts, comments and account activity.</p>
+      {error && <p className="error-msg">{error}</p>}
+      <button className="btn btn-secondary" onClick={download} disabled={exporting}>
+        {exporting ? 'Preparing your export...' : 'Download my data'}
+      </button>
+    </div>
+  );
+}
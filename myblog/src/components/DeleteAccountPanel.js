@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+// Accounts with a password confirm with it; others must have signed in within
+// the last few minutes, and are asked to sign in again otherwise.
+export default function DeleteAccountPanel({ hasPassword }) {
+  const { token, logout } = useAuth();
+  const [open, setOpen] = useState(false);
+  const [posts, setPosts] = useState('anonymise');
+  const [password, setPassword] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+
+  const deleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account permanently? This cannot be undone.')) return;
+    setError('');
+    setDeleting(true);
+    try {
+      const res = await fetch(`${API_URL}/me`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ posts, ...(hasPassword && { password }) }),
+      });
+      if (res.ok) {
+        logout();
+        return;
+      }
+      const data = await res.json().catch(() => ({}));
+      setError(data.reauthenticate
+        ? 'For your security, please log out and sign in again, then delete your account within 10 minutes.'
+        : data.message || 'Could not delete your account');
+    } catch (err) {
+      setError('Could not delete your account. Please try again.');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <div className="delete-account-panel">
+        <h4>Delete account</h4>
+        <button className="btn btn-secondary" onClick={() => setOpen(true)}>Delete my account...</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="delete-account-panel">
+      <h4>Delete account</h4>
+      <p>
+        Your profile, sign-in methods, access tokens and personal details are deleted for good,
+        and your comments are blanked. You may want to download your data first.
+      </p>
+      {error && <p className="error-msg">{error}</p>}
+      <form onSubmit={deleteAccount}>
+        <label>
+          <input
+            type="radio"
+            name="posts"
+            checked={posts === 'anonymise'}
+            onChange={() => setPosts('anonymise')}
+          />
+          {' '}Keep my posts, without my name
+        </label>
+        <label>
+          <input
+            type="radio"
+            name="posts"
+            checked={posts === 'delete'}
+            onChange={() => setPosts('delete')}
+          />
+          {' '}Delete my posts and their comments
+        </label>
+        {hasPassword && (
+          <input
+            type="password"
+            placeholder="Your password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+          />
+        )}
+        <div className="post-actions">
+          <button className="btn btn-danger" type="submit" disabled={deleting}>
+            {deleting ? 'Deleting...' : 'Delete my account'}
+          </button>
+          <button className="btn btn-secondary" type="button" onClick={() => setOpen(false)}>Cancel</button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import { useEffect, useRef, useState } from 'react';
+
+export const GOOGLE_CLIENT_ID = process.env.REACT_APP_GOOGLE_CLIENT_ID;
+
+// Loads Google Identity Services once per page; resolves when it is ready
+function useGoogleScript() {
+  const [loaded, setLoaded] = useState(Boolean(window.google?.accounts));
+
+  useEffect(() => {
+    if (!GOOGLE_CLIENT_ID || loaded) return undefined;
+    let script = document.getElementById('google-gsi-script');
+    if (!script) {
+      script = document.createElement('script');
+      script.id = 'google-gsi-script';
+      script.src = 'https://accounts.google.com/gsi/client';
+      script.async = true;
+      script.defer = true;
+      document.body.appendChild(script);
+    }
+    const onLoad = () => setLoaded(true);
+    script.addEventListener('load', onLoad);
+    return () => script.removeEventListener('load', onLoad);
+  }, [loaded]);
+
+  return loaded;
+}
+
+// Renders the "Sign in with Google" button and calls onCredential with the
+// ID token. Renders nothing when REACT_APP_GOOGLE_CLIENT_ID isn't set.
+export default function GoogleButton({ onCredential, text = 'signin_with' }) {
+  const loaded = useGoogleScript();
+  const container = useRef(null);
+  // Latest callback without re-rendering Google's iframe whenever it changes
+  const callback = useRef(onCredential);
+  callback.current = onCredential;
+
+  useEffect(() => {
+    if (!loaded || !GOOGLE_CLIENT_ID || !container.current) return;
+    window.google.accounts.id.initialize({
+      client_id: GOOGLE_CLIENT_ID,
+      callback: (response) => callback.current(response.credential),
+    });
+    window.google.accounts.id.renderButton(
+      container.current,
+      { theme: 'outline', size: 'large', width: 320, text, shape: 'rectangular' }
+    );
+  }, [loaded, text]);
+
+  if (!GOOGLE_CLIENT_ID) return null;
+  return <div ref={container} style={{ marginBottom: '1rem' }} />;
+}
@@ -1,49 +1,41 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useCallback } from 'react';
+import { browserSupportsWebAuthn, startAuthentication } from '@simplewebauthn/browser';
 import { useAuth } from '../context/AuthContext';
+import GoogleButton, { GOOGLE_CLIENT_ID } from './GoogleButton';
+import ProviderButtons, { useSignInProviders } from './ProviderButtons';
 
 const API_URL = process.env.REACT_APP_API_URL || '/api';
-const GOOGLE_CLIENT_ID = process.env.REACT_APP_GOOGLE_CLIENT_ID;
 
 export default function LoginForm() {
   const [isLogin, setIsLogin] = useState(true);
   const [form, setForm] = useState({ username: '', password: '', email: '', fullName: '' });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const [googleLoaded, setGoogleLoaded] = useState(false);
+  const [forgotMode, setForgotMode] = useState(false);
+  // Set when the password was right and the account has 2FA switched on
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [secondFactor, setSecondFactor] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [notice, setNotice] = useState('');
   const { login } = useAuth();
-
-  // ─── Load Google Identity Services script ──────────────────────────────────
-  useEffect(() => {
-    if (!GOOGLE_CLIENT_ID) return;
-    if (document.getElementById('google-gsi-script')) {
-      setGoogleLoaded(true);
-      return;
-    }
-    const script = document.createElement('script');
-    script.id = 'google-gsi-script';
-    script.src = 'https://accounts.google.com/gsi/client';
-    script.async = true;
-    script.defer = true;
-    script.onload = () => setGoogleLoaded(true);
-    document.body.appendChild(script);
-  }, []);
+  const providers = useSignInProviders();
 
   // ─── Handle Google credential response ────────────────────────────────────
-  const handleGoogleResponse = useCallback(async (response) => {
+  const handleGoogleCredential = useCallback(async (idToken) => {
     setError('');
     setLoading(true);
     try {
       const res = await fetch(`${API_URL}/auth/google`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ idToken: response.credential }),
+        body: JSON.stringify({ idToken }),
       });
       const data = await res.json();
       if (!res.ok) {
         setError(data.message || 'Google sign-in failed');
         return;
       }
-      login(data.username, data.token);
+      login(data.username, data.token, data.refreshToken, data.expiresAt);
     } catch {
       setError('Google sign-in failed. Please try again.');
     } finally {
@@ -51,18 +43,40 @@ export default function LoginForm() {
     }
   }, [login]);
 
-  // ─── Render Google Sign-In button ─────────────────────────────────────────
-  useEffect(() => {
-    if (!googleLoaded || !GOOGLE_CLIENT_ID || !window.google) return;
-    window.google.accounts.id.initialize({
-      client_id: GOOGLE_CLIENT_ID,
-      callback: handleGoogleResponse,
-    });
-    window.google.accounts.id.renderButton(
-      document.getElementById('google-signin-button'),
-      { theme: 'outline', size: 'large', width: 320, text: 'signin_with', shape: 'rectangular' }
-    );
-  }, [googleLoaded, handleGoogleResponse]);
+  // ─── Passkey sign-in ──────────────────────────────────────────────────────
+  const handlePasskey = async () => {
+    setError('');
+    setLoading(true);
+    try {
+      // The API ties the challenge to this browser with a cookie, which must come back with the response
+      const optionsRes = await fetch(`${API_URL}/webauthn/login/options`, { method: 'POST', credentials: 'include' });
+      const optionsJSON = await optionsRes.json();
+      if (!optionsRes.ok) {
+        setError(optionsJSON.message || 'Passkey sign-in failed');
+        return;
+      }
+
+      const response = await startAuthentication({ optionsJSON });
+
+      const res = await fetch(`${API_URL}/webauthn/login/verify`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ response }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.message || 'Passkey sign-in failed');
+        return;
+      }
+      login(data.username, data.token, data.refreshToken, data.expiresAt);
+    } catch (err) {
+      // NotAllowedError — the user closed the browser prompt
+      if (err.name !== 'NotAllowedError') setError('Passkey sign-in failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
 
   // ─── Handle traditional login / register ──────────────────────────────────
   const handleSubmit = async (e) => {
@@ -84,8 +98,10 @@ export default function LoginForm() {
 
       const data = await res.json();
 
-      if (res.ok && isLogin) {
-        login(data.username, data.token);
+      if (res.ok && isLogin && data.mfaRequired) {
+        setChallengeToken(data.challengeToken);
+      } else if (res.ok && isLogin) {
+        login(data.username, data.token, data.refreshToken, data.expiresAt);
       } else if (res.ok && !isLogin) {
         setIsLogin(true);
         setForm({ username: '', password: '', email: '', fullName: '' });
@@ -101,20 +117,160 @@ export default function LoginForm() {
     }
   };
 
+  // ─── Second factor ────────────────────────────────────────────────────────
+  const handleSecondFactor = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/login/2fa`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          challengeToken,
+          ...(useRecoveryCode ? { recoveryCode: secondFactor } : { code: secondFactor }),
+        }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        login(data.username, data.token, data.refreshToken, data.expiresAt);
+      } else if (res.status === 401 && data.message !== 'Invalid code') {
+        // Challenge expired — back to the password step
+        setChallengeToken(null);
+        setSecondFactor('');
+        setError(data.message);
+      } else {
+        setError(data.message || 'Invalid code');
+      }
+    } catch {
+      setError('Could not connect to server');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelSecondFactor = () => {
+    setChallengeToken(null);
+    setSecondFactor('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <h2>Two-Factor Authentication</h2>
+        {error && <p className="error-msg">{error}</p>}
+        <form onSubmit={handleSecondFactor}>
+          {useRecoveryCode ? (
+            <input
+              type="text"
+              placeholder="Recovery code (xxxxx-xxxxx)"
+              value={secondFactor}
+              onChange={(e) => setSecondFactor(e.target.value)}
+              autoComplete="off"
+              autoFocus
+              required
+            />
+          ) : (
+            <input
+              type="text"
+              inputMode="numeric"
+              pattern="[0-9 ]{6,8}"
+              placeholder="6-digit code from your authenticator app"
+              value={secondFactor}
+              onChange={(e) => setSecondFactor(e.target.value)}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+            />
+          )}
+          <button className="btn btn-primary" type="submit" disabled={loading}>
+            {loading ? 'Please wait...' : 'Verify'}
+          </button>
+        </form>
+        <p className="auth-toggle" onClick={() => { setUseRecoveryCode(!useRecoveryCode); setSecondFactor(''); setError(''); }}>
+          {useRecoveryCode ? 'Use your authenticator app instead' : 'Lost your device? Use a recovery code'}
+        </p>
+        <p className="auth-toggle" onClick={cancelSecondFactor}>Back to login</p>
+      </div>
+    );
+  }
+
+  // ─── Forgot password ──────────────────────────────────────────────────────
+  const handleForgot = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/password/forgot`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: form.email }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setNotice(data.message);
+        setForgotMode(false);
+      } else {
+        setError(data.message || 'Something went wrong');
+      }
+    } catch {
+      setError('Could not connect to server');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (forgotMode) {
+    return (
+      <div className="auth-container">
+        <h2>Reset Password</h2>
+        {error && <p className="error-msg">{error}</p>}
+        <form onSubmit={handleForgot}>
+          <input
+            type="email"
+            placeholder="Email of your account"
+            value={form.email}
+            onChange={(e) => setForm({ ...form, email: e.target.value })}
+            required
+          />
+          <button className="btn btn-primary" type="submit" disabled={loading}>
+            {loading ? 'Please wait...' : 'Send reset link'}
+          </button>
+        </form>
+        <p className="auth-toggle" onClick={() => { setForgotMode(false); setError(''); }}>
+          Back to login
+        </p>
+      </div>
+    );
+  }
+
+  const showPasskey = isLogin && browserSupportsWebAuthn();
+
   return (
     <div className="auth-container">
       <h2>{isLogin ? 'Login' : 'Sign Up'}</h2>
 
+      {notice && <p className="notice-msg">{notice}</p>}
+
       {error && <p className="error-msg">{error}</p>}
 
+      {showPasskey && (
+        <button className="btn btn-secondary passkey-btn" type="button" onClick={handlePasskey} disabled={loading}>
+          Sign in with a passkey
+        </button>
+      )}
+
       {/* Google Sign-In — only shown if client ID is configured */}
-      {GOOGLE_CLIENT_ID && (
-        <>
-          <div id="google-signin-button" style={{ marginBottom: '1rem' }} />
-          <div className="auth-divider">
-            <span>or</span>
-          </div>
-        </>
+      {GOOGLE_CLIENT_ID && <GoogleButton onCredential={handleGoogleCredential} />}
+
+      <ProviderButtons providers={providers} />
+
+      {(showPasskey || GOOGLE_CLIENT_ID || providers.length > 0) && (
+        <div className="auth-divider">
+          <span>or</span>
+        </div>
       )}
 
       <form onSubmit={handleSubmit}>
@@ -158,6 +314,11 @@ export default function LoginForm() {
       <p className="auth-toggle" onClick={() => { setIsLogin(!isLogin); setError(''); }}>
         {isLogin ? "Need an account? Sign Up" : "Have an account? Login"}
       </p>
+      {isLogin && (
+        <p className="auth-toggle" onClick={() => { setForgotMode(true); setError(''); setNotice(''); }}>
+          Forgot your password?
+        </p>
+      )}
     </div>
   );
 }
@@ -0,0 +1,85 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+const PREVIEW_DEBOUNCE_MS = 400;
+
+// Textarea with Write / Preview tabs.
+// The preview is rendered by the API with the same Markdown renderer and
+// sanitiser used on save, so it matches the published post exactly.
+export default function MarkdownEditor({ value, onChange, placeholder, rows = 5 }) {
+  const { token } = useAuth();
+  const [tab, setTab] = useState('write');
+  const [html, setHtml] = useState('');
+  const [previewError, setPreviewError] = useState('');
+
+  useEffect(() => {
+    if (tab !== 'preview') return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`${API_URL}/posts/preview`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({ content: value }),
+        });
+        const data = await res.json();
+        if (cancelled) return;
+        if (res.ok) {
+          setHtml(data.html);
+          setPreviewError('');
+        } else {
+          setPreviewError(data.message || 'Preview failed');
+        }
+      } catch {
+        if (!cancelled) setPreviewError('Could not connect to server');
+      }
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [tab, value, token]);
+
+  return (
+    <div className="md-editor">
+      <div className="md-tabs">
+        <button
+          type="button"
+          className={`md-tab ${tab === 'write' ? 'active' : ''}`}
+          onClick={() => setTab('write')}
+        >
+          Write
+        </button>
+        <button
+          type="button"
+          className={`md-tab ${tab === 'preview' ? 'active' : ''}`}
+          onClick={() => setTab('preview')}
+        >
+          Preview
+        </button>
+      </div>
+
+      {tab === 'write' ? (
+        <textarea
+          placeholder={placeholder}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          rows={rows}
+          required
+        />
+      ) : previewError ? (
+        <p className="error-msg">{previewError}</p>
+      ) : (
+        // HTML comes from the API's sanitiser — see api/services/markdown.js
+        <div className="md-preview post-body" dangerouslySetInnerHTML={{ __html: html }} />
+      )}
+      <small className="md-hint">Markdown supported: **bold**, _italic_, # headings, [links](https://…), `code`</small>
+    </div>
+  );
+}
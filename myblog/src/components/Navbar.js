@@ -1,4 +1,6 @@
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import SearchBox from './SearchBox';
 
 export default function Navbar() {
   const { user, logout } = useAuth();
@@ -6,8 +8,9 @@ export default function Navbar() {
   return (
     <nav className="navbar">
       <div className="navbar-inner">
-        <a href="/" className="navbar-brand">Mali's Blog</a>
+        <Link to="/" className="navbar-brand">Mali's Blog</Link>
         <div className="navbar-right">
+          <SearchBox />
           {user ? (
             <>
               <span className="navbar-user">Hi, {user}</span>
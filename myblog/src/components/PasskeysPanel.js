@@ -0,0 +1,175 @@
+import { useCallback, useEffect, useState } from 'react';
+import { browserSupportsWebAuthn, startRegistration } from '@simplewebauthn/browser';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+function PasskeyItem({ passkey, onRename, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(passkey.name);
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (await onRename(passkey, name)) setEditing(false);
+  };
+
+  return (
+    <li className="session-item">
+      {editing ? (
+        <form className="passkey-rename" onSubmit={save}>
+          <input value={name} onChange={(e) => setName(e.target.value)} maxLength={60} required autoFocus />
+          <button className="btn btn-primary" type="submit">Save</button>
+          <button className="btn btn-secondary" type="button" onClick={() => { setEditing(false); setName(passkey.name); }}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <>
+          <div>
+            <strong>{passkey.name}</strong>
+            {passkey.deviceType === 'multiDevice' && <span className="post-status">Synced</span>}
+            <div className="post-meta">
+              <span>Added {new Date(passkey.createdAt).toLocaleDateString()}</span>
+              <span>&middot;</span>
+              <span>
+                {passkey.lastUsedAt ? `Last used ${new Date(passkey.lastUsedAt).toLocaleString()}` : 'Never used'}
+              </span>
+            </div>
+          </div>
+          <div className="post-actions">
+            <button className="btn btn-secondary" onClick={() => setEditing(true)}>Rename</button>
+            <button className="btn btn-secondary" onClick={() => onDelete(passkey)}>Delete</button>
+          </div>
+        </>
+      )}
+    </li>
+  );
+}
+
+export default function PasskeysPanel() {
+  const { token } = useAuth();
+  const [passkeys, setPasskeys] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState('');
+
+  const authHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+
+  const fetchPasskeys = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_URL}/me/passkeys`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setPasskeys(data.passkeys);
+      }
+    } catch (err) {
+      console.error('Failed to fetch passkeys:', err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchPasskeys();
+  }, [fetchPasskeys]);
+
+  const addPasskey = async (e) => {
+    e.preventDefault();
+    setError('');
+    setAdding(true);
+    try {
+      const optionsRes = await fetch(`${API_URL}/webauthn/register/options`, {
+        method: 'POST',
+        headers: authHeaders,
+      });
+      const optionsJSON = await optionsRes.json();
+      if (!optionsRes.ok) {
+        setError(optionsJSON.message || 'Could not add a passkey');
+        return;
+      }
+
+      const response = await startRegistration({ optionsJSON });
+
+      const res = await fetch(`${API_URL}/webauthn/register/verify`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({ response, ...(newName.trim() && { name: newName.trim() }) }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.message || 'Could not add a passkey');
+        return;
+      }
+      setPasskeys((prev) => [...prev, data]);
+      setNewName('');
+    } catch (err) {
+      // InvalidStateError — this authenticator is already registered
+      if (err.name === 'InvalidStateError') {
+        setError('This device already has a passkey for your account.');
+      } else if (err.name !== 'NotAllowedError') {
+        setError('Could not add a passkey. Please try again.');
+      }
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const renamePasskey = async (passkey, name) => {
+    setError('');
+    const res = await fetch(`${API_URL}/me/passkeys/${passkey.id}`, {
+      method: 'PATCH',
+      headers: authHeaders,
+      body: JSON.stringify({ name }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      setError(data.message || 'Could not rename the passkey');
+      return false;
+    }
+    setPasskeys((prev) => prev.map((p) => (p.id === data.id ? data : p)));
+    return true;
+  };
+
+  const deletePasskey = async (passkey) => {
+    if (!window.confirm(`Delete the passkey "${passkey.name}"? You won't be able to sign in with it any more.`)) return;
+    setError('');
+    const res = await fetch(`${API_URL}/me/passkeys/${passkey.id}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (res.ok || res.status === 404) {
+      setPasskeys((prev) => prev.filter((p) => p.id !== passkey.id));
+    } else {
+      const data = await res.json().catch(() => ({}));
+      setError(data.message || 'Could not delete the passkey');
+    }
+  };
+
+  return (
+    <div className="passkeys-panel">
+      <h4>Passkeys</h4>
+      {error && <p className="error-msg">{error}</p>}
+      {passkeys.length === 0 && <p>Sign in without a password using your device's screen lock or a security key.</p>}
+      <ul className="session-list">
+        {passkeys.map((passkey) => (
+          <PasskeyItem key={passkey.id} passkey={passkey} onRename={renamePasskey} onDelete={deletePasskey} />
+        ))}
+      </ul>
+      {browserSupportsWebAuthn() ? (
+        <form className="passkey-rename" onSubmit={addPasskey}>
+          <input
+            placeholder="Name (e.g. Work laptop)"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            maxLength={60}
+          />
+          <button className="btn btn-secondary" type="submit" disabled={adding}>
+            {adding ? 'Waiting for your device...' : 'Add a passkey'}
+          </button>
+        </form>
+      ) : (
+        <p>This browser doesn't support passkeys.</p>
+      )}
+    </div>
+  );
+}
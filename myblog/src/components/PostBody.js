@@ -0,0 +1,9 @@
+// Renders a post's content. contentHtml is produced and sanitised by the API
+// on save (api/services/markdown.js); posts saved before Markdown support
+// only have plain-text content, which is shown as-is.
+export default function PostBody({ post }) {
+  if (post.contentHtml) {
+    return <div className="post-body" dangerouslySetInnerHTML={{ __html: post.contentHtml }} />;
+  }
+  return <p className="post-content">{post.content}</p>;
+}
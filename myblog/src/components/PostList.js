@@ -1,4 +1,147 @@
-export default function PostList({ posts }) {
+import { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import MarkdownEditor from './MarkdownEditor';
+import PostBody from './PostBody';
+import TagList, { parseTags } from './TagList';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'long', day: 'numeric'
+});
+
+function PostCard({ post, onUpdated }) {
+  const { user, token, hasRole } = useAuth();
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState({ title: post.title, content: post.content, tags: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Editors can change anyone's posts
+  const canEdit = Boolean(user) && ((post.author === user && hasRole('author')) || hasRole('editor'));
+
+  const startEditing = () => {
+    setDraft({ title: post.title, content: post.content, tags: (post.tags || []).join(', ') });
+    setError('');
+    setEditing(true);
+  };
+
+  const savePost = async (changes) => {
+    setSaving(true);
+    setError('');
+    try {
+      const res = await fetch(`${API_URL}/posts/${post._id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(changes),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.message || 'Could not save changes');
+        return;
+      }
+      onUpdated?.(data);
+      setEditing(false);
+    } catch {
+      setError('Could not connect to server');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    savePost({ ...draft, tags: parseTags(draft.tags) });
+  };
+
+  const publishNow = () => savePost({ title: post.title, content: post.content, status: 'published' });
+
+  if (editing) {
+    return (
+      <article className="post-card post-card-editing">
+        {error && <p className="error-msg">{error}</p>}
+        <form className="post-edit-form" onSubmit={handleSave}>
+          <input
+            type="text"
+            value={draft.title}
+            onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+            required
+          />
+          <MarkdownEditor
+            value={draft.content}
+            onChange={(content) => setDraft({ ...draft, content })}
+            rows={8}
+          />
+          <input
+            type="text"
+            placeholder="Tags, comma separated"
+            value={draft.tags}
+            onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+          />
+          <div className="post-actions">
+            <button className="btn btn-primary" type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button className="btn btn-secondary" type="button" onClick={() => setEditing(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </article>
+    );
+  }
+
+  return (
+    <article className="post-card">
+      <h2 className="post-title">
+        {post.slug ? <Link to={`/posts/${post.slug}`}>{post.title}</Link> : post.title}
+      </h2>
+      <div className="post-meta">
+        <span>{post.author || 'Anonymous'}</span>
+        <span>&middot;</span>
+        <span>{formatDate(post.createdAt)}</span>
+        {post.updatedAt && <span title={`Edited ${formatDate(post.updatedAt)}`}>(edited)</span>}
+        {post.status === 'draft' && <span className="post-status">Draft</span>}
+        {post.status === 'scheduled' && (
+          <span className="post-status">Scheduled for {new Date(post.publishAt).toLocaleString()}</span>
+        )}
+      </div>
+      <PostBody post={post} />
+      <TagList tags={post.tags} />
+      {error && <p className="error-msg">{error}</p>}
+      {canEdit && (
+        <div className="post-actions">
+          <button className="btn btn-secondary" onClick={startEditing}>Edit</button>
+          {(post.status === 'draft' || post.status === 'scheduled') && (
+            <button className="btn btn-primary" onClick={publishNow} disabled={saving}>
+              Publish now
+            </button>
+          )}
+        </div>
+      )}
+    </article>
+  );
+}
+
+export default function PostList({ posts, hasMore = false, loadingMore = false, onLoadMore, onPostUpdated }) {
+  const sentinelRef = useRef(null);
+
+  // ─── Infinite scroll — load the next page when the sentinel comes into view ──
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || !onLoadMore || !('IntersectionObserver' in window)) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onLoadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, onLoadMore]);
+
   if (!posts.length) {
     return <p className="empty-state">No posts yet. Be the first to write something!</p>;
   }
@@ -6,18 +149,16 @@ export default function PostList({ posts }) {
   return (
     <div className="post-list">
       {posts.map((post) => (
-        <article className="post-card" key={post._id}>
-          <h2 className="post-title">{post.title}</h2>
-          <div className="post-meta">
-            <span>{post.author || 'Anonymous'}</span>
-            <span>&middot;</span>
-            <span>{new Date(post.createdAt).toLocaleDateString('en-US', {
-              year: 'numeric', month: 'long', day: 'numeric'
-            })}</span>
-          </div>
-          <p className="post-content">{post.content}</p>
-        </article>
+        <PostCard key={post._id} post={post} onUpdated={onPostUpdated} />
       ))}
+
+      {hasMore && (
+        <div className="load-more" ref={sentinelRef}>
+          <button className="btn btn-primary" onClick={onLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,78 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import PostBody from './PostBody';
+import TagList from './TagList';
+import Comments from './Comments';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+export default function PostPage() {
+  const { slug } = useParams();
+  const [post, setPost] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    (async () => {
+      try {
+        const res = await fetch(`${API_URL}/posts/by-slug/${encodeURIComponent(slug)}`);
+        const data = await res.json();
+        if (cancelled) return;
+        if (!res.ok) {
+          setError(data.message || 'Could not load post');
+          setPost(null);
+        } else {
+          setPost(data);
+        }
+      } catch {
+        if (!cancelled) setError('Could not connect to server');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  // Shareable links should show the post title in the browser tab
+  useEffect(() => {
+    if (!post) return;
+    const previous = document.title;
+    document.title = `${post.title} — Mali's Blog`;
+    return () => { document.title = previous; };
+  }, [post]);
+
+  if (loading) return <p>Loading...</p>;
+
+  if (error) {
+    return (
+      <section className="post-page">
+        <p className="error-msg">{error}</p>
+        <Link to="/" className="back-link">&larr; Back to all posts</Link>
+      </section>
+    );
+  }
+
+  return (
+    <section className="post-page">
+      <Link to="/" className="back-link">&larr; Back to all posts</Link>
+      <article className="post-card post-full">
+        <h1 className="post-title">{post.title}</h1>
+        <div className="post-meta">
+          <span>{post.author || 'Anonymous'}</span>
+          <span>&middot;</span>
+          <span>{new Date(post.createdAt).toLocaleDateString('en-US', {
+            year: 'numeric', month: 'long', day: 'numeric'
+          })}</span>
+        </div>
+        <PostBody post={post} />
+        <TagList tags={post.tags} />
+      </article>
+      <Comments post={post} />
+    </section>
+  );
+}
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+// The API only ever sends these back masked, so their inputs start empty:
+// leave one blank to keep what's on file, or tick Remove to clear it.
+const MASKED_FIELDS = [
+  { field: 'email', label: 'Email', type: 'email', placeholder: 'you@example.com' },
+  { field: 'phone', label: 'Phone', type: 'tel', placeholder: '+233244123456' },
+  { field: 'creditCard', label: 'Card number', type: 'text', placeholder: '4111 1111 1111 1111' },
+];
+
+export default function ProfileForm({ profile, onSaved, onCancel }) {
+  const { token } = useAuth();
+  const [fullName, setFullName] = useState(profile.fullName || '');
+  const [values, setValues] = useState({});
+  const [removed, setRemoved] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const changes = () => {
+    const body = {};
+    if (fullName.trim() !== (profile.fullName || '')) body.fullName = fullName.trim() || null;
+    for (const { field } of MASKED_FIELDS) {
+      if (removed[field]) body[field] = null;
+      else if (values[field] && values[field].trim()) body[field] = values[field].trim();
+    }
+    return body;
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    const body = changes();
+    if (Object.keys(body).length === 0) {
+      onCancel();
+      return;
+    }
+    setError('');
+    setSaving(true);
+    try {
+      const res = await fetch(`${API_URL}/me`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.message || 'Could not save your profile');
+        return;
+      }
+      onSaved(data, 'email' in body && body.email !== null);
+    } catch (err) {
+      setError('Could not save your profile. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="profile-form" onSubmit={save}>
+      {error && <p className="error-msg">{error}</p>}
+      <label>
+        Full name
+        <input value={fullName} onChange={(e) => setFullName(e.target.value)} maxLength={100} />
+      </label>
+      {MASKED_FIELDS.map(({ field, label, type, placeholder }) => (
+        <label key={field}>
+          {label}
+          <input
+            type={type}
+            placeholder={profile[field] ? `${profile[field]} (unchanged)` : placeholder}
+            value={values[field] || ''}
+            onChange={(e) => setValues((prev) => ({ ...prev, [field]: e.target.value }))}
+            disabled={removed[field]}
+            autoComplete={field === 'creditCard' ? 'cc-number' : type}
+          />
+          {profile[field] && (
+            <span className="profile-remove">
+              <input
+                type="checkbox"
+                checked={Boolean(removed[field])}
+                onChange={(e) => setRemoved((prev) => ({ ...prev, [field]: e.target.checked }))}
+              />
+              {' '}Remove
+            </span>
+          )}
+        </label>
+      ))}
+      <div className="post-actions">
+        <button className="btn btn-primary" type="submit" disabled={saving}>
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button className="btn btn-secondary" type="button" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+// The external sign-in providers (OIDC_PROVIDERS) the API is configured for
+export function useSignInProviders() {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_URL}/auth/providers`)
+      .then((res) => (res.ok ? res.json() : []))
+      .then((list) => { if (!cancelled) setProviders(list); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  return providers;
+}
+
+// "Continue with ..." links. Sign-in is a full-page round trip through the
+// provider that comes back to /auth/callback.
+export default function ProviderButtons({ providers }) {
+  return providers.map(({ name, label }) => (
+    <a key={name} className="btn btn-secondary provider-btn" href={`${API_URL}/auth/${encodeURIComponent(name)}`}>
+      Continue with {label}
+    </a>
+  ));
+}
@@ -0,0 +1,96 @@
+import { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+// Landing page for the link in the password reset email
+export default function ResetPasswordPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Read once, then drop it from the address bar so it doesn't end up in
+  // history or Referer headers
+  const [token] = useState(() => searchParams.get('token'));
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (searchParams.has('token')) setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirm) {
+      setError('Passwords do not match');
+      return;
+    }
+    setError('');
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/password/reset`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password }),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setDone(true);
+      } else {
+        setError(data.message || 'Password reset failed');
+      }
+    } catch {
+      setError('Could not connect to server');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="auth-container">
+        <h2>Reset Password</h2>
+        <p className="error-msg">This reset link is incomplete. Request a new one from the login page.</p>
+        <Link to="/" className="back-link">&larr; Back to login</Link>
+      </div>
+    );
+  }
+
+  if (done) {
+    return (
+      <div className="auth-container">
+        <h2>Password Updated</h2>
+        <p className="notice-msg">Your password has been changed and all your devices were signed out.</p>
+        <Link to="/" className="back-link">&larr; Log in</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <h2>Choose a New Password</h2>
+      {error && <p className="error-msg">{error}</p>}
+      <form onSubmit={handleSubmit}>
+        <input
+          type="password"
+          placeholder="New password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          minLength={8}
+          maxLength={128}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Repeat new password"
+          value={confirm}
+          onChange={(e) => setConfirm(e.target.value)}
+          required
+        />
+        <button className="btn btn-primary" type="submit" disabled={loading}>
+          {loading ? 'Please wait...' : 'Set password'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { useEffect, useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+
+// Snippet text with the API's [start, end) highlight ranges wrapped in <mark>
+function Snippet({ snippet }) {
+  if (!snippet) return null;
+  const parts = [];
+  let pos = 0;
+  snippet.highlights.forEach(([start, end], i) => {
+    if (start > pos) parts.push(snippet.text.slice(pos, start));
+    parts.push(<mark key={i}>{snippet.text.slice(start, end)}</mark>);
+    pos = end;
+  });
+  parts.push(snippet.text.slice(pos));
+  return <p className="search-snippet">{parts}</p>;
+}
+
+export default function SearchBox() {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const location = useLocation();
+
+  // Close the dropdown after following a result
+  useEffect(() => {
+    setOpen(false);
+  }, [location.pathname]);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const params = new URLSearchParams({ q, limit: 8 });
+        const res = await fetch(`${API_URL}/posts/search?${params}`);
+        const data = await res.json();
+        if (!cancelled) setResults(res.ok ? data.posts : []);
+      } catch (err) {
+        console.error('Search failed:', err);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const showDropdown = open && query.trim().length >= MIN_QUERY_LENGTH;
+
+  return (
+    <div className="search-box" onBlur={(e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setOpen(false);
+    }}>
+      <input
+        type="search"
+        placeholder="Search posts..."
+        value={query}
+        maxLength={100}
+        onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={(e) => { if (e.key === 'Escape') setOpen(false); }}
+        aria-label="Search posts"
+      />
+      {showDropdown && (
+        <div className="search-results">
+          {searching && !results.length ? (
+            <p className="search-empty">Searching...</p>
+          ) : !results.length ? (
+            <p className="search-empty">No posts found</p>
+          ) : (
+            <ul>
+              {results.map((post) => (
+                <li key={post._id}>
+                  <Link to={`/posts/${post.slug}`}>
+                    <strong>{post.title}</strong>
+                    <Snippet snippet={post.snippet} />
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+// "Mozilla/5.0 (Macintosh; ...) Chrome/126 ..." → "Chrome on macOS".
+// Good enough to recognise a device; not meant to be exact.
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser =
+    (/Edg\//.test(userAgent) && 'Edge') ||
+    (/Firefox\//.test(userAgent) && 'Firefox') ||
+    (/Chrome\//.test(userAgent) && 'Chrome') ||
+    (/Safari\//.test(userAgent) && 'Safari') ||
+    'Browser';
+  const os =
+    (/Android/.test(userAgent) && 'Android') ||
+    (/iPhone|iPad/.test(userAgent) && 'iOS') ||
+    (/Windows/.test(userAgent) && 'Windows') ||
+    (/Mac OS X/.test(userAgent) && 'macOS') ||
+    (/Linux/.test(userAgent) && 'Linux') ||
+    null;
+  return os ? `${browser} on ${os}` : browser;
+}
+
+export default function SessionsPanel() {
+  const { token, logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await fetch(`${API_URL}/me/sessions`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setSessions(data.sessions);
+      }
+    } catch (err) {
+      console.error('Failed to fetch sessions:', err);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const revoke = async (session) => {
+    if (session.current) {
+      logout();
+      return;
+    }
+    setError('');
+    const res = await fetch(`${API_URL}/me/sessions/${session.id}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (res.ok || res.status === 404) {
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    } else {
+      setError('Could not sign out that device');
+    }
+  };
+
+  const revokeAll = async (keepCurrent) => {
+    const message = keepCurrent
+      ? 'Sign out all other devices?'
+      : 'Sign out everywhere, including this device?';
+    if (!window.confirm(message)) return;
+    setError('');
+    const res = await fetch(`${API_URL}/me/sessions${keepCurrent ? '?except=current' : ''}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!res.ok) {
+      setError('Could not sign out your devices');
+    } else if (keepCurrent) {
+      fetchSessions();
+    } else {
+      logout();
+    }
+  };
+
+  return (
+    <div className="sessions-panel">
+      <h4>Where you're signed in</h4>
+      {error && <p className="error-msg">{error}</p>}
+      <ul className="session-list">
+        {sessions.map((session) => (
+          <li key={session.id} className="session-item">
+            <div>
+              <strong>{describeDevice(session.userAgent)}</strong>
+              {session.current && <span className="post-status">This device</span>}
+              <div className="post-meta">
+                <span>{session.ip || 'Unknown IP'}</span>
+                <span>&middot;</span>
+                <span>Signed in {new Date(session.createdAt).toLocaleString()}</span>
+                <span>&middot;</span>
+                <span>Last active {new Date(session.lastUsedAt).toLocaleString()}</span>
+              </div>
+            </div>
+            <button className="btn btn-secondary" onClick={() => revoke(session)}>
+              {session.current ? 'Log out' : 'Revoke'}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="post-actions">
+        {sessions.length > 1 && (
+          <button className="btn btn-secondary" onClick={() => revokeAll(true)}>
+            Log out other devices
+          </button>
+        )}
+        <button className="btn btn-secondary" onClick={() => revokeAll(false)}>
+          Log out everywhere
+        </button>
+      </div>
+    </div>
+  );
+}
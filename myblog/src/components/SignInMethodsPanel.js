@@ -0,0 +1,161 @@
+import { useCallback, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import GoogleButton, { GOOGLE_CLIENT_ID } from './GoogleButton';
+import { useSignInProviders } from './ProviderButtons';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+// Password, Google and other provider sign-in for the current account.
+// `methods` is profile.signInMethods; onChange re-fetches the profile.
+export default function SignInMethodsPanel({ methods, onChange }) {
+  const { token } = useAuth();
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [editingPassword, setEditingPassword] = useState(false);
+  const [passwords, setPasswords] = useState({ currentPassword: '', password: '' });
+  // Google has its own row above, linked through Google's button
+  const providers = useSignInProviders().filter(({ name }) => name !== 'google');
+
+  const hasPassword = methods.includes('local');
+  const hasGoogle = methods.includes('google');
+  // The API refuses to remove the last method; hide the button in that case too
+  const canRemove = methods.length > 1;
+
+  const request = useCallback(async (method, path, body) => {
+    setError('');
+    setNotice('');
+    const res = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      // Linking a provider sets a cookie that its callback checks
+      credentials: 'include',
+      ...(body && { body: JSON.stringify(body) }),
+    });
+    const data = res.status === 204 ? {} : await res.json();
+    if (!res.ok) {
+      setError(data.message || 'Something went wrong');
+      return null;
+    }
+    return data;
+  }, [token]);
+
+  const linkGoogle = useCallback(async (idToken) => {
+    if (await request('POST', '/me/identities/google', { idToken })) {
+      setNotice('Google account linked');
+      onChange();
+    }
+  }, [request, onChange]);
+
+  // Leaves for the provider; it sends the browser back to /auth/callback
+  const linkProvider = async (name) => {
+    const data = await request('POST', `/me/identities/${encodeURIComponent(name)}`);
+    if (data) window.location.assign(data.url);
+  };
+
+  const unlink = async (provider, label) => {
+    if (!window.confirm(`Stop signing in with ${label}?`)) return;
+    if (await request('DELETE', `/me/identities/${provider}`)) onChange();
+  };
+
+  const savePassword = async (e) => {
+    e.preventDefault();
+    const body = hasPassword ? passwords : { password: passwords.password };
+    const data = await request('PUT', '/me/password', body);
+    if (data) {
+      setNotice(hasPassword ? 'Password changed. Your other devices were signed out.' : 'Password set');
+      setEditingPassword(false);
+      setPasswords({ currentPassword: '', password: '' });
+      onChange();
+    }
+  };
+
+  return (
+    <div className="sign-in-methods-panel">
+      <h4>Sign-in methods</h4>
+      {error && <p className="error-msg">{error}</p>}
+      {notice && <p className="notice-msg">{notice}</p>}
+
+      <ul className="session-list">
+        <li className="session-item">
+          <div>
+            <strong>Password</strong>
+            {hasPassword && <span className="post-status">On</span>}
+          </div>
+          <div className="post-actions">
+            {!editingPassword && (
+              <button className="btn btn-secondary" onClick={() => setEditingPassword(true)}>
+                {hasPassword ? 'Change' : 'Set a password'}
+              </button>
+            )}
+            {hasPassword && canRemove && (
+              <button className="btn btn-secondary" onClick={() => unlink('local', 'a password')}>Remove</button>
+            )}
+          </div>
+        </li>
+        {editingPassword && (
+          <li>
+            <form onSubmit={savePassword}>
+              {hasPassword && (
+                <input
+                  type="password"
+                  placeholder="Current password"
+                  value={passwords.currentPassword}
+                  onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+                  autoComplete="current-password"
+                  required
+                />
+              )}
+              <input
+                type="password"
+                placeholder="New password"
+                value={passwords.password}
+                onChange={(e) => setPasswords({ ...passwords, password: e.target.value })}
+                autoComplete="new-password"
+                minLength={8}
+                maxLength={128}
+                required
+              />
+              <div className="post-actions">
+                <button className="btn btn-primary" type="submit">Save</button>
+                <button className="btn btn-secondary" type="button" onClick={() => setEditingPassword(false)}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </li>
+        )}
+
+        {(hasGoogle || GOOGLE_CLIENT_ID) && (
+          <li className="session-item">
+            <div>
+              <strong>Google</strong>
+              {hasGoogle && <span className="post-status">Linked</span>}
+            </div>
+            {hasGoogle ? (
+              canRemove && <button className="btn btn-secondary" onClick={() => unlink('google', 'Google')}>Unlink</button>
+            ) : (
+              <GoogleButton onCredential={linkGoogle} text="continue_with" />
+            )}
+          </li>
+        )}
+
+        {providers.map(({ name, label }) => {
+          const linked = methods.includes(name);
+          return (
+            <li key={name} className="session-item">
+              <div>
+                <strong>{label}</strong>
+                {linked && <span className="post-status">Linked</span>}
+              </div>
+              {linked ? (
+                canRemove && <button className="btn btn-secondary" onClick={() => unlink(name, label)}>Unlink</button>
+              ) : (
+                <button className="btn btn-secondary" onClick={() => linkProvider(name)}>Link</button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
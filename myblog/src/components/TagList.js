@@ -0,0 +1,25 @@
+import { Link } from 'react-router-dom';
+
+// "React, Node JS" → ['react', 'node js']. The API does the real
+// normalisation (dashes, de-duplication, limits) — see postSchema.
+export const parseTags = (input) => input
+  .split(',')
+  .map((tag) => tag.trim().toLowerCase())
+  .filter(Boolean);
+
+// Tag chips — each one links to the home page filtered by that tag
+export default function TagList({ tags, counts }) {
+  if (!tags || !tags.length) return null;
+
+  return (
+    <ul className="tag-list">
+      {tags.map((tag) => (
+        <li key={tag}>
+          <Link className="tag-chip" to={`/?tag=${encodeURIComponent(tag)}`}>
+            #{tag}{counts && <span className="tag-count">{counts[tag]}</span>}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { useAuth } from '../context/AuthContext';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+// Enable / disable TOTP two-factor authentication from the profile section.
+// `enabled` comes from /api/me; onChange re-fetches the profile.
+export default function TwoFactorPanel({ enabled, onChange }) {
+  const { token } = useAuth();
+  const [setup, setSetup] = useState(null); // { secret, otpauthUri } while enrolling
+  const [disabling, setDisabling] = useState(false);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+
+  const request = async (method, path, body) => {
+    setError('');
+    const res = await fetch(`${API_URL}/me/2fa${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+    const data = res.status === 204 ? {} : await res.json();
+    if (!res.ok) {
+      setError(data.message || 'Something went wrong');
+      return null;
+    }
+    return data;
+  };
+
+  const startSetup = async () => {
+    const data = await request('POST', '/setup');
+    if (data) setSetup(data);
+  };
+
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+    const data = await request('POST', '/confirm', { code });
+    if (data) {
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      onChange();
+    }
+  };
+
+  const disable = async (e) => {
+    e.preventDefault();
+    // Recovery codes contain a dash; authenticator codes are digits only
+    const factor = /^[\d ]+$/.test(code) ? { code } : { recoveryCode: code };
+    const data = await request('DELETE', '', factor);
+    if (data) {
+      setDisabling(false);
+      setCode('');
+      setRecoveryCodes(null);
+      onChange();
+    }
+  };
+
+  return (
+    <div className="two-factor-panel">
+      <h4>Two-factor authentication</h4>
+      {error && <p className="error-msg">{error}</p>}
+
+      {recoveryCodes && (
+        <div className="recovery-codes">
+          <p>
+            Save these recovery codes somewhere safe. Each one works once if you
+            lose your authenticator app. They won't be shown again.
+          </p>
+          <ul>
+            {recoveryCodes.map((c) => <li key={c}><code>{c}</code></li>)}
+          </ul>
+          <button className="btn btn-secondary" onClick={() => setRecoveryCodes(null)}>
+            I've saved them
+          </button>
+        </div>
+      )}
+
+      {!enabled && !setup && (
+        <>
+          <p>Protect your account with a code from an authenticator app when you log in.</p>
+          <button className="btn btn-secondary" onClick={startSetup}>Set up</button>
+        </>
+      )}
+
+      {setup && (
+        <form className="two-factor-setup" onSubmit={confirmSetup}>
+          <p>Scan this QR code with your authenticator app, then enter the code it shows.</p>
+          <QRCodeSVG value={setup.otpauthUri} size={176} />
+          <p className="two-factor-secret">
+            Can't scan it? Enter this key: <code>{setup.secret}</code>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            pattern="[0-9 ]{6,8}"
+            placeholder="6-digit code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="one-time-code"
+            required
+          />
+          <div className="post-actions">
+            <button className="btn btn-primary" type="submit">Turn on</button>
+            <button className="btn btn-secondary" type="button" onClick={() => { setSetup(null); setCode(''); }}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {enabled && !disabling && (
+        <>
+          <p><span className="post-status">On</span> You'll be asked for a code each time you log in.</p>
+          <button className="btn btn-secondary" onClick={() => setDisabling(true)}>Turn off</button>
+        </>
+      )}
+
+      {enabled && disabling && (
+        <form onSubmit={disable}>
+          <input
+            type="text"
+            placeholder="Authenticator or recovery code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="one-time-code"
+            required
+          />
+          <div className="post-actions">
+            <button className="btn btn-primary" type="submit">Turn off</button>
+            <button className="btn btn-secondary" type="button" onClick={() => { setDisabling(false); setCode(''); }}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
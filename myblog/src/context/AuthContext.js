@@ -1,26 +1,130 @@
-import { createContext, useState, useContext } from 'react';
+import { createContext, useState, useContext, useEffect, useCallback, useMemo } from 'react';
+
+const API_URL = process.env.REACT_APP_API_URL || '/api';
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Ranked as in the API's services/roles.js — each can do what the ones before it can
+const ROLES = ['reader', 'author', 'editor', 'admin'];
 
 const AuthContext = createContext();
 
+// Roles are read from the access token only to decide what to show; the API
+// checks them again on every request. Tokens from before roles count as authors.
+const rolesOf = (token) => {
+  if (!token) return [];
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).roles || ['author'];
+  } catch {
+    return [];
+  }
+};
+
+const readStored = () => ({
+  user: localStorage.getItem('username'),
+  token: localStorage.getItem('token'),
+  refreshToken: localStorage.getItem('refreshToken'),
+  expiresAt: Number(localStorage.getItem('tokenExpiresAt')) || 0,
+});
+
+const store = ({ username, token, refreshToken, expiresAt }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('username', username);
+  localStorage.setItem('refreshToken', refreshToken);
+  localStorage.setItem('tokenExpiresAt', String(expiresAt));
+};
+
+// Refresh tokens are single-use, so two tabs must never spend the same one.
+// Web Locks serialise refreshes across tabs where the browser supports them.
+const withRefreshLock = (fn) => (
+  navigator.locks ? navigator.locks.request('auth-refresh', fn) : fn()
+);
+
 export const AuthProvider = ({ children }) => {
-  const [user, setUser] = useState(localStorage.getItem('username'));
-  const [token, setToken] = useState(localStorage.getItem('token'));
+  const [session, setSession] = useState(readStored);
+  const { user, token, expiresAt } = session;
+  const roles = useMemo(() => rolesOf(token), [token]);
+
+  // At least `role`, e.g. hasRole('editor') is true for editors and admins
+  const hasRole = useCallback(
+    (role) => roles.some((r) => ROLES.indexOf(r) >= ROLES.indexOf(role)),
+    [roles]
+  );
 
-  const login = (username, userToken) => {
-    localStorage.setItem('token', userToken);
-    localStorage.setItem('username', username);
-    setToken(userToken);
-    setUser(username);
-  };
+  const login = useCallback((username, userToken, refreshToken, tokenExpiresAt) => {
+    store({ username, token: userToken, refreshToken, expiresAt: tokenExpiresAt });
+    setSession(readStored());
+  }, []);
 
-  const logout = () => {
+  const clearLocal = useCallback(() => {
     localStorage.clear();
-    setUser(null);
-    setToken(null);
-  };
+    setSession(readStored());
+  }, []);
+
+  const refresh = useCallback(() => withRefreshLock(async () => {
+    const stored = readStored();
+    if (!stored.refreshToken) return;
+    // Another tab may have refreshed while we waited for the lock
+    if (stored.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+      setSession(stored);
+      return;
+    }
+    try {
+      const res = await fetch(`${API_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: stored.refreshToken }),
+      });
+      if (res.status === 401 || res.status === 400) {
+        clearLocal();
+        return;
+      }
+      if (!res.ok) return;
+      store(await res.json());
+      setSession(readStored());
+    } catch {
+      // Offline — keep the session and try again on the next schedule
+    }
+  }), [clearLocal]);
+
+  const logout = useCallback(async () => {
+    const { refreshToken } = readStored();
+    clearLocal();
+    if (!refreshToken) return;
+    try {
+      await fetch(`${API_URL}/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+    } catch {
+      // Already signed out locally; the session expires on its own
+    }
+  }, [clearLocal]);
+
+  // Silently refresh shortly before the access token expires
+  useEffect(() => {
+    if (!token) return undefined;
+    const delay = Math.max(0, expiresAt - REFRESH_MARGIN_MS - Date.now());
+    const timer = setTimeout(refresh, delay);
+    return () => clearTimeout(timer);
+  }, [token, expiresAt, refresh]);
+
+  // Keep tabs in step when another one logs in, refreshes or logs out
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === null || e.key === 'token' || e.key === 'tokenExpiresAt') {
+        setSession(readStored());
+      }
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
 
   return (
-    <AuthContext.Provider value={{ user, token, login, logout }}>
+    <AuthContext.Provider value={{ user, token, roles, hasRole, login, logout }}>
       {children}
     </AuthContext.Provider>
   );
@@ -99,7 +99,7 @@ echo "==> Writing API policy..."
 docker exec -i -e VAULT_ADDR="$VAULT_ADDR" -e VAULT_TOKEN="$ROOT_TOKEN" "$CONTAINER" \
   vault policy write api-policy - <<'EOF'
 # Allow the API to encrypt and decrypt PII data only
-# No access to keys themselves, no ability to create new keys
+# No access to the shared key itself; per-user keys are managed below
 
 path "transit/encrypt/pii-encryption" {
   capabilities = ["update"]
@@ -113,6 +113,25 @@ path "transit/decrypt/pii-encryption" {
 path "transit/rewrap/pii-encryption" {
   capabilities = ["update"]
 }
+
+# Per-user PII keys. Each account's PII has its own key, which is deleted
+# with the account so its data can't be decrypted again (crypto-shredding).
+# Limited to the pii-user- prefix — the shared key above can't be deleted.
+path "transit/keys/pii-user-*" {
+  capabilities = ["create", "update", "delete"]
+}
+
+path "transit/encrypt/pii-user-*" {
+  capabilities = ["update"]
+}
+
+path "transit/decrypt/pii-user-*" {
+  capabilities = ["update"]
+}
+
+path "transit/rewrap/pii-user-*" {
+  capabilities = ["update"]
+}
 EOF
 
 # ─── Create AppRole for the API ───────────────────────────────────────────────